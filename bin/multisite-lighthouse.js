@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+const {main} = require(`../lib/cli`);
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(e => {
+    console.error(e.message);
+    process.exitCode = 1;
+  });
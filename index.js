@@ -21,262 +21,218 @@
  * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
  * SOFTWARE.
  */
-const {URL} = require(`url`);
 const fs = require(`fs`);
 const {promisify} = require(`util`);
 
-const uuidv1 = require(`uuid/v1`);
-const {Validator} = require(`jsonschema`);
-
 const {BigQuery} = require(`@google-cloud/bigquery`);
 const {PubSub} = require(`@google-cloud/pubsub`);
 const {Storage} = require(`@google-cloud/storage`);
 const {google} = require(`googleapis`);
 
-const bqSchema = require(`./bigquery-schema.json`);
-const config = require(`./config.json`);
+const {discoverUrls} = require(`./lib/discover`);
+const {createStorage, createSink} = require(`./lib/adapters`);
+const {toNdjson} = require(`./lib/sinks`);
+const {createPipeline} = require(`./lib/pipeline`);
+const {createApi} = require(`./lib/api`);
+const {createConfigLoader, validateConfig} = require(`./lib/config`);
+
 const configSchema = require(`./config.schema.json`);
 
-API_KEY = config.auth || ""
-const PageSpeed = google.pagespeedonline({version: 'v5',
-                                          auth: API_KEY});
 // Make filesystem write work with async/await
 const writeFile = promisify(fs.writeFile);
-const readFile = promisify(fs.readFile);
-
-// Initialize new GC clients
-const bigquery = new BigQuery({
-  projectId: config.projectId
-});
-const pubsub = new PubSub({
-  projectId: config.projectId
-});
-const storage = new Storage({
-  projectId: config.projectId
-});
-
-const validator = new Validator;
 
 const log = console.log;
 
+// The config is LIGHTHOUSE_CONFIG (JSON, a gs:// URI or a path) or config.json, see lib/config
+const configLoader = createConfigLoader({
+  schema: configSchema,
+  defaultConfig: () => require(`./config.json`)
+}, {gcs: new Storage()});
+
 /**
- * Function that runs PageSpeed Insights API.
+ * Creates the GC clients, the pipeline and the API of a config.
  *
- * @param {string} id ID of the source for logging purposes.
- * @param {string} url URL to audit.
- * @param {string} strategy device type to obtain report for.
- * @param {string} category Lighthouse audit categories to run.
- * @returns {Promise<object>} The object containing the Pagespeed Insight report.
+ * @param {object} config The config.
+ * @returns {{config: object, pipeline: object, api: function}} The deployment.
  */
-async function getPagespeedInsightsReport(id, url, strategy, category) {
-
-  log(`${id}: Requesting Pagespeed Insight report for ${url} on ${strategy}`);
+function setup(config) {
+  const PageSpeed = google.pagespeedonline({version: 'v5',
+                                            auth: config.auth || ''});
 
-  category = category || []
-  const psi = await PageSpeed.pagespeedapi.runpagespeed({url: url,
-                                                         strategy: strategy,
-                                                         category: category});
-  psi.id = id
-  psi.url = url
-  psi.emulatedFormFactor = strategy
-  log(`${id}: Pagespeed Insight report received for ${url} on ${strategy}`);
+  // Initialize new GC clients
+  const bigquery = new BigQuery({
+    projectId: config.projectId
+  });
+  const pubsub = new PubSub({
+    projectId: config.projectId
+  });
+  const storage = new Storage({
+    projectId: config.projectId
+  });
 
-  return psi;
+  // Storage backend and sink as configured, GCS and BigQuery by default
+  const reportStorage = createStorage(config, {gcs: storage});
+  const pipeline = createPipeline({
+    config: config,
+    storage: reportStorage,
+    sink: createSink(config, {bigquery: bigquery, storage: reportStorage, writeFile: writeFile}),
+    pagespeed: PageSpeed,
+    publish: msg => pubsub.topic(config.pubsubTopicId).publisher().publish(msg),
+    bigquery: bigquery,
+    sharedRateLimit: true,
+    discoverUrls: discoverUrls
+  });
+  return {config: config, pipeline: pipeline, api: createApi({config: config, pipeline: pipeline})};
 }
 
 /**
- * Converts input object to newline-delimited JSON
+ * Sets up the deployment of the config that is available when the function loads. A config in GCS is only loaded on
+ * the first trigger, and an invalid config is not set up, init reports its errors.
  *
- * @param {object} data Object to convert.
- * @returns {string} The stringified object.
+ * @returns {object|null} The deployment, see setup, or null.
  */
-function toNdjson(data) {
-  data = Array.isArray(data) ? data : [data];
-  let outNdjson = '';
-  data.forEach(item => {
-    outNdjson += JSON.stringify(item) + '\n';
-  });
-  return outNdjson;
+function initialDeployment() {
+  const config = configLoader.initial();
+  if (!config) { return null; }
+  try {
+    validateConfig(config, configSchema, configLoader.name);
+  } catch(e) {
+    return null;
+  }
+  return setup(config);
 }
 
+let current = initialDeployment();
+
 /**
- * Publishes a message to the Pub/Sub topic for every ID in config.json source object.
+ * Returns the deployment of the current config. A config in GCS is reloaded when it is older than its TTL, and the
+ * deployment is set up again when it changed. Configs in GCS are validated when they are loaded, others before they
+ * are set up.
  *
- * @param {array<string>} ids Array of ids to publish into Pub/Sub.
- * @returns {Promise<any[]>} Resolved promise when all IDs have been published.
+ * @returns {Promise<object>} The deployment, see setup.
  */
-async function sendAllPubsubMsgs(ids) {
-  return await Promise.all(ids.map(async (id) => {
-    const msg = Buffer.from(id);
-    log(`${id}: Sending init PubSub message`);
-    await pubsub
-      .topic(config.pubsubTopicId)
-      .publisher()
-      .publish(msg);
-    log(`${id}: Init PubSub message sent`)
-  }));
+async function deployment() {
+  const config = await configLoader.load();
+  if (!current || current.config !== config) {
+    if (!configLoader.remote) { validateConfig(config, configSchema, configLoader.name); }
+    current = setup(config);
+  }
+  return current;
 }
 
 /**
- * Write the psi log object and reports to GCS. Only write reports if config.outputFormat is defined in config.json.
+ * The Cloud Function. Triggers on a Pub/Sub trigger, audits the URLs in config.json, writes the result in GCS and loads the data into BigQuery.
+ *
+ * The message is either `all`, the id of a source, or a JSON object with the id, url and strategy of a single job.
+ * `all` and the ids of sources with more than one URL or strategy (or with discovered URLs) fan out into one message
+ * per job. The Pub/Sub message ID (the event ID of the context) keys the run state of a job, so that redelivered
+ * messages do not run again.
  *
- * @param {object} obj The Pagespeed Insight report object.
- * @param {string} id ID of the source.
- * @returns {Promise<void>} Resolved promise when all write operations are complete.
+ * @param {object} event Trigger object.
+ * @param {object} [context] Event metadata, eventId is the Pub/Sub message ID.
+ * @returns {Promise<*>} Promise when the BigQuery loads of the reports and summary tables start.
  */
-async function writeLogAndReportsToStorage(obj, id) {
-  const bucket = storage.bucket(config.gcs.bucketName);
-  config.outputFormat = config.outputFormat || [];
-  await Promise.all(config.outputFormat.map(async (fileType) => {
-    let filePath = `${id}/${obj.emulatedFormFactor}/report_${obj.analysisUTCTimestamp}`;
-    let mimetype;
-    let output;
-    switch (fileType) {
-      case 'csv':
-        // TODO: add function to format json obj a csv report
-        break;
-      case 'json':
-        mimetype = 'application/json';
-        filePath += '.json';
-        output = true;
-      default:
-        // TODO: add function to format json obj into an HTML report
-        break;
-      }
-      if (output === true) {
-        const file = bucket.file(filePath);
-        log(`${id}: Writing ${fileType} report to bucket ${config.gcs.bucketName}`);
-        return await file.save(obj, {
-          metadata: {contentType: mimetype}
-      });
-    }
-  }));
-  const file = bucket.file(`${id}/${obj.emulatedFormFactor}/log_${obj.analysisUTCTimestamp}.json`);
-  log(`${id}: Writing log to bucket ${config.gcs.bucketName}`);
-  return await file.save(JSON.stringify(obj, null, " "), {
-    metadata: {contentType: 'application/json'}
-  });
+async function launchPagespeedInsights (event, context) {
+  const messageId = (context && context.eventId) || event.messageId;
+  try {
+    const {pipeline} = await deployment();
+    return await pipeline.handleMessage(Buffer.from(event.data, 'base64').toString(), messageId);
+  } catch(e) {
+    // Failed jobs have already been logged and recorded
+    if (!e.jobId) { console.error(e); }
+  }
 }
 
 /**
- * Check events in GCS states.json to see if an event with given ID has been pushed to Pub/Sub less than
- * minTimeBetweenTriggers (in config.json) ago.
+ * The scheduler Cloud Function. Triggers periodically, e.g. every minute from Cloud Scheduler through a Pub/Sub topic,
+ * publishes a message for every source that is due according to the schedule in config.json, loads the batches
+ * whose deadline passed (see config.batch), rolls up the previous day (see config.rollup), collects the CrUX field
+ * data when it is due (see config.crux) and regenerates the dashboard after fan-outs (see config.dashboard).
  *
- * @param {string} id ID of the source (and the Pub/Sub message).
- * @param {number} timeNow Timestamp when this method was invoked.
- * @returns {Promise<object>} Object describing active state and time delta between invocation and when the state entry was created, if necessary.
+ * @param {object} event Trigger object (not used).
+ * @param {object} [context] Event metadata (not used).
+ * @returns {Promise<array<string>>} Promise with the ids of the sources that were started.
  */
-async function checkEventState(id, strategy, timeNow) {
-  let eventStates = {};
+async function scheduleAudits (event, context) {
+  let pipeline;
   try {
-    // Try to load existing state file from storage
-    const destination = `/tmp/state_${id}_${strategy}.json`;
-    await storage
-      .bucket(config.gcs.bucketName)
-      .file(`${id}/${strategy}/state.json`)
-      .download({destination: destination});
-    eventStates = JSON.parse(await readFile(destination));
-  } catch(e) {}
-
-  // Check if event corresponding to id has been triggered less than the timeout ago
-  const delta = id in eventStates && (timeNow - eventStates[id].created);
-  if (delta && delta < config.minTimeBetweenTriggers) {
-    return {active: true, delta: Math.round(delta/1000)}
+    pipeline = (await deployment()).pipeline;
+  } catch(e) {
+    return console.error(e);
   }
-
-  // Otherwise write the state of the event with current timestamp and save to bucket
-  eventStates[id] = {created: timeNow};
-  await storage.bucket(config.gcs.bucketName).file(`${id}/${strategy}/state.json`).save(JSON.stringify(eventStates, null, " "), {
-    metadata: {contentType: 'application/json'}
-  });
-  return {active: false}
+  // Every step runs on its own, so that one that keeps failing does not hold up the others
+  const step = async (name, fn) => {
+    try {
+      return await fn();
+    } catch(e) {
+      console.error(`Scheduler step ${name} failed`, e);
+    }
+  };
+  const started = await step('scheduleAudits', () => pipeline.scheduleAudits());
+  await step('finalizeBatches', () => pipeline.finalizeBatches());
+  await step('scheduleRollups', () => pipeline.scheduleRollups());
+  await step('scheduleCrux', () => pipeline.scheduleCrux());
+  await step('scheduleDashboard', () => pipeline.scheduleDashboard());
+  return started;
 }
 
 /**
- * The Cloud Function. Triggers on a Pub/Sub trigger, audits the URLs in config.json, writes the result in GCS and loads the data into BigQuery.
+ * The HTTP Cloud Function. Starts audits of sources or, with api.allowUrls in config.json, of any URL, and returns the
+ * status of the jobs it started (see lib/api).
  *
- * @param {object} event Trigger object.
- * @param {function} callback Callback function (not provided).
- * @returns {Promise<*>} Promise when BigQuery load starts.
+ * @param {object} req Express request.
+ * @param {object} res Express response.
+ * @returns {Promise<void>} Promise when the response has been sent.
  */
-async function launchPagespeedInsights (event, callback) {
+async function auditsApi (req, res) {
+  let api;
   try {
-
-    const source = config.source;
-    const msg = Buffer.from(event.data, 'base64').toString();
-    const ids = source.map(obj => obj.id);
-    const uuid = uuidv1();
-    const metadata = {
-      sourceFormat: 'NEWLINE_DELIMITED_JSON',
-      schema: {fields: bqSchema},
-      jobId: uuid
-    };
-
-    // If the Pub/Sub message is not valid
-    if (msg !== 'all' && !ids.includes(msg)) { return console.error('No valid message found!'); }
-
-    if (msg === 'all') { return sendAllPubsubMsgs(ids); }
-
-    const [src] = source.filter(obj => obj.id === msg);
-    const id = src.id;
-    const url = src.url;
-    const device = src.strategy
-    const category = src.category
-
-    log(`${id}: Received message to start with URL ${url} on ${device}`);
-
-    const timeNow = new Date().getTime();
-    const eventState = await checkEventState(id, device, timeNow);
-    if (eventState.active) {
-      return log(`${id}: Found active event on ${device} (${Math.round(eventState.delta)}s < ${Math.round(config.minTimeBetweenTriggers/1000)}s), aborting...`);
-    }
-
-    const json = await getPagespeedInsightsReport(id, device, url);
-
-    await writeLogAndReportsToStorage(json, id);
-
-    json.job_id = uuid;
-
-    await writeFile(`/tmp/${uuid}.json`, toNdjson(json));
-
-    log(`${id}: BigQuery job with ID ${uuid} starting for ${url} on ${device}`);
-
-    return bigquery
-      .dataset(config.datasetId)
-      .table('reports')
-      .load(`/tmp/${uuid}.json`, metadata);
-
+    api = (await deployment()).api;
   } catch(e) {
     console.error(e);
+    return res.status(500).json({error: `Internal error`});
   }
+  return await api(req, res);
 }
 
 /**
  * Initialization function - only run when Cloud Function is deployed and/or a new instance is started. Validates the configuration file against its schema.
+ * A config in GCS is validated whenever it is loaded instead.
  */
 function init() {
-  // Validate config schema
-  const result = validator.validate(config, configSchema);
-  if (result.errors.length) {
-    throw new Error(`Error(s) in configuration file: ${JSON.stringify(result.errors, null, " ")}`);
-  } else {
-    log(`Configuration validated successfully`);
+  const config = configLoader.initial();
+  if (!config) {
+    return log(`Configuration ${configLoader.name} is loaded on the first trigger`);
   }
+  validateConfig(config, configSchema, configLoader.name);
+  log(`Configuration validated successfully`);
 }
 
 if (process.env.NODE_ENV !== 'test') {
   init();
 } else {
-  // For testing
+  // For testing, with the config of config.json, which is not set up if it is invalid
+  const pipeline = current ? current.pipeline : {};
   module.exports = {
     _init: init,
-    _writeLogAndReportsToStorage: writeLogAndReportsToStorage,
-    _sendAllPubSubMsgs: sendAllPubsubMsgs,
+    _writeLogAndReportsToStorage: pipeline.writeLogAndReportsToStorage,
+    _sendAllPubSubMsgs: pipeline.sendAllPubsubMsgs,
+    _resolveJobs: pipeline.resolveJobs,
     _toNdJson: toNdjson,
     _launchPagespeedInsights: launchPagespeedInsights,
-    _checkEventState: checkEventState,
-    _getPagespeedInsightsReport: getPagespeedInsightsReport
+    _scheduleAudits: scheduleAudits,
+    _auditsApi: auditsApi,
+    _checkEventState: pipeline.checkEventState,
+    _checkBudgets: pipeline.checkBudgets,
+    _sendNotifications: pipeline.sendNotifications,
+    _getPagespeedInsightsReport: pipeline.getPagespeedInsightsReport,
+    _runAudits: pipeline.runAudits,
+    _writeRunsToStorage: pipeline.writeRunsToStorage,
+    _recordFailedRun: pipeline.recordFailedRun,
+    _reconcileSchema: pipeline.reconcileSchema
   }
 }
 
 module.exports.launchPagespeedInsights = launchPagespeedInsights;
+module.exports.scheduleAudits = scheduleAudits;
+module.exports.auditsApi = auditsApi;
@@ -0,0 +1,58 @@
+/**
+ * Selection of the storage backend and the sink from config.json. Without a `storage` or `sink` entry the pipeline
+ * uses the GCS bucket in gcs.bucketName and the BigQuery dataset in datasetId.
+ */
+const {gcsStorage, fsStorage, s3Storage, memoryStorage} = require(`./storage`);
+const {bigquerySink, ndjsonSink, postgresSink, memorySink} = require(`./sinks`);
+
+/**
+ * Creates the storage backend of config.storage.
+ *
+ * @param {object} config The config.
+ * @param {object} [clients] gcs: GCS client, required for the gcs type.
+ * @returns {object} The storage backend, see lib/storage.
+ */
+function createStorage(config, clients) {
+  const options = config.storage || {type: 'gcs'};
+  switch (options.type) {
+    case 'gcs':
+      return gcsStorage(clients.gcs.bucket(options.bucket || config.gcs.bucketName));
+    case 'fs':
+      return fsStorage(options.dir);
+    case 's3':
+      return s3Storage(options);
+    case 'memory':
+      return memoryStorage();
+    default:
+      throw new Error(`Unknown storage type ${options.type}`);
+  }
+}
+
+/**
+ * Creates the sink of config.sink.
+ *
+ * @param {object} config The config.
+ * @param {object} clients storage: the storage backend, for the ndjson type; bigquery: BigQuery client and writeFile,
+ * for the bigquery type.
+ * @returns {object} The sink, see lib/sinks.
+ */
+function createSink(config, clients) {
+  const options = config.sink || {type: 'bigquery'};
+  switch (options.type) {
+    case 'bigquery':
+      return bigquerySink(clients.bigquery, options.datasetId || config.datasetId, {writeFile: clients.writeFile});
+    case 'postgres':
+      return postgresSink(options);
+    case 'ndjson':
+      return ndjsonSink(clients.storage, options.prefix);
+    case 'memory':
+      return memorySink();
+    default:
+      throw new Error(`Unknown sink type ${options.type}`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  createSink
+};
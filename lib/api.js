@@ -0,0 +1,232 @@
+/**
+ * HTTP API for on-demand audits, served by the auditsApi Cloud Function. Requests and responses are Express objects,
+ * as Cloud Functions passes them to HTTP functions.
+ *
+ * - `POST /audits` starts the audits of a source, `{"id": "ebay"}` (optionally narrowed down by url and strategy), or
+ *   of any URL if config.api allowUrls is set, `{"url": "...", "strategy": "mobile", "category": ["performance"]}`.
+ *   With `"wait": true` the response is sent when the audits are done, otherwise the jobs are published and their
+ *   status can be polled.
+ * - `GET /audits/:jobId` returns the status of a job, and the summary row of a job that succeeded.
+ * - `GET /sources` lists the sources of config.json.
+ */
+const crypto = require(`crypto`);
+const {URL} = require(`url`);
+
+const {JOB_ID, toArray, adhocSource, expandSource} = require(`./sources`);
+const {scheduleOf} = require(`./schedule`);
+const {createSecrets} = require(`./secrets`);
+
+const STRATEGIES = ['mobile', 'desktop'];
+
+// Jobs in these states do not change any more
+const FINAL_STATES = ['succeeded', 'failed', 'skipped'];
+
+/**
+ * Creates an error that is sent as a response with its HTTP status.
+ *
+ * @param {number} status The HTTP status.
+ * @param {string} message The error message.
+ * @returns {Error} The error.
+ */
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Compares two strings in constant time.
+ *
+ * @param {string} a A string.
+ * @param {string} b Another string.
+ * @returns {boolean} Whether they are equal.
+ */
+function safeEqual(a, b) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Describes a source of config.json, without its headers, cookies and script.
+ *
+ * @param {object} src The source object in config.json.
+ * @param {object|string} [schedule] The schedule of the config.
+ * @returns {object} The description.
+ */
+function describeSource(src, schedule) {
+  return {
+    id: src.id,
+    type: src.type || 'urls',
+    url: src.url,
+    strategy: toArray(src.strategy),
+    category: src.category || [],
+    runner: src.runner || 'psi',
+    schedule: scheduleOf(src, schedule)
+  };
+}
+
+/**
+ * Creates the request handler of the API.
+ *
+ * @param {object} deps config (the parsed config.json), pipeline (see lib/pipeline) and optionally secrets (see
+ * lib/secrets), to resolve config.api token.
+ * @returns {function} The handler, (req, res) => Promise.
+ */
+function createApi(deps) {
+  const config = deps.config;
+  const pipeline = deps.pipeline;
+  const apiConfig = config.api || {};
+  const secrets = deps.secrets || createSecrets({file: config.secretsFile});
+  let token;
+
+  /**
+   * Checks the bearer token of a request, if config.api token is set. Without it, access is left to the IAM
+   * permissions of the function.
+   *
+   * @param {object} req The request.
+   * @returns {Promise<void>} Rejected promise with a 401 error if the token is missing or wrong.
+   */
+  async function authorize(req) {
+    if (!apiConfig.token) { return; }
+    if (!token) {
+      token = secrets.resolve(apiConfig.token);
+      // A token that failed to resolve, e.g. a secret that does not exist yet, is resolved again on the next request
+      token.catch(() => { token = null; });
+    }
+    const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+    if (!match || !safeEqual(match[1], await token)) {
+      throw httpError(401, `Missing or invalid bearer token`);
+    }
+  }
+
+  /**
+   * Resolves the jobs of a POST /audits body.
+   *
+   * @param {object} body The body.
+   * @returns {Promise<array<object>>} The jobs.
+   */
+  async function jobsOf(body) {
+    const strategies = toArray(body.strategy);
+    strategies.forEach(strategy => {
+      if (!STRATEGIES.includes(strategy)) { throw httpError(400, `Unknown strategy ${strategy}`); }
+    });
+
+    if (body.id) {
+      const [src] = config.source.filter(obj => obj.id === body.id);
+      if (!src) { throw httpError(404, `Unknown source ${body.id}`); }
+      const jobs = (await pipeline.resolveJobs(src))
+        .filter(job => !body.url || job.url === body.url)
+        .filter(job => !strategies.length || strategies.includes(job.strategy));
+      if (!jobs.length) { throw httpError(400, `No URL and strategy of source ${src.id} matches the request`); }
+      return jobs;
+    }
+
+    if (!body.url) { throw httpError(400, `The body needs the id of a source or a url`); }
+    if (!apiConfig.allowUrls) {
+      throw httpError(403, `Audits of URLs that are not in config.json are disabled, set api.allowUrls to allow them`);
+    }
+    let url;
+    try {
+      url = new URL(body.url);
+    } catch(e) {
+      throw httpError(400, `Invalid URL ${body.url}`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) { throw httpError(400, `Invalid URL ${body.url}`); }
+    if (body.category !== undefined && !(Array.isArray(body.category) && body.category.every(item => typeof item === 'string'))) {
+      throw httpError(400, `category must be an array of strings`);
+    }
+    const src = adhocSource(body.url, strategies.length ? strategies : 'mobile', body.category);
+    return expandSource(src).map(job => src.category ? Object.assign(job, {category: src.category}) : job);
+  }
+
+  /**
+   * POST /audits: starts the jobs of the body, see jobsOf.
+   *
+   * @param {object} req The request.
+   * @returns {Promise<{status: number, body: object}>} 200 with the jobs if they are done, 202 otherwise.
+   */
+  async function postAudits(req) {
+    let body = req.body || {};
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+      try {
+        body = JSON.parse(body.toString());
+      } catch(e) {
+        throw httpError(400, `The body is not JSON`);
+      }
+    }
+    const jobs = await jobsOf(body);
+    const started = await pipeline.startJobs(jobs, {wait: !!body.wait});
+    console.log(`API: Started ${started.length} job(s): ${started.map(job => job.jobId).join(', ')}`);
+
+    const statuses = await Promise.all(started.map(async job => Object.assign({
+      href: `/audits/${job.jobId}`,
+      jobId: job.jobId,
+      id: job.id,
+      url: job.url,
+      strategy: job.strategy,
+      // Until its status has been written
+      state: 'queued'
+    }, await pipeline.getJob(job.jobId))));
+    const done = statuses.every(status => FINAL_STATES.includes(status.state));
+    return {status: done ? 200 : 202, body: {jobs: statuses}};
+  }
+
+  /**
+   * GET /audits/:jobId: the status of a job.
+   *
+   * @param {string} jobId The job ID.
+   * @returns {Promise<{status: number, body: object}>} 200 with the status.
+   */
+  async function getAudit(jobId) {
+    const status = JOB_ID.test(jobId) ? await pipeline.getJob(jobId) : null;
+    if (!status) { throw httpError(404, `Unknown job ${jobId}`); }
+    return {status: 200, body: status};
+  }
+
+  /**
+   * Routes a request.
+   *
+   * @param {object} req The request.
+   * @returns {Promise<{status: number, body: object}>} The response.
+   */
+  async function route(req) {
+    const path = (req.path || '/').replace(/\/+$/, '');
+    const allow = methods => {
+      if (!methods.includes(req.method)) { throw Object.assign(httpError(405, `Method ${req.method} not allowed`), {allow: methods}); }
+    };
+    if (path === '/audits') {
+      allow(['POST']);
+      return await postAudits(req);
+    }
+    const audit = /^\/audits\/([^/]+)$/.exec(path);
+    if (audit) {
+      allow(['GET']);
+      return await getAudit(audit[1]);
+    }
+    if (path === '/sources') {
+      allow(['GET']);
+      return {status: 200, body: {sources: config.source.map(src => describeSource(src, config.schedule))}};
+    }
+    throw httpError(404, `Not found`);
+  }
+
+  return async function handle(req, res) {
+    try {
+      await authorize(req);
+      const response = await route(req);
+      res.status(response.status).json(response.body);
+    } catch(e) {
+      if (!e.status) {
+        console.error(`API: ${req.method} ${req.path} failed`, e);
+        return res.status(500).json({error: `Internal error`});
+      }
+      if (e.allow) { res.set('Allow', e.allow.join(', ')); }
+      res.status(e.status).json({error: e.message});
+    }
+  };
+}
+
+module.exports = {
+  describeSource,
+  createApi
+};
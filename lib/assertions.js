@@ -0,0 +1,174 @@
+/**
+ * Assertions on a report, for pass/fail checks in CI. An assertion compares a value of the Lighthouse result with a
+ * number, or with the same value of a baseline report:
+ *
+ * - `categories.performance >= 0.8` (a category or audit without a property is its score)
+ * - `audits.largest-contentful-paint.numericValue <= 2500`
+ * - `audits.uses-http2.score == 1`
+ * - `audits.total-blocking-time.numericValue <= baseline * 1.1` or `categories.seo >= baseline - 0.05`
+ *
+ * Paths are resolved in lighthouseResult first, then in the report, e.g. `loadingExperience.overall_category`.
+ */
+
+const OPERATORS = {
+  '>=': (actual, expected) => actual >= expected,
+  '<=': (actual, expected) => actual <= expected,
+  '>': (actual, expected) => actual > expected,
+  '<': (actual, expected) => actual < expected,
+  '==': (actual, expected) => actual === expected,
+  '!=': (actual, expected) => actual !== expected
+};
+
+const ASSERTION = /^\s*([\w.-]+)\s*(>=|<=|==|!=|>|<)\s*(.+?)\s*$/;
+
+const BASELINE = /^baseline(?:\s*([-+*])\s*(-?[\d.]+))?$/;
+
+/**
+ * Parses an assertion.
+ *
+ * @param {string} expr The assertion, e.g. `categories.performance >= 0.8`.
+ * @returns {object} path, operator, and either value (a number) or baseline ({op, operand} applied to the baseline
+ * value).
+ */
+function parseAssertion(expr) {
+  const match = ASSERTION.exec(expr);
+  if (!match) { throw new Error(`Invalid assertion ${expr}, expected <path> <operator> <value>`); }
+  const assertion = {expr: expr.trim(), path: match[1], operator: match[2]};
+  const baseline = BASELINE.exec(match[3]);
+  if (baseline) {
+    assertion.baseline = baseline[1] ? {op: baseline[1], operand: Number(baseline[2])} : {op: '+', operand: 0};
+    if (isNaN(assertion.baseline.operand)) { throw new Error(`Invalid baseline expression in assertion ${expr}`); }
+  } else {
+    assertion.value = Number(match[3]);
+    if (match[3] === '' || isNaN(assertion.value)) { throw new Error(`Invalid value ${match[3]} in assertion ${expr}`); }
+  }
+  return assertion;
+}
+
+/**
+ * Resolves a path in a report.
+ *
+ * @param {object} report The Pagespeed Insights report.
+ * @param {string} path The path, e.g. `audits.uses-http2.score`.
+ * @returns {*} The value, or undefined if the report has none.
+ */
+function resolvePath(report, path) {
+  const walk = root => path.split('.').reduce((value, key) => value !== null && typeof value === 'object' ? value[key] : undefined, root);
+  let value = walk(report.lighthouseResult || {});
+  if (value === undefined) { value = walk(report); }
+  // Categories and audits compare by their score
+  if (value !== null && typeof value === 'object' && 'score' in value) { value = value.score; }
+  return value;
+}
+
+/**
+ * Evaluates assertions against a report.
+ *
+ * @param {object} report The Pagespeed Insights report.
+ * @param {array<string>} assertions The assertions.
+ * @param {object} [baseline] The baseline report, for assertions against the baseline. Without it, they are skipped.
+ * @returns {{passed: boolean, results: array<object>}} The result of every assertion: expr, actual, expected and
+ * status (passed, failed or skipped) with a message.
+ */
+function evaluateAssertions(report, assertions, baseline) {
+  const results = assertions.map(expr => {
+    const assertion = parseAssertion(expr);
+    const result = {expr: assertion.expr, path: assertion.path, operator: assertion.operator};
+    let expected = assertion.value;
+    if (assertion.baseline) {
+      const value = baseline ? resolvePath(baseline, assertion.path) : undefined;
+      if (typeof value !== 'number') {
+        return Object.assign(result, {status: 'skipped', message: baseline ? `${assertion.path} is not in the baseline report` : `No baseline report`});
+      }
+      const operand = assertion.baseline.operand;
+      expected = assertion.baseline.op === '*' ? value * operand : value + (assertion.baseline.op === '-' ? -operand : operand);
+      // Without floating point noise, e.g. 0.85 for 0.9 - 0.05
+      expected = Math.round(expected * 1e6) / 1e6;
+      result.baseline = value;
+    }
+    result.expected = expected;
+    result.actual = resolvePath(report, assertion.path);
+    if (typeof result.actual !== 'number') {
+      return Object.assign(result, {actual: result.actual === undefined ? null : result.actual, status: 'failed', message: `${assertion.path} is not a number in the report`});
+    }
+    const passed = OPERATORS[assertion.operator](result.actual, expected);
+    return Object.assign(result, {
+      status: passed ? 'passed' : 'failed',
+      message: `${assertion.path} is ${result.actual}, expected ${assertion.operator} ${expected}`
+    });
+  });
+  return {passed: results.every(result => result.status !== 'failed'), results: results};
+}
+
+/**
+ * Escapes a string for an XML attribute.
+ *
+ * @param {*} value The value.
+ * @returns {string} The escaped string.
+ */
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Formats the assertion results of jobs as a JUnit XML report: one test suite per job, one test case per assertion.
+ * A job whose audit failed has a single test case with an error.
+ *
+ * @param {array<object>} jobs Results of the jobs: id, url, strategy and either results (see evaluateAssertions) or
+ * error.
+ * @returns {string} The XML.
+ */
+function toJUnit(jobs) {
+  const count = (job, status) => job.error ? 0 : job.results.filter(result => result.status === status).length;
+  const total = (fn) => jobs.reduce((sum, job) => sum + fn(job), 0);
+  const tests = job => job.error ? 1 : job.results.length;
+  const suites = jobs.map(job => {
+    const classname = escapeXml(`${job.id}.${job.strategy}`);
+    const cases = job.error ?
+      [`    <testcase classname="${classname}" name="audit"><error message="${escapeXml(job.error)}"/></testcase>`] :
+      job.results.map(result => {
+        const name = `    <testcase classname="${classname}" name="${escapeXml(result.expr)}"`;
+        if (result.status === 'failed') { return `${name}><failure message="${escapeXml(result.message)}"/></testcase>`; }
+        if (result.status === 'skipped') { return `${name}><skipped message="${escapeXml(result.message)}"/></testcase>`; }
+        return `${name}/>`;
+      });
+    return [
+      `  <testsuite name="${escapeXml(`${job.id} ${job.url} ${job.strategy}`)}" tests="${tests(job)}" failures="${count(job, 'failed')}" errors="${job.error ? 1 : 0}" skipped="${count(job, 'skipped')}">`,
+      ...cases,
+      `  </testsuite>`
+    ].join('\n');
+  });
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<testsuites name="multisite-lighthouse" tests="${total(tests)}" failures="${total(job => count(job, 'failed'))}" errors="${total(job => job.error ? 1 : 0)}">`,
+    ...suites,
+    `</testsuites>`,
+    ``
+  ].join('\n');
+}
+
+/**
+ * Checks the assertions of the sources in the config, so that a typo fails when the config is loaded and not in CI.
+ *
+ * @param {object} config The config.
+ * @returns {array<string>} The errors.
+ */
+function validateAssertions(config) {
+  const errors = [];
+  (config.source || []).forEach(src => (src.assertions || []).forEach(expr => {
+    try {
+      parseAssertion(expr);
+    } catch(e) {
+      errors.push(`${src.id} assertions: ${e.message}`);
+    }
+  }));
+  return errors;
+}
+
+module.exports = {
+  parseAssertion,
+  resolvePath,
+  evaluateAssertions,
+  toJUnit,
+  validateAssertions
+};
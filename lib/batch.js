@@ -0,0 +1,287 @@
+/**
+ * Batches of fanned out jobs (see config.batch). When every job of a fan-out of hundreds of URLs starts its own load
+ * jobs, the load job quotas of the tables run out and a run ends up half loaded. The jobs of a batch stage their rows
+ * in the storage instead, and the batch is loaded with one load job per table once every job has reported its result
+ * or the deadline of the batch has passed. Everything of a batch is under `${prefix}/${batchId}/` of the storage:
+ *
+ * - `manifest.json`: the expected jobs and the deadline and, once the batch is loaded, the jobs that succeeded,
+ *   failed, were skipped or never reported.
+ * - `results/${index}.json`: the result of the job at that index of the manifest, a redelivered job overwrites it.
+ * - `rows/${table}/${index}.json`: the rows the job staged for a table, as NDJSON. The batch is loaded from these
+ *   files, by sinks that can load files of the storage without reading them (see loadFiles in lib/sinks).
+ * - `schemas/${table}/${index}.json`: the fields of the table for the rows of the job, if they add to the fields of
+ *   the table.
+ * - `loading.json`: the claim of the instance that loads the batch, written with a generation precondition so that
+ *   of two instances that find the batch ready only one loads it.
+ * - `loaded.json`: the loads of the batch, the batch is open until it exists.
+ *
+ * The open batches are indexed as `${prefix}/open/${batchId}.json`, which is removed once the batch is loaded, so that
+ * finding them does not list the files of every batch there ever was.
+ */
+const uuidv1 = require(`uuid/v1`);
+
+const {toNdjson} = require(`./sinks`);
+const {DEFAULT_LEASE_TIMEOUT} = require(`./runstate`);
+
+const DEFAULT_PREFIX = `batches`;
+
+// Seconds after its creation at which a batch is loaded with the results that have arrived
+const DEFAULT_DEADLINE = 3600;
+
+/**
+ * Creates the batches of a storage backend.
+ *
+ * @param {object} storage Storage backend, see lib/storage.
+ * @param {object} [options] prefix: path prefix of the batches, defaults to batches; deadline: seconds after which a
+ * batch is loaded without the jobs that have not reported yet, defaults to an hour; loadTimeout: milliseconds after
+ * which the claim of an instance that did not finish loading a batch can be taken over.
+ * @returns {object} The batches: create, stage, stageSchema, report, status, readResults, claim, release,
+ * listStaged, readRows, readSchemas, complete and listOpen.
+ */
+function createBatches(storage, options) {
+  options = options || {};
+  const prefix = options.prefix || DEFAULT_PREFIX;
+  const deadline = (options.deadline || DEFAULT_DEADLINE) * 1000;
+  const loadTimeout = options.loadTimeout || DEFAULT_LEASE_TIMEOUT;
+
+  const pathOf = (batchId, name) => `${prefix}/${batchId}/${name}`;
+  const openPathOf = batchId => `${prefix}/open/${batchId}.json`;
+  const writeJson = (path, obj, writeOptions) => storage.write(path, JSON.stringify(obj, null, " "), Object.assign({
+    contentType: 'application/json',
+    cacheControl: 'no-store'
+  }, writeOptions));
+  const readJson = async path => {
+    const data = await storage.read(path);
+    return data ? JSON.parse(data) : null;
+  };
+
+  return {
+    prefix,
+
+    /**
+     * Creates a batch of jobs and writes its manifest.
+     *
+     * @param {array<object>} jobs The (id, url, strategy) jobs.
+     * @param {number} [now] Timestamp.
+     * @returns {Promise<object>} The manifest: batchId, created, deadline, state and the expected jobs with their index.
+     */
+    create: async (jobs, now) => {
+      now = now || new Date().getTime();
+      const manifest = {
+        batchId: uuidv1(),
+        created: new Date(now).toISOString(),
+        deadline: new Date(now + deadline).toISOString(),
+        state: 'running',
+        expected: jobs.map((job, index) => ({index: index, id: job.id, url: job.url, strategy: job.strategy}))
+      };
+      await writeJson(pathOf(manifest.batchId, 'manifest.json'), manifest);
+      await writeJson(openPathOf(manifest.batchId), {created: manifest.created});
+      return manifest;
+    },
+
+    /**
+     * Stages the rows of a job for a table.
+     *
+     * @param {object} batch The batch of the job: its id and index.
+     * @param {string} table The table.
+     * @param {array<object>} rows The rows.
+     * @returns {Promise<string>} Path of the staged rows in the storage.
+     */
+    stage: async (batch, table, rows) => {
+      const path = pathOf(batch.id, `rows/${table}/${batch.index}.json`);
+      await storage.write(path, toNdjson(rows), {contentType: 'application/x-ndjson'});
+      return path;
+    },
+
+    /**
+     * Stages the fields of a table that the rows of a job need, e.g. when a new Lighthouse version adds audits.
+     *
+     * @param {object} batch The batch of the job: its id and index.
+     * @param {string} table The table.
+     * @param {array<object>} fields The fields.
+     * @returns {Promise<void>} Resolved promise when the fields have been written.
+     */
+    stageSchema: async (batch, table, fields) => {
+      await writeJson(pathOf(batch.id, `schemas/${table}/${batch.index}.json`), fields);
+    },
+
+    /**
+     * Writes the result of a job.
+     *
+     * @param {object} batch The batch of the job: its id and index.
+     * @param {object} result state (succeeded, failed or skipped), jobId and the error of a failed job or the reason of
+     * a skipped one.
+     * @param {number} [now] Timestamp.
+     * @returns {Promise<void>} Resolved promise when the result has been written.
+     */
+    report: async (batch, result, now) => {
+      now = now || new Date().getTime();
+      await writeJson(pathOf(batch.id, `results/${batch.index}.json`), Object.assign({index: batch.index}, result, {
+        updated: new Date(now).toISOString()
+      }));
+    },
+
+    /**
+     * Reads the manifest of a batch and counts the results, every job reports once as a redelivery overwrites its
+     * result. The results themselves are only read when the batch is loaded, see readResults.
+     *
+     * @param {string} batchId The batch ID.
+     * @param {number} [now] Timestamp.
+     * @returns {Promise<object|null>} manifest, reported (number of jobs that reported), ready (every job reported or
+     * the deadline passed) and loaded, or null if there is no such batch.
+     */
+    status: async (batchId, now) => {
+      now = now || new Date().getTime();
+      const manifest = await readJson(pathOf(batchId, 'manifest.json'));
+      if (!manifest) { return null; }
+      const reported = (await storage.list(pathOf(batchId, 'results/'))).length;
+      return {
+        manifest: manifest,
+        reported: reported,
+        ready: reported >= manifest.expected.length || now >= Date.parse(manifest.deadline),
+        loaded: manifest.state === 'loaded'
+      };
+    },
+
+    /**
+     * Reads the results of a batch.
+     *
+     * @param {string} batchId The batch ID.
+     * @returns {Promise<object>} The results, by index.
+     */
+    readResults: async (batchId) => {
+      const paths = await storage.list(pathOf(batchId, 'results/'));
+      const results = {};
+      (await Promise.all(paths.map(readJson))).forEach(result => {
+        results[result.index] = result;
+      });
+      return results;
+    },
+
+    /**
+     * Claims the load of a batch. A claim that was released after a failed load, or that is older than the load
+     * timeout, can be taken over.
+     *
+     * @param {string} batchId The batch ID.
+     * @param {number} [now] Timestamp.
+     * @returns {Promise<boolean>} Whether this instance loads the batch.
+     */
+    claim: async (batchId, now) => {
+      now = now || new Date().getTime();
+      const path = pathOf(batchId, 'loading.json');
+      const file = await storage.readVersioned(path);
+      const current = file ? JSON.parse(file.data) : null;
+      if (current && current.state === 'loading' && current.claimed + loadTimeout > now) { return false; }
+      try {
+        await writeJson(path, {state: 'loading', claimed: now}, {ifGeneration: file ? file.generation : 0});
+        return true;
+      } catch(e) {
+        if (e.code !== 412) { throw e; }
+        return false;
+      }
+    },
+
+    /**
+     * Releases the claim of a batch after a failed load, so that the next check loads it again.
+     *
+     * @param {string} batchId The batch ID.
+     * @param {Error} err The error of the load.
+     * @param {number} [now] Timestamp.
+     * @returns {Promise<void>} Resolved promise when the claim has been released.
+     */
+    release: async (batchId, err, now) => {
+      now = now || new Date().getTime();
+      await writeJson(pathOf(batchId, 'loading.json'), {state: 'failed', error: err.message, updated: now});
+    },
+
+    /**
+     * Lists the files of the rows that jobs of a batch staged for a table.
+     *
+     * @param {string} batchId The batch ID.
+     * @param {string} table The table.
+     * @param {array<number>} indices Indices of the jobs, e.g. of the jobs that succeeded.
+     * @returns {Promise<array<string>>} Paths of the files, in the order of the jobs.
+     */
+    listStaged: async (batchId, table, indices) => {
+      const paths = await storage.list(pathOf(batchId, `rows/${table}/`));
+      // Jobs without rows for a table, e.g. without resources, staged nothing
+      return indices.map(index => pathOf(batchId, `rows/${table}/${index}.json`)).filter(path => paths.includes(path));
+    },
+
+    /**
+     * Reads the rows that jobs of a batch staged for a table.
+     *
+     * @param {string} batchId The batch ID.
+     * @param {string} table The table.
+     * @param {array<number>} indices Indices of the jobs, e.g. of the jobs that succeeded.
+     * @returns {Promise<array<object>>} The rows, in the order of the jobs.
+     */
+    readRows: async (batchId, table, indices) => {
+      const files = await Promise.all(indices.map(index => storage.read(pathOf(batchId, `rows/${table}/${index}.json`))));
+      // Jobs without rows for a table, e.g. without resources, staged nothing
+      return [].concat(...files.filter(data => data).map(data => String(data).split('\n').filter(line => line).map(line => JSON.parse(line))));
+    },
+
+    /**
+     * Reads the fields that jobs of a batch staged for a table.
+     *
+     * @param {string} batchId The batch ID.
+     * @param {string} table The table.
+     * @param {array<number>} indices Indices of the jobs, e.g. of the jobs that succeeded.
+     * @returns {Promise<array<array<object>>>} The fields of every job that staged them, in the order of the jobs.
+     */
+    readSchemas: async (batchId, table, indices) => {
+      const paths = await storage.list(pathOf(batchId, `schemas/${table}/`));
+      const staged = indices.map(index => pathOf(batchId, `schemas/${table}/${index}.json`)).filter(path => paths.includes(path));
+      return await Promise.all(staged.map(readJson));
+    },
+
+    /**
+     * Marks a batch as loaded: writes the jobs that succeeded, failed, were skipped or never reported into its
+     * manifest and the loads into loaded.json, and removes it from the open batches.
+     *
+     * @param {object} manifest The manifest of the batch, see status.
+     * @param {object} results The results of the batch, see readResults.
+     * @param {object} loads The load job ID and number of rows or files of every table.
+     * @param {number} [now] Timestamp.
+     * @returns {Promise<object>} The manifest.
+     */
+    complete: async (manifest, results, loads, now) => {
+      now = now || new Date().getTime();
+      const byState = state => manifest.expected
+        .filter(job => (results[job.index] || {}).state === state)
+        .map(job => {
+          const result = results[job.index];
+          return Object.assign({}, job, {jobId: result.jobId || null}, result.error ? {error: result.error} : {}, result.reason ? {reason: result.reason} : {});
+        });
+      manifest = Object.assign({}, manifest, {
+        state: 'loaded',
+        loaded: new Date(now).toISOString(),
+        succeeded: byState('succeeded'),
+        failed: byState('failed'),
+        skipped: byState('skipped'),
+        missing: manifest.expected.filter(job => !results[job.index])
+      });
+      await writeJson(pathOf(manifest.batchId, 'manifest.json'), manifest);
+      await writeJson(pathOf(manifest.batchId, 'loaded.json'), {loaded: manifest.loaded, tables: loads});
+      await storage.remove(openPathOf(manifest.batchId));
+      return manifest;
+    },
+
+    /**
+     * Lists the batches that have not been loaded yet.
+     *
+     * @returns {Promise<array<string>>} Their batch IDs.
+     */
+    listOpen: async () => {
+      const paths = await storage.list(`${prefix}/open/`);
+      return paths.map(path => path.slice(`${prefix}/open/`.length, -'.json'.length));
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PREFIX,
+  DEFAULT_DEADLINE,
+  createBatches
+};
@@ -0,0 +1,149 @@
+/**
+ * Performance budgets and regression detection against a rolling baseline of previous runs.
+ */
+const {getNumericValue} = require(`./formats`);
+
+// Budget metric keys and the Lighthouse audits they are read from
+const METRICS = {
+  lcp: `largest-contentful-paint`,
+  tbt: `total-blocking-time`,
+  cls: `cumulative-layout-shift`,
+  fcp: `first-contentful-paint`,
+  speedIndex: `speed-index`
+};
+
+const DEFAULT_REGRESSION = {
+  history: 'gcs',
+  runs: 5,
+  maxScoreDrop: 0.05,
+  maxMetricIncrease: 0.2
+};
+
+/**
+ * Extracts the category scores and budget metrics from a Pagespeed Insights report.
+ *
+ * @param {object} obj The Pagespeed Insight report object.
+ * @returns {{categories: object, metrics: object}} Category scores (0-1) and metric values keyed by budget metric name.
+ */
+function extractScores(obj) {
+  const lhr = obj.lighthouseResult || {};
+  const categories = {};
+  const metrics = {};
+  Object.keys(lhr.categories || {}).forEach(key => {
+    if (typeof lhr.categories[key].score === 'number') {
+      categories[key] = lhr.categories[key].score;
+    }
+  });
+  Object.keys(METRICS).forEach(key => {
+    const audit = lhr.audits && lhr.audits[METRICS[key]];
+    const value = audit && getNumericValue(audit);
+    if (typeof value === 'number') {
+      metrics[key] = value;
+    }
+  });
+  return {categories, metrics};
+}
+
+/**
+ * Returns the median of an array of numbers.
+ *
+ * @param {array<number>} values Numbers to get the median of.
+ * @returns {number} The median.
+ */
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Computes the baseline of each category score and metric as the median across previous runs.
+ *
+ * @param {array<object>} history Previous runs as returned by extractScores.
+ * @returns {{categories: object, metrics: object}} The baseline values.
+ */
+function computeBaseline(history) {
+  const baseline = {categories: {}, metrics: {}};
+  ['categories', 'metrics'].forEach(type => {
+    const keys = new Set();
+    history.forEach(run => Object.keys(run[type] || {}).forEach(key => keys.add(key)));
+    keys.forEach(key => {
+      const values = history
+        .map(run => run[type] && run[type][key])
+        .filter(value => typeof value === 'number');
+      if (values.length) {
+        baseline[type][key] = median(values);
+      }
+    });
+  });
+  return baseline;
+}
+
+/**
+ * Checks a run against the budgets of its source and against the baseline of previous runs.
+ *
+ * Category budgets are minimum scores, metric budgets are maximum values. A category regresses when it drops more
+ * than regression.maxScoreDrop below the baseline, a metric when it grows more than regression.maxMetricIncrease
+ * (a fraction of the baseline) above it.
+ *
+ * @param {object} obj The Pagespeed Insight report object.
+ * @param {object} budgets The budgets object of the source in config.json.
+ * @param {array<object>} history Previous runs as returned by extractScores, oldest first.
+ * @returns {object} The verdict record.
+ */
+function evaluate(obj, budgets, history) {
+  budgets = budgets || {};
+  const regression = Object.assign({}, DEFAULT_REGRESSION, budgets.regression);
+  const scores = extractScores(obj);
+  const baseline = computeBaseline(history);
+  const violations = [];
+  const regressions = [];
+
+  Object.keys(budgets.categories || {}).forEach(key => {
+    const value = scores.categories[key];
+    if (typeof value === 'number' && value < budgets.categories[key]) {
+      violations.push({type: 'category', name: key, value: value, threshold: budgets.categories[key]});
+    }
+  });
+  Object.keys(budgets.metrics || {}).forEach(key => {
+    const value = scores.metrics[key];
+    if (typeof value === 'number' && value > budgets.metrics[key]) {
+      violations.push({type: 'metric', name: key, value: value, threshold: budgets.metrics[key]});
+    }
+  });
+
+  Object.keys(baseline.categories).forEach(key => {
+    const value = scores.categories[key];
+    const delta = value - baseline.categories[key];
+    if (typeof value === 'number' && -delta > regression.maxScoreDrop) {
+      regressions.push({type: 'category', name: key, value: value, baseline: baseline.categories[key], delta: delta});
+    }
+  });
+  Object.keys(baseline.metrics).forEach(key => {
+    const value = scores.metrics[key];
+    const delta = value - baseline.metrics[key];
+    if (typeof value === 'number' && baseline.metrics[key] > 0 && delta / baseline.metrics[key] > regression.maxMetricIncrease) {
+      regressions.push({type: 'metric', name: key, value: value, baseline: baseline.metrics[key], delta: delta});
+    }
+  });
+
+  return {
+    id: obj.id,
+    url: obj.url,
+    strategy: obj.emulatedFormFactor,
+    analysisUTCTimestamp: obj.analysisUTCTimestamp,
+    passed: !violations.length && !regressions.length,
+    violations: violations,
+    regressions: regressions,
+    scores: scores,
+    baseline: Object.assign({runs: history.length}, baseline)
+  };
+}
+
+module.exports = {
+  METRICS,
+  DEFAULT_REGRESSION,
+  extractScores,
+  computeBaseline,
+  evaluate
+};
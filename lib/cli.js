@@ -0,0 +1,389 @@
+/**
+ * Command line tool that runs the audit pipeline without GCP: reports, logs and NDJSON rows are written to a local
+ * directory (or the storage and sink of the config) and jobs run one after the other in the process.
+ */
+const fs = require(`fs`);
+const path = require(`path`);
+const {promisify} = require(`util`);
+
+const configSchema = require(`../config.schema.json`);
+const {toArray, isDiscovered, expandSource, selectSources, toJob} = require(`./sources`);
+const {fsStorage} = require(`./storage`);
+const {ndjsonSink} = require(`./sinks`);
+const {createStorage, createSink} = require(`./adapters`);
+const {createPipeline} = require(`./pipeline`);
+const {scheduleOf} = require(`./schedule`);
+const {sleep} = require(`./retry`);
+const {parseAssertion, toJUnit} = require(`./assertions`);
+const {findReport} = require(`./history`);
+const {listArchivedRuns} = require(`./replay`);
+const {diffReports, summarizeDiff, toDiffHtml} = require(`./diff`);
+const {DASHBOARD_PATH, generateDashboard} = require(`./dashboard`);
+const {describeLocation, readConfig, applyEnvOverrides, validateConfig} = require(`./config`);
+
+const USAGE = `Usage: multisite-lighthouse <command> [options]
+
+Commands:
+  run        Audit the sources of the config and write the results to --out
+  assert     Audit the sources of the config and check the assertions of the sources (or --assert) on the reports,
+             exits with 1 if any assertion fails
+  diff       Compare two reports in --out (or the storage of the config), --from and --to
+  dashboard  Write the dashboard of the reports in --out (or the storage of the config) to the storage, or to --html
+  replay     Load the reports archived in --out (or the storage of the config) into the sink of the config again,
+             skipping the runs a table already has
+  rollup     Roll up the runs of --day by group and load the rollups into the sink of the config
+  crux       Collect the CrUX field data of the sources of the config (or --id) and load it into the sink of the
+             config, exits with 1 if any query failed
+  schedule   Keep running and audit the sources of the config when they are due on their schedule
+  validate   Validate the config and list the jobs of its sources
+
+Options:
+  --config <file>      Path of the config file, or gs:// URI of a config in GCS (default: LIGHTHOUSE_CONFIG or
+                       ./config.json)
+  --id <id>            Only audit the source with this id
+  --tag <tag>          Only audit the sources with this tag
+  --group <group>      Only audit the sources of this group
+  --url <url>          Only audit this URL of the source (needs --id and --strategy)
+  --strategy <device>  Only audit on this device (mobile or desktop)
+  --out <dir>          Directory to write reports, logs and NDJSON to, instead of the storage and sink of the
+                       config (default: ./reports)
+  --once               With schedule, check the schedule once and exit
+  --assert <expr>      With assert, check this assertion instead of the assertions of the sources, e.g.
+                       "categories.performance >= 0.8" (can be repeated)
+  --baseline <file>    With assert, report to compare assertions against baseline with, or "latest" for the latest
+                       report of each job in --out
+  --junit <file>       With assert, write the results as JUnit XML to this file
+  --json <file>        With assert and diff, write the results as JSON to this file
+  --html <file>        With diff, write the comparison as HTML to this file, with dashboard the dashboard
+  --from <report>      With diff, the report to compare: a path in the storage, a job ID, or <prefix>@<timestamp>,
+                       e.g. ebay/mobile@2020-01-01 or ebay/mobile@latest
+  --to <report>        With diff, the report to compare with, e.g. of another run or another source; with replay,
+                       the last day of the runs to replay, e.g. 2020-01-31 (--from is the first one)
+  --day <day>          With rollup, the day to roll up, e.g. 2020-01-31 (default: yesterday in UTC)
+  --dry-run            With replay, rollup and crux, only report what would be loaded`;
+
+// Only the sources are needed to run locally, the GCP settings are not
+const localConfigSchema = Object.assign({}, configSchema, {required: ['source']});
+
+// Options without a value
+const FLAGS = ['once', 'dry-run'];
+
+// Options that can be given more than once
+const REPEATABLE = ['assert'];
+
+/**
+ * Parses the command line arguments.
+ *
+ * @param {array<string>} argv The arguments, without node and the script.
+ * @returns {{command: string, options: object}} The command and its options.
+ */
+function parseArgs(argv) {
+  const options = {};
+  let command;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const arg = argv[i].slice(2);
+      const [name, value] = arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg];
+      if (FLAGS.includes(name)) {
+        options[name] = value === undefined || value !== 'false';
+      } else if (REPEATABLE.includes(name)) {
+        options[name] = toArray(options[name]).concat(value !== undefined ? value : argv[++i]);
+      } else {
+        options[name] = value !== undefined ? value : argv[++i];
+      }
+    } else if (!command) {
+      command = argv[i];
+    }
+  }
+  return {command: command, options: options};
+}
+
+/**
+ * Reads a config, applies the environment overrides (see lib/config) and validates it.
+ *
+ * @param {string} location Path of the config file, gs:// URI of a config in GCS, or the config as JSON.
+ * @returns {Promise<object>} The config.
+ */
+async function loadConfig(location) {
+  const gcs = location.startsWith('gs://') ? new (require(`@google-cloud/storage`).Storage)() : undefined;
+  const config = applyEnvOverrides(await readConfig(location, gcs), process.env);
+  return validateConfig(config, localConfigSchema, describeLocation(location));
+}
+
+/**
+ * Resolves the jobs the options ask for.
+ *
+ * @param {object} pipeline The pipeline.
+ * @param {object} config The config.
+ * @param {object} options id, tag, group, url and strategy options.
+ * @returns {Promise<array<object>>} The jobs.
+ */
+async function selectJobs(pipeline, config, options) {
+  let sources = config.source;
+  if (options.id) {
+    sources = sources.filter(src => src.id === options.id);
+    if (!sources.length) { throw new Error(`No source with id ${options.id} in the config`); }
+  }
+  ['tag', 'group'].filter(kind => options[kind]).forEach(kind => {
+    sources = selectSources(sources, `${kind}:${options[kind]}`);
+    if (!sources.length) { throw new Error(`No source with ${kind} ${options[kind]} in the config`); }
+  });
+  if (options.url) {
+    if (!options.id || !options.strategy) { throw new Error(`--url needs --id and --strategy`); }
+    return [toJob(sources[0], options.url, options.strategy)];
+  }
+  const jobs = [];
+  for (const src of sources) {
+    jobs.push(...await pipeline.resolveJobs(src));
+  }
+  return options.strategy ? jobs.filter(job => job.strategy === options.strategy) : jobs;
+}
+
+/**
+ * Audits jobs and checks their assertions. Jobs of sources without assertions are skipped, unless --assert is given.
+ *
+ * @param {object} pipeline The pipeline.
+ * @param {object} config The config.
+ * @param {array<object>} jobs The jobs.
+ * @param {object} options assert, baseline, junit and json options.
+ * @returns {Promise<number>} The exit code: 0 if every assertion passed, 1 otherwise.
+ */
+async function assertJobs(pipeline, config, jobs, options) {
+  const assertions = toArray(options.assert);
+  assertions.forEach(parseAssertion);
+  const baseline = options.baseline && options.baseline !== 'latest' ?
+    JSON.parse(fs.readFileSync(path.resolve(options.baseline), 'utf8')) :
+    options.baseline;
+
+  const results = [];
+  for (const job of jobs) {
+    const [src] = config.source.filter(obj => obj.id === job.id);
+    const jobAssertions = assertions.length ? assertions : src.assertions || [];
+    if (!jobAssertions.length) {
+      console.log(`${job.id}: No assertions, skipping ${job.url} on ${job.strategy}`);
+      continue;
+    }
+    try {
+      results.push(await pipeline.assertJob(src, job, {assertions: jobAssertions, baseline: baseline}));
+    } catch(e) {
+      console.error(`${job.id}: Audit of ${job.url} on ${job.strategy} failed`, e);
+      results.push({id: job.id, url: job.url, strategy: job.strategy, passed: false, error: e.message});
+    }
+  }
+  if (!results.length) { throw new Error(`No assertions for the selected jobs, add assertions to the sources or use --assert`); }
+
+  const passed = results.filter(result => result.passed).length;
+  if (options.junit) { fs.writeFileSync(path.resolve(options.junit), toJUnit(results)); }
+  if (options.json) {
+    fs.writeFileSync(path.resolve(options.json), JSON.stringify({passed: passed === results.length, jobs: results}, null, " "));
+  }
+  console.log(`${passed} job(s) passed their assertions, ${results.length - passed} failed`);
+  return passed === results.length ? 0 : 1;
+}
+
+/**
+ * Compares two reports of the storage and writes the diff.
+ *
+ * @param {object} storage Storage backend, see lib/storage.
+ * @param {object} options from, to, json and html options.
+ * @returns {Promise<number>} The exit code.
+ */
+async function diffCommand(storage, options) {
+  if (!options.from || !options.to) { throw new Error(`diff needs --from and --to`); }
+  const from = await findReport(storage, options.from);
+  const to = await findReport(storage, options.to);
+  const diff = diffReports(from.report, to.report, {from: from.path, to: to.path});
+  console.log(`Comparing ${from.path} with ${to.path}`);
+  const lines = summarizeDiff(diff);
+  lines.forEach(line => console.log(`  ${line}`));
+  if (!lines.length) { console.log(`  No changes`); }
+  if (options.json) { fs.writeFileSync(path.resolve(options.json), JSON.stringify(diff, null, " ")); }
+  if (options.html) { fs.writeFileSync(path.resolve(options.html), toDiffHtml(diff)); }
+  return 0;
+}
+
+/**
+ * Writes the dashboard of the reports in the storage (see lib/dashboard).
+ *
+ * @param {object} storage Storage backend, see lib/storage.
+ * @param {object} config The config.
+ * @param {object} options The command line options, html: file to write the dashboard to instead of the storage.
+ * @param {object} [bigquery] BigQuery client, to read the runs from the summary table if config.dashboard history is
+ * bigquery.
+ * @returns {Promise<number>} The exit code.
+ */
+async function dashboardCommand(storage, config, options, bigquery) {
+  const dashboardConfig = config.dashboard || {};
+  const dashboard = await generateDashboard(storage, {
+    title: dashboardConfig.title,
+    sources: config.source.map(src => src.id),
+    runs: dashboardConfig.runs,
+    bigquery: dashboardConfig.history === 'bigquery' ? bigquery : null,
+    datasetId: config.datasetId
+  });
+  if (options.html) {
+    fs.writeFileSync(path.resolve(options.html), dashboard.html);
+    console.log(`Wrote dashboard of ${dashboard.jobs.length} job(s) to ${path.resolve(options.html)}`);
+  } else {
+    const file = dashboardConfig.path || DASHBOARD_PATH;
+    await storage.write(file, dashboard.html, {contentType: 'text/html', cacheControl: 'no-cache'});
+    console.log(`Wrote dashboard of ${dashboard.jobs.length} job(s) to ${file} in ${storage.name}`);
+  }
+  return 0;
+}
+
+/**
+ * Replays the reports archived in the storage into the sink (see replayRuns in lib/pipeline).
+ *
+ * @param {object} pipeline The pipeline.
+ * @param {object} storage Storage backend, see lib/storage.
+ * @param {object} options id, strategy, from, to and dry-run options.
+ * @returns {Promise<number>} The exit code: 1 if a report cannot be read.
+ */
+async function replayCommand(pipeline, storage, options) {
+  const dryRun = !!options['dry-run'];
+  const runs = await listArchivedRuns(storage, {id: options.id, strategy: options.strategy, from: options.from, to: options.to});
+  console.log(`${dryRun ? 'Dry run of replaying' : 'Replaying'} ${runs.length} run(s) of ${storage.name}`);
+  const result = await pipeline.replayRuns(runs, {dryRun: dryRun});
+  Object.keys(result.tables).forEach(table => {
+    const counts = result.tables[table];
+    console.log(`  ${table}: ${counts.rows} row(s) ${dryRun ? 'to load' : 'loaded'}, ${counts.skipped} run(s) already loaded`);
+  });
+  if (result.unreadable.length) { console.log(`  ${result.unreadable.length} report(s) could not be read`); }
+  return result.unreadable.length ? 1 : 0;
+}
+
+/**
+ * Rolls up the runs of a day by group (see rollupDay in lib/pipeline).
+ *
+ * @param {object} pipeline The pipeline.
+ * @param {object} options day and dry-run options.
+ * @returns {Promise<number>} The exit code.
+ */
+async function rollupCommand(pipeline, options) {
+  const day = options.day || new Date(new Date().getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) { throw new Error(`--day must be a day like 2020-01-31, got ${day}`); }
+  const rollups = await pipeline.rollupDay(day, {dryRun: !!options['dry-run']});
+  rollups.forEach(row => {
+    console.log(`  ${row.source_group || 'portfolio'} on ${row.strategy}: ${row.sources} source(s), ${row.runs} run(s), performance ${row.score_performance}`);
+  });
+  return 0;
+}
+
+/**
+ * Collects the CrUX field data of the sources (see collectCruxData in lib/pipeline).
+ *
+ * @param {object} pipeline The pipeline.
+ * @param {object} config The config.
+ * @param {object} options id and dry-run options.
+ * @returns {Promise<number>} The exit code: 1 if a query failed.
+ */
+async function cruxCommand(pipeline, config, options) {
+  if (options.id && !config.source.some(src => src.id === options.id)) {
+    throw new Error(`No source with id ${options.id} in the config`);
+  }
+  const result = await pipeline.collectCruxData({id: options.id, dryRun: !!options['dry-run']});
+  result.rows.forEach(row => {
+    console.log(`  ${row.id}: ${row.target} on ${row.strategy}: LCP ${row.lcp_p75}, INP ${row.inp_p75}, CLS ${row.cls_p75}`);
+  });
+  result.missing.forEach(target => console.log(`  ${target.id}: ${target.target} on ${target.strategy}: no data`));
+  return result.failed.length ? 1 : 0;
+}
+
+/**
+ * Runs the command line tool.
+ *
+ * @param {array<string>} argv The arguments, without node and the script.
+ * @param {object} [deps] pagespeed and http clients, discoverUrls and sleep functions, for testing.
+ * @returns {Promise<number>} The exit code: 0 if every job succeeded, 1 otherwise.
+ */
+async function main(argv, deps) {
+  deps = deps || {};
+  const {command, options} = parseArgs(argv);
+  if (!['run', 'assert', 'diff', 'dashboard', 'replay', 'rollup', 'crux', 'schedule', 'validate'].includes(command)) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  let location = options.config || process.env.LIGHTHOUSE_CONFIG || 'config.json';
+  if (!location.startsWith('gs://') && !location.trim().startsWith('{')) { location = path.resolve(location); }
+  const config = await loadConfig(location);
+  console.log(`Configuration ${describeLocation(location)} validated successfully`);
+
+  if (command === 'validate') {
+    config.source.forEach(src => {
+      const jobs = isDiscovered(src) ? `URLs discovered from ${src.type} ${src.url} at run time` : `${expandSource(src).length} job(s)`;
+      const schedule = scheduleOf(src, config.schedule);
+      console.log(`${src.id}: ${jobs}${schedule ? `, scheduled ${schedule.cron} (${schedule.timeZone || 'UTC'})` : ''}`);
+    });
+    return 0;
+  }
+
+  // Without --out, a configured storage or sink is used. GCS and BigQuery are never the default here
+  const out = path.resolve(options.out || 'reports');
+  const clients = {};
+  if (config.storage && config.storage.type === 'gcs') {
+    clients.gcs = new (require(`@google-cloud/storage`).Storage)({projectId: config.projectId});
+  }
+  if (config.sink && config.sink.type === 'bigquery') {
+    clients.bigquery = new (require(`@google-cloud/bigquery`).BigQuery)({projectId: config.projectId});
+    clients.writeFile = promisify(fs.writeFile);
+  }
+  const storage = options.out || !config.storage ? fsStorage(out) : createStorage(config, clients);
+  clients.storage = storage;
+  if (command === 'diff') {
+    return await diffCommand(storage, options);
+  }
+  if (command === 'dashboard') {
+    return await dashboardCommand(storage, config, options, clients.bigquery);
+  }
+  const sink = config.sink ? createSink(config, clients) : ndjsonSink(storage);
+  // Every command line run is deliberate, so it is never throttled by minTimeBetweenTriggers
+  config.minTimeBetweenTriggers = 0;
+  const pipeline = createPipeline({
+    config: config,
+    storage: storage,
+    sink: sink,
+    pagespeed: deps.pagespeed || require(`googleapis`).google.pagespeedonline({version: 'v5', auth: config.auth || ''}),
+    bigquery: clients.bigquery,
+    http: deps.http,
+    discoverUrls: deps.discoverUrls
+  });
+
+  if (command === 'replay') {
+    return await replayCommand(pipeline, storage, options);
+  }
+  if (command === 'rollup') {
+    return await rollupCommand(pipeline, options);
+  }
+  if (command === 'crux') {
+    return await cruxCommand(pipeline, config, options);
+  }
+
+  if (command === 'schedule') {
+    console.log(`Checking the schedule every minute, writing results to ${storage.name} and ${sink.name}`);
+    for (;;) {
+      await pipeline.scheduleAudits();
+      if (options.once) { return 0; }
+      // Check at the start of the next minute
+      await (deps.sleep || sleep)(60000 - new Date().getTime() % 60000);
+    }
+  }
+
+  const jobs = await selectJobs(pipeline, config, options);
+  if (command === 'assert') {
+    console.log(`Checking assertions of ${jobs.length} job(s)`);
+    return await assertJobs(pipeline, config, jobs, options);
+  }
+  console.log(`Running ${jobs.length} job(s), writing results to ${storage.name} and ${sink.name}`);
+  const result = await pipeline.runJobs(jobs);
+  console.log(`${result.passed.length} job(s) succeeded, ${result.failed.length} failed`);
+  return result.failed.length ? 1 : 0;
+}
+
+module.exports = {
+  USAGE,
+  parseArgs,
+  loadConfig,
+  main
+};
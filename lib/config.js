@@ -0,0 +1,238 @@
+/**
+ * Loading of the config. The config is read from the LIGHTHOUSE_CONFIG environment variable, which holds either the
+ * config as JSON, the gs:// URI of an object in GCS or a local path, and from config.json without it. Environment
+ * variables override some of its settings (see ENV_OVERRIDES), so that the API key does not have to be in the file.
+ * A config in GCS is reloaded when it is older than LIGHTHOUSE_CONFIG_TTL seconds, so that sources can change
+ * without a redeploy.
+ */
+const fs = require(`fs`);
+
+const {Validator} = require(`jsonschema`);
+
+const {validateSchedules} = require(`./schedule`);
+const {validateAssertions} = require(`./assertions`);
+
+// Environment variables and the settings of the config they override
+const ENV_OVERRIDES = {
+  PSI_API_KEY: 'auth',
+  PROJECT_ID: 'projectId',
+  DATASET_ID: 'datasetId',
+  PUBSUB_TOPIC_ID: 'pubsubTopicId'
+};
+
+// Time after which a config in GCS is reloaded
+const DEFAULT_TTL = 5 * 60 * 1000;
+
+/**
+ * Tells whether a config location is the config itself, as JSON.
+ *
+ * @param {string} location The location.
+ * @returns {boolean} Whether it is JSON.
+ */
+function isInline(location) {
+  return location.trim().startsWith('{');
+}
+
+/**
+ * Tells whether a config location is an object in GCS.
+ *
+ * @param {string} location The location.
+ * @returns {boolean} Whether it is a gs:// URI.
+ */
+function isRemote(location) {
+  return !!location && location.startsWith('gs://');
+}
+
+/**
+ * Describes a config location for messages, without the contents of a config in the environment.
+ *
+ * @param {string} [location] The location.
+ * @returns {string} The description.
+ */
+function describeLocation(location) {
+  if (!location) { return 'config.json'; }
+  return isInline(location) ? 'LIGHTHOUSE_CONFIG' : location;
+}
+
+/**
+ * Parses a config.
+ *
+ * @param {string} text The JSON.
+ * @param {string} name Description of the location, see describeLocation.
+ * @returns {object} The config.
+ */
+function parseConfig(text, name) {
+  try {
+    return JSON.parse(text);
+  } catch(e) {
+    throw new Error(`Configuration ${name} is not valid JSON: ${e.message}`);
+  }
+}
+
+/**
+ * Reads a config that is given as JSON or a local path.
+ *
+ * @param {string} location The JSON or the path.
+ * @returns {object} The config.
+ */
+function readConfigSync(location) {
+  if (isRemote(location)) { throw new Error(`Configuration ${location} is in GCS and can only be read asynchronously`); }
+  if (isInline(location)) { return parseConfig(location, describeLocation(location)); }
+  let text;
+  try {
+    text = fs.readFileSync(location, 'utf8');
+  } catch(e) {
+    throw new Error(`Configuration ${location} cannot be read: ${e.message}`);
+  }
+  return parseConfig(text, location);
+}
+
+/**
+ * Reads a config that is given as JSON, a local path or a gs:// URI.
+ *
+ * @param {string} location The JSON, the path or the URI.
+ * @param {object} [gcs] GCS client, for gs:// URIs.
+ * @returns {Promise<object>} The config.
+ */
+async function readConfig(location, gcs) {
+  if (!isRemote(location)) { return readConfigSync(location); }
+  const [bucket, ...path] = location.slice('gs://'.length).split('/');
+  if (!bucket || !path.join('/')) { throw new Error(`Invalid configuration URI ${location}, expected gs://<bucket>/<path>`); }
+  if (!gcs) { throw new Error(`Configuration ${location} needs a GCS client`); }
+  const [contents] = await gcs.bucket(bucket).file(path.join('/')).download();
+  return parseConfig(contents.toString(), location);
+}
+
+/**
+ * Overrides settings of a config with the environment variables of ENV_OVERRIDES that are set, in place.
+ *
+ * @param {object} config The config.
+ * @param {object} env The environment variables.
+ * @returns {object} The config.
+ */
+function applyEnvOverrides(config, env) {
+  Object.keys(ENV_OVERRIDES).forEach(name => {
+    if (env[name]) { config[ENV_OVERRIDES[name]] = env[name]; }
+  });
+  return config;
+}
+
+/**
+ * Validates a config against a schema, and its schedules and assertions.
+ *
+ * @param {object} config The config.
+ * @param {object} schema The JSON schema, e.g. config.schema.json.
+ * @param {string} [name] Description of the location of the config, for the error message.
+ * @returns {object} The config.
+ */
+function validateConfig(config, schema, name) {
+  // e.g. `config.source[0] requires property "url"`
+  let errors = new Validator().validate(config, schema).errors.map(err => err.stack.replace(/^instance/, 'config'));
+  // Schedules and assertions can only be checked in a config of the right shape
+  if (!errors.length) { errors = validateSchedules(config).concat(validateAssertions(config)); }
+  if (errors.length) {
+    const err = new Error(`Error(s) in configuration ${name || 'file'}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    err.errors = errors;
+    throw err;
+  }
+  return config;
+}
+
+/**
+ * Creates the config loader of a deployment.
+ *
+ * @param {object} options schema (to validate configs against), and optionally location (defaults to the
+ * LIGHTHOUSE_CONFIG environment variable), defaultConfig (function that returns the config without a location) and
+ * ttl (in milliseconds, defaults to LIGHTHOUSE_CONFIG_TTL seconds or 5 minutes).
+ * @param {object} [deps] gcs (GCS client, for configs in GCS), env (defaults to process.env) and now, for testing.
+ * @returns {object} The loader: name (description of the location), remote, initial() and load().
+ */
+function createConfigLoader(options, deps) {
+  deps = Object.assign({env: process.env, now: () => new Date().getTime()}, deps);
+  const location = options.location || deps.env.LIGHTHOUSE_CONFIG;
+  const name = describeLocation(location);
+  const remote = isRemote(location);
+  const ttl = options.ttl || Number(deps.env.LIGHTHOUSE_CONFIG_TTL) * 1000 || DEFAULT_TTL;
+  let config = null;
+  // The loaded JSON, the pipeline may add defaults to the config
+  let snapshot;
+  let loadedAt;
+  let loading;
+
+  /**
+   * Returns the config that is available without I/O: the config in the environment or in a local file, not
+   * validated yet.
+   *
+   * @returns {object|null} The config, or null if it is in GCS.
+   */
+  function initial() {
+    if (remote) { return null; }
+    if (!config) {
+      config = applyEnvOverrides(location ? readConfigSync(location) : options.defaultConfig(), deps.env);
+    }
+    return config;
+  }
+
+  /**
+   * Reads and validates the config in GCS. A config that fails to load or validate is logged and the previous one is
+   * kept until the next reload.
+   *
+   * @returns {Promise<object>} The config.
+   */
+  async function reload() {
+    try {
+      const fresh = applyEnvOverrides(await readConfig(location, deps.gcs), deps.env);
+      validateConfig(fresh, options.schema, name);
+      const json = JSON.stringify(fresh);
+      // An unchanged config keeps its object, so nothing is rebuilt for it
+      if (json !== snapshot) {
+        console.log(`${config ? 'Reloaded' : 'Loaded'} configuration ${name} with ${fresh.source.length} source(s)`);
+        config = fresh;
+        snapshot = json;
+      }
+    } catch(e) {
+      if (!config) { throw e; }
+      console.error(`Reloading configuration ${name} failed, keeping the previous one`, e);
+    }
+    loadedAt = deps.now();
+    return config;
+  }
+
+  /**
+   * Returns the current config. A config in GCS is loaded on the first call and reloaded when it is older than the
+   * TTL, concurrent calls share the reload.
+   *
+   * @returns {Promise<object>} The config.
+   */
+  async function load() {
+    if (!remote) { return initial(); }
+    if (config && deps.now() - loadedAt < ttl) { return config; }
+    if (!loading) {
+      loading = reload().then(result => {
+        loading = null;
+        return result;
+      }, e => {
+        loading = null;
+        throw e;
+      });
+    }
+    return await loading;
+  }
+
+  return {
+    name,
+    remote,
+    initial,
+    load
+  };
+}
+
+module.exports = {
+  ENV_OVERRIDES,
+  describeLocation,
+  readConfig,
+  readConfigSync,
+  applyEnvOverrides,
+  validateConfig,
+  createConfigLoader
+};
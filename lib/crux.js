@@ -0,0 +1,181 @@
+/**
+ * Field data of the Chrome UX Report (see config.crux). The loadingExperience blocks of Pagespeed Insights reports are
+ * only there when a lab run happens and often missing for pages with little traffic, so the CrUX API is queried on its
+ * own for the origin and the URLs of every source, on both form factors, and the p75 values and the good, needs
+ * improvement and poor shares of every metric are loaded into the crux table (see crux-schema.json).
+ */
+const {URL} = require(`url`);
+
+const httpClient = require(`./http`);
+const {isDiscovered, sourceUrls, labelsOf} = require(`./sources`);
+const {withRetry, errorCode} = require(`./retry`);
+
+const CRUX_ENDPOINT = `https://chromeuxreport.googleapis.com/v1/records:queryRecord`;
+
+// Column prefixes and the CrUX API metrics they are read from
+const CRUX_METRICS = {
+  lcp: `largest_contentful_paint`,
+  inp: `interaction_to_next_paint`,
+  cls: `cumulative_layout_shift`,
+  fcp: `first_contentful_paint`,
+  ttfb: `experimental_time_to_first_byte`
+};
+
+// Strategies and the CrUX form factors they are queried on
+const FORM_FACTORS = {
+  mobile: `PHONE`,
+  desktop: `DESKTOP`
+};
+
+/**
+ * Lists what to query for the sources: the origin of every source and, unless urls is false, every URL of it, on
+ * both form factors. Discovered sources only have their origin queried, their URLs are only known when they run.
+ * Sources with `"crux": false` are left out.
+ *
+ * @param {array<object>} sources The sources of config.json.
+ * @param {object} [options] origins and urls: whether to query origins and URLs, both default to true.
+ * @returns {array<object>} id, scope (origin or url), target (the origin or URL), strategy and the group and tags of
+ * the source, see labelsOf in lib/sources.
+ */
+function cruxTargets(sources, options) {
+  options = options || {};
+  const targets = [];
+  sources.filter(src => src.crux !== false).forEach(src => {
+    const urls = isDiscovered(src) ? [] : sourceUrls(src);
+    const origins = (isDiscovered(src) ? [src.url] : urls).map(url => new URL(url).origin);
+    const scoped = [].concat(
+      options.origins === false ? [] : origins.map(target => ({scope: 'origin', target: target})),
+      options.urls === false ? [] : urls.map(target => ({scope: 'url', target: target}))
+    ).filter((item, index, arr) => arr.findIndex(other => other.scope === item.scope && other.target === item.target) === index);
+    scoped.forEach(item => Object.keys(FORM_FACTORS).forEach(strategy => {
+      targets.push(Object.assign({id: src.id, scope: item.scope, target: item.target, strategy: strategy}, labelsOf(src)));
+    }));
+  });
+  return targets;
+}
+
+/**
+ * Queries the CrUX API for the record of a target. Rate limits and server errors are retried with backoff.
+ *
+ * @param {object} target scope, target and strategy, see cruxTargets.
+ * @param {object} options key: API key, endpoint: URL of the queryRecord method (defaults to the CrUX API) and the
+ * retry options, see withRetry in lib/retry.
+ * @param {object} [deps] http client, see lib/http, and sleep function, for testing.
+ * @returns {Promise<object|null>} The record, or null if CrUX has no data for the target.
+ */
+async function queryRecord(target, options, deps) {
+  deps = deps || {};
+  const http = deps.http || httpClient;
+  const endpoint = options.endpoint || CRUX_ENDPOINT;
+  const body = {formFactor: FORM_FACTORS[target.strategy], metrics: Object.keys(CRUX_METRICS).map(key => CRUX_METRICS[key])};
+  body[target.scope] = target.target;
+  try {
+    const res = await withRetry(() => http.postJson(options.key ? `${endpoint}?key=${encodeURIComponent(options.key)}` : endpoint, body),
+      options, Object.assign({
+        onRetry: (err, attempt, delay) => console.log(`${target.id}: CrUX query for ${target.target} on ${target.strategy} failed with ${errorCode(err)} (attempt ${attempt}), retrying in ${delay}ms`)
+      }, deps.sleep ? {sleep: deps.sleep} : {}));
+    return JSON.parse(res.body).record || null;
+  } catch(e) {
+    // Origins and URLs with too little traffic are not in the report
+    if (errorCode(e) === 404) { return null; }
+    throw e;
+  }
+}
+
+/**
+ * Formats a date of a collection period.
+ *
+ * @param {object} [date] year, month and day.
+ * @returns {string|null} The date, YYYY-MM-DD.
+ */
+function toDate(date) {
+  if (!date || !date.year) { return null; }
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.year}-${pad(date.month)}-${pad(date.day)}`;
+}
+
+/**
+ * Flattens a CrUX record into a row of the crux table.
+ *
+ * @param {object} record The record of the CrUX API.
+ * @param {object} target The target of the query, see cruxTargets.
+ * @param {object} run job_id and collected_at (ISO timestamp) of the collection.
+ * @returns {object} The row.
+ */
+function toCruxRow(record, target, run) {
+  const period = record.collectionPeriod || {};
+  const row = {
+    job_id: run.job_id,
+    collected_at: run.collected_at,
+    id: target.id,
+    scope: target.scope,
+    target: target.target,
+    strategy: target.strategy,
+    source_group: target.source_group || null,
+    source_tags: target.source_tags || [],
+    first_date: toDate(period.firstDate),
+    last_date: toDate(period.lastDate)
+  };
+  Object.keys(CRUX_METRICS).forEach(key => {
+    const metric = (record.metrics || {})[CRUX_METRICS[key]];
+    const p75 = metric && metric.percentiles ? metric.percentiles.p75 : undefined;
+    // CLS percentiles are strings
+    row[`${key}_p75`] = p75 === undefined || p75 === null || isNaN(Number(p75)) ? null : Number(p75);
+    const bins = metric && metric.histogram ? metric.histogram : [];
+    ['good', 'needs_improvement', 'poor'].forEach((name, index) => {
+      row[`${key}_${name}`] = bins.length ? Number((bins[index] || {}).density || 0) : null;
+    });
+  });
+  return row;
+}
+
+/**
+ * Collects the CrUX rows of targets, with up to concurrency queries at a time to stay within the queries per minute of
+ * the API. Queries that fail are logged and left out, and so are the targets that are not queried yet when the
+ * deadline has passed.
+ *
+ * @param {array<object>} targets The targets, see cruxTargets.
+ * @param {object} options key, endpoint and retry options (see queryRecord), job_id and collected_at of the rows,
+ * concurrency (default 1) and deadline (timestamp after which no more queries are started).
+ * @param {object} [deps] http client and sleep function, for testing.
+ * @returns {Promise<{rows: array<object>, missing: array<object>, failed: array<object>, skipped: array<object>}>}
+ * The rows, and the targets CrUX has no data for, whose query failed or that were not queried before the deadline.
+ */
+async function collectCrux(targets, options, deps) {
+  const outcomes = new Array(targets.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < targets.length) {
+      const index = next++;
+      const target = targets[index];
+      if (options.deadline && new Date().getTime() >= options.deadline) {
+        outcomes[index] = {skipped: target};
+        continue;
+      }
+      try {
+        const record = await queryRecord(target, options, deps);
+        outcomes[index] = record ? {row: toCruxRow(record, target, options)} : {missing: target};
+      } catch(e) {
+        console.error(`${target.id}: CrUX query for ${target.target} on ${target.strategy} failed`, e);
+        outcomes[index] = {failed: Object.assign({error: e.message}, target)};
+      }
+    }
+  };
+  const workers = [];
+  for (let i = 0; i < Math.min(options.concurrency || 1, targets.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  const pick = key => outcomes.filter(outcome => outcome[key]).map(outcome => outcome[key]);
+  return {rows: pick('row'), missing: pick('missing'), failed: pick('failed'), skipped: pick('skipped')};
+}
+
+module.exports = {
+  CRUX_ENDPOINT,
+  CRUX_METRICS,
+  FORM_FACTORS,
+  cruxTargets,
+  queryRecord,
+  toCruxRow,
+  collectCrux
+};
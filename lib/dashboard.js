@@ -0,0 +1,358 @@
+/**
+ * Static HTML dashboard of the stored results, for readers without access to BigQuery. For every job (source, URL and
+ * strategy) it has trend charts of the category scores and core metrics, a mobile versus desktop comparison of the
+ * latest runs and the audits that failed in the latest run. The page is self-contained: charts are inline SVG.
+ */
+const {escapeHtml, scoreClass, PASS_THRESHOLD} = require(`./formats`);
+const {toSummaryRow} = require(`./summary`);
+const {ADHOC_ID} = require(`./sources`);
+
+const DASHBOARD_PATH = `dashboard/index.html`;
+
+// Runs per job in the trend charts
+const DEFAULT_RUNS = 30;
+
+// Summary columns of the charts
+const CATEGORIES = [
+  {column: `score_performance`, title: `Performance`, color: `#1a73e8`},
+  {column: `score_accessibility`, title: `Accessibility`, color: `#e8710a`},
+  {column: `score_best_practices`, title: `Best Practices`, color: `#12b5cb`},
+  {column: `score_seo`, title: `SEO`, color: `#9334e6`},
+  {column: `score_pwa`, title: `PWA`, color: `#f538a0`}
+];
+const METRICS = [
+  {column: `fcp`, title: `First Contentful Paint`, unit: `ms`},
+  {column: `lcp`, title: `Largest Contentful Paint`, unit: `ms`},
+  {column: `tbt`, title: `Total Blocking Time`, unit: `ms`},
+  {column: `cls`, title: `Cumulative Layout Shift`, unit: ``}
+];
+const STRATEGIES = [
+  {strategy: `mobile`, title: `Mobile`, color: `#1a73e8`},
+  {strategy: `desktop`, title: `Desktop`, color: `#e8710a`}
+];
+
+const CHART_WIDTH = 440;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = {top: 10, right: 10, bottom: 22, left: 44};
+
+/**
+ * Lists the log files of the jobs of the sources by job, without the reports of ad hoc audits. Only the files of the
+ * sources are listed, not the whole storage.
+ *
+ * @param {object} storage Storage backend, see lib/storage.
+ * @param {array<string>} sourceIds IDs of the sources.
+ * @returns {Promise<array<{prefix: string, logs: array<string>, summaries: array<string>}>>} The jobs, their log files,
+ * oldest first, and their summary files.
+ */
+async function listJobs(storage, sourceIds) {
+  const jobs = {};
+  for (const id of sourceIds.filter(id => id !== ADHOC_ID)) {
+    (await storage.list(`${id}/`))
+      .filter(name => /\/(log|summary)_[^/]*\.json$/.test(name))
+      .forEach(name => {
+        const prefix = name.slice(0, name.lastIndexOf('/'));
+        jobs[prefix] = jobs[prefix] || {prefix: prefix, logs: [], summaries: []};
+        jobs[prefix][name.slice(prefix.length + 1).startsWith('log_') ? 'logs' : 'summaries'].push(name);
+      });
+  }
+  return Object.keys(jobs).sort().filter(prefix => jobs[prefix].logs.length).map(prefix => jobs[prefix]);
+}
+
+/**
+ * Returns the audits of a report that failed: binary and numeric audits with a score below the pass threshold, worst
+ * first.
+ *
+ * @param {object} obj The Pagespeed Insights report.
+ * @returns {array<object>} id, title, score and displayValue of the audits.
+ */
+function failingAudits(obj) {
+  const audits = (obj.lighthouseResult || {}).audits || {};
+  return Object.keys(audits)
+    .map(key => audits[key])
+    .filter(audit => ['binary', 'numeric'].includes(audit.scoreDisplayMode) && typeof audit.score === 'number' && audit.score < PASS_THRESHOLD)
+    .sort((a, b) => a.score - b.score)
+    .map(audit => ({id: audit.id, title: audit.title, score: audit.score, displayValue: audit.displayValue || null}));
+}
+
+/**
+ * Reads the latest runs of every job from the BigQuery summary table.
+ *
+ * @param {object} bigquery BigQuery client.
+ * @param {string} datasetId BigQuery dataset ID.
+ * @param {number} runs Maximum number of runs per job.
+ * @returns {Promise<object>} Summary rows by `${id} ${url} ${strategy}`, oldest first.
+ */
+async function rowsFromBigQuery(bigquery, datasetId, runs) {
+  const columns = CATEGORIES.concat(METRICS).map(item => item.column).join(', ');
+  const query = `SELECT id, url, strategy, timestamp, job_id, ${columns}
+    FROM (
+      SELECT *, ROW_NUMBER() OVER (PARTITION BY id, url, strategy ORDER BY timestamp DESC) AS run
+      FROM \`${datasetId}.summary\`
+    )
+    WHERE run <= @runs
+    ORDER BY timestamp`;
+  const [rows] = await bigquery.query({query, params: {runs}});
+  const byJob = {};
+  rows.forEach(row => {
+    // Timestamps are BigQueryTimestamp objects
+    const timestamp = row.timestamp && typeof row.timestamp === 'object' ? row.timestamp.value : row.timestamp;
+    const key = `${row.id} ${row.url} ${row.strategy}`;
+    byJob[key] = byJob[key] || [];
+    byJob[key].push(Object.assign({}, row, {timestamp: new Date(timestamp).toISOString()}));
+  });
+  return byJob;
+}
+
+/**
+ * Collects the results of every job of the sources for the dashboard. The latest report of each job is read from the
+ * storage, its previous runs from the summary files next to it (the log file of runs without one) or from the
+ * BigQuery summary table.
+ *
+ * @param {object} storage Storage backend, see lib/storage.
+ * @param {object} options sources (IDs), runs (per job, default 30), and bigquery (client) and datasetId to read the
+ * runs from the summary table.
+ * @returns {Promise<array<object>>} The jobs: id, url, strategy, prefix, rows (summary rows, oldest first), and
+ * latest (timestamp, jobId and failing audits of the latest run).
+ */
+async function collectDashboard(storage, options) {
+  const runs = options.runs || DEFAULT_RUNS;
+  const bigQueryRows = options.bigquery ? await rowsFromBigQuery(options.bigquery, options.datasetId, runs) : null;
+  const jobs = [];
+  // One job at a time. Of the full Pagespeed Insights reports only the latest is read, older runs have summaries
+  for (const item of await listJobs(storage, options.sources)) {
+    const latest = JSON.parse(await storage.read(item.logs[item.logs.length - 1]));
+    const key = `${latest.id} ${latest.url} ${latest.emulatedFormFactor}`;
+    const previousRows = () => Promise.all(item.logs.slice(-runs, -1).map(async (name) => {
+      const summary = name.replace(/\/log_([^/]*)$/, '/summary_$1');
+      return item.summaries.includes(summary) ? JSON.parse(await storage.read(summary)) : toSummaryRow(JSON.parse(await storage.read(name)));
+    }));
+    jobs.push({
+      id: latest.id,
+      url: latest.url,
+      strategy: latest.emulatedFormFactor,
+      prefix: item.prefix,
+      rows: bigQueryRows ?
+        (bigQueryRows[key] || [toSummaryRow(latest)]) :
+        (await previousRows()).concat([toSummaryRow(latest)]),
+      latest: {timestamp: latest.analysisUTCTimestamp, jobId: latest.job_id || null, failing: failingAudits(latest)}
+    });
+  }
+  return jobs;
+}
+
+/**
+ * Formats a value of a summary column.
+ *
+ * @param {number|null} value The value.
+ * @param {object} [metric] The metric, without it the value is a 0-1 score.
+ * @returns {string} The formatted value.
+ */
+function formatValue(value, metric) {
+  if (typeof value !== 'number') { return '-'; }
+  if (!metric) { return String(Math.round(value * 100)); }
+  return metric.unit ? `${Math.round(value)} ${metric.unit}` : value.toFixed(3);
+}
+
+/**
+ * Renders a line chart as inline SVG.
+ *
+ * @param {array<object>} series The lines: title, color and points ({timestamp, value}, oldest first).
+ * @param {object} [metric] The metric of the values, without it the values are 0-1 scores.
+ * @returns {string} The SVG.
+ */
+function renderChart(series, metric) {
+  const points = [].concat(...series.map(line => line.points));
+  const times = points.map(point => new Date(point.timestamp).getTime());
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const maxValue = metric ? (Math.max(...points.map(point => point.value)) * 1.1 || 1) : 1;
+  const width = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const height = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const x = timestamp => CHART_PADDING.left + (maxTime === minTime ? width / 2 : (new Date(timestamp).getTime() - minTime) / (maxTime - minTime) * width);
+  const y = value => CHART_PADDING.top + height - value / maxValue * height;
+  const round = value => Math.round(value * 10) / 10;
+
+  const grid = [0, 0.5, 1].map(fraction => {
+    const value = maxValue * fraction;
+    return `<line x1="${CHART_PADDING.left}" x2="${CHART_PADDING.left + width}" y1="${round(y(value))}" y2="${round(y(value))}" class="grid"/>` +
+      `<text x="${CHART_PADDING.left - 4}" y="${round(y(value)) + 4}" text-anchor="end">${escapeHtml(formatValue(value, metric))}</text>`;
+  }).join('');
+  const day = time => new Date(time).toISOString().slice(0, 10);
+  const axis = `<text x="${CHART_PADDING.left}" y="${CHART_HEIGHT - 6}">${day(minTime)}</text>` +
+    (maxTime !== minTime ? `<text x="${CHART_PADDING.left + width}" y="${CHART_HEIGHT - 6}" text-anchor="end">${day(maxTime)}</text>` : '');
+  const lines = series.map(line => {
+    const coords = line.points.map(point => `${round(x(point.timestamp))},${round(y(point.value))}`);
+    const dots = line.points.map((point, i) => `<circle cx="${coords[i].split(',')[0]}" cy="${coords[i].split(',')[1]}" r="2.5" fill="${line.color}">` +
+      `<title>${escapeHtml(`${line.title} ${formatValue(point.value, metric)} (${point.timestamp})`)}</title></circle>`).join('');
+    return `<polyline points="${coords.join(' ')}" fill="none" stroke="${line.color}" stroke-width="2"/>${dots}`;
+  }).join('');
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" role="img">${grid}${axis}${lines}</svg>`;
+}
+
+/**
+ * Renders a chart with its title and legend, or nothing if no line has a point.
+ *
+ * @param {string} title The title.
+ * @param {array<object>} series The lines, see renderChart.
+ * @param {object} [metric] The metric of the values.
+ * @returns {string} The HTML.
+ */
+function renderFigure(title, series, metric) {
+  series = series.filter(line => line.points.length);
+  if (!series.length) { return ''; }
+  const legend = series.map(line => `<span class="legend" style="color:${line.color}">&#9632; ${escapeHtml(line.title)}</span>`).join(' ');
+  return `<figure><figcaption>${escapeHtml(title)} ${legend}</figcaption>${renderChart(series, metric)}</figure>`;
+}
+
+/**
+ * Returns the points of a summary column.
+ *
+ * @param {array<object>} rows The summary rows.
+ * @param {string} column The column.
+ * @returns {array<object>} timestamp and value of the rows with a value.
+ */
+function pointsOf(rows, column) {
+  return rows.filter(row => typeof row[column] === 'number').map(row => ({timestamp: row.timestamp, value: row[column]}));
+}
+
+/**
+ * Renders the results of a URL of a source: the comparison of its strategies, the trend charts and the failing audits.
+ *
+ * @param {string} url The URL.
+ * @param {array<object>} jobs The jobs of the URL, see collectDashboard.
+ * @returns {string} The HTML.
+ */
+function renderPage(url, jobs) {
+  const strategies = STRATEGIES
+    .map(item => Object.assign({job: jobs.filter(job => job.strategy === item.strategy)[0]}, item))
+    .filter(item => item.job);
+  const latestRow = item => item.job.rows[item.job.rows.length - 1];
+  const hasColumn = column => strategies.some(item => item.job.rows.some(row => typeof row[column] === 'number'));
+  const categories = CATEGORIES.filter(category => hasColumn(category.column));
+  const metrics = METRICS.filter(metric => hasColumn(metric.column));
+
+  const head = strategies.map(item => `<th>${escapeHtml(item.title)}</th>`).join('');
+  const compare = categories.map(category => {
+    const cells = strategies.map(item => {
+      const value = latestRow(item)[category.column];
+      return `<td class="${scoreClass(value)}">${formatValue(value)}</td>`;
+    }).join('');
+    return `<tr><td>${escapeHtml(category.title)}</td>${cells}</tr>`;
+  }).concat(metrics.map(metric => {
+    const cells = strategies.map(item => `<td>${escapeHtml(formatValue(latestRow(item)[metric.column], metric))}</td>`).join('');
+    return `<tr><td>${escapeHtml(metric.title)}</td>${cells}</tr>`;
+  })).join('\n');
+
+  const charts = strategies.map(item => renderFigure(`Scores on ${item.strategy}`, categories.map(category => ({
+    title: category.title,
+    color: category.color,
+    points: pointsOf(item.job.rows, category.column)
+  })))).concat(metrics.map(metric => renderFigure(metric.title, strategies.map(item => ({
+    title: item.title,
+    color: item.color,
+    points: pointsOf(item.job.rows, metric.column)
+  })), metric))).join('\n');
+
+  const failing = strategies.map(item => {
+    const latest = item.job.latest;
+    const audits = latest.failing.map(audit => {
+      const display = audit.displayValue ? ` <span class="display">${escapeHtml(audit.displayValue)}</span>` : '';
+      return `<li class="${scoreClass(audit.score)}"><span class="score">${Math.round(audit.score * 100)}</span> ${escapeHtml(audit.title)}${display}</li>`;
+    }).join('\n');
+    return `<div><h4>Failing audits on ${escapeHtml(item.strategy)} <span class="display">${escapeHtml(latest.timestamp)}</span></h4>\n` +
+      (audits ? `<ul class="audits">\n${audits}\n</ul>` : `<p class="pass">None</p>`) + `\n</div>`;
+  }).join('\n');
+
+  return `<article>
+<h3><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></h3>
+<table class="compare"><thead><tr><th></th>${head}</tr></thead><tbody>
+${compare}
+</tbody></table>
+<div class="charts">
+${charts}
+</div>
+<div class="failing">
+${failing}
+</div>
+</article>`;
+}
+
+/**
+ * Renders the dashboard as a standalone HTML page.
+ *
+ * @param {array<object>} jobs The jobs, see collectDashboard.
+ * @param {object} [options] title of the page, and generatedAt (ISO timestamp, defaults to now).
+ * @returns {string} The HTML.
+ */
+function toDashboardHtml(jobs, options) {
+  options = options || {};
+  const title = options.title || `Lighthouse dashboard`;
+  const ids = jobs.map(job => job.id).filter((id, i, arr) => arr.indexOf(id) === i).sort();
+  const sections = ids.map(id => {
+    const sourceJobs = jobs.filter(job => job.id === id);
+    const urls = sourceJobs.map(job => job.url).filter((url, i, arr) => arr.indexOf(url) === i);
+    const pages = urls.map(url => renderPage(url, sourceJobs.filter(job => job.url === url))).join('\n');
+    return `<section id="${escapeHtml(id)}"><h2>${escapeHtml(id)}</h2>\n${pages}\n</section>`;
+  }).join('\n');
+  const nav = ids.map(id => `<a href="#${escapeHtml(id)}">${escapeHtml(id)}</a>`).join(' &middot; ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,Helvetica,Arial,sans-serif;margin:0 auto;max-width:1400px;padding:16px;color:#212121}
+header p{color:#616161;margin:4px 0}
+section{border-top:2px solid #e0e0e0;margin-top:24px}
+article{margin:16px 0 32px}
+.pass{color:#0a7c42}.average{color:#c33300}.fail{color:#c7221f}.na{color:#757575}
+table.compare{border-collapse:collapse;margin:8px 0}
+td,th{border-bottom:1px solid #e0e0e0;padding:4px 12px;text-align:left;font-size:13px}
+.charts{display:flex;flex-wrap:wrap;gap:16px}
+figure{margin:0}
+figcaption{font-size:13px;margin-bottom:4px}
+.legend{margin-left:8px;font-size:12px}
+svg text{font-size:10px;fill:#616161}
+svg .grid{stroke:#e0e0e0}
+.failing{display:flex;flex-wrap:wrap;gap:32px}
+.failing div{flex:1;min-width:320px}
+ul.audits{list-style:none;padding:0;font-size:13px}
+ul.audits li{border-bottom:1px solid #e0e0e0;padding:4px 0}
+.audits .score{display:inline-block;min-width:32px;font-weight:bold}
+.display{color:#616161;font-weight:normal;font-size:12px}
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(title)}</h1>
+<p>Generated ${escapeHtml(options.generatedAt || new Date().toISOString())} from ${jobs.length} job(s)</p>
+<p>${nav}</p>
+</header>
+${sections || '<p>No reports yet.</p>'}
+</body>
+</html>
+`;
+}
+
+/**
+ * Collects the results and renders the dashboard.
+ *
+ * @param {object} storage Storage backend, see lib/storage.
+ * @param {object} options title and the options of collectDashboard.
+ * @returns {Promise<{html: string, jobs: array<object>}>} The HTML and the jobs.
+ */
+async function generateDashboard(storage, options) {
+  const jobs = await collectDashboard(storage, options);
+  return {html: toDashboardHtml(jobs, {title: options.title}), jobs: jobs};
+}
+
+module.exports = {
+  DASHBOARD_PATH,
+  failingAudits,
+  collectDashboard,
+  renderChart,
+  toDashboardHtml,
+  generateDashboard
+};
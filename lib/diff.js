@@ -0,0 +1,270 @@
+/**
+ * Comparison of two reports: of two runs of a job, or of two sources, e.g. a site and its competitor. The diff has the
+ * category score and metric deltas, the audits that changed between pass and fail, and the items that were added to or
+ * removed from the details of audits, e.g. new render-blocking resources or newly unused JavaScript.
+ */
+const {getNumericValue, escapeHtml, scoreClass, PASS_THRESHOLD} = require(`./formats`);
+const {METRICS} = require(`./budgets`);
+
+// Items listed per audit, large tables (e.g. unused CSS rules) are summarized by their counts
+const MAX_ITEMS = 20;
+
+/**
+ * Describes the run of a report.
+ *
+ * @param {object} obj The Pagespeed Insights report.
+ * @param {string} [path] Path of the report in the storage.
+ * @returns {object} id, url, strategy, timestamp, jobId and path.
+ */
+function describeRun(obj, path) {
+  return {
+    id: obj.id || null,
+    url: obj.url || null,
+    strategy: obj.emulatedFormFactor || null,
+    timestamp: obj.analysisUTCTimestamp || null,
+    jobId: obj.job_id || null,
+    path: path || null
+  };
+}
+
+/**
+ * Rounds a delta without floating point noise.
+ *
+ * @param {number} from The value before.
+ * @param {number} to The value after.
+ * @returns {number|null} The delta, or null if either value is missing.
+ */
+function delta(from, to) {
+  if (typeof from !== 'number' || typeof to !== 'number') { return null; }
+  return Math.round((to - from) * 1e6) / 1e6;
+}
+
+/**
+ * Returns the key that identifies an item of an audit details table across reports.
+ *
+ * @param {object} item The item.
+ * @returns {string} The key.
+ */
+function itemKey(item) {
+  const value = item.url || (item.source && item.source.url) || item.entity || (item.node && item.node.selector) || item.label;
+  if (typeof value === 'string') { return value; }
+  if (value && typeof value === 'object' && typeof value.text === 'string') { return value.text; }
+  return JSON.stringify(item);
+}
+
+/**
+ * Summarizes an item of an audit details table: its key and savings.
+ *
+ * @param {object} item The item.
+ * @returns {object} key, and wastedMs, wastedBytes and totalBytes if the item has them.
+ */
+function describeItem(item) {
+  const described = {key: itemKey(item)};
+  ['wastedMs', 'wastedBytes', 'totalBytes'].forEach(key => {
+    if (typeof item[key] === 'number') { described[key] = item[key]; }
+  });
+  return described;
+}
+
+/**
+ * Returns the metric audits to compare: the metrics of the performance category, or the budget metrics if the reports
+ * have no performance category.
+ *
+ * @param {array<object>} lhrs The Lighthouse results.
+ * @returns {array<string>} The audit ids.
+ */
+function metricAudits(lhrs) {
+  const ids = [];
+  lhrs.forEach(lhr => {
+    const performance = lhr.categories && lhr.categories.performance;
+    ((performance && performance.auditRefs) || []).forEach(ref => {
+      if (ref.group === 'metrics' && !ids.includes(ref.id)) { ids.push(ref.id); }
+    });
+  });
+  return ids.length ? ids : Object.keys(METRICS).map(key => METRICS[key]);
+}
+
+/**
+ * Compares two reports.
+ *
+ * @param {object} from The report before, or of the first source.
+ * @param {object} to The report after, or of the second source.
+ * @param {object} [paths] from and to: paths of the reports in the storage.
+ * @returns {object} The diff: from and to (see describeRun), categories, metrics, audits (regressed and fixed) and
+ * items (added and removed per audit).
+ */
+function diffReports(from, to, paths) {
+  paths = paths || {};
+  const a = from.lighthouseResult || {};
+  const b = to.lighthouseResult || {};
+  const auditsA = a.audits || {};
+  const auditsB = b.audits || {};
+  const union = (x, y) => Object.keys(x).concat(Object.keys(y).filter(key => !(key in x)));
+
+  const categories = union(a.categories || {}, b.categories || {}).map(key => {
+    const ca = (a.categories || {})[key] || {};
+    const cb = (b.categories || {})[key] || {};
+    const scoreA = typeof ca.score === 'number' ? ca.score : null;
+    const scoreB = typeof cb.score === 'number' ? cb.score : null;
+    return {id: key, title: cb.title || ca.title || key, from: scoreA, to: scoreB, delta: delta(scoreA, scoreB)};
+  });
+
+  const metrics = metricAudits([a, b]).filter(id => auditsA[id] || auditsB[id]).map(id => {
+    const valueA = auditsA[id] ? getNumericValue(auditsA[id]) : undefined;
+    const valueB = auditsB[id] ? getNumericValue(auditsB[id]) : undefined;
+    const metric = {
+      id: id,
+      title: (auditsB[id] || auditsA[id]).title || id,
+      from: typeof valueA === 'number' ? valueA : null,
+      to: typeof valueB === 'number' ? valueB : null
+    };
+    metric.delta = delta(metric.from, metric.to);
+    metric.change = metric.delta !== null && metric.from ? Math.round(metric.delta / metric.from * 1000) / 1000 : null;
+    return metric;
+  });
+
+  const audits = {regressed: [], fixed: []};
+  const items = [];
+  union(auditsA, auditsB).forEach(id => {
+    const auditA = auditsA[id];
+    const auditB = auditsB[id];
+    if (auditA && auditB && typeof auditA.score === 'number' && typeof auditB.score === 'number') {
+      const passedA = auditA.score >= PASS_THRESHOLD;
+      const passedB = auditB.score >= PASS_THRESHOLD;
+      if (passedA !== passedB) {
+        audits[passedA ? 'regressed' : 'fixed'].push({id: id, title: auditB.title || id, from: auditA.score, to: auditB.score});
+      }
+    }
+
+    const itemsA = (auditA && auditA.details && auditA.details.items) || [];
+    const itemsB = (auditB && auditB.details && auditB.details.items) || [];
+    if (!Array.isArray(itemsA) || !Array.isArray(itemsB) || (!itemsA.length && !itemsB.length)) { return; }
+    const keysA = new Set(itemsA.map(itemKey));
+    const keysB = new Set(itemsB.map(itemKey));
+    const added = itemsB.filter(item => !keysA.has(itemKey(item)));
+    const removed = itemsA.filter(item => !keysB.has(itemKey(item)));
+    if (!added.length && !removed.length) { return; }
+    items.push({
+      id: id,
+      title: (auditB || auditA).title || id,
+      addedCount: added.length,
+      removedCount: removed.length,
+      added: added.slice(0, MAX_ITEMS).map(describeItem),
+      removed: removed.slice(0, MAX_ITEMS).map(describeItem)
+    });
+  });
+
+  return {
+    from: describeRun(from, paths.from),
+    to: describeRun(to, paths.to),
+    categories: categories,
+    metrics: metrics,
+    audits: audits,
+    items: items
+  };
+}
+
+/**
+ * Formats a signed delta.
+ *
+ * @param {number|null} value The delta.
+ * @param {number} [scale] Factor to display the delta with, e.g. 100 for scores.
+ * @returns {string} The formatted delta.
+ */
+function formatDelta(value, scale) {
+  if (value === null) { return '-'; }
+  const scaled = Math.round(value * (scale || 1) * 10) / 10;
+  return scaled > 0 ? `+${scaled}` : `${scaled}`;
+}
+
+/**
+ * Describes the changes of a diff in a few lines, for logging.
+ *
+ * @param {object} diff The diff, see diffReports.
+ * @returns {array<string>} The lines.
+ */
+function summarizeDiff(diff) {
+  const lines = diff.categories
+    .filter(category => category.delta)
+    .map(category => `${category.title}: ${Math.round(category.from * 100)} -> ${Math.round(category.to * 100)} (${formatDelta(category.delta, 100)})`);
+  diff.metrics
+    .filter(metric => metric.delta)
+    .forEach(metric => lines.push(`${metric.title}: ${Math.round(metric.from)} -> ${Math.round(metric.to)} (${formatDelta(metric.delta)})`));
+  diff.audits.regressed.forEach(audit => lines.push(`Now failing: ${audit.title}`));
+  diff.audits.fixed.forEach(audit => lines.push(`Now passing: ${audit.title}`));
+  diff.items.forEach(audit => lines.push(`${audit.title}: ${audit.addedCount} new, ${audit.removedCount} removed item(s)`));
+  return lines;
+}
+
+/**
+ * Renders a diff as a standalone HTML page.
+ *
+ * @param {object} diff The diff, see diffReports.
+ * @returns {string} The HTML page.
+ */
+function toDiffHtml(diff) {
+  const run = r => `${escapeHtml(r.id)} &middot; <a href="${escapeHtml(r.url)}" rel="noopener">${escapeHtml(r.url)}</a> &middot; ${escapeHtml(r.strategy)} &middot; ${escapeHtml(r.timestamp)}`;
+  // Marks a change for the better (a positive value) or the worse
+  const change = value => `<td class="${value > 0 ? 'better' : value < 0 ? 'worse' : ''}">`;
+  const score = value => typeof value === 'number' ? Math.round(value * 100) : '-';
+
+  const categories = diff.categories.map(category => `<tr><td>${escapeHtml(category.title)}</td>` +
+    `<td class="${scoreClass(category.from)}">${score(category.from)}</td><td class="${scoreClass(category.to)}">${score(category.to)}</td>` +
+    `${change(category.delta)}${formatDelta(category.delta, 100)}</td></tr>`).join('\n');
+  // A lower metric is better
+  const metrics = diff.metrics.map(metric => `<tr><td>${escapeHtml(metric.title)}</td>` +
+    `<td>${metric.from === null ? '-' : Math.round(metric.from * 1000) / 1000}</td><td>${metric.to === null ? '-' : Math.round(metric.to * 1000) / 1000}</td>` +
+    `${change(-metric.delta)}${formatDelta(metric.delta)}${metric.change !== null ? ` (${formatDelta(metric.change, 100)}%)` : ''}</td></tr>`).join('\n');
+  const audits = ['regressed', 'fixed'].map(type => diff.audits[type].map(audit => `<tr class="${type === 'regressed' ? 'fail' : 'pass'}">` +
+    `<td>${type === 'regressed' ? 'Now failing' : 'Now passing'}</td><td>${escapeHtml(audit.title)}</td><td>${score(audit.from)} &rarr; ${score(audit.to)}</td></tr>`).join('\n')).join('\n');
+  const list = (entries, count, sign) => entries.map(item => {
+    const savings = ['wastedMs', 'wastedBytes'].filter(key => key in item)
+      .map(key => key === 'wastedMs' ? `${Math.round(item[key])} ms` : `${(item[key] / 1024).toFixed(1)} KB`).join(', ');
+    return `<li class="${sign === '+' ? 'fail' : 'pass'}">${sign} ${escapeHtml(item.key)}${savings ? ` <span class="display">${escapeHtml(savings)}</span>` : ''}</li>`;
+  }).join('\n') + (count > entries.length ? `\n<li>${sign} ${count - entries.length} more</li>` : '');
+  const items = diff.items.map(audit => `<details class="audit"><summary>${escapeHtml(audit.title)}: ` +
+    `${audit.addedCount} new, ${audit.removedCount} removed</summary>\n<ul>\n${list(audit.added, audit.addedCount, '+')}\n${list(audit.removed, audit.removedCount, '-')}\n</ul>\n</details>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Lighthouse diff: ${escapeHtml(diff.from.url)} and ${escapeHtml(diff.to.url)}</title>
+<style>
+body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,Helvetica,Arial,sans-serif;margin:0 auto;max-width:1000px;padding:16px;color:#212121}
+header p{color:#616161;margin:4px 0}
+.pass,.better{color:#0a7c42}.average{color:#c33300}.fail,.worse{color:#c7221f}.na{color:#757575}
+table{border-collapse:collapse;width:100%;margin:8px 0}
+td,th{border-bottom:1px solid #e0e0e0;padding:4px 8px;text-align:left;font-size:13px;word-break:break-all}
+details.audit{border-bottom:1px solid #e0e0e0;padding:8px 0}
+details.audit summary{cursor:pointer}
+ul{font-size:13px;word-break:break-all}
+.display{color:#616161}
+</style>
+</head>
+<body>
+<header>
+<h1>Lighthouse diff</h1>
+<p>From: ${run(diff.from)}</p>
+<p>To: ${run(diff.to)}</p>
+</header>
+<section><h2>Categories</h2>
+<table><thead><tr><th></th><th>From</th><th>To</th><th>Change</th></tr></thead><tbody>
+${categories}
+</tbody></table>
+</section>
+${metrics ? `<section><h2>Metrics</h2>\n<table><thead><tr><th></th><th>From</th><th>To</th><th>Change</th></tr></thead><tbody>\n${metrics}\n</tbody></table>\n</section>` : ''}
+${audits.trim() ? `<section><h2>Audits</h2>\n<table><tbody>\n${audits.trim()}\n</tbody></table>\n</section>` : ''}
+${items ? `<section><h2>Items</h2>\n${items}\n</section>` : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  itemKey,
+  diffReports,
+  summarizeDiff,
+  toDiffHtml
+};
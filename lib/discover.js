@@ -0,0 +1,262 @@
+/**
+ * URL discovery for sources of type sitemap and crawl: expands a sitemap (or sitemap index) or a crawl from a seed
+ * URL into the concrete URLs to audit.
+ */
+const {URL} = require(`url`);
+const zlib = require(`zlib`);
+
+const httpClient = require(`./http`);
+const {isSameSite} = require(`./sources`);
+
+const MAX_REDIRECTS = 5;
+const DEFAULT_MAX_SITEMAPS = 50;
+const DEFAULT_MAX_PAGES = 200;
+const DEFAULT_DEPTH = 1;
+
+// URLs audited per discovery unless the source sets discover.maxUrls, as every one of them is a job per strategy
+const DEFAULT_MAX_URLS = 100;
+
+// Links to these are never crawled or audited
+const ASSET_EXTENSIONS = /\.(jpe?g|png|gif|svg|webp|ico|css|js|json|xml|pdf|zip|gz|mp4|mp3|woff2?|ttf|eot)$/i;
+
+/**
+ * Fetches a URL as text, following redirects and decompressing gzipped sitemaps.
+ *
+ * @param {string} url URL to fetch.
+ * @param {object} http HTTP client with a request method.
+ * @returns {Promise<{url: string, contentType: string, body: string}>} The final URL, content type and body.
+ */
+async function fetchText(url, http) {
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    const res = await http.request(url, {headers: {'Accept-Encoding': 'identity'}, buffer: true});
+    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+      url = new URL(res.headers.location, url).toString();
+      continue;
+    }
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      const err = new Error(`GET ${url} failed with status ${res.statusCode}`);
+      err.code = res.statusCode;
+      throw err;
+    }
+    const body = res.body[0] === 0x1f && res.body[1] === 0x8b ? zlib.gunzipSync(res.body) : res.body;
+    return {url: url, contentType: res.headers['content-type'] || '', body: body.toString()};
+  }
+  throw new Error(`GET ${url} redirected more than ${MAX_REDIRECTS} times`);
+}
+
+/**
+ * Decodes the XML entities that can appear in a sitemap loc element.
+ *
+ * @param {string} str Encoded string.
+ * @returns {string} Decoded string.
+ */
+function decodeXml(str) {
+  return str
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parses a sitemap or a sitemap index.
+ *
+ * @param {string} xml Contents of the sitemap.
+ * @returns {{index: boolean, locs: array<string>}} Whether it is a sitemap index and the URLs it lists.
+ */
+function parseSitemap(xml) {
+  const locs = [];
+  const re = /<loc>\s*([\s\S]*?)\s*<\/loc>/gi;
+  let match;
+  while ((match = re.exec(xml)) !== null) {
+    locs.push(decodeXml(match[1]).trim());
+  }
+  return {index: /<sitemapindex[\s>]/i.test(xml), locs: locs};
+}
+
+/**
+ * Lists the URLs of a sitemap, following sitemap indexes.
+ *
+ * @param {string} url URL of the sitemap or sitemap index.
+ * @param {object} options The discover object of the source.
+ * @param {object} http HTTP client.
+ * @returns {Promise<array<string>>} The page URLs.
+ */
+async function fromSitemap(url, options, http) {
+  const maxSitemaps = options.maxSitemaps || DEFAULT_MAX_SITEMAPS;
+  const queue = [url];
+  const seen = new Set();
+  const urls = [];
+  while (queue.length && seen.size < maxSitemaps) {
+    const next = queue.shift();
+    if (seen.has(next)) { continue; }
+    seen.add(next);
+    const sitemap = parseSitemap((await fetchText(next, http)).body);
+    if (sitemap.index) {
+      queue.push(...sitemap.locs);
+    } else {
+      urls.push(...sitemap.locs);
+    }
+  }
+  return urls;
+}
+
+/**
+ * Extracts the same-origin links of an HTML page.
+ *
+ * @param {string} html Contents of the page.
+ * @param {string} base URL of the page.
+ * @returns {array<string>} Absolute URLs without fragments.
+ */
+function extractLinks(html, base) {
+  const origin = new URL(base).origin;
+  const links = [];
+  const re = /<a\s[^>]*?href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/gi;
+  let match;
+  while ((match = re.exec(html)) !== null) {
+    const href = decodeXml(match[1] || match[2] || match[3] || '');
+    let link;
+    try {
+      link = new URL(href, base);
+    } catch(e) {
+      continue;
+    }
+    link.hash = '';
+    if (link.origin === origin && /^https?:$/.test(link.protocol) && !ASSET_EXTENSIONS.test(link.pathname)) {
+      links.push(link.toString());
+    }
+  }
+  return links;
+}
+
+/**
+ * Crawls same-origin links breadth-first from a seed URL.
+ *
+ * @param {string} seed URL to start from.
+ * @param {object} options The discover object of the source.
+ * @param {object} http HTTP client.
+ * @returns {Promise<array<string>>} The seed and every page found within options.depth clicks of it.
+ */
+async function crawl(seed, options, http) {
+  const depth = typeof options.depth === 'number' ? options.depth : DEFAULT_DEPTH;
+  const maxPages = options.maxPages || DEFAULT_MAX_PAGES;
+  const found = [seed];
+  const seen = new Set(found);
+  let level = [seed];
+  for (let d = 0; d < depth && level.length; d++) {
+    const next = [];
+    for (const url of level) {
+      if (found.length >= maxPages) { break; }
+      let page;
+      try {
+        page = await fetchText(url, http);
+      } catch(e) {
+        console.error(`Crawling ${url} failed: ${e.message}`);
+        continue;
+      }
+      if (!/html/i.test(page.contentType)) { continue; }
+      extractLinks(page.body, page.url).forEach(link => {
+        if (!seen.has(link) && found.length < maxPages) {
+          seen.add(link);
+          found.push(link);
+          next.push(link);
+        }
+      });
+    }
+    level = next;
+  }
+  return found;
+}
+
+/**
+ * Applies the include and exclude regular expressions of a source to a list of URLs.
+ *
+ * @param {array<string>} urls URLs to filter.
+ * @param {object} options The discover object of the source.
+ * @returns {array<string>} URLs matching at least one include pattern (if any) and no exclude pattern.
+ */
+function filterUrls(urls, options) {
+  const include = (options.include || []).map(pattern => new RegExp(pattern));
+  const exclude = (options.exclude || []).map(pattern => new RegExp(pattern));
+  return urls.filter((url, index, arr) => arr.indexOf(url) === index &&
+    (!include.length || include.some(re => re.test(url))) &&
+    !exclude.some(re => re.test(url)));
+}
+
+/**
+ * Returns the template group of a URL: the first capture group (or whole match) of groupBy, or the first path segment.
+ *
+ * @param {string} url The URL.
+ * @param {RegExp} [groupBy] Grouping pattern.
+ * @returns {string} The group key.
+ */
+function groupKey(url, groupBy) {
+  if (groupBy) {
+    const match = url.match(groupBy);
+    return match ? (match[1] !== undefined ? match[1] : match[0]) : '';
+  }
+  return new URL(url).pathname.split('/')[1] || '';
+}
+
+/**
+ * Picks up to perGroup random URLs from every template group.
+ *
+ * @param {array<string>} urls URLs to sample.
+ * @param {object} sample The sample object of the source: perGroup and an optional groupBy pattern.
+ * @param {function} [random] Random number generator, for testing.
+ * @returns {array<string>} The sampled URLs, in their original order.
+ */
+function sampleUrls(urls, sample, random) {
+  random = random || Math.random;
+  const groupBy = sample.groupBy ? new RegExp(sample.groupBy) : null;
+  const groups = {};
+  urls.forEach(url => {
+    const key = groupKey(url, groupBy);
+    groups[key] = groups[key] || [];
+    groups[key].push(url);
+  });
+  const picked = new Set();
+  Object.keys(groups).forEach(key => {
+    const group = groups[key].slice();
+    // Partial Fisher-Yates shuffle
+    for (let i = 0; i < Math.min(sample.perGroup, group.length); i++) {
+      const j = i + Math.floor(random() * (group.length - i));
+      [group[i], group[j]] = [group[j], group[i]];
+      picked.add(group[i]);
+    }
+  });
+  return urls.filter(url => picked.has(url));
+}
+
+/**
+ * Discovers the URLs of a sitemap or crawl source. URLs that are not on the site of the source are dropped, as messages
+ * of the source cannot carry them (see checkMessage in lib/sources).
+ *
+ * @param {object} src The source object in config.json, with type sitemap or crawl.
+ * @param {object} [deps] HTTP client and random number generator, for testing.
+ * @returns {Promise<array<string>>} The URLs to audit.
+ */
+async function discoverUrls(src, deps) {
+  deps = Object.assign({http: httpClient, random: Math.random}, deps);
+  const options = src.discover || {};
+  let urls = src.type === 'sitemap' ?
+    await fromSitemap(src.url, options, deps.http) :
+    await crawl(src.url, options, deps.http);
+  urls = filterUrls(urls.filter(url => isSameSite(url, src.url)), options);
+  if (options.sample) {
+    urls = sampleUrls(urls, options.sample, deps.random);
+  }
+  return urls.slice(0, options.maxUrls || DEFAULT_MAX_URLS);
+}
+
+module.exports = {
+  parseSitemap,
+  extractLinks,
+  fromSitemap,
+  crawl,
+  filterUrls,
+  sampleUrls,
+  discoverUrls
+};
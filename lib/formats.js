@@ -0,0 +1,239 @@
+/**
+ * Formatters that turn a Pagespeed Insights report object into the file types listed in config.outputFormat.
+ */
+
+// Audits with a score below this are considered failing, same as the Lighthouse report renderer
+const PASS_THRESHOLD = 0.9;
+
+const CSV_COLUMNS = [`id`, `title`, `score`, `scoreDisplayMode`, `numericValue`, `displayValue`];
+
+/**
+ * Returns the numeric value of an audit. Lighthouse < 5 calls this rawValue.
+ *
+ * @param {object} audit Lighthouse audit result.
+ * @returns {number|undefined} The numeric value of the audit, if any.
+ */
+function getNumericValue(audit) {
+  if (typeof audit.numericValue === 'number') { return audit.numericValue; }
+  if (typeof audit.rawValue === 'number') { return audit.rawValue; }
+  return undefined;
+}
+
+/**
+ * Escapes a single CSV field according to RFC 4180.
+ *
+ * @param {*} value Value to escape.
+ * @returns {string} The escaped field.
+ */
+function escapeCsv(value) {
+  if (value === undefined || value === null) { return ''; }
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Converts the Lighthouse audits of a report into a flat CSV with one audit per row.
+ *
+ * @param {object} obj The Pagespeed Insight report object.
+ * @returns {string} The CSV report.
+ */
+function toCsv(obj) {
+  const audits = (obj.lighthouseResult && obj.lighthouseResult.audits) || {};
+  const rows = [CSV_COLUMNS];
+  Object.keys(audits).forEach(key => {
+    const audit = audits[key];
+    rows.push([
+      audit.id || key,
+      audit.title,
+      audit.score,
+      audit.scoreDisplayMode,
+      getNumericValue(audit),
+      audit.displayValue
+    ]);
+  });
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Escapes a string for use in HTML text and attribute values.
+ *
+ * @param {*} value Value to escape.
+ * @returns {string} The escaped string.
+ */
+function escapeHtml(value) {
+  if (value === undefined || value === null) { return ''; }
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Returns the CSS class used to color a 0-1 score.
+ *
+ * @param {number|null} score The score.
+ * @returns {string} Class name.
+ */
+function scoreClass(score) {
+  if (typeof score !== 'number') { return 'na'; }
+  if (score >= PASS_THRESHOLD) { return 'pass'; }
+  if (score >= 0.5) { return 'average'; }
+  return 'fail';
+}
+
+/**
+ * Formats a single cell of a Lighthouse details table based on its heading type.
+ *
+ * @param {*} value Cell value.
+ * @param {object} heading Table heading (Lighthouse uses valueType for opportunities and itemType for tables).
+ * @returns {string} HTML of the cell contents.
+ */
+function formatDetailValue(value, heading) {
+  if (value === undefined || value === null) { return ''; }
+  if (typeof value === 'object') {
+    // Nested values such as source locations or node objects
+    value = value.url || value.snippet || value.text || value.value || JSON.stringify(value);
+  }
+  const type = heading.valueType || heading.itemType;
+  switch (type) {
+    case 'url':
+      return /^https?:\/\//.test(value) ?
+        `<a href="${escapeHtml(value)}" rel="noopener">${escapeHtml(value)}</a>` : escapeHtml(value);
+    case 'bytes':
+      return typeof value === 'number' ? `${escapeHtml((value / 1024).toFixed(1))} KB` : escapeHtml(value);
+    case 'ms':
+    case 'timespanMs':
+      return typeof value === 'number' ? `${escapeHtml(Math.round(value))} ms` : escapeHtml(value);
+    case 'thumbnail':
+      return '';
+    case 'code':
+      return `<code>${escapeHtml(value)}</code>`;
+    default:
+      return escapeHtml(value);
+  }
+}
+
+/**
+ * Renders the details table of an audit, if it has one.
+ *
+ * @param {object} details The audit details object.
+ * @returns {string} HTML table, or an empty string.
+ */
+function renderDetails(details) {
+  if (!details || !Array.isArray(details.headings) || !Array.isArray(details.items) || !details.items.length) {
+    return '';
+  }
+  const headings = details.headings.filter(heading => heading.key);
+  const head = headings.map(heading => `<th>${escapeHtml(heading.label || heading.text || heading.key)}</th>`).join('');
+  const body = details.items.map(item => {
+    const cells = headings.map(heading => `<td>${formatDetailValue(item[heading.key], heading)}</td>`).join('');
+    return `<tr>${cells}</tr>`;
+  }).join('\n');
+  return `<table class="details"><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+/**
+ * Renders a single audit as a collapsible section.
+ *
+ * @param {object} audit Lighthouse audit result.
+ * @returns {string} HTML of the audit.
+ */
+function renderAudit(audit) {
+  const score = typeof audit.score === 'number' ? Math.round(audit.score * 100) : '-';
+  const display = audit.displayValue ? ` <span class="display">${escapeHtml(audit.displayValue)}</span>` : '';
+  return `<details class="audit ${scoreClass(audit.score)}">
+<summary><span class="score">${escapeHtml(score)}</span> ${escapeHtml(audit.title)}${display}</summary>
+<p>${escapeHtml(audit.description)}</p>
+${renderDetails(audit.details)}
+</details>`;
+}
+
+/**
+ * Converts a Pagespeed Insights report into a standalone HTML report with category scores, metrics and failing audits.
+ *
+ * @param {object} obj The Pagespeed Insight report object.
+ * @returns {string} The HTML report.
+ */
+function toHtml(obj) {
+  const lhr = obj.lighthouseResult || {};
+  const audits = lhr.audits || {};
+  const categories = lhr.categories || {};
+  const categoryKeys = Object.keys(categories);
+
+  const scores = categoryKeys.map(key => {
+    const category = categories[key];
+    const score = typeof category.score === 'number' ? Math.round(category.score * 100) : '-';
+    return `<div class="gauge ${scoreClass(category.score)}"><span class="score">${escapeHtml(score)}</span><span class="label">${escapeHtml(category.title || key)}</span></div>`;
+  }).join('\n');
+
+  const metricRefs = categories.performance && Array.isArray(categories.performance.auditRefs) ?
+    categories.performance.auditRefs.filter(ref => ref.group === 'metrics' && audits[ref.id]) : [];
+  const metrics = metricRefs.map(ref => {
+    const audit = audits[ref.id];
+    return `<tr class="${scoreClass(audit.score)}"><td>${escapeHtml(audit.title)}</td><td>${escapeHtml(audit.displayValue)}</td></tr>`;
+  }).join('\n');
+
+  const failing = categoryKeys.map(key => {
+    const category = categories[key];
+    const seen = {};
+    const failed = (category.auditRefs || [])
+      .map(ref => audits[ref.id])
+      .filter(audit => {
+        if (!audit || seen[audit.id]) { return false; }
+        seen[audit.id] = true;
+        return ['binary', 'numeric'].includes(audit.scoreDisplayMode) &&
+          typeof audit.score === 'number' && audit.score < PASS_THRESHOLD;
+      })
+      .sort((a, b) => a.score - b.score);
+    if (!failed.length) { return ''; }
+    return `<section><h2>${escapeHtml(category.title || key)}</h2>\n${failed.map(renderAudit).join('\n')}\n</section>`;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Lighthouse report: ${escapeHtml(obj.url)} (${escapeHtml(obj.emulatedFormFactor)})</title>
+<style>
+body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,Helvetica,Arial,sans-serif;margin:0 auto;max-width:1000px;padding:16px;color:#212121}
+header p{color:#616161;margin:4px 0}
+.gauges{display:flex;flex-wrap:wrap;gap:24px;margin:24px 0}
+.gauge{display:flex;flex-direction:column;align-items:center;width:120px}
+.gauge .score{display:flex;align-items:center;justify-content:center;width:72px;height:72px;border-radius:50%;border:6px solid;font-size:24px}
+.gauge .label{margin-top:8px;text-align:center}
+.pass{color:#0a7c42}.average{color:#c33300}.fail{color:#c7221f}.na{color:#757575}
+table{border-collapse:collapse;width:100%;margin:8px 0}
+td,th{border-bottom:1px solid #e0e0e0;padding:4px 8px;text-align:left;font-size:13px;word-break:break-all}
+details.audit{border-bottom:1px solid #e0e0e0;padding:8px 0}
+details.audit summary{cursor:pointer}
+details.audit p,details.audit table{color:#212121}
+.audit .score{display:inline-block;min-width:32px;font-weight:bold}
+.display{color:#616161}
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(obj.url)}</h1>
+<p>Strategy: ${escapeHtml(obj.emulatedFormFactor)} &middot; Analyzed: ${escapeHtml(obj.analysisUTCTimestamp)} &middot; Lighthouse ${escapeHtml(lhr.lighthouseVersion)}</p>
+</header>
+<div class="gauges">
+${scores}
+</div>
+${metrics ? `<section><h2>Metrics</h2>\n<table><tbody>\n${metrics}\n</tbody></table>\n</section>` : ''}
+${failing}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  toCsv,
+  toHtml,
+  getNumericValue,
+  escapeHtml,
+  scoreClass,
+  PASS_THRESHOLD
+};
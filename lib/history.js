@@ -0,0 +1,144 @@
+/**
+ * Readers for the results of previous runs of a source, used as the baseline for regression detection.
+ */
+const {extractScores} = require(`./budgets`);
+
+/**
+ * Reads the previous runs of a source from the log files written by writeLogAndReportsToStorage.
+ *
+ * @param {object} storage Storage backend, see lib/storage.
+ * @param {string} prefix Path prefix of the source in the storage, e.g. `${id}/${strategy}`.
+ * @param {number} runs Maximum number of previous runs to read.
+ * @param {string} before Only read runs analyzed before this analysisUTCTimestamp.
+ * @returns {Promise<array<object>>} Previous runs as returned by extractScores, oldest first.
+ */
+async function fromStorage(storage, prefix, runs, before) {
+  const files = await storage.list(`${prefix}/log_`);
+  const latest = files
+    .filter(name => name < `${prefix}/log_${before}.json`)
+    .slice(-runs);
+  return await Promise.all(latest.map(async (name) => {
+    const contents = await storage.read(name);
+    return extractScores(JSON.parse(contents));
+  }));
+}
+
+/**
+ * Reads the previous runs of a source from the BigQuery summary table.
+ *
+ * @param {object} bigquery BigQuery client.
+ * @param {string} datasetId BigQuery dataset ID.
+ * @param {string} id ID of the source.
+ * @param {string} url URL of the job.
+ * @param {string} strategy Device type of the job.
+ * @param {number} runs Maximum number of previous runs to read.
+ * @param {string} before Only read runs analyzed before this analysisUTCTimestamp.
+ * @returns {Promise<array<object>>} Previous runs in the format of extractScores, oldest first.
+ */
+async function fromBigQuery(bigquery, datasetId, id, url, strategy, runs, before) {
+  const query = `SELECT
+      score_performance, score_accessibility, score_best_practices, score_seo, score_pwa,
+      lcp, tbt, cls, fcp, speed_index
+    FROM \`${datasetId}.summary\`
+    WHERE id = @id AND url = @url AND strategy = @strategy AND timestamp < TIMESTAMP(@before)
+    ORDER BY timestamp DESC
+    LIMIT @runs`;
+  const [rows] = await bigquery.query({query, params: {id, url, strategy, before, runs}});
+  return rows.reverse().map(row => {
+    const run = {categories: {}, metrics: {}};
+    Object.keys(row).forEach(key => {
+      if (typeof row[key] !== 'number') { return; }
+      if (key.startsWith('score_')) {
+        run.categories[key.slice('score_'.length).replace('_', '-')] = row[key];
+      } else {
+        run.metrics[key === 'speed_index' ? 'speedIndex' : key] = row[key];
+      }
+    });
+    return run;
+  });
+}
+
+/**
+ * Reads the most recent verdict written for a source before the given run.
+ *
+ * @param {object} storage Storage backend, see lib/storage.
+ * @param {string} prefix Path prefix of the source in the storage, e.g. `${id}/${strategy}`.
+ * @param {string} before Only consider verdicts of runs analyzed before this analysisUTCTimestamp.
+ * @returns {Promise<object|null>} The previous verdict, or null if there is none.
+ */
+async function previousVerdict(storage, prefix, before) {
+  const [latest] = (await storage.list(`${prefix}/verdict_`))
+    .filter(name => name < `${prefix}/verdict_${before}.json`)
+    .slice(-1);
+  if (!latest) { return null; }
+  const contents = await storage.read(latest);
+  return contents && JSON.parse(contents);
+}
+
+/**
+ * Reads the most recent report written for a source, the log file of its latest run.
+ *
+ * @param {object} storage Storage backend, see lib/storage.
+ * @param {string} prefix Path prefix of the source in the storage, e.g. `${id}/${strategy}`.
+ * @returns {Promise<object|null>} The Pagespeed Insights report, or null if there is none.
+ */
+async function latestReport(storage, prefix) {
+  const [latest] = (await storage.list(`${prefix}/log_`)).slice(-1);
+  if (!latest) { return null; }
+  const contents = await storage.read(latest);
+  return contents && JSON.parse(contents);
+}
+
+/**
+ * Finds a report in the storage by reference:
+ *
+ * - a path of the storage, e.g. `ebay/mobile/log_2020-01-01T00:00:00.000Z.json`, also as a `gs://<bucket>/` URL
+ * - a job ID, the job_id of the report
+ * - `<prefix>@<timestamp>`, e.g. `ebay/mobile@2020-01-01`: the latest report under the prefix with an
+ *   analysisUTCTimestamp starting with timestamp, or `<prefix>@latest` (or just `<prefix>`) for the latest one
+ *
+ * @param {object} storage Storage backend, see lib/storage.
+ * @param {string} ref The reference.
+ * @returns {Promise<{path: string, report: object}>} The path and the report.
+ */
+async function findReport(storage, ref) {
+  const read = async (name) => {
+    const contents = await storage.read(name);
+    if (!contents) { throw new Error(`No report ${name} in ${storage.name}`); }
+    return {path: name, report: JSON.parse(contents)};
+  };
+  const timestampOf = name => name.slice(name.lastIndexOf('/log_') + '/log_'.length, -'.json'.length);
+  const logs = async (prefix) => (await storage.list(prefix))
+    .filter(name => /\/log_[^/]*\.json$/.test(name))
+    .sort((a, b) => timestampOf(a) < timestampOf(b) ? -1 : timestampOf(a) > timestampOf(b) ? 1 : 0);
+
+  if (ref.startsWith('gs://')) { return await read(ref.split('/').slice(3).join('/')); }
+  if (ref.endsWith('.json')) { return await read(ref); }
+
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(ref)) {
+    // The job ID is only in the report, newer reports are more likely to be looked for
+    for (const name of (await logs('')).reverse()) {
+      const found = await read(name);
+      if (found.report.job_id === ref) { return found; }
+    }
+    throw new Error(`No report of job ${ref} in ${storage.name}`);
+  }
+
+  const at = ref.includes('@') ? ref.lastIndexOf('@') : ref.length;
+  const prefix = ref.slice(0, at).replace(/\/+$/, '');
+  const timestamp = ref.slice(at + 1) || 'latest';
+  if (!prefix) { throw new Error(`Invalid report reference ${ref}, expected a path, a job ID or <prefix>@<timestamp>`); }
+  const matching = (await logs(`${prefix}/`)).filter(name => timestamp === 'latest' || timestampOf(name).startsWith(timestamp));
+  if (!matching.length) { throw new Error(`No report matches ${ref} in ${storage.name}`); }
+  const dirs = matching.map(name => name.slice(0, name.lastIndexOf('/'))).filter((dir, i, arr) => arr.indexOf(dir) === i);
+  if (dirs.length > 1) { throw new Error(`${ref} matches the reports of several jobs, use one of ${dirs.map(dir => `${dir}@${timestamp}`).join(', ')}`); }
+  return await read(matching[matching.length - 1]);
+}
+
+module.exports = {
+  findReport,
+  fromStorage,
+  previousVerdict,
+  latestReport,
+  fromBigQuery
+};
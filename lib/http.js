@@ -0,0 +1,90 @@
+/**
+ * Minimal promise-based HTTP client on top of the Node.js http and https modules.
+ */
+const http = require(`http`);
+const https = require(`https`);
+const {URL} = require(`url`);
+
+const DEFAULT_TIMEOUT = 30000;
+
+/**
+ * Sends an HTTP request and buffers the response body.
+ *
+ * @param {string} url URL to request.
+ * @param {object} [options] Request options.
+ * @param {string} [options.method] HTTP method, defaults to GET.
+ * @param {object} [options.headers] Request headers.
+ * @param {string|Buffer} [options.body] Request body.
+ * @param {number} [options.timeout] Timeout in milliseconds.
+ * @param {boolean} [options.buffer] Resolve the body as a Buffer instead of a string.
+ * @returns {Promise<{statusCode: number, headers: object, body: string|Buffer}>} The response.
+ */
+function request(url, options) {
+  options = options || {};
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const headers = Object.assign({}, options.headers);
+    if (options.body !== undefined) {
+      headers['Content-Length'] = Buffer.byteLength(options.body);
+    }
+    const req = client.request({
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port,
+      path: `${target.pathname}${target.search}`,
+      method: options.method || 'GET',
+      headers: headers
+    }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const body = Buffer.concat(chunks);
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: options.buffer ? body : body.toString()
+        });
+      });
+      res.on('error', reject);
+    });
+    req.setTimeout(options.timeout || DEFAULT_TIMEOUT, () => {
+      const err = new Error(`Request to ${target.origin} timed out`);
+      err.code = 'ETIMEDOUT';
+      req.abort();
+      reject(err);
+    });
+    req.on('error', reject);
+    if (options.body !== undefined) {
+      req.write(options.body);
+    }
+    req.end();
+  });
+}
+
+/**
+ * Posts a JSON body and rejects if the response status is not 2xx.
+ *
+ * @param {string} url URL to post to.
+ * @param {object} data Object to send as JSON.
+ * @param {object} [headers] Additional request headers.
+ * @returns {Promise<{statusCode: number, headers: object, body: string}>} The response.
+ */
+async function postJson(url, data, headers) {
+  const res = await request(url, {
+    method: 'POST',
+    headers: Object.assign({'Content-Type': 'application/json'}, headers),
+    body: JSON.stringify(data)
+  });
+  if (res.statusCode < 200 || res.statusCode >= 300) {
+    const err = new Error(`POST to ${new URL(url).origin} failed with status ${res.statusCode}`);
+    err.code = res.statusCode;
+    throw err;
+  }
+  return res;
+}
+
+module.exports = {
+  request,
+  postJson
+};
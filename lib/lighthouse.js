@@ -0,0 +1,143 @@
+/**
+ * Runs Lighthouse in headless Chrome, as an alternative to the Pagespeed Insights API for sources with
+ * `"runner": "lighthouse"`. Results are normalized to the shape of a Pagespeed Insights response, so that reports,
+ * budgets and the BigQuery loads work the same for both runners.
+ */
+
+// Chrome needs --no-sandbox in Cloud Functions and most containers
+const DEFAULT_CHROME_FLAGS = ['--headless', '--no-sandbox', '--disable-gpu', '--disable-dev-shm-usage'];
+
+// Throttling of desktop runs in Pagespeed Insights, Lighthouse throttles like a mobile device by default
+const DESKTOP_THROTTLING = {
+  rttMs: 40,
+  throughputKbps: 10 * 1024,
+  cpuSlowdownMultiplier: 1,
+  requestLatencyMs: 0,
+  downloadThroughputKbps: 0,
+  uploadThroughputKbps: 0
+};
+
+// The configSettings Pagespeed Insights reports, the other settings of a run are not part of the reports table
+const PSI_SETTINGS = ['emulatedFormFactor', 'locale', 'onlyCategories', 'channel'];
+
+/**
+ * Builds the Lighthouse flags of a run. Flags override the settings of the Lighthouse config. Lighthouse sends the
+ * headers with every request of the page, also to third parties, sources have to opt in with sendHeadersToAllOrigins
+ * (see config.schema.json). Cookies are set in Chrome for the audited host instead, see runLighthouse.
+ *
+ * @param {object} options Options of the run: throttlingMethod, throttling and headers.
+ * @param {string} strategy Device type: mobile or desktop.
+ * @param {array<string>} [category] Lighthouse categories to run, all by default.
+ * @returns {object} The flags.
+ */
+function lighthouseFlags(options, strategy, category) {
+  const flags = {
+    output: 'json',
+    logLevel: 'error',
+    emulatedFormFactor: strategy
+  };
+  if (category && category.length) { flags.onlyCategories = category; }
+  if (strategy === 'desktop') { flags.throttling = Object.assign({}, DESKTOP_THROTTLING); }
+  if (options.throttlingMethod) { flags.throttlingMethod = options.throttlingMethod; }
+  if (options.throttling) { flags.throttling = Object.assign({}, flags.throttling, options.throttling); }
+
+  if (options.headers && Object.keys(options.headers).length) { flags.extraHeaders = Object.assign({}, options.headers); }
+  return flags;
+}
+
+/**
+ * Normalizes a Lighthouse result to the shape of a Pagespeed Insights response. Lighthouse runs have no CrUX field
+ * data, so loadingExperience and originLoadingExperience are missing.
+ *
+ * @param {object} lhr The Lighthouse result.
+ * @returns {object} The Pagespeed Insights shaped result.
+ */
+function toPsiResult(lhr) {
+  const configSettings = {};
+  PSI_SETTINGS.forEach(key => {
+    if (lhr.configSettings && lhr.configSettings[key] !== undefined) { configSettings[key] = lhr.configSettings[key]; }
+  });
+  const lighthouseResult = {
+    requestedUrl: lhr.requestedUrl,
+    finalUrl: lhr.finalUrl,
+    lighthouseVersion: lhr.lighthouseVersion,
+    userAgent: lhr.userAgent,
+    fetchTime: lhr.fetchTime,
+    environment: lhr.environment,
+    runWarnings: lhr.runWarnings || [],
+    configSettings: configSettings,
+    audits: lhr.audits,
+    categories: lhr.categories,
+    categoryGroups: lhr.categoryGroups,
+    timing: {total: (lhr.timing && lhr.timing.total) || 0},
+    // The ICU message paths are keyed by audit, only the renderer strings are in the reports table
+    i18n: {rendererFormattedStrings: (lhr.i18n && lhr.i18n.rendererFormattedStrings) || {}}
+  };
+  if (lhr.runtimeError) { lighthouseResult.runtimeError = lhr.runtimeError; }
+  return {
+    captchaResult: 'CAPTCHA_RESULT_UNSPECIFIED',
+    kind: 'pagespeedonline#result',
+    id: lhr.finalUrl,
+    lighthouseResult: lighthouseResult,
+    analysisUTCTimestamp: lhr.fetchTime
+  };
+}
+
+/**
+ * Runs Lighthouse on a URL in a new headless Chrome, after setting the cookies of the source for the host of the URL
+ * and running the pre-audit script if there is one (see lib/script). Chrome is found by chrome-launcher, set
+ * CHROME_PATH to use a specific binary.
+ *
+ * @param {object} job The (id, url, strategy) job to audit.
+ * @param {array<string>} [category] Lighthouse categories to run.
+ * @param {object} [options] The lighthouse object of the source: config (Lighthouse config), chromeFlags,
+ * throttlingMethod and throttling; and the headers, cookies and script of the source, with resolved secrets.
+ * @param {object} [deps] lighthouse and chromeLauncher modules and runScript and setCookies functions, for testing.
+ * @returns {Promise<object>} The Pagespeed Insights shaped result.
+ */
+async function runLighthouse(job, category, options, deps) {
+  options = options || {};
+  deps = deps || {};
+  const url = job.url;
+  // Optional dependencies, only required when a source runs Lighthouse, the Pagespeed Insights runner does not need Chrome
+  const lighthouse = deps.lighthouse || require(`lighthouse`);
+  const chromeLauncher = deps.chromeLauncher || require(`chrome-launcher`);
+  const runScript = deps.runScript || require(`./script`).runScript;
+  const setCookies = deps.setCookies || require(`./script`).setCookies;
+
+  const chrome = await chromeLauncher.launch({chromeFlags: options.chromeFlags || DEFAULT_CHROME_FLAGS});
+  let result;
+  try {
+    const flags = Object.assign(lighthouseFlags(options, job.strategy, category), {port: chrome.port});
+    if (options.cookies && Object.keys(options.cookies).length) {
+      await setCookies(chrome.port, url, options.cookies);
+      // Lighthouse clears the storage of the origin before the audit by default, cookies included
+      flags.disableStorageReset = true;
+    }
+    if (options.script && options.script.length) {
+      await runScript(chrome.port, options.script, job.id);
+      // Lighthouse clears the storage of the origin before the audit by default, which would log the script out
+      flags.disableStorageReset = true;
+    }
+    result = await lighthouse(url, flags, options.config);
+  } finally {
+    await chrome.kill();
+  }
+
+  const lhr = result && result.lhr;
+  if (!lhr) { throw new Error(`Lighthouse returned no result for ${url}`); }
+  if (lhr.runtimeError && lhr.runtimeError.code !== 'NO_ERROR') {
+    const err = new Error(`Lighthouse failed for ${url}: ${lhr.runtimeError.message}`);
+    err.code = lhr.runtimeError.code;
+    throw err;
+  }
+  return toPsiResult(lhr);
+}
+
+module.exports = {
+  DEFAULT_CHROME_FLAGS,
+  DESKTOP_THROTTLING,
+  lighthouseFlags,
+  toPsiResult,
+  runLighthouse
+};
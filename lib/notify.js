@@ -0,0 +1,133 @@
+/**
+ * Notification channels for failed runs, budget violations and recoveries.
+ */
+const nodemailer = require(`nodemailer`);
+
+const httpClient = require(`./http`);
+
+const EVENTS = [`runFailed`, `budgetBreached`, `scoreRecovered`];
+
+/**
+ * Formats a one-line description of a budget violation or regression.
+ *
+ * @param {object} item Violation or regression from the verdict.
+ * @returns {string} The description.
+ */
+function describe(item) {
+  const value = Math.round(item.value * 1000) / 1000;
+  if ('threshold' in item) {
+    return `${item.name} is ${value}, budget is ${item.threshold}`;
+  }
+  return `${item.name} is ${value}, baseline is ${Math.round(item.baseline * 1000) / 1000}`;
+}
+
+/**
+ * Formats the subject and text of a notification.
+ *
+ * @param {string} event Event name, one of EVENTS.
+ * @param {object} payload Details of the run: id, url, strategy and either error or verdict.
+ * @returns {{subject: string, text: string}} The message.
+ */
+function formatMessage(event, payload) {
+  const target = `${payload.url} on ${payload.strategy}`;
+  switch (event) {
+    case 'runFailed':
+      return {
+        subject: `${payload.id}: run failed`,
+        text: `${payload.id}: Pagespeed Insights run failed for ${target}: ${payload.error}`
+      };
+    case 'budgetBreached': {
+      const verdict = payload.verdict;
+      const lines = verdict.violations.map(item => `- Budget: ${describe(item)}`)
+        .concat(verdict.regressions.map(item => `- Regression: ${describe(item)}`));
+      return {
+        subject: `${payload.id}: budget breached`,
+        text: `${payload.id}: ${verdict.violations.length} budget violation(s) and ${verdict.regressions.length} regression(s) for ${target}\n${lines.join('\n')}`
+      };
+    }
+    case 'scoreRecovered':
+      return {
+        subject: `${payload.id}: scores recovered`,
+        text: `${payload.id}: ${target} is back within its budgets`
+      };
+    default:
+      throw new Error(`Unknown notification event ${event}`);
+  }
+}
+
+/**
+ * Sends a notification to a single channel.
+ *
+ * @param {object} channel Channel object from config.notifications.channels.
+ * @param {string} event Event name, one of EVENTS.
+ * @param {object} payload Details of the run.
+ * @param {object} deps Clients to send with.
+ * @returns {Promise<*>} Resolved promise when the notification has been delivered.
+ */
+async function send(channel, event, payload, deps) {
+  const message = formatMessage(event, payload);
+  switch (channel.type) {
+    case 'webhook':
+      return await deps.http.postJson(channel.url, Object.assign({event: event, message: message.text}, payload), channel.headers);
+    case 'slack':
+      return await deps.http.postJson(channel.url, {
+        text: message.text,
+        channel: channel.channel,
+        username: channel.username,
+        icon_emoji: channel.iconEmoji
+      });
+    case 'email':
+      return await deps.nodemailer.createTransport(channel.smtp).sendMail({
+        from: channel.from,
+        to: channel.to,
+        subject: `[multisite-lighthouse] ${message.subject}`,
+        text: message.text
+      });
+    default:
+      throw new Error(`Unknown notification channel type ${channel.type}`);
+  }
+}
+
+/**
+ * Sends a notification to every channel a source subscribed to for the given event. Delivery failures are logged,
+ * not thrown, so that a broken channel never fails a run.
+ *
+ * @param {object} notifications The notifications object in config.json.
+ * @param {array<object>} rules The notify array of the source in config.json.
+ * @param {string} event Event name, one of EVENTS.
+ * @param {object} payload Details of the run: id, url, strategy and either error or verdict.
+ * @param {object} [deps] resolve: function that resolves the secret references of a channel (see lib/secrets), and
+ * clients to send with, for testing.
+ * @returns {Promise<array<string>>} Names of the channels that were notified.
+ */
+async function notify(notifications, rules, event, payload, deps) {
+  deps = Object.assign({http: httpClient, nodemailer: nodemailer}, deps);
+  const channels = (notifications && notifications.channels) || {};
+  const names = (rules || [])
+    .filter(rule => !rule.events || rule.events.includes(event))
+    .map(rule => rule.channel)
+    .filter((name, index, arr) => arr.indexOf(name) === index);
+
+  const sent = await Promise.all(names.map(async (name) => {
+    if (!channels[name]) {
+      console.error(`${payload.id}: Notification channel ${name} is not defined`);
+      return null;
+    }
+    try {
+      const channel = deps.resolve ? await deps.resolve(channels[name]) : channels[name];
+      await send(channel, event, payload, deps);
+      console.log(`${payload.id}: Sent ${event} notification to ${name}`);
+      return name;
+    } catch(e) {
+      console.error(`${payload.id}: Sending ${event} notification to ${name} failed`, e);
+      return null;
+    }
+  }));
+  return sent.filter(name => name);
+}
+
+module.exports = {
+  EVENTS,
+  formatMessage,
+  notify
+};
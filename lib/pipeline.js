@@ -0,0 +1,1350 @@
+/**
+ * The audit pipeline: resolves the jobs of a source, audits them with Pagespeed Insights, writes reports and logs to a
+ * storage backend and loads the results into a sink. The Cloud Function and the command line tool run the same
+ * pipeline with different backends.
+ */
+const uuidv1 = require(`uuid/v1`);
+
+const {toCsv, toHtml} = require(`./formats`);
+const {evaluate, DEFAULT_REGRESSION} = require(`./budgets`);
+const history = require(`./history`);
+const {notify} = require(`./notify`);
+const {ADHOC_ID, isDiscovered, expandSource, isSelector, selectSources, labelsOf, adhocSource, toJob, toMessage, parseMessage, checkMessage} = require(`./sources`);
+const {withRetry, errorCode} = require(`./retry`);
+const {createRateLimiter, memoryStore, storageStore} = require(`./ratelimit`);
+const {selectMedian, summarizeRuns} = require(`./runs`);
+const {toSummaryRow} = require(`./summary`);
+const {toResourceRows} = require(`./resources`);
+const {reconcile, mergeFields, DEFAULT_IGNORE} = require(`./schema`);
+const {createRunState} = require(`./runstate`);
+const {createSecrets, redact} = require(`./secrets`);
+const {dueSources} = require(`./schedule`);
+const {evaluateAssertions} = require(`./assertions`);
+const {DASHBOARD_PATH, generateDashboard} = require(`./dashboard`);
+const {createBatches} = require(`./batch`);
+const {replayJobId} = require(`./replay`);
+const {toRollupRows, rowsFromStorage, rowsFromBigQuery} = require(`./rollup`);
+const {cruxTargets, collectCrux} = require(`./crux`);
+
+const bqSchema = require(`../bigquery-schema.json`);
+const failedRunsSchema = require(`../failed-runs-schema.json`);
+const summarySchema = require(`../summary-schema.json`);
+const resourcesSchema = require(`../resources-schema.json`);
+const schemaChangesSchema = require(`../schema-changes-schema.json`);
+const rollupsSchema = require(`../rollups-schema.json`);
+const cruxSchema = require(`../crux-schema.json`);
+
+const SCHEDULE_STATE = `schedule/state.json`;
+const ROLLUP_STATE = `rollups/state.json`;
+const CRUX_STATE = `crux/state.json`;
+
+// Fan-out jobs mark the dashboard as stale in DASHBOARD_STALE, the scheduler regenerates it and records when in
+// DASHBOARD_STATE
+const DASHBOARD_STALE = `dashboard/stale.json`;
+const DASHBOARD_STATE = `dashboard/state.json`;
+
+// CrUX data is updated daily
+const DEFAULT_CRUX_SCHEDULE = `0 6 * * *`;
+// Concurrent CrUX queries, the API allows 150 queries per minute
+const DEFAULT_CRUX_CONCURRENCY = 5;
+// Seconds after which a CrUX collection starts no more queries, well within the time limit of the scheduler function
+const DEFAULT_CRUX_TIMEOUT = 300;
+
+// Archived runs that a replay loads at once
+const REPLAY_CHUNK_SIZE = 100;
+
+// Tables that runs are loaded into, with their schema (the reports table evolves its own) and the partitioning of the
+// tables that a load creates: by day, clustered by source and strategy
+const LOAD_TABLES = {
+  reports: {schema: bqSchema, partitioning: {field: 'analysisUTCTimestamp', clustering: ['id', 'emulatedFormFactor']}},
+  summary: {schema: summarySchema, partitioning: {field: 'timestamp', clustering: ['id', 'strategy']}},
+  resources: {schema: resourcesSchema, partitioning: {field: 'timestamp', clustering: ['id', 'strategy']}}
+};
+// Scheduled times missed while the scheduler did not run are caught up for a day at most
+const MAX_CATCH_UP = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates the pipeline.
+ *
+ * @param {object} deps config (the parsed config.json), storage (storage backend, see lib/storage), sink (see
+ * lib/sinks), pagespeed (googleapis pagespeedonline client), and optionally publish (function that publishes a Pub/Sub
+ * message, without it jobs run in this process), bigquery (client for the BigQuery history of budgets),
+ * sharedRateLimit (share the rate limit window with other instances through the storage), discoverUrls,
+ * runLighthouse (see lib/lighthouse), secrets (see lib/secrets) and http (client of the CrUX API, see lib/http).
+ * @returns {object} The pipeline functions.
+ */
+function createPipeline(deps) {
+  const config = deps.config;
+  const storage = deps.storage;
+  const sink = deps.sink;
+  const discoverUrls = deps.discoverUrls || require(`./discover`).discoverUrls;
+  const runLighthouse = deps.runLighthouse || require(`./lighthouse`).runLighthouse;
+  const secrets = deps.secrets || createSecrets({file: config.secretsFile});
+
+  let rateLimiter;
+  const runState = createRunState(storage, {
+    leaseTimeout: (config.runState || {}).leaseTimeout,
+    minTimeBetweenTriggers: config.minTimeBetweenTriggers
+  });
+  const batches = createBatches(storage, config.batch);
+
+  /**
+   * Returns the rate limiter, if config.psi.requestsPerMinute is set. With sharedRateLimit all instances of the project
+   * share one window through the storage.
+   *
+   * @returns {object|null} The rate limiter.
+   */
+  function getRateLimiter() {
+    const psiConfig = config.psi || {};
+    if (!psiConfig.requestsPerMinute) { return null; }
+    if (!rateLimiter) {
+      rateLimiter = createRateLimiter(psiConfig.requestsPerMinute,
+        deps.sharedRateLimit ? storageStore(storage, `ratelimit/psi`) : memoryStore(),
+        {timeout: psiConfig.rateLimitTimeout});
+    }
+    return rateLimiter;
+  }
+
+  /**
+   * Function that runs PageSpeed Insights API. Rate limited and retried with backoff according to config.psi.
+   *
+   * @param {string} id ID of the source for logging purposes.
+   * @param {string} url URL to audit.
+   * @param {string} strategy device type to obtain report for.
+   * @param {string} category Lighthouse audit categories to run.
+   * @returns {Promise<object>} The object containing the Pagespeed Insight report.
+   */
+  async function getPagespeedInsightsReport(id, url, strategy, category) {
+
+    console.log(`${id}: Requesting Pagespeed Insight report for ${url} on ${strategy}`);
+
+    category = category || []
+    const psiConfig = config.psi || {};
+    const limiter = getRateLimiter();
+    const psi = await withRetry(async () => {
+      if (limiter) { await limiter.acquire(); }
+      return await deps.pagespeed.pagespeedapi.runpagespeed({url: url,
+                                                             strategy: strategy,
+                                                             category: category},
+                                                            {timeout: psiConfig.timeout});
+    }, psiConfig, {
+      onRetry: (err, attempt, delay) => console.log(`${id}: Pagespeed Insights request for ${url} on ${strategy} failed with ${errorCode(err)} (attempt ${attempt}), retrying in ${delay}ms`)
+    });
+    psi.id = id
+    psi.url = url
+    psi.emulatedFormFactor = strategy
+    console.log(`${id}: Pagespeed Insight report received for ${url} on ${strategy}`);
+
+    return psi;
+  }
+
+  /**
+   * Function that runs Lighthouse in headless Chrome, for sources with the lighthouse runner, with the headers, cookies
+   * and pre-audit script of the source. Their secret references are resolved here, when the job runs, and the headers
+   * and cookies are redacted from the result (see redact in lib/secrets). The result has the shape of a Pagespeed
+   * Insights report.
+   *
+   * @param {object} src The source object in config.json.
+   * @param {object} job The (id, url, strategy) job to audit.
+   * @returns {Promise<object>} The object containing the Lighthouse report.
+   */
+  async function getLighthouseReport(src, job) {
+    console.log(`${job.id}: Running Lighthouse for ${job.url} on ${job.strategy}`);
+    const session = await secrets.resolve({headers: src.headers, cookies: src.cookies, script: src.script});
+    const report = redact(await runLighthouse(job, src.category, Object.assign({}, src.lighthouse, session)), session);
+    report.id = job.id;
+    report.url = job.url;
+    report.emulatedFormFactor = job.strategy;
+    console.log(`${job.id}: Lighthouse report received for ${job.url} on ${job.strategy}`);
+    return report;
+  }
+
+  /**
+   * Audits a job as many times as config.source runs asks for, one run after the other. With several runs, a failed
+   * run is logged and skipped as long as at least one run succeeds. The headers and cookies of the source are
+   * redacted from the reports of the Lighthouse runner, before they are written anywhere.
+   *
+   * @param {object} src The source object in config.json.
+   * @param {object} job The (id, url, strategy) job to audit.
+   * @returns {Promise<array<object>>} The Pagespeed Insight report objects of the successful runs.
+   */
+  async function runAudits(src, job) {
+    const runs = src.runs || 1;
+    const reports = [];
+    let lastError;
+    for (let i = 1; i <= runs; i++) {
+      try {
+        reports.push(src.runner === 'lighthouse' ?
+          await getLighthouseReport(src, job) :
+          await getPagespeedInsightsReport(job.id, job.url, job.strategy, src.category));
+      } catch(e) {
+        if (runs === 1) { throw e; }
+        lastError = e;
+        console.error(`${job.id}: Run ${i} of ${runs} failed for ${job.url} on ${job.strategy}`, e);
+      }
+    }
+    if (!reports.length) { throw lastError; }
+    return reports;
+  }
+
+  /**
+   * Publishes a message to the Pub/Sub topic for every (id, url, strategy) job, and marks the jobs as queued in their
+   * run state.
+   *
+   * @param {array<object>} jobs Array of jobs to publish into Pub/Sub.
+   * @returns {Promise<any[]>} Resolved promise when all jobs have been published.
+   */
+  async function sendAllPubsubMsgs(jobs) {
+    return await Promise.all(jobs.map(async (job) => {
+      const msg = toMessage(job);
+      console.log(`${job.id}: Sending init PubSub message for ${job.url} on ${job.strategy}`);
+      try {
+        await runState.enqueue(job.prefix || `${job.id}/${job.strategy}`, job);
+      } catch(e) {
+        // The run state is informational until the job runs, it must not keep the message from being sent
+        console.error(`${job.id}: Marking ${job.url} on ${job.strategy} as queued failed`, e);
+      }
+      await deps.publish(msg);
+      console.log(`${job.id}: Init PubSub message sent for ${job.url} on ${job.strategy}`)
+    }));
+  }
+
+  /**
+   * Write the summary of a multi-run audit to the storage next to the report and, if config.source archiveRuns is
+   * set, every raw report of the runs.
+   *
+   * @param {array<object>} reports The Pagespeed Insight report objects of all runs.
+   * @param {number} selected Index of the selected (median) run.
+   * @param {object} src The source object in config.json.
+   * @param {string} prefix Path prefix of the job in the storage.
+   * @returns {Promise<object>} The summary record.
+   */
+  async function writeRunsToStorage(reports, selected, src, prefix) {
+    const selectedReport = reports[selected];
+    const summary = summarizeRuns(reports, selected, src.medianBy);
+    summary.job_id = selectedReport.job_id;
+
+    if (src.archiveRuns) {
+      console.log(`${src.id}: Archiving ${reports.length} runs to ${storage.name}`);
+      await Promise.all(reports.map(report => storage.write(`${prefix}/run_${report.analysisUTCTimestamp}.json`, JSON.stringify(report))));
+    }
+
+    console.log(`${src.id}: Writing summary of ${reports.length} runs to ${storage.name}`);
+    await storage.write(`${prefix}/runs_${selectedReport.analysisUTCTimestamp}.json`, JSON.stringify(summary, null, " "));
+    return summary;
+  }
+
+  /**
+   * Resolves the (id, url, strategy) jobs of a source. Sitemap and crawl sources discover their URLs first, and the
+   * discovered list is written to the storage so that the URL set of every run can be audited later.
+   *
+   * @param {object} src The source object in config.json.
+   * @returns {Promise<array<object>>} The jobs of the source.
+   */
+  async function resolveJobs(src) {
+    if (!isDiscovered(src)) { return expandSource(src); }
+
+    console.log(`${src.id}: Discovering URLs from ${src.type} ${src.url}`);
+    const urls = await discoverUrls(src);
+    const discoveredAt = new Date().toISOString();
+    console.log(`${src.id}: Discovered ${urls.length} URL(s), writing list to ${storage.name}`);
+    await storage.write(`${src.id}/discovery_${discoveredAt}.json`, JSON.stringify({
+      id: src.id,
+      type: src.type,
+      url: src.url,
+      discoveredAt: discoveredAt,
+      urls: urls
+    }, null, " "));
+    return expandSource(src, urls);
+  }
+
+  /**
+   * Write the psi log object and reports to the storage. Only write reports if config.outputFormat is defined in
+   * config.json. Reports from runAudits are written without the secrets of the source.
+   *
+   * @param {object} obj The Pagespeed Insight report object.
+   * @param {string} id ID of the source.
+   * @param {string} [prefix] Path prefix of the job in the storage, defaults to `${id}/${obj.emulatedFormFactor}`.
+   * @returns {Promise<void>} Resolved promise when all write operations are complete.
+   */
+  async function writeLogAndReportsToStorage(obj, id, prefix) {
+    prefix = prefix || `${id}/${obj.emulatedFormFactor}`;
+    config.outputFormat = config.outputFormat || [];
+    await Promise.all(config.outputFormat.map(async (fileType) => {
+      const filePath = `${prefix}/report_${obj.analysisUTCTimestamp}.${fileType}`;
+      let mimetype;
+      let output;
+      switch (fileType) {
+        case 'csv':
+          mimetype = 'text/csv';
+          output = toCsv(obj);
+          break;
+        case 'html':
+          mimetype = 'text/html';
+          output = toHtml(obj);
+          break;
+        case 'json':
+          mimetype = 'application/json';
+          output = JSON.stringify(obj, null, " ");
+          break;
+        default:
+          return console.log(`${id}: Unknown output format ${fileType}, skipping`);
+      }
+      console.log(`${id}: Writing ${fileType} report to ${storage.name}`);
+      return await storage.write(filePath, output, {contentType: mimetype});
+    }));
+    console.log(`${id}: Writing log to ${storage.name}`);
+    return await storage.write(`${prefix}/log_${obj.analysisUTCTimestamp}.json`, JSON.stringify(obj, null, " "));
+  }
+
+  /**
+   * Compare the report with the budgets of its source and with the baseline of its previous runs, and write the
+   * verdict to the storage next to the report.
+   *
+   * @param {object} obj The Pagespeed Insight report object.
+   * @param {object} budgets The budgets object of the source in config.json.
+   * @param {string} [prefix] Path prefix of the job in the storage, defaults to `${obj.id}/${obj.emulatedFormFactor}`.
+   * @returns {Promise<object>} The verdict record.
+   */
+  async function checkBudgets(obj, budgets, prefix) {
+    const id = obj.id;
+    prefix = prefix || `${id}/${obj.emulatedFormFactor}`;
+    const regression = Object.assign({}, DEFAULT_REGRESSION, budgets.regression);
+
+    if (regression.history === 'bigquery' && !deps.bigquery) {
+      console.log(`${id}: No BigQuery client for the budget history, reading it from ${storage.name}`);
+    }
+    const previous = regression.history === 'bigquery' && deps.bigquery ?
+      await history.fromBigQuery(deps.bigquery, config.datasetId, id, obj.url, obj.emulatedFormFactor, regression.runs, obj.analysisUTCTimestamp) :
+      await history.fromStorage(storage, prefix, regression.runs, obj.analysisUTCTimestamp);
+
+    const previousVerdict = await history.previousVerdict(storage, prefix, obj.analysisUTCTimestamp);
+
+    const verdict = evaluate(obj, budgets, previous);
+    verdict.job_id = obj.job_id;
+    verdict.recovered = verdict.passed && !!previousVerdict && !previousVerdict.passed;
+    if (verdict.passed) {
+      console.log(`${id}: Run passed budgets and regression checks on ${obj.emulatedFormFactor}`);
+    } else {
+      console.log(`${id}: Run flagged on ${obj.emulatedFormFactor} with ${verdict.violations.length} budget violation(s) and ${verdict.regressions.length} regression(s)`);
+    }
+
+    console.log(`${id}: Writing verdict to ${storage.name}`);
+    await storage.write(`${prefix}/verdict_${obj.analysisUTCTimestamp}.json`, JSON.stringify(verdict, null, " "));
+    return verdict;
+  }
+
+  /**
+   * Send a notification to the channels the source subscribed to for the event, if any. The secret references in the
+   * channels are resolved when they are sent to, a channel with a missing secret is logged like any failing channel.
+   *
+   * @param {object} src The source object in config.json.
+   * @param {string} event Event name: runFailed, budgetBreached or scoreRecovered.
+   * @param {object} payload Details of the run.
+   * @returns {Promise<array<string>>} Names of the channels that were notified.
+   */
+  async function sendNotifications(src, event, payload) {
+    if (!src.notify || !src.notify.length) { return []; }
+    return await notify(config.notifications, src.notify, event, payload, {resolve: secrets.resolve});
+  }
+
+  /**
+   * Record a failed run as a row in the failed_runs table, so that gaps in the reports table are visible.
+   *
+   * @param {object} job The (id, url, strategy) job that failed.
+   * @param {string} jobId The job ID the run would have loaded with.
+   * @param {Error} err The error the run failed with.
+   * @returns {Promise<object>} The row that was inserted.
+   */
+  async function recordFailedRun(job, jobId, err) {
+    const code = errorCode(err);
+    const row = {
+      id: job.id,
+      url: job.url,
+      strategy: job.strategy,
+      job_id: jobId,
+      error_code: code === null ? null : String(code),
+      error_message: err.message,
+      retryable: !!err.retryable,
+      attempts: err.attempts || 1,
+      timestamp: new Date().toISOString()
+    };
+    console.log(`${job.id}: Recording failed run for ${job.url} on ${job.strategy} after ${row.attempts} attempt(s)`);
+    await sink.insert('failed_runs', [row], {insertIds: [jobId], schema: failedRunsSchema});
+    return row;
+  }
+
+  /**
+   * Reconcile a report with the current schema of the reports table, if the sink has table schemas. Fields of the
+   * report that the table lacks are added as nullable fields, values that do not match their field are coerced or
+   * dropped, and every change is recorded as a row in the schema_changes table.
+   *
+   * @param {object} obj The Pagespeed Insight report object.
+   * @returns {Promise<{fields: array<object>, row: object, changes: array<object>}>} The schema to load with, the row
+   * to load and the changes made.
+   */
+  async function reconcileSchema(obj) {
+    if (!sink.getSchema) { return {fields: bqSchema, row: obj, changes: []}; }
+    // The first load creates the table with the checked-in schema
+    const fields = (await sink.getSchema('reports')) || bqSchema;
+    const options = config.schemaEvolution || {};
+    const result = reconcile(fields, obj, {ignore: DEFAULT_IGNORE.concat(options.ignore || [])});
+    if (result.changes.length) {
+      console.log(`${obj.id}: Reconciled report with the reports table schema, ${result.changes.length} change(s)`);
+      const timestamp = new Date().toISOString();
+      const version = obj.lighthouseResult && obj.lighthouseResult.lighthouseVersion;
+      const rows = result.changes.map(change => ({
+        table: 'reports',
+        job_id: obj.job_id || null,
+        id: obj.id,
+        lighthouse_version: version || null,
+        path: change.path,
+        change: change.change,
+        from_type: change.from || null,
+        to_type: change.to || null,
+        reason: change.reason || null,
+        timestamp: timestamp
+      }));
+      await sink.insert('schema_changes', rows, {
+        insertIds: rows.map((row, index) => `${obj.job_id}_${index}`),
+        schema: schemaChangesSchema
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Takes the lease of a job in its run state (see lib/runstate). The job is active, and must not run, if its message
+   * was already processed, if another run holds the lease, or if it was triggered less than minTimeBetweenTriggers (in
+   * config.json) ago.
+   *
+   * @param {object} job The (id, url, strategy) job.
+   * @param {number} timeNow Timestamp when this method was invoked.
+   * @param {object} [run] messageId (Pub/Sub message ID) and jobId of the run.
+   * @returns {Promise<object>} {active: false, lease}, or {active: true, reason} with the time delta in seconds since
+   * the last trigger (throttled), the expiry of the lease (leased) or the job ID of the processed message (duplicate).
+   */
+  async function checkEventState(job, timeNow, run) {
+    run = run || {};
+    const prefix = job.prefix || `${job.id}/${job.strategy}`;
+    const result = await runState.acquire(prefix, job, {now: timeNow, messageId: run.messageId, jobId: run.jobId});
+    if (result.acquired) {
+      return {active: false, lease: result.lease};
+    }
+    switch (result.reason) {
+      case 'throttled':
+        return {active: true, reason: result.reason, delta: Math.round(result.delta/1000)};
+      case 'leased':
+        return {active: true, reason: result.reason, leaseExpires: result.record.leaseExpires};
+      default:
+        return {active: true, reason: result.reason, jobId: result.record.jobId};
+    }
+  }
+
+  /**
+   * Returns the source of a job or structured message: the source in config.json with its id, or the ad-hoc source of
+   * the URL if config.api allowUrls is set.
+   *
+   * @param {object} job The job or message, with id, url, strategy and, for ad-hoc audits, category.
+   * @returns {object|undefined} The source, or undefined if there is none.
+   */
+  function sourceOf(job) {
+    const [src] = config.source.filter(obj => obj.id === job.id);
+    if (src || job.id !== ADHOC_ID || !(config.api || {}).allowUrls) { return src; }
+    return adhocSource(job.url, job.strategy, job.category);
+  }
+
+  /**
+   * Writes the status of a job started with a job ID (see startJobs) to jobs/<job ID>.json of the storage, where the
+   * API reads it. Failures are logged, the status is informational.
+   *
+   * @param {object} job The job, with its jobId.
+   * @param {string} state queued, running, skipped, succeeded or failed.
+   * @param {object} [fields] Additional fields: the reason of a skipped job, the error of a failed one or the summary
+   * row of a successful one.
+   * @returns {Promise<void>} Resolved promise when the status has been written.
+   */
+  async function trackJob(job, state, fields) {
+    const record = Object.assign({
+      jobId: job.jobId,
+      id: job.id,
+      url: job.url,
+      strategy: job.strategy,
+      state: state,
+      updated: new Date().toISOString()
+    }, fields);
+    try {
+      await storage.write(`jobs/${job.jobId}.json`, JSON.stringify(record, null, " "), {
+        contentType: 'application/json',
+        cacheControl: 'no-store'
+      });
+    } catch(e) {
+      console.error(`${job.id}: Writing status of job ${job.jobId} failed`, e);
+    }
+  }
+
+  /**
+   * Reads the status of a job started with a job ID.
+   *
+   * @param {string} jobId The job ID.
+   * @returns {Promise<object|null>} The status, see trackJob, or null if there is no such job.
+   */
+  async function getJob(jobId) {
+    const data = await storage.read(`jobs/${jobId}.json`);
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Ends the lease of a run. A lease that cannot be released is logged, the run itself is done at this point.
+   *
+   * @param {object} job The (id, url, strategy) job.
+   * @param {object} lease The lease, see checkEventState.
+   * @param {string} state succeeded or failed.
+   * @param {object} [fields] Additional fields of the run state.
+   * @returns {Promise<void>} Resolved promise when the run state has been written.
+   */
+  async function releaseRun(job, lease, state, fields) {
+    try {
+      if (!await runState.release(lease, state, fields)) {
+        console.error(`${job.id}: Lease of the run on ${job.strategy} expired before the run ${state}, the run state was taken over`);
+      }
+    } catch(e) {
+      console.error(`${job.id}: Writing run state failed`, e);
+    }
+  }
+
+  /**
+   * Regenerates the dashboard of config.dashboard (see lib/dashboard) from the reports in the storage, and writes it
+   * to the storage.
+   *
+   * @returns {Promise<string>} Path of the dashboard in the storage.
+   */
+  async function writeDashboard() {
+    const options = config.dashboard || {};
+    if (options.history === 'bigquery' && !deps.bigquery) {
+      console.log(`No BigQuery client for the dashboard history, reading it from ${storage.name}`);
+    }
+    const dashboard = await generateDashboard(storage, {
+      title: options.title,
+      sources: config.source.map(src => src.id),
+      runs: options.runs,
+      bigquery: options.history === 'bigquery' ? deps.bigquery : null,
+      datasetId: config.datasetId
+    });
+    const path = options.path || DASHBOARD_PATH;
+    console.log(`Writing dashboard of ${dashboard.jobs.length} job(s) to ${storage.name}`);
+    await storage.write(path, dashboard.html, {contentType: 'text/html', cacheControl: 'no-cache'});
+    return path;
+  }
+
+  /**
+   * Regenerates the dashboard after a run, if config.dashboard is set. A failure is logged and does not fail the run.
+   *
+   * @returns {Promise<void>} Resolved promise when the dashboard has been written.
+   */
+  async function updateDashboard() {
+    if (!config.dashboard) { return; }
+    try {
+      await writeDashboard();
+    } catch(e) {
+      console.error(`Writing dashboard failed`, e);
+    }
+  }
+
+  /**
+   * Marks the dashboard as stale after a job of a fan-out without a batch, if config.dashboard is set, for
+   * scheduleDashboard. A mark that the scheduler has not picked up yet is not written again, so that the jobs of a
+   * fan-out do not all write the same file. A failure is logged and does not fail the run.
+   *
+   * @param {number} [now] Timestamp.
+   * @returns {Promise<void>} Resolved promise when the dashboard has been marked.
+   */
+  async function markDashboardStale(now) {
+    if (!config.dashboard) { return; }
+    now = now || new Date().getTime();
+    try {
+      const [stale, state] = (await Promise.all([storage.read(DASHBOARD_STALE), storage.read(DASHBOARD_STATE)]))
+        .map(data => data ? JSON.parse(data) : {});
+      if (stale.changed > (state.checked || 0)) { return; }
+      await storage.write(DASHBOARD_STALE, JSON.stringify({changed: now}, null, " "), {
+        contentType: 'application/json',
+        cacheControl: 'no-store'
+      });
+    } catch(e) {
+      console.error(`Marking dashboard as stale failed`, e);
+    }
+  }
+
+  /**
+   * Regenerates the dashboard if a job of a fan-out without a batch marked it as stale since the last check, see
+   * markDashboardStale. Meant to be called periodically, see scheduleAudits; the last check is kept in
+   * dashboard/state.json of the storage and written with a generation precondition, so that of two concurrent calls
+   * only one regenerates it.
+   *
+   * @param {number} [now] Timestamp of this call.
+   * @returns {Promise<string|null>} The path of the dashboard, or null if it was not regenerated.
+   */
+  async function scheduleDashboard(now) {
+    if (!config.dashboard) { return null; }
+    now = now || new Date().getTime();
+    const stale = await storage.read(DASHBOARD_STALE);
+    const file = await storage.readVersioned(DASHBOARD_STATE);
+    const state = file ? JSON.parse(file.data) : {};
+    if (!stale || JSON.parse(stale).changed < (state.checked || 0)) { return null; }
+    try {
+      await storage.write(DASHBOARD_STATE, JSON.stringify({checked: now}, null, " "), {
+        contentType: 'application/json',
+        cacheControl: 'no-store',
+        ifGeneration: file ? file.generation : 0
+      });
+    } catch(e) {
+      if (e.code !== 412) { throw e; }
+      console.log(`Dashboard is being regenerated by another scheduler run, skipping`);
+      return null;
+    }
+    try {
+      return await writeDashboard();
+    } catch(e) {
+      // The mark is after the last check again, so the next call regenerates it
+      await storage.write(DASHBOARD_STATE, JSON.stringify(state, null, " "), {contentType: 'application/json', cacheControl: 'no-store'});
+      throw e;
+    }
+  }
+
+  /**
+   * Starts a batch of fanned out jobs, if config.batch is set (see lib/batch): the jobs stage their rows, and the
+   * batch is loaded in one load job per table.
+   *
+   * @param {array<object>} jobs The jobs.
+   * @returns {Promise<array<object>>} The jobs, with the id of the batch and their index in it.
+   */
+  async function createBatch(jobs) {
+    if (!config.batch || !jobs.length) { return jobs; }
+    const manifest = await batches.create(jobs);
+    console.log(`Batch ${manifest.batchId}: Started with ${jobs.length} job(s), loading it by ${manifest.deadline} at the latest`);
+    return jobs.map((job, index) => Object.assign({}, job, {batch: {id: manifest.batchId, index: index}}));
+  }
+
+  /**
+   * Returns the fields of the reports table for a load of several rows of a replay: every row was
+   * reconciled on its own (see reconcileSchema), the load has the union of the fields they added.
+   *
+   * @param {array<object>} rows The reconciled report rows.
+   * @returns {Promise<array<object>>} The fields.
+   */
+  async function reportsSchemaOf(rows) {
+    let fields = (sink.getSchema && await sink.getSchema('reports')) || bqSchema;
+    const ignore = DEFAULT_IGNORE.concat((config.schemaEvolution || {}).ignore || []);
+    rows.forEach(row => {
+      fields = reconcile(fields, row, {ignore: ignore}).fields;
+    });
+    return fields;
+  }
+
+  /**
+   * Returns the fields of a table for a load of the jobs of a batch: the current fields of the table with the fields
+   * that jobs staged because their rows add to them (see stageSchema in lib/batch).
+   *
+   * @param {string} batchId The batch ID.
+   * @param {string} table The table.
+   * @param {array<number>} indices Indices of the jobs.
+   * @returns {Promise<array<object>>} The fields.
+   */
+  async function batchSchemaOf(batchId, table, indices) {
+    if (table !== 'reports') { return LOAD_TABLES[table].schema; }
+    let fields = (sink.getSchema && await sink.getSchema('reports')) || bqSchema;
+    (await batches.readSchemas(batchId, table, indices)).forEach(staged => {
+      fields = mergeFields(staged, fields);
+    });
+    return fields;
+  }
+
+  /**
+   * Loads a batch when it is ready: when every job of it has reported its result or its deadline has passed. The
+   * staged rows of the jobs that succeeded are loaded with one load job per table, whose job IDs are derived from the
+   * batch ID, and the manifest of the batch records the jobs that succeeded, failed, were skipped or never reported.
+   * Sinks that can load files of the storage load the staged files where they are, other sinks get the rows.
+   * Of two instances that find a batch ready only one loads it, a failed load is retried by the next call.
+   *
+   * @param {string} batchId The batch ID.
+   * @param {number} [now] Timestamp.
+   * @returns {Promise<object|null>} The manifest, or null if the batch is not ready, already loaded or being loaded.
+   */
+  async function finalizeBatch(batchId, now) {
+    now = now || new Date().getTime();
+    const status = await batches.status(batchId, now);
+    if (!status) { throw new Error(`No batch ${batchId} in ${storage.name}`); }
+    if (status.loaded) {
+      console.log(`Batch ${batchId}: Already loaded, results that arrive later are not loaded`);
+      return null;
+    }
+    if (!status.ready) { return null; }
+    if (!await batches.claim(batchId, now)) {
+      console.log(`Batch ${batchId}: Being loaded by another instance, skipping`);
+      return null;
+    }
+
+    try {
+      const results = await batches.readResults(batchId);
+      const succeeded = status.manifest.expected
+        .filter(job => (results[job.index] || {}).state === 'succeeded')
+        .map(job => job.index);
+      const loads = {};
+      for (const table of Object.keys(LOAD_TABLES)) {
+        const jobId = `${batchId}_${table}`;
+        const options = {jobId: jobId, evolveSchema: true, partitioning: LOAD_TABLES[table].partitioning};
+        if (sink.loadFiles && storage.file) {
+          const paths = await batches.listStaged(batchId, table, succeeded);
+          if (!paths.length) { continue; }
+          console.log(`Batch ${batchId}: Loading ${paths.length} file(s) into ${table} of ${sink.name} with job ID ${jobId}`);
+          options.schema = await batchSchemaOf(batchId, table, succeeded);
+          await sink.loadFiles(table, paths.map(path => storage.file(path)), options);
+          loads[table] = {jobId: jobId, files: paths.length};
+          continue;
+        }
+        const rows = await batches.readRows(batchId, table, succeeded);
+        if (!rows.length) { continue; }
+        console.log(`Batch ${batchId}: Loading ${rows.length} row(s) into ${table} of ${sink.name} with job ID ${jobId}`);
+        options.schema = await batchSchemaOf(batchId, table, succeeded);
+        await sink.load(table, rows, options);
+        loads[table] = {jobId: jobId, rows: rows.length};
+      }
+      const manifest = await batches.complete(status.manifest, results, loads, now);
+      console.log(`Batch ${batchId}: Loaded ${manifest.succeeded.length} of ${manifest.expected.length} job(s), ${manifest.failed.length} failed, ${manifest.skipped.length} skipped and ${manifest.missing.length} missing`);
+      await updateDashboard();
+      return manifest;
+    } catch(e) {
+      try {
+        await batches.release(batchId, e, now);
+      } catch(err) {
+        console.error(`Batch ${batchId}: Releasing the load failed`, err);
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Loads the open batches that are ready, e.g. those whose deadline passed without every job reporting. Meant to be
+   * called periodically, see scheduleAudits.
+   *
+   * @param {number} [now] Timestamp.
+   * @returns {Promise<array<object>>} The manifests of the batches that were loaded.
+   */
+  async function finalizeBatches(now) {
+    if (!config.batch) { return []; }
+    const manifests = [];
+    for (const batchId of await batches.listOpen()) {
+      try {
+        const manifest = await finalizeBatch(batchId, now);
+        if (manifest) { manifests.push(manifest); }
+      } catch(e) {
+        console.error(`Batch ${batchId}: Loading failed`, e);
+      }
+    }
+    return manifests;
+  }
+
+  /**
+   * Reports the result of a job to its batch, and loads the batch if it was the last job to report. Failures are
+   * logged, the batch is loaded at its deadline at the latest.
+   *
+   * @param {object} job The job, with its batch.
+   * @param {object} result The result, see report in lib/batch.
+   * @returns {Promise<void>} Resolved promise when the result has been reported.
+   */
+  async function reportToBatch(job, result) {
+    try {
+      await batches.report(job.batch, result);
+      await finalizeBatch(job.batch.id);
+    } catch(e) {
+      console.error(`${job.id}: Reporting to batch ${job.batch.id} failed`, e);
+    }
+  }
+
+  /**
+   * Returns the rows of the resources table of a report, none if config.resources is disabled.
+   *
+   * @param {object} json The Pagespeed Insights report.
+   * @returns {array<object>} The rows.
+   */
+  function resourceRowsOf(json) {
+    const resourcesConfig = config.resources || {};
+    return resourcesConfig.enabled === false ? [] : toResourceRows(json, resourcesConfig.audits);
+  }
+
+  /**
+   * Replays runs archived in the storage (see lib/replay) into the reports, summary and resources tables. The reports
+   * go through the same transformations as in runJob, with the current schema and config. A table skips the runs it
+   * already has rows of, by job_id, if the sink can tell (see getJobIds in lib/sinks), so that replays are
+   * idempotent and fill in the tables that are missing runs. The runs are loaded in chunks, with one load job per
+   * table and chunk.
+   *
+   * @param {array<object>} runs The runs, see listArchivedRuns in lib/replay.
+   * @param {object} [options] dryRun: only count what would be loaded; chunkSize: runs per load, defaults to 100.
+   * @returns {Promise<object>} replayId, runs, unreadable (paths of reports that cannot be read) and tables: the
+   * number of rows loaded into (or, with dryRun, that would be loaded into) every table and of runs it skipped.
+   */
+  async function replayRuns(runs, options) {
+    options = options || {};
+    const chunkSize = options.chunkSize || REPLAY_CHUNK_SIZE;
+    const result = {replayId: uuidv1(), runs: runs.length, unreadable: [], tables: {}};
+    Object.keys(LOAD_TABLES).forEach(table => {
+      result.tables[table] = {rows: 0, skipped: 0};
+    });
+    if (!sink.getJobIds) { console.log(`${sink.name} cannot tell which runs it has, replaying every run`); }
+
+    for (let start = 0; start < runs.length; start += chunkSize) {
+      const reports = [];
+      for (const run of runs.slice(start, start + chunkSize)) {
+        try {
+          const obj = JSON.parse(await storage.read(run.path));
+          obj.job_id = replayJobId(run, obj);
+          // The group and tags of the current config, like a run now would have
+          const [src] = config.source.filter(item => item.id === obj.id);
+          if (src) { Object.assign(obj, labelsOf(src)); }
+          reports.push(obj);
+        } catch(e) {
+          console.error(`Replay ${result.replayId}: Skipping unreadable report ${run.path}`, e);
+          result.unreadable.push(run.path);
+        }
+      }
+      const jobIds = reports.map(obj => obj.job_id);
+      for (const table of Object.keys(LOAD_TABLES)) {
+        const present = sink.getJobIds ? await sink.getJobIds(table, jobIds) : [];
+        const missing = reports.filter(obj => !present.includes(obj.job_id));
+        let rows;
+        if (table === 'reports') {
+          // Reconciling records the schema changes, which a dry run must not
+          rows = options.dryRun ? missing : await Promise.all(missing.map(async obj => (await reconcileSchema(obj)).row));
+        } else if (table === 'summary') {
+          rows = missing.map(obj => toSummaryRow(obj));
+        } else {
+          rows = [].concat(...missing.map(resourceRowsOf));
+        }
+        result.tables[table].rows += rows.length;
+        result.tables[table].skipped += reports.length - missing.length;
+        if (options.dryRun || !rows.length) { continue; }
+
+        const jobId = `replay_${result.replayId}_${start / chunkSize}_${table}`;
+        console.log(`Replay ${result.replayId}: Loading ${rows.length} row(s) of ${missing.length} run(s) into ${table} of ${sink.name} with job ID ${jobId}`);
+        await sink.load(table, rows, {
+          schema: table === 'reports' ? await reportsSchemaOf(rows) : LOAD_TABLES[table].schema,
+          jobId: jobId,
+          evolveSchema: true,
+          partitioning: LOAD_TABLES[table].partitioning
+        });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Audits a single job: runs the audits, writes the reports and the verdict to the storage and loads the median run
+   * into the reports, summary and resources tables. A failed run is logged and recorded in the failed_runs table, and
+   * the error is rethrown with the job ID of the run in err.jobId.
+   *
+   * A redelivered Pub/Sub message (same options.messageId) runs under the job ID of its first delivery, so that its
+   * loads are deduplicated by the sink, and does not run at all if its first delivery succeeded. A job with a jobId
+   * (see startJobs) runs under that job ID and its status is tracked. A job of a batch (see createBatch) stages its
+   * rows instead of loading them and reports its result to the batch. The dashboard is regenerated after the run,
+   * unless the job is part of a fan-out: the dashboard is then regenerated once the batch is loaded or, without a
+   * batch, by the scheduler (see scheduleDashboard).
+   *
+   * @param {object} src The source object in config.json.
+   * @param {object} job The (id, url, strategy) job to audit.
+   * @param {object} [options] messageId: ID of the Pub/Sub message that triggered the job, and dashboard: false to
+   * not regenerate the dashboard.
+   * @returns {Promise<*>} Promise when the loads of the reports, summary and resources tables start, or when the rows
+   * of a job of a batch have been staged.
+   */
+  async function runJob(src, job, options) {
+    options = options || {};
+    let uuid = job.jobId || uuidv1();
+    let lease;
+    const id = job.id;
+    const url = job.url;
+    const device = job.strategy;
+    try {
+      console.log(`${id}: Received message to start with URL ${url} on ${device}`);
+
+      const timeNow = new Date().getTime();
+      const eventState = await checkEventState(job, timeNow, {messageId: options.messageId, jobId: uuid});
+      if (eventState.active) {
+        // The status of a duplicate is the status of its first delivery
+        if (job.jobId && eventState.reason !== 'duplicate') {
+          await trackJob(job, 'skipped', {reason: eventState.reason});
+        }
+        // A leased job or a duplicate is a redelivery of a run that reports to the batch itself
+        if (job.batch && eventState.reason === 'throttled') {
+          await reportToBatch(job, {state: 'skipped', reason: eventState.reason});
+        }
+        switch (eventState.reason) {
+          case 'duplicate':
+            return console.log(`${id}: Message ${options.messageId} was already processed on ${device} with job ID ${eventState.jobId}, skipping...`);
+          case 'leased':
+            return console.log(`${id}: Found running event on ${device} (leased until ${new Date(eventState.leaseExpires).toISOString()}), aborting...`);
+          default:
+            return console.log(`${id}: Found active event on ${device} (${eventState.delta}s < ${Math.round(config.minTimeBetweenTriggers/1000)}s), aborting...`);
+        }
+      }
+      lease = eventState.lease;
+      uuid = lease.record.jobId;
+      if (lease.record.attempts > 1) {
+        console.log(`${id}: Message ${options.messageId} redelivered, attempt ${lease.record.attempts} with job ID ${uuid}`);
+      }
+      if (job.jobId) { await trackJob(job, 'running'); }
+
+      const reports = await runAudits(src, job);
+      const selected = selectMedian(reports, src.medianBy);
+      const json = reports[selected];
+      json.job_id = uuid;
+      Object.assign(json, labelsOf(src));
+      if (reports.length > 1) {
+        console.log(`${id}: Selected run ${selected + 1} of ${reports.length} as the median by ${src.medianBy || 'performance'}`);
+      }
+
+      await writeLogAndReportsToStorage(json, id, job.prefix);
+      if (config.dashboard) {
+        // The dashboard charts the runs from their summaries instead of reading the full reports
+        await storage.write(`${job.prefix || `${id}/${device}`}/summary_${json.analysisUTCTimestamp}.json`, JSON.stringify(toSummaryRow(json), null, " "));
+      }
+
+      if (src.runs > 1) {
+        await writeRunsToStorage(reports, selected, src, job.prefix);
+      }
+
+      if (src.budgets) {
+        try {
+          const verdict = await checkBudgets(json, src.budgets, job.prefix);
+          const payload = {id, url, strategy: device, job_id: uuid, verdict};
+          if (!verdict.passed) {
+            await sendNotifications(src, 'budgetBreached', payload);
+          } else if (verdict.recovered) {
+            await sendNotifications(src, 'scoreRecovered', payload);
+          }
+        } catch(e) {
+          console.error(`${id}: Budget check failed`, e);
+        }
+      }
+
+      const reconciled = await reconcileSchema(json);
+
+      const resources = resourceRowsOf(json);
+      let loads;
+      if (job.batch) {
+        console.log(`${id}: Staging job with ID ${uuid} in batch ${job.batch.id} for ${url} on ${device}`);
+        const rows = {reports: [reconciled.row], summary: [toSummaryRow(json)], resources: resources};
+        loads = await Promise.all(Object.keys(LOAD_TABLES)
+          .filter(table => rows[table].length)
+          .map(table => batches.stage(job.batch, table, rows[table])));
+        if (reconciled.changes.length) { await batches.stageSchema(job.batch, 'reports', reconciled.fields); }
+      } else {
+        console.log(`${id}: Loading job with ID ${uuid} into ${sink.name} for ${url} on ${device}`);
+        loads = await Promise.all([
+          sink.load('reports', [reconciled.row], {
+            schema: reconciled.fields,
+            jobId: uuid,
+            evolveSchema: true,
+            partitioning: LOAD_TABLES.reports.partitioning
+          }),
+          sink.load('summary', [toSummaryRow(json)], {
+            schema: summarySchema,
+            jobId: `${uuid}_summary`,
+            evolveSchema: true,
+            partitioning: LOAD_TABLES.summary.partitioning
+          })
+        ].concat(resources.length ? [
+          sink.load('resources', resources, {
+            schema: resourcesSchema,
+            jobId: `${uuid}_resources`,
+            evolveSchema: true,
+            partitioning: LOAD_TABLES.resources.partitioning
+          })
+        ] : []));
+      }
+      await releaseRun(job, lease, 'succeeded');
+      if (job.jobId) { await trackJob(job, 'succeeded', {summary: toSummaryRow(json)}); }
+      if (job.batch) { await reportToBatch(job, {state: 'succeeded', jobId: uuid}); }
+      if (job.fanOut && !job.batch) {
+        await markDashboardStale();
+      } else if (!job.fanOut && options.dashboard !== false) {
+        await updateDashboard();
+      }
+      return loads;
+    } catch(e) {
+      console.error(e);
+      e.jobId = uuid;
+      if (lease) {
+        await releaseRun(job, lease, 'failed', {error: e.message});
+      }
+      if (job.jobId) { await trackJob(job, 'failed', {error: e.message}); }
+      try {
+        await recordFailedRun(job, uuid, e);
+      } catch(err) {
+        console.error(`${job.id}: Recording failed run failed`, err);
+      }
+      if (job.batch) { await reportToBatch(job, {state: 'failed', jobId: uuid, error: e.message}); }
+      await sendNotifications(src, 'runFailed', {id: job.id, url: job.url, strategy: job.strategy, job_id: uuid, error: e.message});
+      throw e;
+    }
+  }
+
+  /**
+   * Audits a job and evaluates assertions on its report (see lib/assertions), for pass/fail checks in CI. The run is
+   * not written, loaded or recorded in the run state, so it does not become the baseline of later runs.
+   *
+   * @param {object} src The source object in config.json.
+   * @param {object} job The (id, url, strategy) job to audit.
+   * @param {object} [options] assertions (defaults to the assertions of the source) and baseline: a report, or
+   * `latest` for the latest report of the job in the storage.
+   * @returns {Promise<object>} id, url and strategy of the job, passed and the results, see evaluateAssertions.
+   */
+  async function assertJob(src, job, options) {
+    options = options || {};
+    const prefix = job.prefix || `${job.id}/${job.strategy}`;
+    const reports = await runAudits(src, job);
+    const json = reports[selectMedian(reports, src.medianBy)];
+
+    let baseline = options.baseline;
+    if (baseline === 'latest') {
+      baseline = await history.latestReport(storage, prefix);
+      if (!baseline) { console.log(`${job.id}: No report of ${job.url} on ${job.strategy} in ${storage.name} to compare with`); }
+    }
+    const verdict = evaluateAssertions(json, options.assertions || src.assertions || [], baseline);
+    const failed = verdict.results.filter(result => result.status === 'failed');
+    if (verdict.passed) {
+      console.log(`${job.id}: ${verdict.results.length} assertion(s) passed for ${job.url} on ${job.strategy}`);
+    } else {
+      console.log(`${job.id}: ${failed.length} of ${verdict.results.length} assertion(s) failed for ${job.url} on ${job.strategy}: ${failed.map(result => result.message).join(', ')}`);
+    }
+    return Object.assign({id: job.id, url: job.url, strategy: job.strategy}, verdict);
+  }
+
+  /**
+   * Handles a trigger message. The message is either `all`, the id of a source, `tag:<tag>` or `group:<group>` for the
+   * sources with a tag or of a group, or a JSON object with the id, url and strategy of a single job (and the jobId of
+   * a job started through the API, see startJobs), which must be a job of its source (see checkMessage in
+   * lib/sources). `all`, tags, groups and the ids of sources with more than one URL or strategy (or with discovered
+   * URLs) fan out into one message per job, or into one runJob call per job without deps.publish. With config.batch
+   * set, the jobs of a fan-out form a batch that is loaded at once (see createBatch).
+   *
+   * @param {string} message The message.
+   * @param {string} [messageId] ID of the Pub/Sub message, which makes redeliveries idempotent.
+   * @returns {Promise<*>} Promise when the message has been handled.
+   */
+  async function handleMessage(message, messageId) {
+    const source = config.source;
+    const msg = parseMessage(message);
+    const fanOut = async jobs => {
+      jobs = await createBatch(jobs);
+      // The jobs of a published fan-out do not regenerate the dashboard each, runJobs does it once
+      return deps.publish ? sendAllPubsubMsgs(jobs.map(job => Object.assign({}, job, {fanOut: true}))) : runJobs(jobs, {messageId: messageId});
+    };
+
+    if (msg === 'all' || isSelector(msg)) {
+      const selected = msg === 'all' ? source : selectSources(source, msg);
+      if (msg !== 'all' && !selected.length) { return console.error(`No sources match ${msg}`); }
+      const jobs = await Promise.all(selected.map(obj => resolveJobs(obj).catch(e => {
+        console.error(`${obj.id}: Resolving jobs failed`, e);
+        return [];
+      })));
+      return fanOut([].concat(...jobs));
+    }
+
+    // If the message is not valid
+    const structured = typeof msg === 'object' && msg !== null;
+    const src = structured ? sourceOf(msg) : source.filter(obj => obj.id === msg)[0];
+    if (!src || (structured && !(msg.url && msg.strategy))) { return console.error('No valid message found!'); }
+
+    if (structured) {
+      const invalid = checkMessage(src, msg);
+      if (invalid) { return console.error(`${src.id}: Rejected message, ${invalid}`); }
+      const job = toJob(src, msg.url, msg.strategy);
+      if (msg.jobId) { job.jobId = msg.jobId; }
+      if (msg.batch) { job.batch = msg.batch; }
+      if (msg.fanOut) { job.fanOut = true; }
+      if (src.category && src.type === 'adhoc') { job.category = src.category; }
+      return runJob(src, job, {messageId: messageId});
+    }
+    const jobs = await resolveJobs(src);
+    if (jobs.length !== 1) { return fanOut(jobs); }
+    return runJob(src, jobs[0], {messageId: messageId});
+  }
+
+  /**
+   * Runs jobs one after the other in this process. A failed job does not stop the others. The dashboard is
+   * regenerated once, after the last job.
+   *
+   * @param {array<object>} jobs The jobs.
+   * @param {object} [options] Options of runJob.
+   * @returns {Promise<{passed: array<object>, failed: array<object>}>} The jobs that succeeded and failed.
+   */
+  async function runJobs(jobs, options) {
+    const result = {passed: [], failed: []};
+    for (const job of jobs) {
+      const src = sourceOf(job);
+      try {
+        await runJob(src, job, Object.assign({}, options, {dashboard: false}));
+        result.passed.push(job);
+      } catch(e) {
+        console.error(`${job.id}: Audit of ${job.url} on ${job.strategy} failed with job ID ${e.jobId}`);
+        result.failed.push(job);
+      }
+    }
+    if (result.passed.length) { await updateDashboard(); }
+    return result;
+  }
+
+  /**
+   * Starts jobs under new job IDs and tracks their status (see trackJob). With deps.publish the jobs are published and
+   * run by other instances, unless options.wait is set; otherwise, or with options.wait, they run in this process.
+   *
+   * @param {array<object>} jobs The jobs.
+   * @param {object} [options] wait: run the jobs before returning.
+   * @returns {Promise<array<object>>} The jobs with their jobId.
+   */
+  async function startJobs(jobs, options) {
+    options = options || {};
+    jobs = jobs.map(job => Object.assign({}, job, {jobId: uuidv1()}));
+    await Promise.all(jobs.map(job => trackJob(job, 'queued')));
+    if (deps.publish && !options.wait) {
+      await sendAllPubsubMsgs(jobs);
+    } else {
+      await runJobs(jobs);
+    }
+    return jobs;
+  }
+
+  /**
+   * Starts the sources that are due according to their schedule (see lib/schedule): those with a scheduled time since
+   * the last call. Meant to be called periodically, e.g. every minute. The time of the last call is kept in
+   * schedule/state.json of the storage and written with a generation precondition, so that of two concurrent calls
+   * only one starts the due sources. With deps.publish, every due source is started with a message of its id,
+   * otherwise its jobs run in this process.
+   *
+   * @param {number} [now] Timestamp of this call.
+   * @returns {Promise<array<string>>} The ids of the sources that were started.
+   */
+  async function scheduleAudits(now) {
+    now = now || new Date().getTime();
+    const file = await storage.readVersioned(SCHEDULE_STATE);
+    const checkedAt = file ? JSON.parse(file.data).checkedAt : undefined;
+    // The first call only starts the sources scheduled for the current minute
+    const since = Math.max(checkedAt === undefined ? now - 60000 : checkedAt, now - MAX_CATCH_UP);
+    const due = dueSources(config.source, config.schedule, since, now);
+    try {
+      await storage.write(SCHEDULE_STATE, JSON.stringify({
+        checkedAt: Math.max(now, checkedAt || 0),
+        started: due.map(item => ({id: item.src.id, scheduledAt: new Date(item.scheduledAt).toISOString()}))
+      }, null, " "), {
+        contentType: 'application/json',
+        cacheControl: 'no-store',
+        ifGeneration: file ? file.generation : 0
+      });
+    } catch(e) {
+      if (e.code !== 412) { throw e; }
+      console.log(`Schedule was checked by another scheduler run, skipping`);
+      return [];
+    }
+
+    for (const item of due) {
+      const id = item.src.id;
+      console.log(`${id}: Starting run scheduled for ${new Date(item.scheduledAt).toISOString()}`);
+      try {
+        if (deps.publish) {
+          await deps.publish(Buffer.from(id));
+        } else {
+          await handleMessage(id);
+        }
+      } catch(e) {
+        // Failed jobs have already been logged and recorded
+        if (!e.jobId) { console.error(`${id}: Starting scheduled run failed`, e); }
+      }
+    }
+    return due.map(item => item.src.id);
+  }
+
+  /**
+   * Rolls up the runs of a day by group (see lib/rollup) and loads the rollups into the rollups table. The load job
+   * ID is derived from the day, so a day is loaded once.
+   *
+   * @param {string} day The day, YYYY-MM-DD in UTC.
+   * @param {object} [options] dryRun: only compute the rollups.
+   * @returns {Promise<array<object>>} The rows of the rollups table.
+   */
+  async function rollupDay(day, options) {
+    options = options || {};
+    const rollupConfig = config.rollup || {};
+    if (rollupConfig.history === 'bigquery' && !deps.bigquery) {
+      console.log(`No BigQuery client for the rollup of ${day}, reading the runs from ${storage.name}`);
+    }
+    const rows = rollupConfig.history === 'bigquery' && deps.bigquery ?
+      await rowsFromBigQuery(deps.bigquery, config.datasetId, day) :
+      await rowsFromStorage(storage, day, config.source);
+    const rollups = toRollupRows(rows, config.source, {day: day, computedAt: new Date().toISOString()});
+    console.log(`Rolled up ${rows.length} run(s) of ${day} into ${rollups.length} row(s)`);
+    if (options.dryRun || !rollups.length) { return rollups; }
+    await sink.load('rollups', rollups, {
+      schema: rollupsSchema,
+      jobId: `rollup_${day.replace(/-/g, '')}`,
+      evolveSchema: true,
+      partitioning: {field: 'day', clustering: ['source_group', 'strategy']}
+    });
+    return rollups;
+  }
+
+  /**
+   * Rolls up the previous day, if config.rollup is set and it has not been rolled up yet. The day is rolled up
+   * config.rollup delay minutes (default 60) after it ended, so that its last runs have been loaded. Meant to be
+   * called periodically, see scheduleAudits; the last day that was rolled up is kept in rollups/state.json of the
+   * storage and written with a generation precondition, so that of two concurrent calls only one rolls it up.
+   *
+   * @param {number} [now] Timestamp of this call.
+   * @returns {Promise<array<object>|null>} The rows of the rollups table, or null if there was nothing to roll up.
+   */
+  async function scheduleRollups(now) {
+    if (!config.rollup) { return null; }
+    now = now || new Date().getTime();
+    const delay = (config.rollup.delay === undefined ? 60 : config.rollup.delay) * 60000;
+    const day = new Date(now - 24 * 60 * 60 * 1000 - delay).toISOString().slice(0, 10);
+    const file = await storage.readVersioned(ROLLUP_STATE);
+    const state = file ? JSON.parse(file.data) : {};
+    if (state.day && state.day >= day) { return null; }
+    try {
+      await storage.write(ROLLUP_STATE, JSON.stringify({day: day, started: new Date(now).toISOString()}, null, " "), {
+        contentType: 'application/json',
+        cacheControl: 'no-store',
+        ifGeneration: file ? file.generation : 0
+      });
+    } catch(e) {
+      if (e.code !== 412) { throw e; }
+      console.log(`Rollup of ${day} was started by another scheduler run, skipping`);
+      return null;
+    }
+    try {
+      return await rollupDay(day);
+    } catch(e) {
+      // The next call rolls the day up again
+      await storage.write(ROLLUP_STATE, JSON.stringify(state, null, " "), {contentType: 'application/json', cacheControl: 'no-store'});
+      throw e;
+    }
+  }
+
+  /**
+   * Collects the CrUX field data of the origins and URLs of the sources (see lib/crux) and loads it into the crux
+   * table. The API key is config.crux.apiKey, or the key of Pagespeed Insights. Up to config.crux.concurrency queries
+   * run at a time, and no more are started config.crux.timeout seconds after the start.
+   *
+   * @param {object} [options] id: only collect the source with this id; dryRun: only query the CrUX API.
+   * @returns {Promise<object>} jobId of the load, the rows and the targets without data, whose query failed or that
+   * were skipped at the timeout.
+   */
+  async function collectCruxData(options) {
+    options = options || {};
+    const cruxConfig = config.crux || {};
+    const sources = options.id ? config.source.filter(src => src.id === options.id) : config.source;
+    const targets = cruxTargets(sources, cruxConfig);
+    const jobId = `crux_${uuidv1()}`;
+    console.log(`CrUX ${jobId}: Querying ${targets.length} origin(s) and URL(s) of ${sources.length} source(s)`);
+    const result = await collectCrux(targets, Object.assign({}, cruxConfig, {
+      key: cruxConfig.apiKey || config.auth,
+      job_id: jobId,
+      collected_at: new Date().toISOString(),
+      concurrency: cruxConfig.concurrency || DEFAULT_CRUX_CONCURRENCY,
+      deadline: new Date().getTime() + (cruxConfig.timeout || DEFAULT_CRUX_TIMEOUT) * 1000
+    }), {http: deps.http});
+    console.log(`CrUX ${jobId}: Collected ${result.rows.length} row(s), ${result.missing.length} without data and ${result.failed.length} failed`);
+    if (result.skipped.length) {
+      console.error(`CrUX ${jobId}: Skipped ${result.skipped.length} origin(s) and URL(s) after ${cruxConfig.timeout || DEFAULT_CRUX_TIMEOUT}s, raise crux.concurrency or crux.timeout`);
+    }
+    if (!options.dryRun && result.rows.length) {
+      await sink.load('crux', result.rows, {
+        schema: cruxSchema,
+        jobId: jobId,
+        evolveSchema: true,
+        partitioning: {field: 'collected_at', clustering: ['id', 'strategy']}
+      });
+    }
+    return Object.assign({jobId: jobId}, result);
+  }
+
+  /**
+   * Collects the CrUX field data when it is due on config.crux.schedule (see lib/schedule), daily by default, if
+   * config.crux is set. Meant to be called periodically, see scheduleAudits; the time of the last call is kept in
+   * crux/state.json of the storage and written with a generation precondition, so that of two concurrent calls only
+   * one collects. A collection that fails is due again on the next call.
+   *
+   * @param {number} [now] Timestamp of this call.
+   * @returns {Promise<object|null>} The result of collectCruxData, or null if it was not due.
+   */
+  async function scheduleCrux(now) {
+    if (!config.crux) { return null; }
+    now = now || new Date().getTime();
+    const file = await storage.readVersioned(CRUX_STATE);
+    const state = file ? JSON.parse(file.data) : {};
+    const since = Math.max(state.checkedAt === undefined ? now - 60000 : state.checkedAt, now - MAX_CATCH_UP);
+    const [due] = dueSources([{id: 'crux', schedule: config.crux.schedule || DEFAULT_CRUX_SCHEDULE}], null, since, now);
+    try {
+      await storage.write(CRUX_STATE, JSON.stringify({
+        checkedAt: Math.max(now, state.checkedAt || 0),
+        collectedAt: due ? new Date(due.scheduledAt).toISOString() : state.collectedAt
+      }, null, " "), {
+        contentType: 'application/json',
+        cacheControl: 'no-store',
+        ifGeneration: file ? file.generation : 0
+      });
+    } catch(e) {
+      if (e.code !== 412) { throw e; }
+      console.log(`CrUX schedule was checked by another scheduler run, skipping`);
+      return null;
+    }
+    if (!due) { return null; }
+    console.log(`Starting CrUX collection scheduled for ${new Date(due.scheduledAt).toISOString()}`);
+    try {
+      return await collectCruxData();
+    } catch(e) {
+      // The scheduled time is after the last check again, so the next call collects
+      await storage.write(CRUX_STATE, JSON.stringify({checkedAt: due.scheduledAt - 1, collectedAt: state.collectedAt}, null, " "), {
+        contentType: 'application/json',
+        cacheControl: 'no-store'
+      });
+      throw e;
+    }
+  }
+
+  return {
+    getPagespeedInsightsReport,
+    getLighthouseReport,
+    runAudits,
+    sendAllPubsubMsgs,
+    writeRunsToStorage,
+    resolveJobs,
+    writeLogAndReportsToStorage,
+    checkBudgets,
+    sendNotifications,
+    recordFailedRun,
+    reconcileSchema,
+    checkEventState,
+    runJob,
+    runJobs,
+    assertJob,
+    writeDashboard,
+    finalizeBatch,
+    finalizeBatches,
+    replayRuns,
+    rollupDay,
+    scheduleRollups,
+    scheduleDashboard,
+    collectCruxData,
+    scheduleCrux,
+    handleMessage,
+    sourceOf,
+    getJob,
+    startJobs,
+    scheduleAudits
+  };
+}
+
+module.exports = {
+  createPipeline
+};
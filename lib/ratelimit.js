@@ -0,0 +1,152 @@
+/**
+ * Requests-per-minute limiter for the Pagespeed Insights API. The timestamps of recent requests live in a store, so
+ * that every function instance of a project can share one window through GCS. The window is split into shards, one
+ * file each, as GCS only sustains about one write per second to the same object.
+ */
+const {sleep, isRetryable} = require(`./retry`);
+const {preconditionFailed} = require(`./storage`);
+
+const WINDOW = 60000;
+
+// Requests per minute of a shard, well below the rate of writes that GCS sustains to one object
+const SHARD_REQUESTS = 30;
+
+// Milliseconds that acquire waits for a slot before it gives up
+const DEFAULT_ACQUIRE_TIMEOUT = 5 * 60000;
+
+// Maximum milliseconds to wait after the store failed with a transient error
+const STORE_RETRY_DELAY = 1000;
+
+/**
+ * Store that keeps the window in memory, for a single process.
+ *
+ * @returns {object} The store.
+ */
+function memoryStore() {
+  const shards = {};
+  const stateOf = shard => shards[shard] || {timestamps: [], generation: 0};
+  return {
+    read: async (shard) => stateOf(shard),
+    write: async (shard, timestamps, generation) => {
+      if (generation !== stateOf(shard).generation) { throw preconditionFailed(); }
+      shards[shard] = {timestamps: timestamps, generation: generation + 1};
+    }
+  };
+}
+
+/**
+ * Store that keeps every shard of the window in a file of a storage backend (see lib/storage),
+ * `${prefix}_${shard}.json`. Writes use a generation precondition, so that concurrent instances cannot overwrite
+ * each other's requests.
+ *
+ * @param {object} storage Storage backend.
+ * @param {string} prefix Path of the files, without the shard and extension.
+ * @returns {object} The store.
+ */
+function storageStore(storage, prefix) {
+  const pathOf = shard => `${prefix}_${shard}.json`;
+  return {
+    read: async (shard) => {
+      const file = await storage.readVersioned(pathOf(shard));
+      if (!file) { return {timestamps: [], generation: 0}; }
+      return {timestamps: JSON.parse(file.data).timestamps || [], generation: file.generation};
+    },
+    write: async (shard, timestamps, generation) => {
+      await storage.write(pathOf(shard), JSON.stringify({timestamps: timestamps}), {
+        contentType: 'application/json',
+        cacheControl: 'no-store',
+        ifGeneration: generation
+      });
+    }
+  };
+}
+
+/**
+ * Returns the requests per minute of every shard of a limit, which add up to the limit.
+ *
+ * @param {number} requestsPerMinute Maximum number of requests per minute.
+ * @returns {array<number>} The requests per minute by shard.
+ */
+function shardLimits(requestsPerMinute) {
+  const count = Math.max(1, Math.ceil(requestsPerMinute / SHARD_REQUESTS));
+  const limits = [];
+  for (let shard = 0; shard < count; shard++) {
+    limits.push(Math.floor(requestsPerMinute / count) + (shard < requestsPerMinute % count ? 1 : 0));
+  }
+  return limits;
+}
+
+/**
+ * Creates the error of a limiter. Its code is none that lib/retry retries, so that the failure of the limiter is not
+ * taken for one of the Pagespeed Insights API.
+ *
+ * @param {string} message The message.
+ * @param {string} code RATE_LIMIT_TIMEOUT or RATE_LIMIT_STORE.
+ * @returns {Error} The error.
+ */
+function limiterError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Creates a limiter that allows at most requestsPerMinute calls to acquire in any 60 second window. A call takes a
+ * slot of the first shard that has one, starting at a random shard, and waits for a slot to free up if none has.
+ *
+ * @param {number} requestsPerMinute Maximum number of requests per minute.
+ * @param {object} [store] Store of the window, defaults to memoryStore().
+ * @param {object} [deps] now, sleep and random functions, for testing, and timeout: milliseconds after which acquire
+ * fails with code RATE_LIMIT_TIMEOUT, defaults to five minutes.
+ * @returns {{acquire: function(): Promise<void>}} The limiter.
+ */
+function createRateLimiter(requestsPerMinute, store, deps) {
+  store = store || memoryStore();
+  deps = Object.assign({now: () => new Date().getTime(), sleep: sleep, random: Math.random}, deps);
+  const timeout = deps.timeout || DEFAULT_ACQUIRE_TIMEOUT;
+  const limits = shardLimits(requestsPerMinute);
+  return {
+    acquire: async () => {
+      const deadline = deps.now() + timeout;
+      const first = Math.floor(deps.random() * limits.length);
+      for (;;) {
+        let wait = Infinity;
+        for (let i = 0; i < limits.length; i++) {
+          const shard = (first + i) % limits.length;
+          try {
+            const state = await store.read(shard);
+            const now = deps.now();
+            const recent = state.timestamps.filter(time => time > now - WINDOW);
+            if (recent.length >= limits[shard]) {
+              // The oldest request of the shard leaves the window
+              wait = Math.min(wait, Math.min(...recent) + WINDOW - now);
+              continue;
+            }
+            await store.write(shard, recent.concat(now), state.generation);
+            return;
+          } catch(e) {
+            // Another instance took a slot of the shard in the meantime, read it again
+            if (e.code === 412) {
+              wait = 0;
+            } else if (isRetryable(e)) {
+              wait = Math.min(wait, Math.round(deps.random() * STORE_RETRY_DELAY));
+            } else {
+              throw limiterError(`Rate limit store failed: ${e.message}`, 'RATE_LIMIT_STORE');
+            }
+          }
+        }
+        if (deps.now() + wait > deadline) {
+          throw limiterError(`No Pagespeed Insights request slot of ${requestsPerMinute} per minute within ${timeout}ms`, 'RATE_LIMIT_TIMEOUT');
+        }
+        if (wait > 0) { await deps.sleep(wait); }
+      }
+    }
+  };
+}
+
+module.exports = {
+  memoryStore,
+  storageStore,
+  shardLimits,
+  createRateLimiter
+};
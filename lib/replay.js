@@ -0,0 +1,53 @@
+/**
+ * Replay of the reports archived in the storage (`log_<timestamp>.json` of every run, see writeLogAndReportsToStorage)
+ * into the tables, e.g. after failed loads or when a derived table is added. The runs are found by id, strategy and
+ * date range, see replayRuns in lib/pipeline for the transformation and the loads.
+ */
+const {ADHOC_ID} = require(`./sources`);
+
+/**
+ * Lists the runs archived in the storage.
+ *
+ * @param {object} storage Storage backend, see lib/storage.
+ * @param {object} [options] id and strategy of the runs, and from and to: the first and last day (or any prefix of an
+ * ISO timestamp) of their analysisUTCTimestamp, both included.
+ * @returns {Promise<array<object>>} path, prefix, id, strategy and timestamp of the runs, oldest first.
+ */
+async function listArchivedRuns(storage, options) {
+  options = options || {};
+  const runs = (await storage.list(options.id ? `${options.id}/` : ''))
+    .filter(name => /\/log_[^/]*\.json$/.test(name))
+    .map(name => {
+      const prefix = name.slice(0, name.lastIndexOf('/'));
+      const segments = prefix.split('/');
+      return {
+        path: name,
+        prefix: prefix,
+        id: segments[0],
+        strategy: segments[segments.length - 1],
+        timestamp: name.slice(name.lastIndexOf('/log_') + '/log_'.length, -'.json'.length)
+      };
+    })
+    .filter(run => options.id ? run.id === options.id : run.id !== ADHOC_ID)
+    .filter(run => !options.strategy || run.strategy === options.strategy)
+    .filter(run => !options.from || run.timestamp >= options.from)
+    .filter(run => !options.to || run.timestamp.slice(0, options.to.length) <= options.to);
+  return runs.sort((a, b) => a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0);
+}
+
+/**
+ * Returns the job ID of an archived run. Reports archived before job IDs were written into them get an ID derived
+ * from their path, so that replaying them again finds them loaded.
+ *
+ * @param {object} run The run, see listArchivedRuns.
+ * @param {object} obj The report.
+ * @returns {string} The job ID.
+ */
+function replayJobId(run, obj) {
+  return obj.job_id || `archived_${run.prefix.replace(/[^A-Za-z0-9_-]/g, '_')}_${run.timestamp.replace(/[^0-9]/g, '')}`;
+}
+
+module.exports = {
+  listArchivedRuns,
+  replayJobId
+};
@@ -0,0 +1,162 @@
+/**
+ * Flattening of the resources listed in the audit details of a Pagespeed Insights report into rows of the resources
+ * table (see resources-schema.json): one row per resource URL of a run, with what the audits say about it, so that a
+ * script or a third party can be followed across runs and sites.
+ */
+const {URL} = require(`url`);
+
+// Audits whose items are resources, earlier audits take precedence for the sizes and times of a resource
+const DEFAULT_AUDITS = [
+  `network-requests`,
+  `bootup-time`,
+  `third-party-summary`,
+  `render-blocking-resources`,
+  `unused-javascript`,
+  `unused-css-rules`,
+  `unminified-javascript`,
+  `unminified-css`,
+  `legacy-javascript`,
+  `uses-optimized-images`,
+  `modern-image-formats`,
+  `uses-webp-images`,
+  `uses-responsive-images`,
+  `offscreen-images`,
+  `efficient-animated-content`,
+  `uses-text-compression`,
+  `total-byte-weight`
+];
+
+/**
+ * Returns the name of an entity, which Lighthouse gives as a link (up to v9) or as a string.
+ *
+ * @param {object|string} [entity] The entity.
+ * @returns {string|null} The name.
+ */
+function entityName(entity) {
+  if (typeof entity === 'string') { return entity; }
+  return (entity && typeof entity.text === 'string') ? entity.text : null;
+}
+
+/**
+ * Returns the items of an audit as resources. The items of third-party-summary are entities, their resources are in
+ * their subItems.
+ *
+ * @param {object} audit The audit.
+ * @returns {array<object>} The items, with the name of their entity.
+ */
+function resourceItems(audit) {
+  const items = (audit.details && Array.isArray(audit.details.items)) ? audit.details.items : [];
+  if (audit.id !== `third-party-summary`) { return items; }
+  return [].concat(...items.map(item => {
+    const entity = entityName(item.entity);
+    const subItems = (item.subItems && Array.isArray(item.subItems.items)) ? item.subItems.items : [];
+    return subItems.map(subItem => Object.assign({}, subItem, {entity: entity}));
+  }));
+}
+
+/**
+ * Returns the first party flag and entity of the origins of a report, from the entities of Lighthouse 10 and later.
+ *
+ * @param {object} lhr The Lighthouse result.
+ * @returns {object} Entities by origin: name and firstParty.
+ */
+function entitiesByOrigin(lhr) {
+  const origins = {};
+  (Array.isArray(lhr.entities) ? lhr.entities : []).forEach(entity => {
+    (entity.origins || []).forEach(origin => {
+      origins[origin] = {name: entity.name, firstParty: typeof entity.isFirstParty === 'boolean' ? entity.isFirstParty : null};
+    });
+  });
+  return origins;
+}
+
+/**
+ * Returns a number, rounded to an integer for byte counts.
+ *
+ * @param {*} value The value.
+ * @param {boolean} [integer] Whether to round the value.
+ * @returns {number|null} The number, or null if the value is not one.
+ */
+function numberOf(value, integer) {
+  if (typeof value !== 'number' || isNaN(value)) { return null; }
+  return integer ? Math.round(value) : value;
+}
+
+/**
+ * Flattens the resources of a Pagespeed Insights report into rows of the resources table.
+ *
+ * @param {object} obj The Pagespeed Insight report object.
+ * @param {array<string>} [audits] The audits to read resources from, defaults to DEFAULT_AUDITS.
+ * @returns {array<object>} The rows, in the order the resources are first listed.
+ */
+function toResourceRows(obj, audits) {
+  const lhr = obj.lighthouseResult || {};
+  const origins = entitiesByOrigin(lhr);
+  const rows = {};
+  const urls = [];
+
+  (audits || DEFAULT_AUDITS).forEach(id => {
+    const audit = (lhr.audits || {})[id];
+    if (!audit) { return; }
+    resourceItems(Object.assign({id: id}, audit)).forEach(item => {
+      const url = typeof item.url === 'string' ? item.url : null;
+      // bootup-time lists "Other" and some audits data: URLs, which are not resources of their own
+      if (!url || !/^https?:\/\//.test(url)) { return; }
+      let row = rows[url];
+      if (!row) {
+        const parsed = new URL(url);
+        const entity = origins[parsed.origin] || {};
+        row = rows[url] = {
+          job_id: obj.job_id || null,
+          id: obj.id,
+          url: obj.url,
+          strategy: obj.emulatedFormFactor,
+          timestamp: obj.analysisUTCTimestamp,
+          source_group: obj.source_group || null,
+          source_tags: obj.source_tags || [],
+          resource_url: url,
+          domain: parsed.hostname,
+          entity: entity.name || null,
+          first_party: entity.firstParty === undefined ? null : entity.firstParty,
+          resource_type: null,
+          transfer_size: null,
+          resource_size: null,
+          main_thread_time: null,
+          blocking_time: null,
+          wasted_bytes: null,
+          wasted_ms: null,
+          audits: []
+        };
+        urls.push(url);
+      }
+      const fill = (column, value) => {
+        if (row[column] === null && value !== null && value !== undefined) { row[column] = value; }
+      };
+      fill('entity', entityName(item.entity));
+      fill('resource_type', typeof item.resourceType === 'string' ? item.resourceType : null);
+      fill('transfer_size', numberOf(item.transferSize, true));
+      fill('transfer_size', numberOf(item.totalBytes, true));
+      fill('resource_size', numberOf(item.resourceSize, true));
+      // The CPU time of bootup-time, the main thread time of third-party-summary
+      fill('main_thread_time', numberOf(item.total));
+      fill('main_thread_time', numberOf(item.mainThreadTime));
+      fill('blocking_time', numberOf(item.blockingTime));
+
+      const wastedBytes = numberOf(item.wastedBytes, true);
+      const wastedMs = numberOf(item.wastedMs);
+      if (!row.audits.some(entry => entry.id === id)) {
+        row.audits.push({id: id, wasted_bytes: wastedBytes, wasted_ms: wastedMs});
+      }
+      // Savings of different audits overlap (e.g. unused and unminified JavaScript), so the largest one is kept
+      if (wastedBytes !== null) { row.wasted_bytes = Math.max(row.wasted_bytes || 0, wastedBytes); }
+      if (wastedMs !== null) { row.wasted_ms = Math.max(row.wasted_ms || 0, wastedMs); }
+    });
+  });
+  return urls.map(url => rows[url]);
+}
+
+module.exports = {
+  DEFAULT_AUDITS,
+  entityName,
+  toResourceRows
+};
@@ -0,0 +1,104 @@
+/**
+ * Retry with exponential backoff and jitter for calls to the Pagespeed Insights API.
+ */
+
+const DEFAULT_RETRY = {
+  retries: 3,
+  baseDelay: 1000,
+  maxDelay: 30000
+};
+
+// HTTP statuses worth another attempt: rate limited, or a transient server side failure
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Network errors worth another attempt
+const RETRYABLE_CODES = [`ETIMEDOUT`, `ESOCKETTIMEDOUT`, `ECONNRESET`, `ECONNREFUSED`, `EAI_AGAIN`, `EPIPE`];
+
+/**
+ * Returns the HTTP status or the network error code of an error.
+ *
+ * @param {Error} err The error.
+ * @returns {number|string|null} The status or code, or null if the error has neither.
+ */
+function errorCode(err) {
+  if (!err) { return null; }
+  if (err.response && err.response.status) { return err.response.status; }
+  if (err.code !== undefined && err.code !== null) {
+    return /^\d+$/.test(String(err.code)) ? Number(err.code) : err.code;
+  }
+  return null;
+}
+
+/**
+ * Classifies an error as retryable (rate limits, server errors and timeouts) or fatal (everything else, e.g. an
+ * invalid URL or API key).
+ *
+ * @param {Error} err The error.
+ * @returns {boolean} True if the call should be retried.
+ */
+function isRetryable(err) {
+  const code = errorCode(err);
+  return RETRYABLE_STATUSES.includes(code) || RETRYABLE_CODES.includes(code);
+}
+
+/**
+ * Returns the delay before the next attempt: a random value up to the exponentially growing cap ("full jitter").
+ *
+ * @param {number} attempt Number of attempts made so far, starting at 1.
+ * @param {object} options Retry options: baseDelay and maxDelay in milliseconds.
+ * @param {function} [random] Random number generator, for testing.
+ * @returns {number} Delay in milliseconds.
+ */
+function backoff(attempt, options, random) {
+  random = random || Math.random;
+  const cap = Math.min(options.maxDelay, options.baseDelay * Math.pow(2, attempt - 1));
+  return Math.round(random() * cap);
+}
+
+/**
+ * Resolves after the given time.
+ *
+ * @param {number} ms Time to wait in milliseconds.
+ * @returns {Promise<void>} Resolved promise when the time has passed.
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Calls fn until it succeeds, it fails with a fatal error or the retries run out. The error that is finally thrown
+ * has the number of attempts made in err.attempts and its classification in err.retryable.
+ *
+ * @param {function} fn Async function to call.
+ * @param {object} [options] Retry options: retries, baseDelay and maxDelay.
+ * @param {object} [deps] onRetry callback, sleep and random functions, for logging and testing.
+ * @returns {Promise<*>} The result of fn.
+ */
+async function withRetry(fn, options, deps) {
+  options = Object.assign({}, DEFAULT_RETRY, options);
+  deps = Object.assign({sleep: sleep, random: Math.random, onRetry: () => {}}, deps);
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch(e) {
+      const retryable = isRetryable(e);
+      if (!retryable || attempt > options.retries) {
+        e.attempts = attempt;
+        e.retryable = retryable;
+        throw e;
+      }
+      const delay = backoff(attempt, options, deps.random);
+      deps.onRetry(e, attempt, delay);
+      await deps.sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  errorCode,
+  isRetryable,
+  backoff,
+  sleep,
+  withRetry
+};
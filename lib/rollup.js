@@ -0,0 +1,153 @@
+/**
+ * Portfolio rollups: aggregate scores and metrics per day and strategy of every group of sources (see group and weight
+ * of the sources in config.json), and of the whole portfolio, into rows of the rollups table (see
+ * rollups-schema.json). A source counts with the average of its runs of the day, over all its URLs, so that a source
+ * with many URLs does not outweigh the others, and the sources of a group are averaged by their weight.
+ */
+const {ADHOC_ID, isDiscovered, expandSource} = require(`./sources`);
+const {toSummaryRow} = require(`./summary`);
+
+// Columns of the summary table that are rolled up
+const ROLLUP_COLUMNS = [
+  'score_performance',
+  'score_accessibility',
+  'score_best_practices',
+  'score_seo',
+  'score_pwa',
+  'fcp',
+  'lcp',
+  'tbt',
+  'cls'
+];
+
+/**
+ * Returns the mean of the numbers of a list.
+ *
+ * @param {array<*>} values The values, those that are not numbers are ignored.
+ * @returns {number|null} The mean, or null without numbers.
+ */
+function mean(values) {
+  const numbers = values.filter(value => typeof value === 'number' && !isNaN(value));
+  return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+}
+
+/**
+ * Returns the weight of a source, 1 by default.
+ *
+ * @param {object} [src] The source object in config.json.
+ * @returns {number} The weight.
+ */
+function weightOf(src) {
+  return src && typeof src.weight === 'number' ? src.weight : 1;
+}
+
+/**
+ * Rolls summary rows up by group and strategy. Every group is rolled up on its own, and every source is also part of
+ * the portfolio rollup, whose source_group is null. The group and weight of a source are those of the current config,
+ * sources that are no longer in it only count for the portfolio, with a weight of 1. Ad-hoc audits are left out.
+ *
+ * @param {array<object>} rows Summary rows of a day, see toSummaryRow in lib/summary: id, strategy and the columns of
+ * ROLLUP_COLUMNS.
+ * @param {array<object>} sources The sources of config.json.
+ * @param {object} options day (YYYY-MM-DD) of the rows and computedAt (ISO timestamp).
+ * @returns {array<object>} The rows of the rollups table, the portfolio first and then by group and strategy.
+ */
+function toRollupRows(rows, sources, options) {
+  const byId = {};
+  sources.forEach(src => {
+    byId[src.id] = src;
+  });
+  const scopes = {};
+  rows.filter(row => row.id !== ADHOC_ID).forEach(row => {
+    const src = byId[row.id];
+    [null].concat(src && src.group ? [src.group] : []).forEach(group => {
+      const key = JSON.stringify([group, row.strategy]);
+      const scope = scopes[key] = scopes[key] || {group: group, strategy: row.strategy, runs: {}};
+      scope.runs[row.id] = (scope.runs[row.id] || []).concat(row);
+    });
+  });
+
+  const order = scope => [scope.group === null ? 0 : 1, scope.group || '', scope.strategy];
+  const compare = (a, b) => {
+    const [x, y] = [order(a), order(b)];
+    for (let i = 0; i < x.length; i++) {
+      if (x[i] !== y[i]) { return x[i] < y[i] ? -1 : 1; }
+    }
+    return 0;
+  };
+  return Object.keys(scopes).map(key => scopes[key]).sort(compare).map(scope => {
+    const ids = Object.keys(scope.runs).sort();
+    const row = {
+      day: options.day,
+      source_group: scope.group,
+      strategy: scope.strategy,
+      sources: ids.length,
+      runs: ids.reduce((sum, id) => sum + scope.runs[id].length, 0),
+      weight: ids.reduce((sum, id) => sum + weightOf(byId[id]), 0)
+    };
+    ROLLUP_COLUMNS.forEach(column => {
+      let total = 0;
+      let weights = 0;
+      ids.forEach(id => {
+        const value = mean(scope.runs[id].map(run => run[column]));
+        if (value === null) { return; }
+        total += value * weightOf(byId[id]);
+        weights += weightOf(byId[id]);
+      });
+      row[column] = weights ? Math.round(total / weights * 10000) / 10000 : null;
+    });
+    row.computed_at = options.computedAt;
+    return row;
+  });
+}
+
+/**
+ * Reads the summary rows of the runs of a day of the sources from the reports in the storage. Only the logs of the day
+ * of every job of the sources are listed, and every log of the sources with discovered URLs, which are not in the
+ * config.
+ *
+ * @param {object} storage Storage backend, see lib/storage.
+ * @param {string} day The day, YYYY-MM-DD in UTC.
+ * @param {array<object>} sources The sources of config.json.
+ * @returns {Promise<array<object>>} The summary rows.
+ */
+async function rowsFromStorage(storage, day, sources) {
+  const names = [];
+  for (const src of sources.filter(src => src.id !== ADHOC_ID)) {
+    if (isDiscovered(src)) {
+      names.push(...(await storage.list(`${src.id}/`)).filter(name => /\/log_[^/]*\.json$/.test(name) && name.includes(`/log_${day}`)));
+      continue;
+    }
+    for (const job of expandSource(src)) {
+      names.push(...await storage.list(`${job.prefix}/log_${day}`));
+    }
+  }
+  const rows = [];
+  for (const name of names) {
+    rows.push(toSummaryRow(JSON.parse(await storage.read(name))));
+  }
+  return rows;
+}
+
+/**
+ * Reads the summary rows of the runs of a day from the summary table.
+ *
+ * @param {object} bigquery BigQuery client.
+ * @param {string} datasetId BigQuery dataset ID.
+ * @param {string} day The day, YYYY-MM-DD in UTC.
+ * @returns {Promise<array<object>>} The summary rows, with id, strategy and the columns of ROLLUP_COLUMNS.
+ */
+async function rowsFromBigQuery(bigquery, datasetId, day) {
+  const query = `SELECT id, strategy, ${ROLLUP_COLUMNS.join(', ')}
+    FROM \`${datasetId}.summary\`
+    WHERE DATE(timestamp) = DATE(@day)`;
+  const [rows] = await bigquery.query({query, params: {day}});
+  return rows;
+}
+
+module.exports = {
+  ROLLUP_COLUMNS,
+  toRollupRows,
+  rowsFromStorage,
+  rowsFromBigQuery
+};
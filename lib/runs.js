@@ -0,0 +1,94 @@
+/**
+ * Selection of the median run when a source is audited several times per trigger, and the spread of the runs.
+ */
+const {extractScores, METRICS} = require(`./budgets`);
+
+const DEFAULT_MEDIAN_BY = `performance`;
+
+/**
+ * Returns the value a run is ranked by: a budget metric (lcp, tbt, ...) or a category score.
+ *
+ * @param {object} scores Scores of the run as returned by extractScores.
+ * @param {string} medianBy Budget metric key or category id.
+ * @returns {number|undefined} The value, if the run has it.
+ */
+function rankValue(scores, medianBy) {
+  return medianBy in METRICS ? scores.metrics[medianBy] : scores.categories[medianBy];
+}
+
+/**
+ * Picks the median run. With an even number of runs the lower of the two middle runs is picked, runs without the
+ * ranking value are ignored.
+ *
+ * @param {array<object>} reports The Pagespeed Insight report objects.
+ * @param {string} [medianBy] Budget metric key or category id to rank by, defaults to performance.
+ * @returns {number} Index of the median run in reports.
+ */
+function selectMedian(reports, medianBy) {
+  medianBy = medianBy || DEFAULT_MEDIAN_BY;
+  const ranked = reports
+    .map((report, index) => ({index: index, value: rankValue(extractScores(report), medianBy)}))
+    .filter(run => typeof run.value === 'number')
+    .sort((a, b) => a.value - b.value);
+  if (!ranked.length) { return 0; }
+  return ranked[Math.floor((ranked.length - 1) / 2)].index;
+}
+
+/**
+ * Returns the min, max, mean and standard deviation of a list of numbers.
+ *
+ * @param {array<number>} values The numbers.
+ * @returns {{min: number, max: number, mean: number, stddev: number}} The spread.
+ */
+function spread(values) {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    mean: mean,
+    stddev: Math.sqrt(variance)
+  };
+}
+
+/**
+ * Builds the summary record of a set of runs: which run was selected and the spread of every category score and
+ * budget metric across the runs.
+ *
+ * @param {array<object>} reports The Pagespeed Insight report objects.
+ * @param {number} selected Index of the selected run.
+ * @param {string} [medianBy] Budget metric key or category id the runs were ranked by.
+ * @returns {object} The summary record.
+ */
+function summarizeRuns(reports, selected, medianBy) {
+  const scores = reports.map(extractScores);
+  const result = {categories: {}, metrics: {}};
+  ['categories', 'metrics'].forEach(type => {
+    const keys = new Set();
+    scores.forEach(run => Object.keys(run[type]).forEach(key => keys.add(key)));
+    keys.forEach(key => {
+      const values = scores.map(run => run[type][key]).filter(value => typeof value === 'number');
+      result[type][key] = spread(values);
+    });
+  });
+  return {
+    id: reports[selected].id,
+    url: reports[selected].url,
+    strategy: reports[selected].emulatedFormFactor,
+    runs: reports.length,
+    medianBy: medianBy || DEFAULT_MEDIAN_BY,
+    selected: {
+      index: selected,
+      analysisUTCTimestamp: reports[selected].analysisUTCTimestamp
+    },
+    spread: result,
+    values: reports.map((report, index) => Object.assign({analysisUTCTimestamp: report.analysisUTCTimestamp}, scores[index]))
+  };
+}
+
+module.exports = {
+  DEFAULT_MEDIAN_BY,
+  selectMedian,
+  spread,
+  summarizeRuns
+};
@@ -0,0 +1,159 @@
+/**
+ * Run state of a job, kept in `${prefix}/state.json` of the storage. A run holds a lease on the job while it runs:
+ * the state file is only ever written with a generation precondition, so of two instances that try to start the same
+ * job at the same time exactly one wins. The record also remembers the Pub/Sub message the run was started by, so that
+ * a redelivered message does not run (and load) the job twice.
+ */
+
+// Cloud Functions time out after 540 seconds at most, a lease never has to outlive its function
+const DEFAULT_LEASE_TIMEOUT = 540000;
+
+const STATES = ['queued', 'running', 'succeeded', 'failed'];
+
+/**
+ * Parses a state file. The state files of earlier versions map the source id to {created}.
+ *
+ * @param {object} file The file, see readVersioned in lib/storage.
+ * @param {string} id ID of the source.
+ * @returns {object} The run state record.
+ */
+function parseRecord(file, id) {
+  let record;
+  try {
+    record = JSON.parse(file.data) || {};
+  } catch(e) {
+    console.error(`${id}: Ignoring unreadable state file`, e);
+    return {};
+  }
+  if (!record.state && record[id]) {
+    return {created: record[id].created};
+  }
+  return record;
+}
+
+/**
+ * Creates the run state of a storage backend.
+ *
+ * @param {object} storage Storage backend, see lib/storage.
+ * @param {object} [options] leaseTimeout: how long a run holds its lease in milliseconds; minTimeBetweenTriggers:
+ * milliseconds after the start of a run in which the job is not started again.
+ * @returns {object} The run state: acquire, release and enqueue.
+ */
+function createRunState(storage, options) {
+  options = options || {};
+  const leaseTimeout = options.leaseTimeout || DEFAULT_LEASE_TIMEOUT;
+
+  const read = async (prefix, id) => {
+    const file = await storage.readVersioned(`${prefix}/state.json`);
+    if (!file) { return {record: null, generation: 0}; }
+    return {record: parseRecord(file, id), generation: file.generation};
+  };
+
+  // Resolves with the generation of the written state file, or null if it is no longer at the given generation
+  const write = async (prefix, record, generation) => {
+    try {
+      const file = await storage.write(`${prefix}/state.json`, JSON.stringify(record, null, " "), {
+        contentType: 'application/json',
+        cacheControl: 'no-store',
+        ifGeneration: generation
+      });
+      return file.generation;
+    } catch(e) {
+      if (e.code !== 412) { throw e; }
+      return null;
+    }
+  };
+
+  return {
+    /**
+     * Takes the lease of a job. Fails if the message was already processed, if another run holds a live lease, or if
+     * the last run started less than minTimeBetweenTriggers ago (unless it is a redelivery of the same message).
+     *
+     * @param {string} prefix Path prefix of the job in the storage.
+     * @param {object} job id, url and strategy of the job.
+     * @param {object} run now (timestamp), messageId (Pub/Sub message ID, if any) and jobId of the run.
+     * @returns {Promise<object>} {acquired: true, lease} or {acquired: false, reason, record}, reason being duplicate,
+     * leased or throttled (with the delta in milliseconds since the last run started).
+     */
+    acquire: async (prefix, job, run) => {
+      const current = await read(prefix, job.id);
+      const record = current.record || {};
+      const redelivered = !!run.messageId && record.messageId === run.messageId;
+
+      if (redelivered && record.state === 'succeeded') {
+        return {acquired: false, reason: 'duplicate', record: record};
+      }
+      if (record.state === 'running' && record.leaseExpires > run.now) {
+        return {acquired: false, reason: 'leased', record: record};
+      }
+      const delta = record.created ? run.now - record.created : null;
+      if (!redelivered && delta !== null && delta < (options.minTimeBetweenTriggers || 0)) {
+        return {acquired: false, reason: 'throttled', delta: delta, record: record};
+      }
+
+      const next = {
+        id: job.id,
+        url: job.url,
+        strategy: job.strategy,
+        state: 'running',
+        messageId: run.messageId || null,
+        // A redelivered message runs under the job ID of its first delivery, so that its loads are deduplicated
+        jobId: redelivered && record.jobId ? record.jobId : run.jobId,
+        attempts: redelivered ? (record.attempts || 0) + 1 : 1,
+        created: run.now,
+        updated: run.now,
+        leaseExpires: run.now + leaseTimeout
+      };
+      const generation = await write(prefix, next, current.generation);
+      if (generation === null) {
+        // Another instance wrote the state file since it was read
+        return {acquired: false, reason: 'leased', record: (await read(prefix, job.id)).record || {}};
+      }
+      return {acquired: true, lease: {prefix: prefix, record: next, generation: generation}};
+    },
+
+    /**
+     * Ends the lease of a run with its final state.
+     *
+     * @param {object} lease The lease, see acquire.
+     * @param {string} state succeeded or failed.
+     * @param {object} [fields] Additional fields of the record, e.g. the error.
+     * @param {number} [now] Timestamp.
+     * @returns {Promise<boolean>} false if the lease expired and another run took the job over in the meantime.
+     */
+    release: async (lease, state, fields, now) => {
+      if (!STATES.includes(state)) { throw new Error(`Unknown run state ${state}`); }
+      now = now || new Date().getTime();
+      const record = Object.assign({}, lease.record, fields, {state: state, updated: now, leaseExpires: null});
+      return await write(lease.prefix, record, lease.generation) !== null;
+    },
+
+    /**
+     * Marks a job as queued, when its message has been published. Jobs that are running keep their state.
+     *
+     * @param {string} prefix Path prefix of the job in the storage.
+     * @param {object} job id, url and strategy of the job.
+     * @param {number} [now] Timestamp.
+     * @returns {Promise<boolean>} Whether the job was marked.
+     */
+    enqueue: async (prefix, job, now) => {
+      now = now || new Date().getTime();
+      const current = await read(prefix, job.id);
+      const record = current.record || {};
+      if (record.state === 'running' && record.leaseExpires > now) { return false; }
+      return await write(prefix, Object.assign({}, record, {
+        id: job.id,
+        url: job.url,
+        strategy: job.strategy,
+        state: 'queued',
+        updated: now
+      }), current.generation) !== null;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_LEASE_TIMEOUT,
+  STATES,
+  createRunState
+};
@@ -0,0 +1,178 @@
+/**
+ * Minimal client for S3-compatible object storage (AWS S3, MinIO, Cloudflare R2, ...), with AWS Signature Version 4
+ * request signing.
+ */
+const crypto = require(`crypto`);
+const {URL} = require(`url`);
+
+const http = require(`./http`);
+
+/**
+ * Returns the hex encoded SHA-256 hash of a string or Buffer.
+ *
+ * @param {string|Buffer} data The data.
+ * @returns {string} The hash.
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Returns the HMAC-SHA256 of a string.
+ *
+ * @param {string|Buffer} key The key.
+ * @param {string} data The string.
+ * @returns {Buffer} The HMAC.
+ */
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * URI-encodes a string the way Signature Version 4 expects, optionally keeping slashes.
+ *
+ * @param {string} str The string.
+ * @param {boolean} [keepSlashes] Do not encode slashes, for object keys.
+ * @returns {string} The encoded string.
+ */
+function encode(str, keepSlashes) {
+  const encoded = encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return keepSlashes ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+/**
+ * Signs a request with AWS Signature Version 4.
+ *
+ * @param {object} req method, url, headers and body of the request.
+ * @param {object} credentials accessKeyId, secretAccessKey, optional sessionToken and region.
+ * @param {Date} date Time of the request.
+ * @returns {object} The request headers, including Authorization.
+ */
+function signRequest(req, credentials, date) {
+  const url = new URL(req.url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const headers = Object.assign({}, req.headers, {
+    'host': url.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': sha256(req.body || '')
+  });
+  if (credentials.sessionToken) { headers['x-amz-security-token'] = credentials.sessionToken; }
+
+  const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+  const values = {};
+  Object.keys(headers).forEach(name => { values[name.toLowerCase()] = String(headers[name]).trim().replace(/\s+/g, ' '); });
+  const query = Array.from(url.searchParams.keys()).sort()
+    .map(key => `${encode(key)}=${encode(url.searchParams.get(key))}`)
+    .join('&');
+  const signedHeaders = names.join(';');
+  const canonicalRequest = [
+    req.method,
+    url.pathname,
+    query,
+    names.map(name => `${name}:${values[name]}\n`).join(''),
+    signedHeaders,
+    headers['x-amz-content-sha256']
+  ].join('\n');
+
+  const scope = `${dateStamp}/${credentials.region}/s3/aws4_request`;
+  const stringToSign = [`AWS4-HMAC-SHA256`, amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = [dateStamp, credentials.region, 's3', 'aws4_request']
+    .reduce((key, part) => hmac(key, part), `AWS4${credentials.secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  headers['Authorization'] = `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  return headers;
+}
+
+/**
+ * Decodes the XML entities of a text node.
+ *
+ * @param {string} str The text.
+ * @returns {string} The decoded text.
+ */
+function decodeXml(str) {
+  return str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Creates a client for a bucket. Credentials and region default to the AWS_* environment variables.
+ *
+ * @param {object} options bucket, region, endpoint (for S3-compatible services, uses path-style URLs),
+ * accessKeyId, secretAccessKey and sessionToken.
+ * @param {object} [deps] request function and now, for testing.
+ * @returns {object} The client: send(method, key, options) and listKeys(prefix).
+ */
+function createS3Client(options, deps) {
+  deps = Object.assign({request: http.request, now: () => new Date()}, deps);
+  const credentials = {
+    region: options.region || process.env.AWS_REGION || 'us-east-1',
+    accessKeyId: options.accessKeyId || process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: options.secretAccessKey || process.env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: options.sessionToken || process.env.AWS_SESSION_TOKEN
+  };
+  const base = options.endpoint ?
+    `${options.endpoint.replace(/\/$/, '')}/${options.bucket}` :
+    `https://${options.bucket}.s3.${credentials.region}.amazonaws.com`;
+
+  /**
+   * Sends a signed request for an object key, or for the bucket if the key is empty.
+   *
+   * @param {string} method HTTP method.
+   * @param {string} key Object key.
+   * @param {object} [req] query (object), headers, body and buffer options.
+   * @returns {Promise<object>} The response, see lib/http.
+   */
+  async function send(method, key, req) {
+    req = req || {};
+    const query = Object.keys(req.query || {})
+      .map(name => `${encode(name)}=${encode(req.query[name])}`)
+      .join('&');
+    const url = `${base}/${encode(key, true)}${query ? `?${query}` : ''}`;
+    const headers = signRequest({method: method, url: url, headers: req.headers, body: req.body}, credentials, deps.now());
+    return await deps.request(url, {method: method, headers: headers, body: req.body, buffer: req.buffer});
+  }
+
+  /**
+   * Lists the keys of the bucket starting with prefix, following continuation tokens.
+   *
+   * @param {string} prefix Key prefix.
+   * @returns {Promise<array<string>>} The keys.
+   */
+  async function listKeys(prefix) {
+    const keys = [];
+    let token;
+    do {
+      const query = {'list-type': '2', 'prefix': prefix};
+      if (token) { query['continuation-token'] = token; }
+      const res = await send('GET', '', {query: query});
+      if (res.statusCode !== 200) {
+        const err = new Error(`Listing S3 bucket ${options.bucket} failed with status ${res.statusCode}`);
+        err.code = res.statusCode;
+        throw err;
+      }
+      const body = String(res.body);
+      const matches = body.match(/<Key>[^<]*<\/Key>/g) || [];
+      matches.forEach(match => keys.push(decodeXml(match.slice(5, -6))));
+      const next = /<NextContinuationToken>([^<]*)<\/NextContinuationToken>/.exec(body);
+      token = /<IsTruncated>true<\/IsTruncated>/.test(body) && next ? decodeXml(next[1]) : null;
+    } while (token);
+    return keys;
+  }
+
+  return {
+    bucket: options.bucket,
+    send,
+    listKeys
+  };
+}
+
+module.exports = {
+  signRequest,
+  createS3Client
+};
@@ -0,0 +1,300 @@
+/**
+ * Cron schedules of sources. A schedule is a 5-field cron expression (minute, hour, day of month, month, day of week)
+ * in a time zone, with an optional jitter that spreads sources with the same schedule over a few minutes. The
+ * scheduler (see scheduleAudits in lib/pipeline) runs periodically and starts every source with a scheduled time since
+ * its last run.
+ */
+const crypto = require(`crypto`);
+
+const MINUTE = 60000;
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+const FIELDS = [
+  {name: 'minute', min: 0, max: 59},
+  {name: 'hour', min: 0, max: 23},
+  {name: 'day', min: 1, max: 31},
+  {name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']},
+  // 7 is Sunday too
+  {name: 'weekday', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']}
+];
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Date formats by time zone, creating one is much slower than formatting
+const formats = new Map();
+
+/**
+ * Parses a value of a cron field, a number or a name.
+ *
+ * @param {string} value The value.
+ * @param {object} field The field.
+ * @returns {number} The number.
+ */
+function parseValue(value, field) {
+  const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  const number = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(value);
+  if (!/^\w+$/.test(value) || !Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} ${value} in cron expression`);
+  }
+  return number;
+}
+
+/**
+ * Parses a cron field into the set of values it matches.
+ *
+ * @param {string} expr The field, e.g. `*`, `*\/15`, `1-5` or `mon,wed,fri`.
+ * @param {object} field The field.
+ * @returns {object} {values: Set of numbers, any: whether the field is `*`}.
+ */
+function parseField(expr, field) {
+  const values = new Set();
+  expr.split(',').forEach(part => {
+    const [range, stepExpr] = part.split('/');
+    const step = stepExpr === undefined ? 1 : Number(stepExpr);
+    if (!Number.isInteger(step) || step < 1) { throw new Error(`Invalid step ${stepExpr} in cron expression`); }
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const bounds = range.split('-');
+      from = parseValue(bounds[0], field);
+      to = bounds.length > 1 ? parseValue(bounds[1], field) : (stepExpr === undefined ? from : field.max);
+      if (from > to) { throw new Error(`Invalid range ${range} in cron expression`); }
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(field.name === 'weekday' ? value % 7 : value);
+    }
+  });
+  return {values: values, any: expr === '*'};
+}
+
+/**
+ * Parses a cron expression.
+ *
+ * @param {string} expr 5-field cron expression or one of @hourly, @daily, @weekly, @monthly and @yearly.
+ * @returns {object} The parsed expression, by field name.
+ */
+function parseCron(expr) {
+  const parts = (MACROS[expr.trim()] || expr).trim().split(/\s+/);
+  if (parts.length !== 5) { throw new Error(`Cron expression ${expr} must have 5 fields`); }
+  const cron = {};
+  FIELDS.forEach((field, index) => { cron[field.name] = parseField(parts[index], field); });
+  return cron;
+}
+
+/**
+ * Returns the local time of a date in a time zone.
+ *
+ * @param {Date} date The date.
+ * @param {string} [timeZone] IANA time zone, defaults to UTC.
+ * @returns {object} minute, hour, day, month and weekday.
+ */
+function localTime(date, timeZone) {
+  timeZone = timeZone || 'UTC';
+  if (!formats.has(timeZone)) {
+    formats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone,
+      hour12: false,
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  const parts = {};
+  formats.get(timeZone).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+  return {
+    minute: Number(parts.minute),
+    // Some ICU versions format midnight as 24
+    hour: Number(parts.hour) % 24,
+    day: Number(parts.day),
+    month: Number(parts.month),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Checks whether a cron expression matches a local time. Like cron, if both the day of month and the day of week are
+ * restricted, either of them matches.
+ *
+ * @param {object} cron The parsed expression.
+ * @param {object} time The local time, see localTime.
+ * @returns {boolean} Whether the expression matches.
+ */
+function matches(cron, time) {
+  return cron.minute.values.has(time.minute) && matchesHour(cron, time);
+}
+
+/**
+ * Checks whether a cron expression matches the hour of a local time, whatever its minute.
+ *
+ * @param {object} cron The parsed expression.
+ * @param {object} time The local time, see localTime.
+ * @returns {boolean} Whether the expression matches a minute of the hour.
+ */
+function matchesHour(cron, time) {
+  if (!cron.hour.values.has(time.hour) || !cron.month.values.has(time.month)) { return false; }
+  const day = cron.day.values.has(time.day);
+  const weekday = cron.weekday.values.has(time.weekday);
+  if (cron.day.any || cron.weekday.any) { return day && weekday; }
+  return day || weekday;
+}
+
+/**
+ * Returns the number of minutes from a local time back to the previous one that a cron expression can match: the
+ * previous minute of the expression in the same hour, or else the last minute of the previous hour.
+ *
+ * @param {object} cron The parsed expression.
+ * @param {object} time The local time, see localTime.
+ * @returns {number} The minutes, at least 1.
+ */
+function minutesBack(cron, time) {
+  if (matchesHour(cron, time)) {
+    for (let minute = time.minute - 1; minute >= 0; minute--) {
+      if (cron.minute.values.has(minute)) { return time.minute - minute; }
+    }
+  }
+  return time.minute + 1;
+}
+
+/**
+ * Returns the offset of a local time from UTC in minutes, modulo a day. Two times with the same offset have no change
+ * of daylight saving time between them, as those are months apart.
+ *
+ * @param {number} time The timestamp.
+ * @param {object} local Its local time, see localTime.
+ * @returns {number} The offset.
+ */
+function offsetOf(time, local) {
+  const day = 24 * 60;
+  return ((local.hour * 60 + local.minute - Math.floor(time / MINUTE) % day) % day + day) % day;
+}
+
+/**
+ * Returns the jitter of a source for a scheduled time: a delay up to jitter milliseconds, derived from the source and
+ * the time so that every scheduler run computes the same delay.
+ *
+ * @param {string} id ID of the source.
+ * @param {number} time The scheduled time.
+ * @param {number} jitter Maximum delay in milliseconds.
+ * @returns {number} The delay in milliseconds, in whole minutes.
+ */
+function jitterOf(id, time, jitter) {
+  if (!jitter) { return 0; }
+  const hash = crypto.createHash('sha256').update(`${id}/${time}`).digest().readUInt32BE(0);
+  return Math.floor((hash / 0x100000000) * (Math.floor(jitter / MINUTE) + 1)) * MINUTE;
+}
+
+/**
+ * Returns the schedule of a source: its own schedule, or the global schedule of the config. A source can opt out of
+ * the global schedule with `"schedule": false`.
+ *
+ * @param {object} src The source object in config.json.
+ * @param {object|string} [global] The schedule of the config.
+ * @returns {object|null} cron, timeZone and jitter, or null if the source is not scheduled.
+ */
+function scheduleOf(src, global) {
+  const toObject = schedule => typeof schedule === 'string' ? {cron: schedule} : schedule;
+  if (src.schedule === false) { return null; }
+  const defaults = toObject(global) || {};
+  const schedule = Object.assign({}, defaults, toObject(src.schedule));
+  return schedule.cron ? schedule : null;
+}
+
+/**
+ * Returns the sources that are due: those with a scheduled time (plus jitter) after since and up to now.
+ *
+ * @param {array<object>} sources Source objects in config.json.
+ * @param {object|string} [global] The schedule of the config.
+ * @param {number} since Timestamp of the last scheduler run.
+ * @param {number} now Timestamp of this scheduler run.
+ * @returns {array<{src: object, scheduledAt: number}>} The due sources, with the scheduled time (without jitter).
+ */
+function dueSources(sources, global, since, now) {
+  const due = [];
+  sources.forEach(src => {
+    const schedule = scheduleOf(src, global);
+    if (!schedule) { return; }
+    const scheduledAt = latestScheduledTime(src.id, schedule, since, now);
+    if (scheduledAt !== null) { due.push({src: src, scheduledAt: scheduledAt}); }
+  });
+  return due;
+}
+
+/**
+ * Returns the latest scheduled time of a source whose time plus jitter is after since and up to now. A source that
+ * missed several scheduled times runs once, for the latest, so the walk goes back from now and stops at the first
+ * one. It skips the hours and minutes that the expression does not match, unless daylight saving time changes in
+ * between, so that catching up on a day takes tens of steps rather than a step per minute.
+ *
+ * @param {string} id ID of the source.
+ * @param {object} schedule The schedule, see scheduleOf.
+ * @param {number} since Timestamp of the last scheduler run.
+ * @param {number} now Timestamp of this scheduler run.
+ * @returns {number|null} The scheduled time (without jitter), or null if none is due.
+ */
+function latestScheduledTime(id, schedule, since, now) {
+  const cron = parseCron(schedule.cron);
+  const jitter = schedule.jitter || 0;
+  // Scheduled times before since can be due if their jitter delays them past since
+  const first = Math.floor((since - jitter) / MINUTE) * MINUTE + MINUTE;
+  let time = Math.floor(now / MINUTE) * MINUTE;
+  let local = localTime(new Date(time), schedule.timeZone);
+  while (time >= first) {
+    if (matches(cron, local)) {
+      const at = time + jitterOf(id, time, jitter);
+      if (at > since && at <= now) { return time; }
+    }
+    const skip = minutesBack(cron, local);
+    let previous = time - skip * MINUTE;
+    let previousLocal = localTime(new Date(previous), schedule.timeZone);
+    if (skip > 1 && offsetOf(previous, previousLocal) !== offsetOf(time, local)) {
+      previous = time - MINUTE;
+      previousLocal = localTime(new Date(previous), schedule.timeZone);
+    }
+    time = previous;
+    local = previousLocal;
+  }
+  return null;
+}
+
+/**
+ * Checks the cron expressions and time zones of the config, so that a broken schedule fails at deployment and not at
+ * the scheduled time.
+ *
+ * @param {object} config The config.
+ * @returns {array<string>} The errors.
+ */
+function validateSchedules(config) {
+  const errors = [];
+  const check = (schedule, where) => {
+    if (!schedule) { return; }
+    try {
+      parseCron(schedule.cron);
+      localTime(new Date(), schedule.timeZone);
+    } catch(e) {
+      errors.push(`${where}: ${e.message}`);
+    }
+  };
+  check(scheduleOf({}, config.schedule), 'schedule');
+  (config.source || []).forEach(src => check(scheduleOf(src, config.schedule), `${src.id} schedule`));
+  if (config.crux && config.crux.schedule) { check(scheduleOf({}, config.crux.schedule), 'crux schedule'); }
+  return errors;
+}
+
+module.exports = {
+  parseCron,
+  localTime,
+  matches,
+  jitterOf,
+  scheduleOf,
+  dueSources,
+  validateSchedules
+};
@@ -0,0 +1,286 @@
+/**
+ * BigQuery schema reconciliation: compares a row with a table schema, adds nullable fields for new properties,
+ * coerces or drops values that do not match their field, and records every change.
+ */
+
+const DEFAULT_IGNORE = [
+  // Audit details are free-form tables whose shape differs per audit and per Lighthouse version
+  `lighthouseResult.audits.*.details`
+];
+
+const FLOAT_TYPES = [`FLOAT`, `FLOAT64`, `NUMERIC`, `BIGNUMERIC`];
+const INTEGER_TYPES = [`INTEGER`, `INT64`];
+const BOOLEAN_TYPES = [`BOOLEAN`, `BOOL`];
+const RECORD_TYPES = [`RECORD`, `STRUCT`];
+const TIME_TYPES = [`TIMESTAMP`, `DATETIME`, `DATE`];
+
+/**
+ * Returns whether a field path or one of its ancestors matches one of the ignore patterns. A `*` matches any single
+ * path segment.
+ *
+ * @param {string} path Dot-separated field path.
+ * @param {array<string>} ignore Ignore patterns.
+ * @returns {boolean} True if the path is ignored.
+ */
+function isIgnored(path, ignore) {
+  const segments = path.split('.');
+  return ignore.some(pattern => {
+    const parts = pattern.split('.');
+    return parts.length <= segments.length && parts.every((part, index) => part === '*' || part === segments[index]);
+  });
+}
+
+/**
+ * Records a change once per path and kind of change.
+ *
+ * @param {object} ctx Reconciliation context.
+ * @param {object} change The change: path, change (added, coerced or dropped) and details.
+ */
+function record(ctx, change) {
+  const key = `${change.change}:${change.path}`;
+  if (!ctx.seen.has(key)) {
+    ctx.seen.add(key);
+    ctx.changes.push(change);
+  }
+}
+
+/**
+ * Merges two field lists, adding the fields of b that a does not have. Types of a win.
+ *
+ * @param {array<object>} a Fields.
+ * @param {array<object>} b Fields to merge into a.
+ * @returns {array<object>} The merged fields.
+ */
+function mergeFields(a, b) {
+  const merged = a.map(field => Object.assign({}, field));
+  b.forEach(field => {
+    const existing = merged.find(item => item.name === field.name);
+    if (!existing) {
+      merged.push(field);
+    } else if (RECORD_TYPES.includes(existing.type) && field.fields) {
+      existing.fields = mergeFields(existing.fields || [], field.fields);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Infers the BigQuery type of a primitive value.
+ *
+ * @param {*} value The value.
+ * @returns {string|null} The type, or null if the value is not a primitive.
+ */
+function primitiveType(value) {
+  switch (typeof value) {
+    case 'string':
+      return 'STRING';
+    case 'number':
+      return 'FLOAT';
+    case 'boolean':
+      return 'BOOLEAN';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Infers a nullable (or repeated) field from a value. Nulls, empty arrays, nested arrays and empty objects carry no
+ * type and are not inferred.
+ *
+ * @param {string} name Field name.
+ * @param {*} value The value.
+ * @param {string} path Field path.
+ * @param {object} ctx Reconciliation context.
+ * @returns {object|null} The field, or null if no type could be inferred.
+ */
+function inferField(name, value, path, ctx) {
+  if (value === null || value === undefined) { return null; }
+  if (Array.isArray(value)) {
+    const items = value.filter(item => item !== null && item !== undefined);
+    if (!items.length || items.some(Array.isArray)) { return null; }
+    if (items.every(item => typeof item === 'object')) {
+      const fields = items.reduce((acc, item) => mergeFields(acc, inferFields(item, path, ctx)), []);
+      return fields.length ? {fields: fields, mode: 'REPEATED', name: name, type: 'RECORD'} : null;
+    }
+    const type = primitiveType(items[0]);
+    return type ? {mode: 'REPEATED', name: name, type: type} : null;
+  }
+  if (typeof value === 'object') {
+    const fields = inferFields(value, path, ctx);
+    return fields.length ? {fields: fields, mode: 'NULLABLE', name: name, type: 'RECORD'} : null;
+  }
+  const type = primitiveType(value);
+  return type ? {mode: 'NULLABLE', name: name, type: type} : null;
+}
+
+/**
+ * Infers the fields of an object, skipping ignored paths.
+ *
+ * @param {object} obj The object.
+ * @param {string} path Path of the object.
+ * @param {object} ctx Reconciliation context.
+ * @returns {array<object>} The fields.
+ */
+function inferFields(obj, path, ctx) {
+  return Object.keys(obj)
+    .map(key => {
+      const fieldPath = path ? `${path}.${key}` : key;
+      return isIgnored(fieldPath, ctx.ignore) ? null : inferField(key, obj[key], fieldPath, ctx);
+    })
+    .filter(field => field);
+}
+
+/**
+ * Fits a single (non-repeated) value to a field.
+ *
+ * @param {object} field The field. RECORD fields are updated in place with added sub-fields.
+ * @param {*} value The value.
+ * @param {string} path Field path.
+ * @param {object} ctx Reconciliation context.
+ * @returns {{value: *}|null} The fitted value, or null if the value has to be dropped.
+ */
+function fitSingle(field, value, path, ctx) {
+  if (value === null || value === undefined) { return {value: null}; }
+  const type = (field.type || '').toUpperCase();
+  const coerced = to => {
+    record(ctx, {path: path, change: 'coerced', from: Array.isArray(value) ? 'array' : typeof value, to: type});
+    return {value: to};
+  };
+
+  if (RECORD_TYPES.includes(type)) {
+    if (typeof value !== 'object' || Array.isArray(value)) { return null; }
+    const result = fitRecord(field.fields || [], value, path, ctx);
+    field.fields = result.fields;
+    return {value: result.value};
+  }
+  if (type === 'STRING') {
+    if (typeof value === 'string') { return {value: value}; }
+    return coerced(typeof value === 'object' ? JSON.stringify(value) : String(value));
+  }
+  if (FLOAT_TYPES.includes(type) || INTEGER_TYPES.includes(type)) {
+    let number = value;
+    if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+      number = Number(value);
+    }
+    if (typeof number !== 'number' || !isFinite(number)) { return null; }
+    if (INTEGER_TYPES.includes(type) && !Number.isInteger(number)) { number = Math.round(number); }
+    return number === value ? {value: value} : coerced(number);
+  }
+  if (BOOLEAN_TYPES.includes(type)) {
+    if (typeof value === 'boolean') { return {value: value}; }
+    if (value === 'true' || value === 'false') { return coerced(value === 'true'); }
+    return null;
+  }
+  if (TIME_TYPES.includes(type)) {
+    if (typeof value === 'string') { return {value: value}; }
+    if (typeof value === 'number') { return coerced(new Date(value).toISOString()); }
+    return null;
+  }
+  return {value: value};
+}
+
+/**
+ * Fits a value to a field, handling repeated fields.
+ *
+ * @param {object} field The field.
+ * @param {*} value The value.
+ * @param {string} path Field path.
+ * @param {object} ctx Reconciliation context.
+ * @returns {{value: *}|null} The fitted value, or null if the value has to be dropped.
+ */
+function fitValue(field, value, path, ctx) {
+  if (field.mode === 'REPEATED') {
+    if (value === null || value === undefined) { return {value: []}; }
+    if (!Array.isArray(value)) { return null; }
+    const items = [];
+    value.forEach(item => {
+      const result = item === null ? null : fitSingle(field, item, path, ctx);
+      if (result) {
+        items.push(result.value);
+      } else {
+        record(ctx, {path: path, change: 'dropped', reason: `item does not match ${field.type}`});
+      }
+    });
+    return {value: items};
+  }
+  if (Array.isArray(value)) { return null; }
+  return fitSingle(field, value, path, ctx);
+}
+
+/**
+ * Fits an object to a list of fields, adding fields for new properties.
+ *
+ * @param {array<object>} fields The fields of the record.
+ * @param {object} obj The object.
+ * @param {string} path Path of the record, empty for the row itself.
+ * @param {object} ctx Reconciliation context.
+ * @returns {{fields: array<object>, value: object}} The updated fields and the fitted object.
+ */
+function fitRecord(fields, obj, path, ctx) {
+  fields = fields.map(field => Object.assign({}, field));
+  const value = {};
+  Object.keys(obj).forEach(key => {
+    const fieldPath = path ? `${path}.${key}` : key;
+    let field = fields.find(item => item.name === key);
+    if (!field) {
+      // Ignored paths are never added, but existing fields under them are still loaded
+      if (isIgnored(fieldPath, ctx.ignore)) { return; }
+      field = inferField(key, obj[key], fieldPath, ctx);
+      if (!field) { return; }
+      fields.push(field);
+      record(ctx, {path: fieldPath, change: 'added', to: field.mode === 'REPEATED' ? `REPEATED ${field.type}` : field.type});
+    }
+    const result = fitValue(field, obj[key], fieldPath, ctx);
+    if (result) {
+      value[key] = result.value;
+    } else {
+      record(ctx, {path: fieldPath, change: 'dropped', reason: `value does not match ${field.mode === 'REPEATED' ? 'REPEATED ' : ''}${field.type}`});
+    }
+  });
+  return {fields: fields, value: value};
+}
+
+/**
+ * Reconciles a row with a table schema.
+ *
+ * @param {array<object>} fields The current fields of the table.
+ * @param {object} row The row to load.
+ * @param {object} [options] ignore: field paths never to add to the schema, defaults to DEFAULT_IGNORE. Values of
+ * ignored paths without a field are dropped from the row.
+ * @returns {{fields: array<object>, row: object, changes: array<object>}} The new fields (a superset of the current
+ * ones), the row fitted to them and the changes made.
+ */
+function reconcile(fields, row, options) {
+  options = options || {};
+  const ctx = {ignore: options.ignore || DEFAULT_IGNORE, changes: [], seen: new Set()};
+  const result = fitRecord(fields, row, '', ctx);
+  return {fields: result.fields, row: result.value, changes: ctx.changes};
+}
+
+/**
+ * Sorts fields alphabetically at every level, keeping the required top-level fields first.
+ *
+ * @param {array<object>} fields The fields.
+ * @returns {array<object>} The sorted fields.
+ */
+function sortFields(fields) {
+  const sorted = fields.map(field => field.fields ? Object.assign({}, field, {fields: sortFields(field.fields)}) : field);
+  // The required fields keep their order, Array.prototype.sort of older Node versions is not stable
+  return sorted
+    .map((field, index) => ({field: field, index: index}))
+    .sort((a, b) => {
+      if ((a.field.mode === 'REQUIRED') !== (b.field.mode === 'REQUIRED')) { return a.field.mode === 'REQUIRED' ? -1 : 1; }
+      if (a.field.mode !== 'REQUIRED' && a.field.name !== b.field.name) { return a.field.name < b.field.name ? -1 : 1; }
+      return a.index - b.index;
+    })
+    .map(item => item.field);
+}
+
+module.exports = {
+  DEFAULT_IGNORE,
+  isIgnored,
+  inferFields,
+  mergeFields,
+  reconcile,
+  sortFields
+};
@@ -0,0 +1,131 @@
+/**
+ * Pre-audit scripts: a list of declarative steps that runs in the Chrome of a Lighthouse run before the audit, e.g. to
+ * log in or accept a consent banner. The session the steps set up (cookies, local storage) is kept for the audit.
+ *
+ * Steps:
+ * - `{"action": "navigate", "url": "..."}`
+ * - `{"action": "fill", "selector": "...", "value": "..."}`
+ * - `{"action": "click", "selector": "...", "waitForNavigation": true}`
+ * - `{"action": "waitFor", "selector": "..."}`, `{"action": "waitFor", "navigation": true}` or
+ *   `{"action": "waitFor", "timeout": 1000}`
+ */
+
+const DEFAULT_STEP_TIMEOUT = 30000;
+
+/**
+ * Describes a step for logging. Values are never logged, they are usually secrets.
+ *
+ * @param {object} step The step.
+ * @returns {string} The description.
+ */
+function describeStep(step) {
+  switch (step.action) {
+    case 'navigate':
+      return `navigate to ${step.url}`;
+    case 'waitFor':
+      if (step.selector) { return `wait for ${step.selector}`; }
+      return step.navigation ? `wait for navigation` : `wait ${step.timeout}ms`;
+    default:
+      return `${step.action} ${step.selector}`;
+  }
+}
+
+/**
+ * Runs a step on a page.
+ *
+ * @param {object} page Puppeteer page.
+ * @param {object} step The step.
+ * @returns {Promise<void>} Resolved promise when the step is done.
+ */
+async function runStep(page, step) {
+  const timeout = step.timeout || DEFAULT_STEP_TIMEOUT;
+  switch (step.action) {
+    case 'navigate':
+      await page.goto(step.url, {waitUntil: 'networkidle2', timeout: timeout});
+      return;
+    case 'fill':
+      await page.waitForSelector(step.selector, {visible: true, timeout: timeout});
+      await page.type(step.selector, String(step.value));
+      return;
+    case 'click':
+      await page.waitForSelector(step.selector, {visible: true, timeout: timeout});
+      if (step.waitForNavigation) {
+        await Promise.all([page.waitForNavigation({waitUntil: 'networkidle2', timeout: timeout}), page.click(step.selector)]);
+      } else {
+        await page.click(step.selector);
+      }
+      return;
+    case 'waitFor':
+      if (step.selector) {
+        await page.waitForSelector(step.selector, {visible: true, timeout: timeout});
+      } else if (step.navigation) {
+        await page.waitForNavigation({waitUntil: 'networkidle2', timeout: timeout});
+      } else {
+        await page.waitFor(step.timeout);
+      }
+      return;
+    default:
+      throw new Error(`Unknown script action ${step.action}`);
+  }
+}
+
+/**
+ * Runs the steps of a script in a new page of the Chrome on port. The page is closed afterwards, Chrome keeps the
+ * session for the audit.
+ *
+ * @param {number} port Remote debugging port of Chrome.
+ * @param {array<object>} steps The steps, with resolved secrets.
+ * @param {string} id ID of the source, for logging.
+ * @param {object} [deps] puppeteer module, for testing.
+ * @returns {Promise<void>} Resolved promise when the script is done.
+ */
+async function runScript(port, steps, id, deps) {
+  deps = deps || {};
+  const puppeteer = deps.puppeteer || require(`puppeteer-core`);
+  const browser = await puppeteer.connect({browserURL: `http://127.0.0.1:${port}`});
+  try {
+    const page = await browser.newPage();
+    for (let i = 0; i < steps.length; i++) {
+      console.log(`${id}: Script step ${i + 1} of ${steps.length}: ${describeStep(steps[i])}`);
+      try {
+        await runStep(page, steps[i]);
+      } catch(e) {
+        e.message = `Script step ${i + 1} (${describeStep(steps[i])}) failed: ${e.message}`;
+        throw e;
+      }
+    }
+    await page.close();
+  } finally {
+    browser.disconnect();
+  }
+}
+
+/**
+ * Sets cookies in the Chrome on port for the host of a URL, so that only the requests to the audited site send them
+ * and not those to third parties.
+ *
+ * @param {number} port Remote debugging port of Chrome.
+ * @param {string} url The audited URL.
+ * @param {object} cookies Cookie values by name, with resolved secrets.
+ * @param {object} [deps] puppeteer module, for testing.
+ * @returns {Promise<void>} Resolved promise when the cookies are set.
+ */
+async function setCookies(port, url, cookies, deps) {
+  deps = deps || {};
+  const puppeteer = deps.puppeteer || require(`puppeteer-core`);
+  const browser = await puppeteer.connect({browserURL: `http://127.0.0.1:${port}`});
+  try {
+    const page = await browser.newPage();
+    await page.setCookie(...Object.keys(cookies).map(name => ({name: name, value: cookies[name], url: url, path: '/'})));
+    await page.close();
+  } finally {
+    browser.disconnect();
+  }
+}
+
+module.exports = {
+  describeStep,
+  runStep,
+  runScript,
+  setCookies
+};
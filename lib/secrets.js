@@ -0,0 +1,122 @@
+/**
+ * Secret references in the headers, cookies and scripts of sources and in the notification channels. A string can
+ * reference an environment variable as `${env:NAME}` or an entry of the secrets file (config.secretsFile, a JSON
+ * object of names and values) as `${secret:NAME}`. References are resolved when a job runs or a notification is sent,
+ * so secrets never have to be in config.json, and the headers and cookies of a source are redacted from its reports.
+ */
+const fs = require(`fs`);
+const {promisify} = require(`util`);
+
+const REFERENCE = /\$\{(env|secret):([^}]+)\}/g;
+
+const REDACTED = '[REDACTED]';
+
+// Keys of the request headers in reports: the Lighthouse settings and the network requests
+const HEADER_KEYS = ['extraHeaders', 'requestHeaders', 'headers'];
+
+/**
+ * Creates the secret resolver of the config.
+ *
+ * @param {object} [options] file: path of the secrets file.
+ * @param {object} [deps] env (defaults to process.env) and readFile, for testing.
+ * @returns {object} The resolver: resolve(value).
+ */
+function createSecrets(options, deps) {
+  options = options || {};
+  deps = Object.assign({env: process.env, readFile: promisify(fs.readFile)}, deps);
+  let file;
+
+  const readSecretsFile = async () => {
+    if (!options.file) { throw new Error(`Secret references need secretsFile in the config`); }
+    if (!file) {
+      file = deps.readFile(options.file, 'utf8').then(data => JSON.parse(data));
+    }
+    return await file;
+  };
+
+  const lookup = async (type, name) => {
+    const value = type === 'env' ? deps.env[name] : (await readSecretsFile())[name];
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`Secret ${type}:${name} is not set`);
+    }
+    return String(value);
+  };
+
+  /**
+   * Replaces the secret references in the strings of a value.
+   *
+   * @param {*} value A string, or an object or array of strings.
+   * @returns {Promise<*>} A copy of the value with resolved references.
+   */
+  async function resolve(value) {
+    if (typeof value === 'string') {
+      const refs = [];
+      value.replace(REFERENCE, (match, type, name) => refs.push({match, type, name}));
+      let resolved = value;
+      for (const ref of refs) {
+        const secret = await lookup(ref.type, ref.name);
+        // A function, so that $ in the secret is not a replacement pattern
+        resolved = resolved.replace(ref.match, () => secret);
+      }
+      return resolved;
+    }
+    if (Array.isArray(value)) {
+      const items = [];
+      for (const item of value) { items.push(await resolve(item)); }
+      return items;
+    }
+    if (value && typeof value === 'object') {
+      const copy = {};
+      for (const key of Object.keys(value)) { copy[key] = await resolve(value[key]); }
+      return copy;
+    }
+    return value;
+  }
+
+  return {
+    resolve
+  };
+}
+
+/**
+ * Replaces the values of the headers and cookies a source sends, inline or resolved from references, with [REDACTED]
+ * where a report has request headers: in the Lighthouse settings (configSettings.extraHeaders) and the headers of the
+ * network requests. The rest of the report is left as it is.
+ *
+ * @param {*} report The report, or any object or array.
+ * @param {object} session headers and cookies of the source.
+ * @returns {*} A copy of the report without the headers and cookies of the source.
+ */
+function redact(report, session) {
+  const names = Object.keys(session.headers || {}).map(name => name.toLowerCase());
+  if (session.cookies && Object.keys(session.cookies).length) { names.push('cookie'); }
+  if (!names.length) { return report; }
+  const redactHeaders = headers => {
+    const copy = {};
+    Object.keys(headers).forEach(name => {
+      copy[name] = names.includes(name.toLowerCase()) ? REDACTED : headers[name];
+    });
+    return copy;
+  };
+  const walk = item => {
+    if (Array.isArray(item)) { return item.map(walk); }
+    if (item && typeof item === 'object') {
+      const copy = {};
+      Object.keys(item).forEach(key => {
+        const value = item[key];
+        copy[key] = HEADER_KEYS.includes(key) && value && typeof value === 'object' && !Array.isArray(value) ?
+          redactHeaders(value) :
+          walk(value);
+      });
+      return copy;
+    }
+    return item;
+  };
+  return walk(report);
+}
+
+module.exports = {
+  REDACTED,
+  createSecrets,
+  redact
+};
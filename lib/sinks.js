@@ -0,0 +1,295 @@
+/**
+ * Sinks for result rows: the reports, summary, failed_runs and schema_changes tables. Every sink has the same
+ * interface:
+ *
+ * - `name`: where the rows go, for logging.
+ * - `load(table, rows, options)`: loads a batch of rows. options: schema (array of BigQuery fields), jobId (unique id
+ *   of the load, loading the same jobId twice must not duplicate rows), evolveSchema (add the columns of the schema
+ *   the table is missing) and partitioning (field: the TIMESTAMP column to partition a table the load creates by day,
+ *   and clustering: the columns to cluster it by; sinks without partitions ignore it).
+ * - `insert(table, rows, options)`: streams rows into a table that is created if needed. options: schema and
+ *   insertIds, the ids that make the inserts idempotent.
+ * - `getSchema(table)` (optional): resolves with the current fields of the table, or null if it does not exist.
+ * - `getJobIds(table, jobIds)` (optional): resolves with those of the job IDs that the table has rows of, for replays.
+ * - `loadFiles(table, files, options)` (optional): loads NDJSON files of the storage, from the file method of the
+ *   storage backend (see lib/storage), with the options of load.
+ */
+
+/**
+ * Converts input object to newline-delimited JSON
+ *
+ * @param {object} data Object to convert.
+ * @returns {string} The stringified object.
+ */
+function toNdjson(data) {
+  data = Array.isArray(data) ? data : [data];
+  let outNdjson = '';
+  data.forEach(item => {
+    outNdjson += JSON.stringify(item) + '\n';
+  });
+  return outNdjson;
+}
+
+// Load jobs of the same rows to try, under the job ID and the job ID with the number of the attempt appended
+const MAX_LOAD_ATTEMPTS = 10;
+
+/**
+ * Sink that loads rows into a BigQuery dataset. Loads go through an NDJSON file in /tmp, named after the job id, and
+ * files of a GCS bucket are loaded from the bucket. Tables that a load creates are partitioned and clustered as the
+ * load asks for.
+ *
+ * @param {object} bigquery BigQuery client.
+ * @param {string} datasetId BigQuery dataset ID.
+ * @param {object} deps writeFile function, for testing.
+ * @returns {object} The sink.
+ */
+function bigquerySink(bigquery, datasetId, deps) {
+  const getSchema = async (table) => {
+    try {
+      const [metadata] = await bigquery.dataset(datasetId).table(table).getMetadata();
+      return (metadata.schema && metadata.schema.fields) || null;
+    } catch(e) {
+      if (e.code === 404) { return null; }
+      throw e;
+    }
+  };
+  // Tables known to exist, a load into an existing table must not specify another partitioning than the table has
+  const existing = new Set();
+  const exists = async (table) => {
+    if (!existing.has(table) && await getSchema(table)) { existing.add(table); }
+    return existing.has(table);
+  };
+
+  // Starts a load job of a local file or of GCS files and waits for it. Job IDs are unique, a load job that already
+  // exists was started by an earlier delivery of the same rows and only loaded them if it succeeded, a failed one is
+  // retried under the job ID with the number of the attempt appended.
+  const loadSource = async (table, source, options, attempt) => {
+    attempt = attempt || 0;
+    const jobId = attempt ? `${options.jobId}_${attempt}` : options.jobId;
+    const metadata = {
+      sourceFormat: 'NEWLINE_DELIMITED_JSON',
+      schema: {fields: options.schema},
+      jobId
+    };
+    if (options.evolveSchema) { metadata.schemaUpdateOptions = ['ALLOW_FIELD_ADDITION']; }
+    if (options.partitioning && !await exists(table)) {
+      metadata.timePartitioning = {type: 'DAY', field: options.partitioning.field};
+      metadata.clustering = {fields: options.partitioning.clustering};
+    }
+    try {
+      const result = await bigquery.dataset(datasetId).table(table).load(source, metadata);
+      existing.add(table);
+      return result;
+    } catch(e) {
+      if (e.code !== 409) { throw e; }
+    }
+    const job = bigquery.job(jobId);
+    const [{status}] = await job.getMetadata();
+    if (status.state !== 'DONE') {
+      console.log(`Load job ${jobId} into ${table} is running, waiting for it`);
+      await job.promise();
+    } else if (status.errorResult) {
+      if (attempt + 1 >= MAX_LOAD_ATTEMPTS) {
+        throw new Error(`Load job ${jobId} into ${table} failed: ${status.errorResult.message}`);
+      }
+      console.log(`Load job ${jobId} into ${table} failed, retrying`);
+      return await loadSource(table, source, options, attempt + 1);
+    } else {
+      console.log(`Load job ${jobId} into ${table} already exists, skipping`);
+    }
+    existing.add(table);
+    return null;
+  };
+
+  return {
+    name: `BigQuery dataset ${datasetId}`,
+    load: async (table, rows, options) => {
+      const file = `/tmp/${options.jobId}.json`;
+      await deps.writeFile(file, toNdjson(rows));
+      return await loadSource(table, file, options);
+    },
+    // A load job takes up to 10,000 source URIs
+    loadFiles: async (table, files, options) => await loadSource(table, files, options),
+    insert: async (table, rows, options) => {
+      const insertIds = options.insertIds || [];
+      return await bigquery
+        .dataset(datasetId)
+        .table(table)
+        .insert(rows.map((row, index) => ({insertId: insertIds[index], json: row})), {raw: true, autoCreate: true, schema: options.schema});
+    },
+    getSchema: getSchema,
+    getJobIds: async (table, jobIds) => {
+      if (!jobIds.length) { return []; }
+      try {
+        const [rows] = await bigquery.query({
+          query: `SELECT DISTINCT job_id FROM \`${datasetId}.${table}\` WHERE job_id IN UNNEST(@jobIds)`,
+          params: {jobIds: jobIds}
+        });
+        return rows.map(row => row.job_id);
+      } catch(e) {
+        if (e.code === 404) { return []; }
+        throw e;
+      }
+    }
+  };
+}
+
+/**
+ * Sink that writes every load and insert as an NDJSON file to a storage backend, at
+ * `${prefix}/${table}/${jobId}.json`.
+ *
+ * @param {object} storage Storage backend, see lib/storage.
+ * @param {string} [prefix] Path prefix of the files, defaults to ndjson.
+ * @returns {object} The sink.
+ */
+function ndjsonSink(storage, prefix) {
+  prefix = prefix || `ndjson`;
+  const write = (table, name, rows) => storage.write(`${prefix}/${table}/${name}.json`, toNdjson(rows), {
+    contentType: 'application/x-ndjson'
+  });
+  return {
+    name: `NDJSON files in ${storage.name}`,
+    load: async (table, rows, options) => await write(table, options.jobId, rows),
+    insert: async (table, rows, options) => {
+      const insertIds = options.insertIds || [];
+      return await write(table, insertIds[0] || new Date().getTime(), rows);
+    }
+  };
+}
+
+// PostgreSQL column types of BigQuery field types, records and repeated fields are stored as jsonb
+const POSTGRES_TYPES = {
+  STRING: 'text',
+  FLOAT: 'double precision',
+  FLOAT64: 'double precision',
+  NUMERIC: 'numeric',
+  INTEGER: 'bigint',
+  INT64: 'bigint',
+  BOOLEAN: 'boolean',
+  BOOL: 'boolean',
+  TIMESTAMP: 'timestamptz',
+  DATE: 'date'
+};
+
+/**
+ * Quotes a PostgreSQL identifier.
+ *
+ * @param {string} name The identifier.
+ * @returns {string} The quoted identifier.
+ */
+function quote(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Returns the PostgreSQL column type of a BigQuery field.
+ *
+ * @param {object} field The field.
+ * @returns {string} The column type.
+ */
+function postgresType(field) {
+  if (field.mode === 'REPEATED' || !POSTGRES_TYPES[field.type]) { return 'jsonb'; }
+  return POSTGRES_TYPES[field.type];
+}
+
+/**
+ * Sink that writes rows into PostgreSQL tables. Tables are created from the BigQuery schema of the rows and missing
+ * columns are added, with a _row_id primary key that makes loads and inserts idempotent.
+ *
+ * @param {object} options connectionString and schema (the PostgreSQL schema, defaults to public).
+ * @param {object} [deps] pool (a pg Pool or anything with query), for testing.
+ * @returns {object} The sink.
+ */
+function postgresSink(options, deps) {
+  const pool = (deps && deps.pool) || new (require(`pg`).Pool)({connectionString: options.connectionString});
+  const schema = options.schema || 'public';
+  // Columns known to exist, per table
+  const columns = {};
+
+  const ensureTable = async (table, fields) => {
+    const name = `${quote(schema)}.${quote(table)}`;
+    if (!columns[table]) {
+      await pool.query(`CREATE TABLE IF NOT EXISTS ${name} (${quote('_row_id')} text PRIMARY KEY)`);
+      columns[table] = new Set();
+    }
+    const missing = fields.filter(field => !columns[table].has(field.name));
+    for (const field of missing) {
+      await pool.query(`ALTER TABLE ${name} ADD COLUMN IF NOT EXISTS ${quote(field.name)} ${postgresType(field)}`);
+      columns[table].add(field.name);
+    }
+  };
+
+  const write = async (table, rows, fields, rowIds) => {
+    await ensureTable(table, fields);
+    const names = ['_row_id'].concat(fields.map(field => field.name));
+    const values = [];
+    const tuples = rows.map((row, index) => {
+      const placeholders = names.map((name, column) => {
+        const field = fields[column - 1];
+        let value = column === 0 ? rowIds[index] : row[name];
+        if (value === undefined) { value = null; }
+        if (value !== null && field && postgresType(field) === 'jsonb') { value = JSON.stringify(value); }
+        values.push(value);
+        return `$${values.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+    return await pool.query(
+      `INSERT INTO ${quote(schema)}.${quote(table)} (${names.map(quote).join(', ')}) VALUES ${tuples.join(', ')} ON CONFLICT (${quote('_row_id')}) DO NOTHING`,
+      values);
+  };
+
+  return {
+    name: `PostgreSQL schema ${schema}`,
+    load: async (table, rows, loadOptions) => await write(table, rows, loadOptions.schema,
+      rows.map((row, index) => `${loadOptions.jobId}_${index}`)),
+    insert: async (table, rows, insertOptions) => {
+      const insertIds = insertOptions.insertIds || [];
+      const now = new Date().getTime();
+      return await write(table, rows, insertOptions.schema, rows.map((row, index) => insertIds[index] || `${now}_${index}`));
+    },
+    getJobIds: async (table, jobIds) => {
+      if (!jobIds.length) { return []; }
+      try {
+        const result = await pool.query(
+          `SELECT DISTINCT ${quote('job_id')} FROM ${quote(schema)}.${quote(table)} WHERE ${quote('job_id')} = ANY($1)`, [jobIds]);
+        return result.rows.map(row => row.job_id);
+      } catch(e) {
+        // The table or its job_id column does not exist yet
+        if (e.code === '42P01' || e.code === '42703') { return []; }
+        throw e;
+      }
+    }
+  };
+}
+
+/**
+ * Sink that keeps rows in memory, for tests and dry runs. The rows are in the tables property, by table name.
+ *
+ * @returns {object} The sink.
+ */
+function memorySink() {
+  const tables = {};
+  // Loads and inserts are idempotent on their job ID and insert IDs, like in BigQuery
+  const seen = new Set();
+  const add = (table, rows, ids) => {
+    rows = rows.filter((row, index) => !ids[index] || !seen.has(`${table}/${ids[index]}`));
+    ids.forEach(id => id && seen.add(`${table}/${id}`));
+    tables[table] = (tables[table] || []).concat(rows);
+  };
+  return {
+    name: `memory`,
+    tables: tables,
+    load: async (table, rows, options) => add(table, rows, rows.map((row, index) => options.jobId && `${options.jobId}_${index}`)),
+    insert: async (table, rows, options) => add(table, rows, options.insertIds || []),
+    getJobIds: async (table, jobIds) => jobIds.filter(jobId => (tables[table] || []).some(row => row.job_id === jobId))
+  };
+}
+
+module.exports = {
+  toNdjson,
+  bigquerySink,
+  ndjsonSink,
+  postgresSink,
+  memorySink
+};
@@ -0,0 +1,269 @@
+/**
+ * Expansion of config.json source entries into the (id, url, strategy) audit jobs they describe, selection of sources
+ * by tag and group, and parsing of the Pub/Sub messages that carry them.
+ */
+const crypto = require(`crypto`);
+const {URL} = require(`url`);
+
+// Source id of ad-hoc audits of URLs that are not in config.json
+const ADHOC_ID = 'adhoc';
+
+// Job and batch IDs are uuidv1, anything else is not one and must not become a storage path
+const JOB_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Wraps a value in an array unless it already is one.
+ *
+ * @param {*} value Value to wrap.
+ * @returns {array} The array.
+ */
+function toArray(value) {
+  if (value === undefined || value === null) { return []; }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Returns whether the URLs of a source are discovered from a sitemap or a crawl at trigger time.
+ *
+ * @param {object} src The source object in config.json.
+ * @returns {boolean} True for sources of type sitemap or crawl.
+ */
+function isDiscovered(src) {
+  return src.type === 'sitemap' || src.type === 'crawl';
+}
+
+/**
+ * Tells whether a URL is on the site of a source URL: the same host and port, over http or https, so that a sitemap
+ * that redirects to https keeps its URLs.
+ *
+ * @param {string} url The URL.
+ * @param {string} base URL of the source.
+ * @returns {boolean} Whether the URL is on the site.
+ */
+function isSameSite(url, base) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch(e) {
+    return false;
+  }
+  const site = new URL(base);
+  return /^https?:$/.test(target.protocol) && target.hostname === site.hostname && target.port === site.port;
+}
+
+/**
+ * Expands a URL template such as `https://www.ebay.{tld}/{page}` into one URL per combination of the params values.
+ *
+ * @param {string} template URL or URL template.
+ * @param {object} [params] Template values, each a string or an array of strings.
+ * @returns {array<string>} The expanded URLs.
+ */
+function expandTemplate(template, params) {
+  params = params || {};
+  const keys = (template.match(/\{[^}]+\}/g) || [])
+    .map(placeholder => placeholder.slice(1, -1))
+    .filter((key, index, arr) => arr.indexOf(key) === index);
+  return keys.reduce((urls, key) => {
+    if (!(key in params)) {
+      throw new Error(`No value for {${key}} in URL template ${template}`);
+    }
+    const values = toArray(params[key]);
+    return [].concat(...urls.map(url => values.map(value => url.split(`{${key}}`).join(value))));
+  }, [template]);
+}
+
+/**
+ * Returns the concrete URLs of a source, with templates expanded and duplicates removed.
+ *
+ * @param {object} src The source object in config.json.
+ * @returns {array<string>} The URLs.
+ */
+function sourceUrls(src) {
+  const urls = [].concat(...toArray(src.url).map(url => expandTemplate(url, src.params)));
+  return urls.filter((url, index, arr) => arr.indexOf(url) === index);
+}
+
+/**
+ * Turns a URL into a string that is safe to use as a single GCS path segment. The readable part drops the scheme and
+ * punctuation, so a short hash of the full URL keeps apart URLs that only differ there, e.g. /a-b and /a/b.
+ *
+ * @param {string} url The URL.
+ * @returns {string} The path segment, e.g. www_ebay_com_deals_3428b781 for https://www.ebay.com/deals.
+ */
+function pageKey(url) {
+  const target = new URL(url);
+  const readable = `${target.hostname}${target.pathname}${target.search}`
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  const hash = crypto.createHash('sha256').update(target.href).digest('hex').slice(0, 8);
+  return `${readable}_${hash}`;
+}
+
+/**
+ * Tells whether a trigger message selects sources by tag or group, e.g. `tag:checkout` or `group:ebay`.
+ *
+ * @param {*} msg The message, see parseMessage.
+ * @returns {boolean} Whether it is a selector.
+ */
+function isSelector(msg) {
+  return typeof msg === 'string' && /^(tag|group):./.test(msg);
+}
+
+/**
+ * Selects the sources of a selector: `tag:<tag>` selects the sources with that tag, `group:<group>` those of the
+ * group.
+ *
+ * @param {array<object>} sources The sources of config.json.
+ * @param {string} selector The selector, see isSelector.
+ * @returns {array<object>} The selected sources.
+ */
+function selectSources(sources, selector) {
+  const kind = selector.slice(0, selector.indexOf(':'));
+  const value = selector.slice(selector.indexOf(':') + 1);
+  return sources.filter(src => kind === 'tag' ? toArray(src.tags).includes(value) : src.group === value);
+}
+
+/**
+ * Returns the group and tags of a source as the columns of its result rows.
+ *
+ * @param {object} src The source object in config.json.
+ * @returns {{source_group: string|null, source_tags: array<string>}} The columns.
+ */
+function labelsOf(src) {
+  return {source_group: src.group || null, source_tags: toArray(src.tags)};
+}
+
+/**
+ * Builds the source of an ad-hoc audit of a URL that is not in config.json.
+ *
+ * @param {string} url URL to audit.
+ * @param {string|array<string>} strategy Device type(s) to audit on.
+ * @param {array<string>} [category] Lighthouse categories to run.
+ * @returns {object} The source.
+ */
+function adhocSource(url, strategy, category) {
+  const src = {id: ADHOC_ID, type: 'adhoc', url: url, strategy: strategy};
+  if (category && category.length) { src.category = category; }
+  return src;
+}
+
+/**
+ * Builds the job for a single URL and strategy of a source. Sources with a single URL keep their results under
+ * `${id}/${strategy}`, sources with several or discovered URLs (and ad-hoc audits) get one more level per page:
+ * `${id}/${pageKey}/${strategy}`.
+ *
+ * @param {object} src The source object in config.json.
+ * @param {string} url URL to audit.
+ * @param {string} strategy Device type to audit on.
+ * @returns {{id: string, url: string, strategy: string, prefix: string}} The job.
+ */
+function toJob(src, url, strategy) {
+  const urls = isDiscovered(src) ? [] : sourceUrls(src);
+  const single = src.type !== 'adhoc' && urls.length === 1 && urls[0] === url;
+  return {
+    id: src.id,
+    url: url,
+    strategy: strategy,
+    prefix: single ? `${src.id}/${strategy}` : `${src.id}/${pageKey(url)}/${strategy}`
+  };
+}
+
+/**
+ * Expands a source into one job per combination of its URLs and strategies.
+ *
+ * @param {object} src The source object in config.json.
+ * @param {array<string>} [urls] URLs to use instead of the configured ones, e.g. discovered URLs.
+ * @returns {array<object>} The jobs.
+ */
+function expandSource(src, urls) {
+  const strategies = toArray(src.strategy);
+  urls = urls || sourceUrls(src);
+  return [].concat(...urls.map(url => strategies.map(strategy => toJob(src, url, strategy))));
+}
+
+/**
+ * Expands a list of sources into their jobs.
+ *
+ * @param {array<object>} sources Source objects in config.json.
+ * @returns {array<object>} The jobs.
+ */
+function expandSources(sources) {
+  return [].concat(...sources.map(src => expandSource(src)));
+}
+
+/**
+ * Serializes a job into a Pub/Sub message payload. The job ID of a job started through the API, the categories of an
+ * ad-hoc audit, whether the job is part of a fan-out and the batch of a batched fan-out (see lib/batch) travel with
+ * the message.
+ *
+ * @param {object} job The job.
+ * @returns {Buffer} The message data.
+ */
+function toMessage(job) {
+  const payload = {id: job.id, url: job.url, strategy: job.strategy};
+  if (job.jobId) { payload.jobId = job.jobId; }
+  if (job.category) { payload.category = job.category; }
+  if (job.fanOut) { payload.fanOut = true; }
+  if (job.batch) { payload.batch = job.batch; }
+  return Buffer.from(JSON.stringify(payload));
+}
+
+/**
+ * Parses the data of a Pub/Sub message. Structured messages are JSON objects with id, url and strategy, anything
+ * else is returned as the plain string (`all` or a source id).
+ *
+ * @param {string} msg The decoded message data.
+ * @returns {string|object} The plain message or the parsed payload.
+ */
+function parseMessage(msg) {
+  if (!msg.startsWith('{')) { return msg; }
+  try {
+    return JSON.parse(msg);
+  } catch(e) {
+    return msg;
+  }
+}
+
+/**
+ * Checks a structured message against its source: the URL and the strategy must be ones of the source, the URL only
+ * on the site of the source if its URLs are discovered and any URL if it is an ad-hoc audit, and the job ID and the
+ * batch, which end up in storage paths, must be valid.
+ *
+ * @param {object} src The source of the message.
+ * @param {object} msg The parsed message, see parseMessage.
+ * @returns {string|null} What is wrong with the message, or null if it is valid.
+ */
+function checkMessage(src, msg) {
+  if (isDiscovered(src)) {
+    if (!isSameSite(msg.url, src.url)) { return `URL ${msg.url} is not on the site of the source`; }
+  } else if (src.type !== 'adhoc' && !sourceUrls(src).includes(msg.url)) {
+    return `URL ${msg.url} is not one of the source`;
+  }
+  if (!toArray(src.strategy).includes(msg.strategy)) { return `strategy ${msg.strategy} is not one of the source`; }
+  if (msg.jobId !== undefined && !JOB_ID.test(msg.jobId)) { return `invalid job ID ${msg.jobId}`; }
+  if (msg.batch !== undefined && !(msg.batch && JOB_ID.test(msg.batch.id) && Number.isInteger(msg.batch.index) && msg.batch.index >= 0)) {
+    return `invalid batch ${JSON.stringify(msg.batch)}`;
+  }
+  return null;
+}
+
+module.exports = {
+  ADHOC_ID,
+  JOB_ID,
+  toArray,
+  isDiscovered,
+  isSameSite,
+  expandTemplate,
+  sourceUrls,
+  pageKey,
+  isSelector,
+  selectSources,
+  labelsOf,
+  adhocSource,
+  toJob,
+  expandSource,
+  expandSources,
+  toMessage,
+  parseMessage,
+  checkMessage
+};
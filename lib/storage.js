@@ -0,0 +1,281 @@
+/**
+ * Storage backends for reports, logs and state files. Every backend has the same interface:
+ *
+ * - `name`: where the files go, for logging.
+ * - `write(path, data, options)`: writes a file and resolves with {generation} of the written file. options:
+ *   contentType, cacheControl and ifGeneration, which only writes if the file is still at that generation (0: does not
+ *   exist yet) and fails with code 412 otherwise.
+ * - `read(path)`: resolves with the contents as a Buffer, or null if the file does not exist.
+ * - `readVersioned(path)`: resolves with {data, generation}, or null if the file does not exist.
+ * - `list(prefix)`: resolves with the sorted paths of the files starting with prefix.
+ * - `remove(path)`: deletes a file, if it exists.
+ * - `file(path)` (optional): returns the GCS File object of a path, for sinks that load files straight from the
+ *   bucket (see loadFiles in lib/sinks).
+ */
+const fs = require(`fs`);
+const path = require(`path`);
+const {promisify} = require(`util`);
+
+const {createS3Client} = require(`./s3`);
+
+const fsReadFile = promisify(fs.readFile);
+const fsWriteFile = promisify(fs.writeFile);
+const fsReaddir = promisify(fs.readdir);
+const fsStat = promisify(fs.stat);
+const fsMkdir = promisify(fs.mkdir);
+const fsUnlink = promisify(fs.unlink);
+
+/**
+ * Creates the error of a failed ifGeneration precondition.
+ *
+ * @returns {Error} The error, with code 412.
+ */
+function preconditionFailed() {
+  const err = new Error(`Precondition failed`);
+  err.code = 412;
+  return err;
+}
+
+/**
+ * Storage backend on a GCS bucket. Conditional writes use the ifGenerationMatch precondition of GCS.
+ *
+ * @param {object} bucket GCS bucket object.
+ * @returns {object} The storage backend.
+ */
+function gcsStorage(bucket) {
+  return {
+    name: `bucket ${bucket.name}`,
+    write: async (filePath, data, options) => {
+      options = options || {};
+      const metadata = {contentType: options.contentType || 'application/json'};
+      if (options.cacheControl) { metadata.cacheControl = options.cacheControl; }
+      let file;
+      if (options.ifGeneration === undefined) {
+        file = bucket.file(filePath);
+        await file.save(data, {metadata: metadata});
+      } else {
+        file = bucket.file(filePath, {generation: options.ifGeneration});
+        await file.save(data, {resumable: false, metadata: metadata});
+      }
+      // save sets the metadata of the file from the response of the upload
+      return {generation: Number(file.metadata.generation)};
+    },
+    read: async (filePath) => {
+      try {
+        const [contents] = await bucket.file(filePath).download();
+        return contents;
+      } catch(e) {
+        if (e.code === 404) { return null; }
+        throw e;
+      }
+    },
+    readVersioned: async (filePath) => {
+      let metadata;
+      try {
+        [metadata] = await bucket.file(filePath).getMetadata();
+      } catch(e) {
+        if (e.code === 404) { return null; }
+        throw e;
+      }
+      const generation = Number(metadata.generation);
+      const [contents] = await bucket.file(filePath, {generation: generation}).download();
+      return {data: contents, generation: generation};
+    },
+    list: async (prefix) => {
+      const [files] = await bucket.getFiles({prefix: prefix});
+      return files.map(file => file.name).sort();
+    },
+    remove: async (filePath) => {
+      try {
+        await bucket.file(filePath).delete();
+      } catch(e) {
+        if (e.code !== 404) { throw e; }
+      }
+    },
+    file: (filePath) => bucket.file(filePath)
+  };
+}
+
+/**
+ * Creates the directories of a path.
+ *
+ * @param {string} dir The directory.
+ * @returns {Promise<void>} Resolved promise when the directory exists.
+ */
+async function mkdirp(dir) {
+  try {
+    await fsMkdir(dir);
+  } catch(e) {
+    if (e.code === 'EEXIST') { return; }
+    if (e.code !== 'ENOENT') { throw e; }
+    await mkdirp(path.dirname(dir));
+    await mkdirp(dir);
+  }
+}
+
+/**
+ * Lists the files below a directory, as paths relative to root.
+ *
+ * @param {string} root The root directory of the storage.
+ * @param {string} dir Directory relative to root.
+ * @returns {Promise<array<string>>} The relative paths.
+ */
+async function walk(root, dir) {
+  let names;
+  try {
+    names = await fsReaddir(path.join(root, dir));
+  } catch(e) {
+    if (e.code === 'ENOENT' || e.code === 'ENOTDIR') { return []; }
+    throw e;
+  }
+  const paths = await Promise.all(names.map(async (name) => {
+    const relative = dir ? `${dir}/${name}` : name;
+    const stat = await fsStat(path.join(root, relative));
+    return stat.isDirectory() ? await walk(root, relative) : [relative];
+  }));
+  return [].concat(...paths);
+}
+
+/**
+ * Storage backend on a local directory, for running audits without GCP. The generation of a file is its modification
+ * time, which is good enough for a single process.
+ *
+ * @param {string} dir The directory.
+ * @returns {object} The storage backend.
+ */
+function fsStorage(dir) {
+  const resolve = filePath => {
+    const resolved = path.resolve(dir, filePath);
+    if (!resolved.startsWith(path.resolve(dir) + path.sep)) {
+      throw new Error(`Path ${filePath} is outside of ${dir}`);
+    }
+    return resolved;
+  };
+  const readVersioned = async (filePath) => {
+    try {
+      const stat = await fsStat(resolve(filePath));
+      return {data: await fsReadFile(resolve(filePath)), generation: stat.mtime.getTime()};
+    } catch(e) {
+      if (e.code === 'ENOENT') { return null; }
+      throw e;
+    }
+  };
+  return {
+    name: `directory ${dir}`,
+    write: async (filePath, data, options) => {
+      options = options || {};
+      if (options.ifGeneration !== undefined) {
+        const current = await readVersioned(filePath);
+        if ((current ? current.generation : 0) !== options.ifGeneration) { throw preconditionFailed(); }
+      }
+      await mkdirp(path.dirname(resolve(filePath)));
+      await fsWriteFile(resolve(filePath), data);
+      return {generation: (await fsStat(resolve(filePath))).mtime.getTime()};
+    },
+    read: async (filePath) => {
+      const file = await readVersioned(filePath);
+      return file && file.data;
+    },
+    readVersioned: readVersioned,
+    list: async (prefix) => {
+      // Only walk the directory the prefix points into
+      const base = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+      const paths = await walk(path.resolve(dir), base);
+      return paths.filter(name => name.startsWith(prefix)).sort();
+    },
+    remove: async (filePath) => {
+      try {
+        await fsUnlink(resolve(filePath));
+      } catch(e) {
+        if (e.code !== 'ENOENT') { throw e; }
+      }
+    }
+  };
+}
+
+/**
+ * Storage backend on an S3-compatible bucket. Conditional writes use If-None-Match and If-Match on the ETag, which
+ * serves as the generation of a file.
+ *
+ * @param {object} options bucket, region, endpoint and credentials, see lib/s3.
+ * @param {object} [deps] S3 client, for testing.
+ * @returns {object} The storage backend.
+ */
+function s3Storage(options, deps) {
+  const client = (deps && deps.client) || createS3Client(options);
+  const failed = (method, filePath, res) => {
+    const err = new Error(`S3 ${method} of ${filePath} failed with status ${res.statusCode}`);
+    err.code = res.statusCode;
+    return err;
+  };
+  const readVersioned = async (filePath) => {
+    const res = await client.send('GET', filePath, {buffer: true});
+    if (res.statusCode === 404) { return null; }
+    if (res.statusCode !== 200) { throw failed('GET', filePath, res); }
+    return {data: res.body, generation: res.headers.etag};
+  };
+  return {
+    name: `S3 bucket ${options.bucket}`,
+    write: async (filePath, data, writeOptions) => {
+      writeOptions = writeOptions || {};
+      const headers = {'Content-Type': writeOptions.contentType || 'application/json'};
+      if (writeOptions.cacheControl) { headers['Cache-Control'] = writeOptions.cacheControl; }
+      if (writeOptions.ifGeneration === 0) {
+        headers['If-None-Match'] = '*';
+      } else if (writeOptions.ifGeneration !== undefined) {
+        headers['If-Match'] = writeOptions.ifGeneration;
+      }
+      const res = await client.send('PUT', filePath, {headers: headers, body: data});
+      // 409 is a conflict with a concurrent conditional write
+      if (res.statusCode === 412 || res.statusCode === 409) { throw preconditionFailed(); }
+      if (res.statusCode !== 200) { throw failed('PUT', filePath, res); }
+      return {generation: res.headers.etag};
+    },
+    read: async (filePath) => {
+      const file = await readVersioned(filePath);
+      return file && file.data;
+    },
+    readVersioned: readVersioned,
+    list: async (prefix) => (await client.listKeys(prefix)).sort(),
+    remove: async (filePath) => {
+      const res = await client.send('DELETE', filePath);
+      if (res.statusCode !== 204 && res.statusCode !== 200) { throw failed('DELETE', filePath, res); }
+    }
+  };
+}
+
+/**
+ * Storage backend in memory, for tests and dry runs. The files are in the files property.
+ *
+ * @returns {object} The storage backend.
+ */
+function memoryStorage() {
+  const files = {};
+  let generation = 0;
+  return {
+    name: `memory`,
+    files: files,
+    write: async (filePath, data, options) => {
+      options = options || {};
+      if (options.ifGeneration !== undefined && (files[filePath] ? files[filePath].generation : 0) !== options.ifGeneration) {
+        throw preconditionFailed();
+      }
+      files[filePath] = {data: Buffer.from(data), generation: ++generation, contentType: options.contentType || 'application/json'};
+      return {generation: generation};
+    },
+    read: async (filePath) => files[filePath] ? files[filePath].data : null,
+    readVersioned: async (filePath) => files[filePath] ? {data: files[filePath].data, generation: files[filePath].generation} : null,
+    list: async (prefix) => Object.keys(files).filter(name => name.startsWith(prefix)).sort(),
+    remove: async (filePath) => {
+      delete files[filePath];
+    }
+  };
+}
+
+module.exports = {
+  preconditionFailed,
+  gcsStorage,
+  fsStorage,
+  s3Storage,
+  memoryStorage
+};
@@ -0,0 +1,95 @@
+/**
+ * Flattening of a Pagespeed Insights report into a row of the summary table (see summary-schema.json).
+ */
+const {getNumericValue} = require(`./formats`);
+
+// Summary columns and the Lighthouse audits they are read from
+const METRIC_AUDITS = {
+  fcp: [`first-contentful-paint`],
+  lcp: [`largest-contentful-paint`],
+  tbt: [`total-blocking-time`],
+  cls: [`cumulative-layout-shift`],
+  speed_index: [`speed-index`],
+  tti: [`interactive`],
+  // Lighthouse 6 renamed time-to-first-byte to server-response-time
+  ttfb: [`server-response-time`, `time-to-first-byte`]
+};
+
+// Field data prefixes and the CrUX metrics they are read from
+const FIELD_METRICS = {
+  fcp: `FIRST_CONTENTFUL_PAINT_MS`,
+  lcp: `LARGEST_CONTENTFUL_PAINT_MS`,
+  fid: `FIRST_INPUT_DELAY_MS`,
+  inp: `INTERACTION_TO_NEXT_PAINT`,
+  cls: `CUMULATIVE_LAYOUT_SHIFT_SCORE`,
+  ttfb: `EXPERIMENTAL_TIME_TO_FIRST_BYTE`
+};
+
+const CATEGORIES = {
+  score_performance: `performance`,
+  score_accessibility: `accessibility`,
+  score_best_practices: `best-practices`,
+  score_seo: `seo`,
+  score_pwa: `pwa`
+};
+
+/**
+ * Flattens a loadingExperience or originLoadingExperience block into p75 values and categories.
+ *
+ * @param {object} experience The loadingExperience object of the report.
+ * @returns {object|null} The field data record, or null if the report has no field data.
+ */
+function toFieldRecord(experience) {
+  if (!experience || !experience.metrics) { return null; }
+  const record = {overall_category: experience.overall_category || null};
+  Object.keys(FIELD_METRICS).forEach(key => {
+    const metric = experience.metrics[FIELD_METRICS[key]];
+    let p75 = metric && typeof metric.percentile === 'number' ? metric.percentile : null;
+    // PSI reports CLS multiplied by 100
+    if (key === 'cls' && p75 !== null) { p75 = p75 / 100; }
+    record[`${key}_p75`] = p75;
+    record[`${key}_category`] = (metric && metric.category) || null;
+  });
+  return record;
+}
+
+/**
+ * Flattens a Pagespeed Insights report into a row of the summary table.
+ *
+ * @param {object} obj The Pagespeed Insight report object.
+ * @returns {object} The summary row.
+ */
+function toSummaryRow(obj) {
+  const lhr = obj.lighthouseResult || {};
+  const audits = lhr.audits || {};
+  const categories = lhr.categories || {};
+  const row = {
+    job_id: obj.job_id || null,
+    id: obj.id,
+    url: obj.url,
+    final_url: lhr.finalUrl || null,
+    strategy: obj.emulatedFormFactor,
+    timestamp: obj.analysisUTCTimestamp,
+    source_group: obj.source_group || null,
+    source_tags: obj.source_tags || [],
+    lighthouse_version: lhr.lighthouseVersion || null
+  };
+  Object.keys(CATEGORIES).forEach(column => {
+    const category = categories[CATEGORIES[column]];
+    row[column] = category && typeof category.score === 'number' ? category.score : null;
+  });
+  Object.keys(METRIC_AUDITS).forEach(column => {
+    const values = METRIC_AUDITS[column]
+      .map(id => audits[id] && getNumericValue(audits[id]))
+      .filter(value => typeof value === 'number');
+    row[column] = values.length ? values[0] : null;
+  });
+  row.field = toFieldRecord(obj.loadingExperience);
+  row.origin_field = toFieldRecord(obj.originLoadingExperience);
+  return row;
+}
+
+module.exports = {
+  toFieldRecord,
+  toSummaryRow
+};
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Regenerates bigquery-schema.json from a sample Pagespeed Insights report.
+ *
+ * Usage: node scripts/generate-schema.js <report.json> [--fresh] [--out <file>]
+ *
+ * The fields of the current schema file are kept, so that columns of audits the sample no longer has stay queryable
+ * and existing columns keep their types. With --fresh the schema is built from the sample alone. The fields the
+ * function adds to every report (id, url, emulatedFormFactor, analysisUTCTimestamp, job_id and the source_group and
+ * source_tags of the source) are always included.
+ */
+const fs = require(`fs`);
+const path = require(`path`);
+
+const {reconcile, sortFields} = require(`../lib/schema`);
+
+const SCHEMA_FILE = path.join(__dirname, `..`, `bigquery-schema.json`);
+
+// Fields set by the function rather than returned by the Pagespeed Insights API
+const BASE_FIELDS = [
+  {mode: 'REQUIRED', name: 'id', type: 'STRING'},
+  {mode: 'REQUIRED', name: 'url', type: 'STRING'},
+  {mode: 'REQUIRED', name: 'emulatedFormFactor', type: 'STRING'},
+  {mode: 'REQUIRED', name: 'analysisUTCTimestamp', type: 'TIMESTAMP'},
+  {mode: 'NULLABLE', name: 'job_id', type: 'STRING'},
+  {mode: 'NULLABLE', name: 'source_group', type: 'STRING'},
+  {mode: 'REPEATED', name: 'source_tags', type: 'STRING'}
+];
+
+/**
+ * Orders the keys of every field like the checked-in schema file: fields, mode, name, type, and then any other keys
+ * of the field, e.g. its description, in their order.
+ *
+ * @param {array<object>} fields The fields.
+ * @returns {array<object>} The fields with ordered keys.
+ */
+function orderKeys(fields) {
+  return fields.map(field => {
+    const ordered = {};
+    if (field.fields) { ordered.fields = orderKeys(field.fields); }
+    ordered.mode = field.mode;
+    ordered.name = field.name;
+    ordered.type = field.type;
+    return Object.assign(ordered, Object.assign({}, field, ordered));
+  });
+}
+
+/**
+ * Builds the schema of a sample report.
+ *
+ * @param {object} report The sample report.
+ * @param {array<object>} [current] Fields to keep, e.g. those of the current schema file.
+ * @returns {array<object>} The sorted fields.
+ */
+function generateSchema(report, current) {
+  const {fields} = reconcile((current || []).concat(BASE_FIELDS.filter(field =>
+    !(current || []).some(item => item.name === field.name))), report);
+  return orderKeys(sortFields(fields));
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out');
+  const out = outIndex > -1 ? args[outIndex + 1] : SCHEMA_FILE;
+  const input = args.find((arg, index) => !arg.startsWith('--') && (outIndex === -1 || index !== outIndex + 1));
+  if (!input) {
+    console.error(`Usage: node scripts/generate-schema.js <report.json> [--fresh] [--out <file>]`);
+    process.exit(1);
+  }
+  const report = JSON.parse(fs.readFileSync(input, 'utf8'));
+  const current = args.includes('--fresh') ? [] : JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8'));
+  fs.writeFileSync(out, `${JSON.stringify(generateSchema(report, current), null, 2)}\n`);
+  console.log(`Wrote schema of ${input} to ${out}`);
+}
+
+module.exports = {
+  generateSchema
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const tools = require(`@google-cloud/nodejs-repo-tools`);
+const mockPsi = require(`./mock.psi.json`);
+const {createStorage, createSink} = require(`../lib/adapters`);
+const {createPipeline} = require(`../lib/pipeline`);
+
+test.beforeEach(tools.stubConsole);
+test.afterEach.always(tools.restoreConsole);
+
+test.serial(`should default to the gcs bucket and bigquery dataset of the config`, t => {
+  const gcs = {bucket: sinon.stub().returns({name: 'reports'})};
+  const config = {gcs: {bucketName: 'reports'}, datasetId: 'pagespeed_insights'};
+  t.is(createStorage(config, {gcs}).name, 'bucket reports');
+  t.true(gcs.bucket.calledWith('reports'));
+  t.is(createSink(config, {bigquery: {}}).name, 'BigQuery dataset pagespeed_insights');
+});
+
+test.serial(`should create the storage and sink types of the config`, t => {
+  t.is(createStorage({storage: {type: 'fs', dir: '/tmp/reports'}}, {}).name, 'directory /tmp/reports');
+  t.is(createStorage({storage: {type: 's3', bucket: 'reports', region: 'eu-west-1'}}, {}).name, 'S3 bucket reports');
+  const storage = createStorage({storage: {type: 'memory'}}, {});
+  t.is(storage.name, 'memory');
+  t.is(createSink({sink: {type: 'ndjson', prefix: 'rows'}}, {storage}).name, 'NDJSON files in memory');
+  t.is(createSink({sink: {type: 'postgres', connectionString: 'postgres://localhost/psi'}}, {}).name, 'PostgreSQL schema public');
+  t.throws(() => createStorage({storage: {type: 'ftp'}}, {}), /Unknown storage type ftp/);
+  t.throws(() => createSink({sink: {type: 'csv'}}, {}), /Unknown sink type csv/);
+});
+
+test.serial(`should run the pipeline on memory storage and sink`, async t => {
+  const config = {
+    source: [{id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile'}],
+    storage: {type: 'memory'}, sink: {type: 'memory'},
+    outputFormat: [],
+    minTimeBetweenTriggers: 0
+  };
+  const storage = createStorage(config, {});
+  const sink = createSink(config, {storage});
+  const runpagespeed = sinon.stub().callsFake(() => Promise.resolve(JSON.parse(JSON.stringify(mockPsi))));
+  const pipeline = createPipeline({config, storage, sink, pagespeed: {pagespeedapi: {runpagespeed}}});
+
+  const result = await pipeline.runJobs([{id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile'}]);
+  t.is(result.passed.length, 1);
+  t.deepEqual(Object.keys(storage.files).map(name => name.replace(/_.*\./, '_.')).sort(), ['ebay/mobile/log_.json', 'ebay/mobile/state.json']);
+  t.is(sink.tables.reports[0].id, 'ebay');
+  t.is(sink.tables.summary[0].strategy, 'mobile');
+});
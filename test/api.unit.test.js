@@ -0,0 +1,150 @@
+'use strict';
+
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const tools = require(`@google-cloud/nodejs-repo-tools`);
+const mockPsi = require(`./mock.psi.json`);
+const {createApi} = require(`../lib/api`);
+const {createPipeline} = require(`../lib/pipeline`);
+const {createSecrets} = require(`../lib/secrets`);
+const {memoryStorage} = require(`../lib/storage`);
+const {memorySink} = require(`../lib/sinks`);
+
+/**
+ * Creates the API on memory storage and sink.
+ */
+function setup(api, publish) {
+  const config = {
+    source: [
+      {id: 'ebay', url: 'https://www.ebay.com/', strategy: ['mobile', 'desktop'], headers: {'X-Token': '${env:TOKEN}'}},
+      {id: 'google', url: 'https://www.google.com/', strategy: 'mobile', schedule: '0 6 * * *'}
+    ],
+    api: api,
+    outputFormat: [],
+    minTimeBetweenTriggers: 0
+  };
+  const storage = memoryStorage();
+  const runpagespeed = sinon.stub().callsFake(() => Promise.resolve(JSON.parse(JSON.stringify(mockPsi))));
+  const pipeline = createPipeline({config, storage, sink: memorySink(), pagespeed: {pagespeedapi: {runpagespeed}}, publish});
+  const secrets = createSecrets({}, {env: {API_TOKEN: 'secret'}});
+  return {handle: createApi({config, pipeline, secrets}), storage, runpagespeed};
+}
+
+function request(method, path, body, headers) {
+  return {method, path, body, get: name => (headers || {})[name]};
+}
+
+function response() {
+  const res = {headers: {}};
+  res.status = code => Object.assign(res, {statusCode: code});
+  res.json = body => Object.assign(res, {body: body});
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  return res;
+}
+
+test.beforeEach(tools.stubConsole);
+test.afterEach.always(tools.restoreConsole);
+
+test.serial(`should run audits of a source and return their status`, async t => {
+  const {handle, runpagespeed} = setup();
+  const res = response();
+  await handle(request('POST', '/audits', {id: 'ebay', strategy: 'desktop', wait: true}), res);
+  t.is(res.statusCode, 200);
+  t.is(runpagespeed.callCount, 1);
+  const [job] = res.body.jobs;
+  t.is(job.state, 'succeeded');
+  t.is(job.strategy, 'desktop');
+  t.is(job.summary.job_id, job.jobId);
+  t.is(job.href, `/audits/${job.jobId}`);
+
+  const status = response();
+  await handle(request('GET', `/audits/${job.jobId}`), status);
+  t.is(status.statusCode, 200);
+  t.is(status.body.state, 'succeeded');
+  t.is(status.body.summary.score_performance, job.summary.score_performance);
+});
+
+test.serial(`should publish audits and return the queued jobs`, async t => {
+  const publish = sinon.stub().resolves('1');
+  const {handle, runpagespeed} = setup(undefined, publish);
+  const res = response();
+  await handle(request('POST', '/audits', JSON.stringify({id: 'ebay'})), res);
+  t.is(res.statusCode, 202);
+  t.is(runpagespeed.callCount, 0);
+  t.deepEqual(res.body.jobs.map(job => [job.strategy, job.state]), [['mobile', 'queued'], ['desktop', 'queued']]);
+  t.deepEqual(publish.getCalls().map(call => JSON.parse(call.args[0]).jobId), res.body.jobs.map(job => job.jobId));
+});
+
+test.serial(`should audit URLs that are not in the config only if allowed`, async t => {
+  let res = response();
+  await setup().handle(request('POST', '/audits', {url: 'https://www.example.com/', wait: true}), res);
+  t.is(res.statusCode, 403);
+
+  const {handle, storage, runpagespeed} = setup({allowUrls: true});
+  res = response();
+  await handle(request('POST', '/audits', {url: 'https://www.example.com/', strategy: 'desktop', category: ['seo'], wait: true}), res);
+  t.is(res.statusCode, 200);
+  t.is(res.body.jobs[0].id, 'adhoc');
+  t.deepEqual(runpagespeed.firstCall.args[0], {url: 'https://www.example.com/', strategy: 'desktop', category: ['seo']});
+  t.true(Object.keys(storage.files).some(name => name.startsWith('adhoc/www_example_com_49365e2b/desktop/')));
+
+  res = response();
+  await handle(request('POST', '/audits', {url: 'file:///etc/passwd'}), res);
+  t.is(res.statusCode, 400);
+});
+
+test.serial(`should reject invalid requests`, async t => {
+  const {handle} = setup();
+  const cases = [
+    [request('POST', '/audits', {id: 'amazon'}), 404, /Unknown source amazon/],
+    [request('POST', '/audits', {id: 'ebay', strategy: 'tablet'}), 400, /Unknown strategy tablet/],
+    [request('POST', '/audits', {id: 'ebay', url: 'https://www.ebay.com/deals'}), 400, /No URL and strategy/],
+    [request('POST', '/audits', {}), 400, /id of a source or a url/],
+    [request('POST', '/audits', '{not json'), 400, /not JSON/],
+    [request('GET', '/audits/../ebay'), 404, /Not found/],
+    [request('GET', '/audits/123'), 404, /Unknown job 123/],
+    [request('DELETE', '/sources'), 405, /Method DELETE not allowed/]
+  ];
+  for (const [req, status, error] of cases) {
+    const res = response();
+    await handle(req, res);
+    t.is(res.statusCode, status);
+    t.regex(res.body.error, error);
+  }
+});
+
+test.serial(`should list sources without their headers`, async t => {
+  const res = response();
+  await setup().handle(request('GET', '/sources/'), res);
+  t.is(res.statusCode, 200);
+  t.deepEqual(res.body.sources.map(src => src.id), ['ebay', 'google']);
+  t.is(res.body.sources[0].headers, undefined);
+  t.deepEqual(res.body.sources[1].schedule, {cron: '0 6 * * *'});
+});
+
+test.serial(`should require the bearer token if configured`, async t => {
+  const {handle} = setup({token: '${env:API_TOKEN}'});
+  let res = response();
+  await handle(request('GET', '/sources'), res);
+  t.is(res.statusCode, 401);
+  res = response();
+  await handle(request('GET', '/sources', undefined, {Authorization: 'Bearer wrong'}), res);
+  t.is(res.statusCode, 401);
+  res = response();
+  await handle(request('GET', '/sources', undefined, {Authorization: 'Bearer secret'}), res);
+  t.is(res.statusCode, 200);
+});
+
+test.serial(`should resolve the bearer token again after it failed to resolve`, async t => {
+  const env = {};
+  const secrets = createSecrets({}, {env: env});
+  const config = {source: [{id: 'google', url: 'https://www.google.com/', strategy: 'mobile'}], api: {token: '${env:API_TOKEN}'}};
+  const handle = createApi({config, pipeline: {}, secrets});
+  let res = response();
+  await handle(request('GET', '/sources', undefined, {Authorization: 'Bearer secret'}), res);
+  t.is(res.statusCode, 500);
+  env.API_TOKEN = 'secret';
+  res = response();
+  await handle(request('GET', '/sources', undefined, {Authorization: 'Bearer secret'}), res);
+  t.is(res.statusCode, 200);
+});
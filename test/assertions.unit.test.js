@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require(`ava`);
+const {parseAssertion, resolvePath, evaluateAssertions, toJUnit, validateAssertions} = require(`../lib/assertions`);
+
+function report(performance, lcp, http2) {
+  return {
+    id: 'ebay',
+    lighthouseResult: {
+      categories: {performance: {score: performance}},
+      audits: {
+        'largest-contentful-paint': {score: 0.5, numericValue: lcp},
+        'uses-http2': {score: http2}
+      }
+    },
+    loadingExperience: {overall_category: 'FAST'}
+  };
+}
+
+test(`should parse assertions`, t => {
+  t.deepEqual(parseAssertion('categories.performance >= 0.8'), {expr: 'categories.performance >= 0.8', path: 'categories.performance', operator: '>=', value: 0.8});
+  t.deepEqual(parseAssertion('audits.uses-http2.score==1').operator, '==');
+  t.deepEqual(parseAssertion('audits.total-blocking-time.numericValue <= baseline * 1.1').baseline, {op: '*', operand: 1.1});
+  t.deepEqual(parseAssertion('categories.seo > baseline').baseline, {op: '+', operand: 0});
+  t.throws(() => parseAssertion('categories.performance'), /Invalid assertion/);
+  t.throws(() => parseAssertion('categories.performance >= high'), /Invalid value high/);
+  t.throws(() => parseAssertion('categories.performance >= baseline / 2'), /Invalid value baseline \/ 2/);
+});
+
+test(`should resolve paths in the lighthouse result and the report`, t => {
+  const obj = report(0.9, 2000, 1);
+  t.is(resolvePath(obj, 'categories.performance'), 0.9);
+  t.is(resolvePath(obj, 'audits.largest-contentful-paint.numericValue'), 2000);
+  t.is(resolvePath(obj, 'audits.largest-contentful-paint'), 0.5);
+  t.is(resolvePath(obj, 'loadingExperience.overall_category'), 'FAST');
+  t.is(resolvePath(obj, 'audits.missing.score'), undefined);
+});
+
+test(`should evaluate assertions`, t => {
+  const verdict = evaluateAssertions(report(0.72, 3100, 1), [
+    'categories.performance >= 0.8',
+    'audits.largest-contentful-paint.numericValue <= 2500',
+    'audits.uses-http2.score == 1',
+    'audits.missing.score == 1'
+  ]);
+  t.false(verdict.passed);
+  t.deepEqual(verdict.results.map(result => result.status), ['failed', 'failed', 'passed', 'failed']);
+  t.is(verdict.results[0].message, 'categories.performance is 0.72, expected >= 0.8');
+  t.is(verdict.results[3].message, 'audits.missing.score is not a number in the report');
+  t.true(evaluateAssertions(report(0.9, 2000, 1), ['categories.performance >= 0.8']).passed);
+});
+
+test(`should evaluate assertions against the baseline`, t => {
+  const assertions = ['audits.largest-contentful-paint.numericValue <= baseline * 1.1', 'categories.performance >= baseline - 0.05'];
+  let verdict = evaluateAssertions(report(0.86, 2300, 1), assertions, report(0.9, 2000, 1));
+  t.deepEqual(verdict.results.map(result => result.status), ['failed', 'passed']);
+  t.is(verdict.results[0].baseline, 2000);
+  t.is(verdict.results[0].expected, 2200);
+  t.is(verdict.results[1].expected, 0.85);
+
+  verdict = evaluateAssertions(report(0.5, 9000, 0), assertions);
+  t.true(verdict.passed);
+  t.deepEqual(verdict.results.map(result => [result.status, result.message]), [['skipped', 'No baseline report'], ['skipped', 'No baseline report']]);
+});
+
+test(`should format results as junit xml`, t => {
+  const xml = toJUnit([
+    Object.assign({id: 'ebay', url: 'https://www.ebay.com/?a=1&b=2', strategy: 'mobile'},
+      evaluateAssertions(report(0.72, 2000, 1), ['categories.performance >= 0.8', 'audits.uses-http2.score == 1', 'categories.performance > baseline'])),
+    {id: 'google', url: 'https://www.google.com/', strategy: 'desktop', passed: false, error: 'Invalid URL <x>'}
+  ]);
+  t.true(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="multisite-lighthouse" tests="4" failures="1" errors="1">'));
+  t.true(xml.includes('<testsuite name="ebay https://www.ebay.com/?a=1&#38;b=2 mobile" tests="3" failures="1" errors="0" skipped="1">'));
+  t.true(xml.includes('<testcase classname="ebay.mobile" name="categories.performance &#62;= 0.8"><failure message="categories.performance is 0.72, expected &#62;= 0.8"/></testcase>'));
+  t.true(xml.includes('<testcase classname="ebay.mobile" name="audits.uses-http2.score == 1"/>'));
+  t.true(xml.includes('<skipped message="No baseline report"/>'));
+  t.true(xml.includes('<testcase classname="google.desktop" name="audit"><error message="Invalid URL &#60;x&#62;"/></testcase>'));
+});
+
+test(`should validate the assertions of the config`, t => {
+  t.deepEqual(validateAssertions({source: [{id: 'ebay', assertions: ['categories.performance >= 0.8', 'seo']}, {id: 'google'}]}),
+    ['ebay assertions: Invalid assertion seo, expected <path> <operator> <value>']);
+});
@@ -0,0 +1,314 @@
+'use strict';
+
+const EventEmitter = require(`events`);
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const {BigQuery, Job, Table} = require(`@google-cloud/bigquery`);
+const tools = require(`@google-cloud/nodejs-repo-tools`);
+const mockPsi = require(`./mock.psi.json`);
+const bqSchema = require(`../bigquery-schema.json`);
+const {createBatches} = require(`../lib/batch`);
+const {createPipeline} = require(`../lib/pipeline`);
+const {memoryStorage} = require(`../lib/storage`);
+const {bigquerySink, memorySink} = require(`../lib/sinks`);
+
+const JOBS = [
+  {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile'},
+  {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'desktop'},
+  {id: 'google', url: 'https://www.google.com/', strategy: 'mobile'}
+];
+
+const NOW = Date.parse('2020-01-01T00:00:00.000Z');
+
+/**
+ * Creates a pipeline on memory storage and sink, unless deps has others, that batches its fan-outs and publishes its
+ * messages into an array. deps.config overrides settings of the config.
+ */
+function setup(runpagespeed, deps) {
+  deps = deps || {};
+  const config = {
+    source: [
+      {id: 'ebay', url: 'https://www.ebay.com/', strategy: ['mobile', 'desktop']},
+      {id: 'google', url: 'https://www.google.com/', strategy: 'mobile'}
+    ],
+    batch: {deadline: 600},
+    outputFormat: [],
+    minTimeBetweenTriggers: 0
+  };
+  Object.assign(config, deps.config);
+  const storage = deps.storage || memoryStorage();
+  const sink = deps.sink || memorySink();
+  sinon.spy(sink, 'load');
+  const messages = [];
+  runpagespeed = runpagespeed || sinon.stub().callsFake(() => Promise.resolve(JSON.parse(JSON.stringify(mockPsi))));
+  const pipeline = createPipeline({
+    config,
+    storage,
+    sink,
+    pagespeed: {pagespeedapi: {runpagespeed}},
+    publish: async msg => messages.push(msg.toString())
+  });
+  return {pipeline, storage, sink, messages};
+}
+
+test.beforeEach(tools.stubConsole);
+test.afterEach.always(tools.restoreConsole);
+
+test.serial(`should track the results of a batch until it is ready`, async t => {
+  const storage = memoryStorage();
+  const batches = createBatches(storage, {deadline: 60});
+  const manifest = await batches.create(JOBS, NOW);
+  t.is(manifest.deadline, '2020-01-01T00:01:00.000Z');
+  t.deepEqual(manifest.expected[2], {index: 2, id: 'google', url: 'https://www.google.com/', strategy: 'mobile'});
+  t.true(!!await storage.read(`batches/${manifest.batchId}/manifest.json`));
+
+  const batch = index => ({id: manifest.batchId, index: index});
+  await batches.stage(batch(0), 'summary', [{id: 'ebay', strategy: 'mobile'}]);
+  await batches.stage(batch(1), 'summary', [{id: 'ebay', strategy: 'desktop'}]);
+  await batches.report(batch(0), {state: 'succeeded', jobId: 'a'});
+  await batches.report(batch(1), {state: 'failed', jobId: 'b', error: 'Timeout'});
+  t.false((await batches.status(manifest.batchId, NOW + 59999)).ready);
+  t.true((await batches.status(manifest.batchId, NOW + 60000)).ready);
+  t.is(await batches.status('unknown'), null);
+  t.deepEqual(await batches.readRows(manifest.batchId, 'summary', [1, 0, 2]), [{id: 'ebay', strategy: 'desktop'}, {id: 'ebay', strategy: 'mobile'}]);
+  t.deepEqual(await batches.listStaged(manifest.batchId, 'summary', [1, 0, 2]), [1, 0].map(index => `batches/${manifest.batchId}/rows/summary/${index}.json`));
+  await batches.stageSchema(batch(1), 'reports', [{name: 'id', type: 'STRING'}]);
+  t.deepEqual(await batches.readSchemas(manifest.batchId, 'reports', [0, 1]), [[{name: 'id', type: 'STRING'}]]);
+
+  // A redelivered job overwrites its result
+  await batches.report(batch(1), {state: 'succeeded', jobId: 'b'});
+  await batches.report(batch(2), {state: 'skipped', reason: 'leased'});
+  const status = await batches.status(manifest.batchId, NOW);
+  t.true(status.ready);
+  t.is(status.reported, 3);
+  t.is((await batches.readResults(manifest.batchId))[1].state, 'succeeded');
+});
+
+test.serial(`should let one instance load a batch and list the open ones`, async t => {
+  const storage = memoryStorage();
+  const batches = createBatches(storage, {prefix: 'runs/batches', loadTimeout: 1000});
+  const first = await batches.create(JOBS.slice(0, 2), NOW);
+  const second = await batches.create(JOBS.slice(2), NOW);
+  t.deepEqual((await batches.listOpen()).sort(), [first.batchId, second.batchId].sort());
+
+  t.true(await batches.claim(first.batchId, NOW));
+  t.false(await batches.claim(first.batchId, NOW + 999));
+  // The claim of an instance that did not finish expires, a failed load is released right away
+  t.true(await batches.claim(first.batchId, NOW + 1000));
+  await batches.release(first.batchId, new Error('Quota exceeded'));
+  t.true(await batches.claim(first.batchId, NOW + 1000));
+
+  await batches.report({id: first.batchId, index: 0}, {state: 'succeeded', jobId: 'a'});
+  const manifest = await batches.complete((await batches.status(first.batchId, NOW)).manifest, await batches.readResults(first.batchId), {summary: {jobId: `${first.batchId}_summary`, rows: 1}}, NOW);
+  t.is(manifest.state, 'loaded');
+  t.deepEqual(manifest.succeeded, [{index: 0, id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile', jobId: 'a'}]);
+  t.deepEqual(manifest.failed, []);
+  t.deepEqual(manifest.missing, [{index: 1, id: 'ebay', url: 'https://www.ebay.com/', strategy: 'desktop'}]);
+  t.true((await batches.status(first.batchId)).loaded);
+  t.deepEqual(await batches.listOpen(), [second.batchId]);
+  // Only the index of the open batches is listed
+  sinon.spy(storage, 'list');
+  await batches.listOpen();
+  t.deepEqual(storage.list.args, [['runs/batches/open/']]);
+});
+
+test.serial(`should stage the jobs of a fan-out and load them in one job per table`, async t => {
+  const {pipeline, storage, sink, messages} = setup();
+  await pipeline.handleMessage('all');
+  t.is(messages.length, 3);
+  const batchId = JSON.parse(messages[0]).batch.id;
+  t.deepEqual(messages.map(msg => JSON.parse(msg).batch), [0, 1, 2].map(index => ({id: batchId, index: index})));
+
+  await pipeline.handleMessage(messages[0], 'm0');
+  await pipeline.handleMessage(messages[1], 'm1');
+  t.is(sink.load.callCount, 0);
+  t.true(!!await storage.read(`batches/${batchId}/rows/reports/0.json`));
+  const jobId = JSON.parse(await storage.read(`batches/${batchId}/results/0.json`)).jobId;
+  t.true(console.log.calledWith(`ebay: Staging job with ID ${jobId} in batch ${batchId} for https://www.ebay.com/ on mobile`));
+
+  // The last job loads the batch
+  await pipeline.handleMessage(messages[2], 'm2');
+  t.deepEqual(sink.load.args.map(args => [args[0], args[2].jobId, args[1].length]), [
+    ['reports', `${batchId}_reports`, 3],
+    ['summary', `${batchId}_summary`, 3],
+    ['resources', `${batchId}_resources`, sink.tables.resources.length]
+  ]);
+  t.deepEqual(sink.load.firstCall.args[2].partitioning, {field: 'analysisUTCTimestamp', clustering: ['id', 'emulatedFormFactor']});
+  t.true(sink.load.firstCall.args[2].evolveSchema);
+  t.deepEqual(sink.tables.summary.map(row => [row.id, row.strategy]), [['ebay', 'mobile'], ['ebay', 'desktop'], ['google', 'mobile']]);
+  const manifest = JSON.parse(await storage.read(`batches/${batchId}/manifest.json`));
+  t.is(manifest.state, 'loaded');
+  t.is(manifest.succeeded.length, 3);
+  t.deepEqual(manifest.succeeded.map(job => job.jobId), sink.tables.summary.map(row => row.job_id));
+  t.true(console.log.calledWith(`Batch ${batchId}: Loaded 3 of 3 job(s), 0 failed, 0 skipped and 0 missing`));
+
+  // A redelivery after the load does not load the batch again
+  await pipeline.handleMessage(messages[2], 'm2');
+  t.is(sink.load.callCount, 3);
+  t.deepEqual(await pipeline.finalizeBatches(), []);
+});
+
+test.serial(`should load the staged files of a batch where they are`, async t => {
+  const storage = Object.assign(memoryStorage(), {file: path => ({name: path})});
+  sinon.spy(storage, 'read');
+  // The reports table is missing a field of the reports, which the jobs stage
+  const fields = bqSchema.filter(field => field.name !== 'captchaResult');
+  const sink = Object.assign(memorySink(), {getSchema: async () => fields, loadFiles: sinon.stub().resolves()});
+  const {pipeline, messages} = setup(null, {storage, sink});
+  await pipeline.handleMessage('all');
+  const batchId = JSON.parse(messages[0]).batch.id;
+  for (const [index, msg] of messages.entries()) {
+    await pipeline.handleMessage(msg, `m${index}`);
+  }
+  t.is(sink.load.callCount, 0);
+  t.deepEqual(sink.loadFiles.args.map(args => [args[0], args[2].jobId, args[1].map(file => file.name)]), ['reports', 'summary', 'resources']
+    .map(table => [table, `${batchId}_${table}`, [0, 1, 2].map(index => `batches/${batchId}/rows/${table}/${index}.json`)]));
+  t.true(sink.loadFiles.firstCall.args[2].schema.some(field => field.name === 'captchaResult'));
+  t.deepEqual(JSON.parse(await storage.read(`batches/${batchId}/loaded.json`)).tables.summary, {jobId: `${batchId}_summary`, files: 3});
+  // The results are read once, by the load, and the staged rows not at all
+  t.is(storage.read.args.filter(args => args[0].includes('/results/')).length, 3);
+  t.false(storage.read.args.some(args => args[0].includes('/rows/')));
+});
+
+test.serial(`should regenerate the dashboard once per fan-out`, async t => {
+  const dashboards = () => console.log.args.filter(args => /^Writing dashboard of/.test(args[0])).length;
+  const batched = setup(null, {config: {dashboard: {}}});
+  await batched.pipeline.handleMessage('all');
+  t.true(batched.messages.every(msg => JSON.parse(msg).fanOut));
+  for (const [index, msg] of batched.messages.entries()) {
+    await batched.pipeline.handleMessage(msg, `m${index}`);
+  }
+  // After the batch is loaded
+  t.is(dashboards(), 1);
+
+  const {pipeline, storage, messages} = setup(null, {config: {dashboard: {}, batch: undefined}});
+  sinon.spy(storage, 'write');
+  await pipeline.handleMessage('all');
+  for (const [index, msg] of messages.entries()) {
+    await pipeline.handleMessage(msg, `m${index}`);
+  }
+  t.is(dashboards(), 1);
+  t.is(storage.write.args.filter(args => args[0] === 'dashboard/stale.json').length, 1);
+  // The scheduler regenerates it once
+  t.is(await pipeline.scheduleDashboard(), 'dashboard/index.html');
+  t.is(dashboards(), 2);
+  t.is(await pipeline.scheduleDashboard(), null);
+
+  // A job published on its own regenerates it right away
+  await pipeline.handleMessage(JSON.stringify({id: 'google', url: 'https://www.google.com/', strategy: 'mobile'}), 'm3');
+  t.is(dashboards(), 3);
+  t.is(await pipeline.scheduleDashboard(), null);
+  await pipeline.handleMessage(messages[1], 'm4');
+  t.is(await pipeline.scheduleDashboard(), 'dashboard/index.html');
+});
+
+test.serial(`should not report a redelivery during a run to the batch`, async t => {
+  let redeliver;
+  const runpagespeed = sinon.stub().callsFake(async () => {
+    if (redeliver) {
+      const msg = redeliver;
+      redeliver = null;
+      await msg();
+    }
+    return JSON.parse(JSON.stringify(mockPsi));
+  });
+  const {pipeline, storage, messages} = setup(runpagespeed);
+  await pipeline.handleMessage('all');
+  const batchId = JSON.parse(messages[0]).batch.id;
+  let result;
+  redeliver = async () => {
+    await pipeline.handleMessage(messages[0], 'm0');
+    result = await storage.read(`batches/${batchId}/results/0.json`);
+  };
+  await pipeline.handleMessage(messages[0], 'm0');
+  t.true(console.log.calledWithMatch(/^ebay: Found running event on mobile/));
+  t.falsy(result);
+  t.is(JSON.parse(await storage.read(`batches/${batchId}/results/0.json`)).state, 'succeeded');
+});
+
+test.serial(`should load a batch at its deadline without the jobs that did not report`, async t => {
+  const err = new Error('Invalid URL');
+  err.code = 400;
+  const runpagespeed = sinon.stub().callsFake(params => params.url.includes('google') ?
+    Promise.reject(err) : Promise.resolve(JSON.parse(JSON.stringify(mockPsi))));
+  const {pipeline, storage, sink, messages} = setup(runpagespeed);
+  await pipeline.handleMessage('all');
+  const batchId = JSON.parse(messages[0]).batch.id;
+  await pipeline.handleMessage(messages[0], 'm0');
+  await t.throws(pipeline.handleMessage(messages[2], 'm2'), /Invalid URL/);
+  t.is(sink.load.callCount, 0);
+  t.deepEqual(await pipeline.finalizeBatches(), []);
+
+  const [manifest] = await pipeline.finalizeBatches(new Date().getTime() + 600000);
+  t.is(manifest.batchId, batchId);
+  t.deepEqual(manifest.succeeded.map(job => job.strategy), ['mobile']);
+  t.deepEqual(manifest.failed.map(job => [job.id, job.error]), [['google', 'Invalid URL']]);
+  t.deepEqual(manifest.missing.map(job => job.strategy), ['desktop']);
+  t.deepEqual(sink.tables.summary.map(row => [row.id, row.strategy]), [['ebay', 'mobile']]);
+  t.deepEqual(JSON.parse(await storage.read(`batches/${batchId}/loaded.json`)).tables.summary, {jobId: `${batchId}_summary`, rows: 1});
+  t.deepEqual(await pipeline.finalizeBatches(new Date().getTime() + 600000), []);
+});
+
+test.serial(`should keep a batch open when its load fails`, async t => {
+  const {pipeline, sink, messages} = setup();
+  sink.load.restore();
+  sink.load = sinon.stub();
+  sink.load.onFirstCall().rejects(new Error('Quota exceeded'));
+  sink.load.resolves();
+  await pipeline.handleMessage('all');
+  t.is(messages.length, 3);
+  for (const [index, msg] of messages.entries()) {
+    await pipeline.handleMessage(msg, `m${index}`);
+  }
+  t.is(sink.load.callCount, 1);
+  t.true(console.error.calledWithMatch(/^google: Reporting to batch .* failed$/));
+
+  const [manifest] = await pipeline.finalizeBatches();
+  t.is(manifest.succeeded.length, 3);
+  t.is(sink.load.callCount, 4);
+});
+
+test.serial(`should load a batch into bigquery under another job ID when its load job failed`, async t => {
+  const notFound = Object.assign(new Error('Not found'), {code: 404});
+  const created = new Map();
+  // Load jobs are created once per job ID, the first one fails after it was created
+  sinon.stub(Table.prototype, 'createLoadJob').callsFake((source, metadata, callback) => {
+    if (created.has(metadata.jobId)) {
+      callback(Object.assign(new Error(`Already Exists: Job psi:${metadata.jobId}`), {code: 409}));
+      return;
+    }
+    const job = new EventEmitter();
+    const errorResult = created.size ? null : {message: 'Backend error'};
+    created.set(metadata.jobId, {state: 'DONE', errorResult});
+    callback(null, job);
+    setImmediate(() => errorResult ? job.emit('error', new Error(errorResult.message)) : job.emit('complete', {}));
+  });
+  sinon.stub(Table.prototype, 'getMetadata').rejects(notFound);
+  sinon.stub(Table.prototype, 'insert').resolves();
+  sinon.stub(Job.prototype, 'getMetadata').callsFake(function() {
+    return Promise.resolve([{status: created.get(this.id)}]);
+  });
+  try {
+    const sink = bigquerySink(new BigQuery({projectId: 'test'}), 'psi', {writeFile: sinon.stub().resolves()});
+    const {pipeline, messages} = setup(null, {sink});
+    await pipeline.handleMessage('all');
+    for (const [index, msg] of messages.entries()) {
+      await pipeline.handleMessage(msg, `m${index}`);
+    }
+    t.true(console.error.calledWithMatch(/^google: Reporting to batch .* failed$/));
+    const batchId = JSON.parse(messages[0]).batch.id;
+    t.deepEqual(Array.from(created.keys()), [`${batchId}_reports`]);
+
+    const [manifest] = await pipeline.finalizeBatches();
+    t.is(manifest.succeeded.length, 3);
+    t.deepEqual(Array.from(created.keys()), [
+      `${batchId}_reports`, `${batchId}_reports_1`, `${batchId}_summary`, `${batchId}_resources`
+    ]);
+    t.deepEqual(await pipeline.finalizeBatches(), []);
+  } finally {
+    Table.prototype.createLoadJob.restore();
+    Table.prototype.getMetadata.restore();
+    Table.prototype.insert.restore();
+    Job.prototype.getMetadata.restore();
+  }
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require(`ava`);
+const {extractScores, computeBaseline, evaluate} = require(`../lib/budgets`);
+
+function report(performance, lcp, cls) {
+  return {
+    id: 'ebay',
+    url: 'https://www.ebay.com/',
+    emulatedFormFactor: 'desktop',
+    analysisUTCTimestamp: '2019-05-08T13:17:20.549Z',
+    lighthouseResult: {
+      categories: {performance: {score: performance}, seo: {score: null}},
+      audits: {
+        'largest-contentful-paint': {numericValue: lcp},
+        'cumulative-layout-shift': {numericValue: cls},
+        'first-contentful-paint': {rawValue: 1000}
+      }
+    }
+  };
+}
+
+test(`should extract category scores and budget metrics`, t => {
+  t.deepEqual(extractScores(report(0.9, 2000, 0.1)), {
+    categories: {performance: 0.9},
+    metrics: {lcp: 2000, cls: 0.1, fcp: 1000}
+  });
+});
+
+test(`should use the median of previous runs as baseline`, t => {
+  const history = [
+    {categories: {performance: 0.5}, metrics: {lcp: 3000}},
+    {categories: {performance: 0.9}, metrics: {lcp: 1000}},
+    {categories: {performance: 0.8}, metrics: {}},
+    {categories: {performance: 0.7}, metrics: {lcp: 2000}}
+  ];
+  t.deepEqual(computeBaseline(history), {categories: {performance: 0.75}, metrics: {lcp: 2000}});
+});
+
+test(`should pass a run within budget and without history`, t => {
+  const verdict = evaluate(report(0.9, 2000, 0.05), {categories: {performance: 0.8}, metrics: {lcp: 2500}}, []);
+  t.true(verdict.passed);
+  t.deepEqual(verdict.violations, []);
+  t.deepEqual(verdict.regressions, []);
+  t.deepEqual(verdict.baseline, {runs: 0, categories: {}, metrics: {}});
+});
+
+test(`should flag budget violations`, t => {
+  const verdict = evaluate(report(0.7, 3000, 0.05), {categories: {performance: 0.8}, metrics: {lcp: 2500, cls: 0.1}}, []);
+  t.false(verdict.passed);
+  t.deepEqual(verdict.violations, [
+    {type: 'category', name: 'performance', value: 0.7, threshold: 0.8},
+    {type: 'metric', name: 'lcp', value: 3000, threshold: 2500}
+  ]);
+});
+
+test(`should flag regressions beyond the configured delta`, t => {
+  const history = [extractScores(report(0.9, 2000, 0.1)), extractScores(report(0.9, 2000, 0.1))];
+  const verdict = evaluate(report(0.8, 2300, 0.15), {regression: {maxScoreDrop: 0.05, maxMetricIncrease: 0.2}}, history);
+  t.false(verdict.passed);
+  t.deepEqual(verdict.regressions.map(item => item.name), ['performance', 'cls']);
+  t.deepEqual(verdict.baseline.runs, 2);
+});
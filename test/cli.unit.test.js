@@ -0,0 +1,260 @@
+'use strict';
+
+const fs = require(`fs`);
+const os = require(`os`);
+const path = require(`path`);
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const tools = require(`@google-cloud/nodejs-repo-tools`);
+const mockPsi = require(`./mock.psi.json`);
+const {parseArgs, main} = require(`../lib/cli`);
+
+/**
+ * Writes a config file to a new temporary directory.
+ */
+function setup(config) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+  fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify(config));
+  return dir;
+}
+
+test.beforeEach(tools.stubConsole);
+test.afterEach.always(tools.restoreConsole);
+
+test.serial(`should parse command and options`, t => {
+  t.deepEqual(parseArgs(['run', '--config', 'c.json', '--id=ebay', '--out', 'out']), {
+    command: 'run',
+    options: {config: 'c.json', id: 'ebay', out: 'out'}
+  });
+  t.deepEqual(parseArgs(['schedule', '--once', '--config', 'c.json']), {
+    command: 'schedule',
+    options: {once: true, config: 'c.json'}
+  });
+  t.deepEqual(parseArgs(['assert', '--assert', 'categories.seo >= 0.9', '--assert=audits.uses-http2.score==1']).options, {
+    assert: ['categories.seo >= 0.9', 'audits.uses-http2.score==1']
+  });
+});
+
+test.serial(`should print usage for unknown commands`, async t => {
+  t.is(await main([]), 1);
+  t.true(console.error.firstCall.args[0].startsWith('Usage: multisite-lighthouse'));
+});
+
+test.serial(`should validate config without gcp settings`, async t => {
+  const dir = setup({source: [{id: 'ebay', url: 'https://www.ebay.com/', strategy: ['mobile', 'desktop']}], outputFormat: []});
+  t.is(await main(['validate', '--config', path.join(dir, 'config.json')]), 0);
+  t.true(console.log.calledWith('ebay: 2 job(s)'));
+  fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({outputFormat: []}));
+  await t.throws(main(['validate', '--config', path.join(dir, 'config.json')]), /requires property "source"/);
+});
+
+test.serial(`should run audits and write reports, logs and ndjson to the out directory`, async t => {
+  const dir = setup({
+    source: [
+      {id: 'ebay', url: 'https://www.ebay.com/', strategy: ['mobile', 'desktop']},
+      {id: 'google', url: 'https://www.google.com/', strategy: 'mobile'}
+    ],
+    outputFormat: ['html']
+  });
+  const runpagespeed = sinon.stub().callsFake(() => Promise.resolve(JSON.parse(JSON.stringify(mockPsi))));
+  const out = path.join(dir, 'out');
+
+  const code = await main(['run', '--config', path.join(dir, 'config.json'), '--id', 'ebay', '--strategy', 'desktop', '--out', out], {
+    pagespeed: {pagespeedapi: {runpagespeed}}
+  });
+  t.is(code, 0);
+  t.is(runpagespeed.callCount, 1);
+  t.deepEqual(runpagespeed.firstCall.args[0].strategy, 'desktop');
+  const files = fs.readdirSync(path.join(out, 'ebay', 'desktop')).map(file => file.replace(/_.*\./, '_.'));
+  t.deepEqual(files.sort(), ['log_.json', 'report_.html', 'state.json']);
+  const [reports] = fs.readdirSync(path.join(out, 'ndjson', 'reports'));
+  const row = JSON.parse(fs.readFileSync(path.join(out, 'ndjson', 'reports', reports), 'utf8'));
+  t.is(row.id, 'ebay');
+  t.is(row.job_id, reports.replace('.json', ''));
+  t.deepEqual(fs.readdirSync(path.join(out, 'ndjson', 'summary')), [`${row.job_id}_summary.json`]);
+});
+
+test.serial(`should exit with 1 and record failed runs`, async t => {
+  const dir = setup({source: [{id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile'}], outputFormat: []});
+  const runpagespeed = sinon.stub().rejects(new Error('Invalid URL'));
+  const out = path.join(dir, 'out');
+
+  t.is(await main(['run', '--config', path.join(dir, 'config.json'), '--out', out], {pagespeed: {pagespeedapi: {runpagespeed}}}), 1);
+  const [failed] = fs.readdirSync(path.join(out, 'ndjson', 'failed_runs'));
+  t.is(JSON.parse(fs.readFileSync(path.join(out, 'ndjson', 'failed_runs', failed), 'utf8')).error_message, 'Invalid URL');
+  t.true(console.log.calledWith('0 job(s) succeeded, 1 failed'));
+});
+
+test.serial(`should run the sources that are due on the schedule once`, async t => {
+  const dir = setup({
+    source: [
+      {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile'},
+      {id: 'google', url: 'https://www.google.com/', strategy: 'mobile', schedule: false}
+    ],
+    schedule: '* * * * *',
+    outputFormat: []
+  });
+  const runpagespeed = sinon.stub().callsFake(() => Promise.resolve(JSON.parse(JSON.stringify(mockPsi))));
+  const out = path.join(dir, 'out');
+
+  t.is(await main(['schedule', '--config', path.join(dir, 'config.json'), '--out', out, '--once'], {pagespeed: {pagespeedapi: {runpagespeed}}}), 0);
+  t.is(runpagespeed.callCount, 1);
+  t.is(runpagespeed.firstCall.args[0].url, 'https://www.ebay.com/');
+  t.deepEqual(JSON.parse(fs.readFileSync(path.join(out, 'schedule', 'state.json'), 'utf8')).started.map(item => item.id), ['ebay']);
+});
+
+test.serial(`should fail on invalid schedules`, async t => {
+  const dir = setup({source: [{id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile', schedule: '0 25 * * *'}], outputFormat: []});
+  await t.throws(main(['validate', '--config', path.join(dir, 'config.json')]), /ebay schedule: Invalid hour 25/);
+});
+
+test.serial(`should check assertions and write junit and json results`, async t => {
+  const dir = setup({
+    source: [
+      {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile', assertions: ['categories.seo >= 0.9', 'categories.performance >= baseline']},
+      {id: 'google', url: 'https://www.google.com/', strategy: 'mobile'}
+    ],
+    outputFormat: []
+  });
+  const runpagespeed = sinon.stub().callsFake(() => Promise.resolve(JSON.parse(JSON.stringify(mockPsi))));
+  const out = path.join(dir, 'out');
+  const args = ['assert', '--config', path.join(dir, 'config.json'), '--out', out, '--junit', path.join(dir, 'junit.xml'), '--json', path.join(dir, 'results.json')];
+
+  t.is(await main(args.concat('--baseline', 'latest'), {pagespeed: {pagespeedapi: {runpagespeed}}}), 0);
+  t.is(runpagespeed.callCount, 1);
+  t.true(console.log.calledWith('google: No assertions, skipping https://www.google.com/ on mobile'));
+  const results = JSON.parse(fs.readFileSync(path.join(dir, 'results.json'), 'utf8'));
+  t.true(results.passed);
+  t.deepEqual(results.jobs[0].results.map(result => result.status), ['passed', 'skipped']);
+  t.true(fs.readFileSync(path.join(dir, 'junit.xml'), 'utf8').includes('tests="2" failures="0" errors="0"'));
+  // Assertion runs are not written
+  t.false(fs.existsSync(out) && fs.readdirSync(out).includes('ebay'));
+
+  t.is(await main(args.concat('--assert', 'categories.performance >= 0.8', '--assert=categories.seo>=0.9'), {pagespeed: {pagespeedapi: {runpagespeed}}}), 1);
+  t.is(runpagespeed.callCount, 3);
+  t.true(fs.readFileSync(path.join(dir, 'junit.xml'), 'utf8').includes('<failure message="categories.performance is 0.22, expected &#62;= 0.8"/>'));
+  t.true(console.log.calledWith('0 job(s) passed their assertions, 2 failed'));
+});
+
+test.serial(`should diff two reports of the out directory`, async t => {
+  const dir = setup({source: [{id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile'}], outputFormat: []});
+  const out = path.join(dir, 'out');
+  const write = (timestamp, performance) => {
+    const report = Object.assign(JSON.parse(JSON.stringify(mockPsi)), {id: 'ebay', analysisUTCTimestamp: timestamp});
+    report.lighthouseResult.categories.performance.score = performance;
+    fs.mkdirSync(path.join(out, 'ebay', 'mobile'), {recursive: true});
+    fs.writeFileSync(path.join(out, 'ebay', 'mobile', `log_${timestamp}.json`), JSON.stringify(report));
+  };
+  write('2020-01-01T00:00:00.000Z', 0.9);
+  write('2020-01-02T00:00:00.000Z', 0.7);
+  const args = ['diff', '--config', path.join(dir, 'config.json'), '--out', out, '--from', 'ebay/mobile@2020-01-01', '--to', 'ebay/mobile'];
+
+  t.is(await main(args.concat('--json', path.join(dir, 'diff.json'), '--html', path.join(dir, 'diff.html'))), 0);
+  t.true(console.log.calledWith('Comparing ebay/mobile/log_2020-01-01T00:00:00.000Z.json with ebay/mobile/log_2020-01-02T00:00:00.000Z.json'));
+  t.true(console.log.calledWith('  Performance: 90 -> 70 (-20)'));
+  t.is(JSON.parse(fs.readFileSync(path.join(dir, 'diff.json'), 'utf8')).categories[0].delta, -0.2);
+  t.true(fs.readFileSync(path.join(dir, 'diff.html'), 'utf8').startsWith('<!DOCTYPE html>'));
+
+  await t.throws(main(['diff', '--config', path.join(dir, 'config.json'), '--out', out, '--from', 'ebay/mobile']), /diff needs --from and --to/);
+});
+
+test.serial(`should replay the archived reports of the out directory`, async t => {
+  const dir = setup({source: [{id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile'}], outputFormat: []});
+  const out = path.join(dir, 'out');
+  fs.mkdirSync(path.join(out, 'ebay', 'mobile'), {recursive: true});
+  ['2020-01-01T00:00:00.000Z', '2020-01-02T00:00:00.000Z'].forEach(timestamp => {
+    const report = Object.assign(JSON.parse(JSON.stringify(mockPsi)), {id: 'ebay', analysisUTCTimestamp: timestamp, job_id: `job-${timestamp.slice(0, 10)}`});
+    fs.writeFileSync(path.join(out, 'ebay', 'mobile', `log_${timestamp}.json`), JSON.stringify(report));
+  });
+  const args = ['replay', '--config', path.join(dir, 'config.json'), '--out', out];
+
+  t.is(await main(args.concat('--from', '2020-01-02', '--dry-run')), 0);
+  t.true(console.log.calledWith(`Dry run of replaying 1 run(s) of directory ${out}`));
+  t.true(console.log.calledWith('  summary: 1 row(s) to load, 0 run(s) already loaded'));
+  t.false(fs.existsSync(path.join(out, 'ndjson')));
+
+  t.is(await main(args.concat('--to', '2020-01-02')), 0);
+  t.true(console.log.calledWith('  reports: 2 row(s) loaded, 0 run(s) already loaded'));
+  const [file] = fs.readdirSync(path.join(out, 'ndjson', 'summary'));
+  t.regex(file, /^replay_.*_0_summary\.json$/);
+  const rows = fs.readFileSync(path.join(out, 'ndjson', 'summary', file), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  t.deepEqual(rows.map(row => row.job_id), ['job-2020-01-01', 'job-2020-01-02']);
+});
+
+test.serial(`should run the sources of a tag or group and roll up a day`, async t => {
+  const dir = setup({
+    source: [
+      {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile', group: 'marketplaces', tags: ['home']},
+      {id: 'etsy', url: 'https://www.etsy.com/', strategy: 'mobile', group: 'marketplaces'},
+      {id: 'google', url: 'https://www.google.com/', strategy: 'mobile', tags: ['home']}
+    ],
+    outputFormat: []
+  });
+  const runpagespeed = sinon.stub().callsFake(() => Promise.resolve(JSON.parse(JSON.stringify(mockPsi))));
+  const out = path.join(dir, 'out');
+  const args = command => [command, '--config', path.join(dir, 'config.json'), '--out', out];
+
+  t.is(await main(args('run').concat('--tag', 'home', '--group', 'marketplaces'), {pagespeed: {pagespeedapi: {runpagespeed}}}), 0);
+  t.deepEqual(runpagespeed.args.map(args => args[0].url), ['https://www.ebay.com/']);
+  await t.throws(main(args('run').concat('--tag', 'checkout')), /No source with tag checkout in the config/);
+
+  const day = mockPsi.analysisUTCTimestamp.slice(0, 10);
+  t.is(await main(args('rollup').concat('--day', day, '--dry-run')), 0);
+  t.true(console.log.calledWith(`  marketplaces on mobile: 1 source(s), 1 run(s), performance ${mockPsi.lighthouseResult.categories.performance.score}`));
+  t.false(fs.existsSync(path.join(out, 'ndjson', 'rollups')));
+  t.is(await main(args('rollup').concat('--day', day)), 0);
+  const rows = fs.readFileSync(path.join(out, 'ndjson', 'rollups', `rollup_${day.replace(/-/g, '')}.json`), 'utf8').trim().split('\n');
+  t.is(rows.length, 2);
+  await t.throws(main(args('rollup').concat('--day', 'yesterday')), /--day must be a day like 2020-01-31/);
+});
+
+test.serial(`should collect the crux field data of a source`, async t => {
+  const dir = setup({
+    source: [
+      {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile'},
+      {id: 'google', url: 'https://www.google.com/', strategy: 'mobile'}
+    ],
+    crux: {urls: false, retries: 0},
+    outputFormat: []
+  });
+  const postJson = sinon.stub().callsFake(async (url, body) => {
+    if (body.formFactor === 'DESKTOP') {
+      const err = new Error('Forbidden');
+      err.code = 403;
+      throw err;
+    }
+    return {statusCode: 200, body: JSON.stringify({record: {metrics: {largest_contentful_paint: {percentiles: {p75: 2100}}}}})};
+  });
+  const out = path.join(dir, 'out');
+  const args = ['crux', '--config', path.join(dir, 'config.json'), '--out', out, '--id', 'ebay'];
+
+  t.is(await main(args.concat('--dry-run'), {http: {postJson}}), 1);
+  t.is(postJson.callCount, 2);
+  t.true(console.log.calledWith('  ebay: https://www.ebay.com on mobile: LCP 2100, INP null, CLS null'));
+  t.false(fs.existsSync(path.join(out, 'ndjson')));
+  t.is(await main(args, {http: {postJson}}), 1);
+  const [file] = fs.readdirSync(path.join(out, 'ndjson', 'crux'));
+  t.regex(file, /^crux_.*\.json$/);
+  await t.throws(main(args.slice(0, -1).concat('etsy')), /No source with id etsy in the config/);
+});
+
+test.serial(`should regenerate the dashboard after runs and write it on demand`, async t => {
+  const dir = setup({
+    source: [{id: 'ebay', url: 'https://www.ebay.com/', strategy: ['mobile', 'desktop']}],
+    outputFormat: [],
+    dashboard: {title: 'Shop'}
+  });
+  const runpagespeed = sinon.stub().callsFake(() => Promise.resolve(JSON.parse(JSON.stringify(mockPsi))));
+  const out = path.join(dir, 'out');
+
+  t.is(await main(['run', '--config', path.join(dir, 'config.json'), '--out', out], {pagespeed: {pagespeedapi: {runpagespeed}}}), 0);
+  // Once for both jobs
+  t.is(console.log.args.filter(args => args[0] === `Writing dashboard of 2 job(s) to directory ${out}`).length, 1);
+  t.true(fs.readFileSync(path.join(out, 'dashboard', 'index.html'), 'utf8').includes('<h1>Shop</h1>'));
+  // The summaries of the runs are next to their logs
+  t.is(fs.readdirSync(path.join(out, 'ebay', 'mobile')).filter(name => name.startsWith('summary_')).length, 1);
+
+  t.is(await main(['dashboard', '--config', path.join(dir, 'config.json'), '--out', out, '--html', path.join(dir, 'dashboard.html')]), 0);
+  t.true(console.log.calledWith(`Wrote dashboard of 2 job(s) to ${path.join(dir, 'dashboard.html')}`));
+  t.true(fs.readFileSync(path.join(dir, 'dashboard.html'), 'utf8').includes('<section id="ebay">'));
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const fs = require(`fs`);
+const os = require(`os`);
+const path = require(`path`);
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const tools = require(`@google-cloud/nodejs-repo-tools`);
+const configSchema = require(`../config.schema.json`);
+const mockConfig = require(`./config.test.json`);
+const {describeLocation, readConfig, readConfigSync, applyEnvOverrides, validateConfig, createConfigLoader} = require(`../lib/config`);
+
+/**
+ * Returns a GCS client whose objects download the given contents, one per call.
+ */
+function gcsOf(...contents) {
+  const download = sinon.stub();
+  contents.forEach((content, i) => download.onCall(i).returns(Promise.resolve([Buffer.from(content)])));
+  const file = sinon.stub().returns({download});
+  return {bucket: sinon.stub().returns({file}), file, download};
+}
+
+function configWith(sources) {
+  return JSON.stringify(Object.assign({}, mockConfig, {source: mockConfig.source.slice(0, sources)}));
+}
+
+test.beforeEach(tools.stubConsole);
+test.afterEach.always(tools.restoreConsole);
+
+test.serial(`should read configs from json, files and gcs`, async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  fs.writeFileSync(path.join(dir, 'config.json'), '{"source": []}');
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{"source": ');
+
+  t.deepEqual(readConfigSync(' {"source": [{"id": "ebay"}]}'), {source: [{id: 'ebay'}]});
+  t.deepEqual(readConfigSync(path.join(dir, 'config.json')), {source: []});
+  t.throws(() => readConfigSync(path.join(dir, 'broken.json')), new RegExp(`Configuration ${path.join(dir, 'broken.json')} is not valid JSON`));
+  t.throws(() => readConfigSync('{"auth": "secret"'), /Configuration LIGHTHOUSE_CONFIG is not valid JSON/);
+  t.throws(() => readConfigSync(path.join(dir, 'missing.json')), /cannot be read: ENOENT/);
+  t.throws(() => readConfigSync('gs://bucket/config.json'), /can only be read asynchronously/);
+
+  const gcs = gcsOf('{"source": []}');
+  t.deepEqual(await readConfig('gs://bucket/lighthouse/config.json', gcs), {source: []});
+  t.true(gcs.bucket.calledWith('bucket'));
+  t.true(gcs.file.calledWith('lighthouse/config.json'));
+  await t.throws(readConfig('gs://bucket', gcs), /Invalid configuration URI gs:\/\/bucket/);
+  t.is(describeLocation('{"source": []}'), 'LIGHTHOUSE_CONFIG');
+});
+
+test.serial(`should override settings with environment variables`, t => {
+  const config = {auth: 'in-file', projectId: 'project', datasetId: 'dataset'};
+  t.is(applyEnvOverrides(config, {PSI_API_KEY: 'key', DATASET_ID: 'other', HOME: '/root'}), config);
+  t.deepEqual(config, {auth: 'key', projectId: 'project', datasetId: 'other'});
+});
+
+test.serial(`should validate configs with readable errors`, t => {
+  const config = JSON.parse(JSON.stringify(mockConfig));
+  t.is(validateConfig(config, configSchema, 'config.json'), config);
+
+  delete config.projectId;
+  delete config.source[0].url;
+  const err = t.throws(() => validateConfig(config, configSchema, 'gs://bucket/config.json'));
+  t.is(err.message, 'Error(s) in configuration gs://bucket/config.json:\n  - config.source[0] requires property "url"\n  - config requires property "projectId"');
+  t.deepEqual(err.errors, ['config.source[0] requires property "url"', 'config requires property "projectId"']);
+
+  const scheduled = JSON.parse(JSON.stringify(mockConfig));
+  scheduled.source[0].schedule = '0 25 * * *';
+  scheduled.source[0].assertions = ['seo'];
+  t.throws(() => validateConfig(scheduled, configSchema), /ebay schedule: Invalid hour 25 in cron expression\n  - ebay assertions: Invalid assertion seo/);
+
+  // Lighthouse sends the headers to third parties too, sources have to opt in
+  const authenticated = JSON.parse(JSON.stringify(mockConfig));
+  Object.assign(authenticated.source[0], {runner: 'lighthouse', headers: {Authorization: 'Basic ${env:AUTH}'}});
+  t.throws(() => validateConfig(authenticated, configSchema), /sendHeadersToAllOrigins/);
+  authenticated.source[0].sendHeadersToAllOrigins = true;
+  t.is(validateConfig(authenticated, configSchema), authenticated);
+});
+
+test.serial(`should load local configs once`, async t => {
+  const defaultConfig = sinon.stub().returns({source: []});
+  const loader = createConfigLoader({schema: configSchema, defaultConfig}, {env: {PROJECT_ID: 'project'}});
+  t.is(loader.name, 'config.json');
+  t.false(loader.remote);
+  const config = loader.initial();
+  t.deepEqual(config, {source: [], projectId: 'project'});
+  t.is(await loader.load(), config);
+  t.is(defaultConfig.callCount, 1);
+
+  const inline = createConfigLoader({schema: configSchema}, {env: {LIGHTHOUSE_CONFIG: '{"source": [{"id": "ebay"}]}'}});
+  t.is(inline.name, 'LIGHTHOUSE_CONFIG');
+  t.deepEqual(inline.initial(), {source: [{id: 'ebay'}]});
+});
+
+test.serial(`should reload configs in gcs after their ttl`, async t => {
+  let now = 0;
+  const gcs = gcsOf(configWith(1), configWith(1), configWith(2), '{"source": "broken"}', configWith(1));
+  const loader = createConfigLoader({schema: configSchema}, {
+    gcs: gcs,
+    now: () => now,
+    env: {LIGHTHOUSE_CONFIG: 'gs://bucket/config.json', LIGHTHOUSE_CONFIG_TTL: '60', PSI_API_KEY: 'key'}
+  });
+  t.true(loader.remote);
+  t.is(loader.initial(), null);
+
+  // Concurrent calls share the download
+  const [first, second] = await Promise.all([loader.load(), loader.load()]);
+  t.is(first, second);
+  t.is(gcs.download.callCount, 1);
+  t.is(first.auth, 'key');
+  t.true(console.log.calledWith('Loaded configuration gs://bucket/config.json with 1 source(s)'));
+
+  now = 59999;
+  t.is(await loader.load(), first);
+  t.is(gcs.download.callCount, 1);
+
+  // An unchanged config keeps its object
+  now = 60000;
+  t.is(await loader.load(), first);
+  t.is(gcs.download.callCount, 2);
+
+  now = 120000;
+  const changed = await loader.load();
+  t.is(changed.source.length, 2);
+  t.true(console.log.calledWith('Reloaded configuration gs://bucket/config.json with 2 source(s)'));
+
+  // An invalid config keeps the previous one until the next reload
+  now = 180000;
+  t.is(await loader.load(), changed);
+  t.true(console.error.firstCall.args[0].startsWith('Reloading configuration gs://bucket/config.json failed, keeping the previous one'));
+  t.regex(console.error.firstCall.args[1].message, /config.source is not of a type\(s\) array/);
+  now = 200000;
+  t.is(await loader.load(), changed);
+  now = 240000;
+  t.is((await loader.load()).source.length, 1);
+});
+
+test.serial(`should fail if the first load of a config in gcs fails`, async t => {
+  const gcs = gcsOf('{}');
+  const loader = createConfigLoader({location: 'gs://bucket/config.json', schema: configSchema}, {gcs: gcs, env: {}});
+  await t.throws(loader.load(), /Error\(s\) in configuration gs:\/\/bucket\/config.json:\n  - config requires property "source"/);
+});
@@ -0,0 +1,220 @@
+'use strict';
+
+const http = require(`http`);
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const tools = require(`@google-cloud/nodejs-repo-tools`);
+const cruxSchema = require(`../crux-schema.json`);
+const {cruxTargets, toCruxRow, collectCrux} = require(`../lib/crux`);
+const {createPipeline} = require(`../lib/pipeline`);
+const {memoryStorage} = require(`../lib/storage`);
+const {memorySink} = require(`../lib/sinks`);
+
+const SOURCES = [
+  {id: 'ebay', url: ['https://www.ebay.com/', 'https://www.ebay.com/deals'], strategy: 'mobile', group: 'marketplaces', tags: ['ebay']},
+  {id: 'etsy', type: 'sitemap', url: 'https://www.etsy.com/sitemap.xml'},
+  {id: 'intranet', url: 'https://intranet.example.com/', crux: false}
+];
+
+/**
+ * Returns a CrUX API record with the given LCP p75.
+ */
+function record(key, lcp) {
+  return {
+    key: key,
+    metrics: {
+      largest_contentful_paint: {
+        histogram: [{start: 0, end: 2500, density: 0.7}, {start: 2500, end: 4000, density: 0.2}, {start: 4000, density: 0.1}],
+        percentiles: {p75: lcp}
+      },
+      cumulative_layout_shift: {
+        histogram: [{start: '0.00', end: '0.10', density: 0.9}, {start: '0.10', end: '0.25', density: 0.1}, {start: '0.25'}],
+        percentiles: {p75: '0.05'}
+      }
+    },
+    collectionPeriod: {firstDate: {year: 2020, month: 1, day: 4}, lastDate: {year: 2020, month: 1, day: 31}}
+  };
+}
+
+/**
+ * Starts a local stand-in of the CrUX API that records the queries it receives. Origins have data, the deals page has
+ * none and the home page fails once before it answers.
+ */
+function startCruxServer() {
+  const queries = [];
+  let failures = 1;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const query = JSON.parse(body);
+      queries.push({url: req.url, body: query});
+      res.setHeader('Content-Type', 'application/json');
+      if (query.url === 'https://www.ebay.com/deals') {
+        res.statusCode = 404;
+        return res.end(JSON.stringify({error: {code: 404, message: 'chrome ux report data not found'}}));
+      }
+      if (query.url && failures-- > 0) {
+        res.statusCode = 503;
+        return res.end('{}');
+      }
+      const key = Object.assign({formFactor: query.formFactor}, query.url ? {url: query.url} : {origin: query.origin});
+      res.end(JSON.stringify({record: record(key, query.url ? 3100 : 2400)}));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    server: server,
+    queries: queries,
+    endpoint: `http://127.0.0.1:${server.address().port}/v1/records:queryRecord`
+  })));
+}
+
+function setup(crux, deps) {
+  const storage = memoryStorage();
+  const sink = memorySink();
+  sinon.spy(sink, 'load');
+  const pipeline = createPipeline(Object.assign({
+    config: {source: SOURCES, auth: 'psi-key', crux: crux},
+    storage,
+    sink,
+    pagespeed: {}
+  }, deps));
+  return {storage, sink, pipeline};
+}
+
+test.beforeEach(tools.stubConsole);
+test.afterEach.always(tools.restoreConsole);
+
+test.serial(`should query the origins and urls of the sources on both form factors`, t => {
+  const targets = cruxTargets(SOURCES);
+  t.deepEqual(targets.map(target => [target.id, target.scope, target.target, target.strategy]), [
+    ['ebay', 'origin', 'https://www.ebay.com', 'mobile'],
+    ['ebay', 'origin', 'https://www.ebay.com', 'desktop'],
+    ['ebay', 'url', 'https://www.ebay.com/', 'mobile'],
+    ['ebay', 'url', 'https://www.ebay.com/', 'desktop'],
+    ['ebay', 'url', 'https://www.ebay.com/deals', 'mobile'],
+    ['ebay', 'url', 'https://www.ebay.com/deals', 'desktop'],
+    ['etsy', 'origin', 'https://www.etsy.com', 'mobile'],
+    ['etsy', 'origin', 'https://www.etsy.com', 'desktop']
+  ]);
+  t.deepEqual([targets[0].source_group, targets[0].source_tags], ['marketplaces', ['ebay']]);
+  t.is(cruxTargets(SOURCES, {urls: false}).length, 4);
+  t.deepEqual(cruxTargets(SOURCES, {origins: false}).map(target => target.scope), ['url', 'url', 'url', 'url']);
+});
+
+test.serial(`should flatten a record into a row of the crux table`, t => {
+  const target = {id: 'ebay', scope: 'origin', target: 'https://www.ebay.com', strategy: 'mobile'};
+  const row = toCruxRow(record({origin: 'https://www.ebay.com'}, 2400), target, {job_id: 'crux_1', collected_at: '2020-02-01T06:00:00.000Z'});
+  t.deepEqual(Object.keys(row), cruxSchema.map(field => field.name));
+  t.is(row.first_date, '2020-01-04');
+  t.is(row.last_date, '2020-01-31');
+  t.deepEqual([row.lcp_p75, row.lcp_good, row.lcp_needs_improvement, row.lcp_poor], [2400, 0.7, 0.2, 0.1]);
+  t.deepEqual([row.cls_p75, row.cls_good, row.cls_needs_improvement, row.cls_poor], [0.05, 0.9, 0.1, 0]);
+  t.deepEqual([row.inp_p75, row.inp_good, row.inp_needs_improvement, row.inp_poor], [null, null, null, null]);
+  t.deepEqual([row.source_group, row.source_tags], [null, []]);
+});
+
+test.serial(`should collect the field data from the crux api and load it`, async t => {
+  const crux = await startCruxServer();
+  try {
+    const {sink, pipeline} = setup({endpoint: crux.endpoint, baseDelay: 1, maxDelay: 1});
+    const result = await pipeline.collectCruxData();
+    t.is(crux.queries.length, 9);
+    t.true(crux.queries.every(query => query.url === '/v1/records:queryRecord?key=psi-key'));
+    t.deepEqual(crux.queries[0].body, {
+      formFactor: 'PHONE',
+      metrics: ['largest_contentful_paint', 'interaction_to_next_paint', 'cumulative_layout_shift', 'first_contentful_paint', 'experimental_time_to_first_byte'],
+      origin: 'https://www.ebay.com'
+    });
+    t.true(console.log.calledWithMatch(/^ebay: CrUX query for https:\/\/www.ebay.com\/ on mobile failed with 503 \(attempt 1\), retrying in [01]ms$/));
+    t.deepEqual(result.missing.map(target => [target.target, target.strategy]), [['https://www.ebay.com/deals', 'mobile'], ['https://www.ebay.com/deals', 'desktop']]);
+    t.deepEqual(result.failed, []);
+
+    t.is(sink.load.callCount, 1);
+    const [table, rows, options] = sink.load.firstCall.args;
+    t.is(table, 'crux');
+    t.is(options.jobId, result.jobId);
+    t.deepEqual(options.partitioning, {field: 'collected_at', clustering: ['id', 'strategy']});
+    t.deepEqual(rows.map(row => [row.id, row.scope, row.strategy, row.lcp_p75]), [
+      ['ebay', 'origin', 'mobile', 2400],
+      ['ebay', 'origin', 'desktop', 2400],
+      ['ebay', 'url', 'mobile', 3100],
+      ['ebay', 'url', 'desktop', 3100],
+      ['etsy', 'origin', 'mobile', 2400],
+      ['etsy', 'origin', 'desktop', 2400]
+    ]);
+    t.true(rows.every(row => row.job_id === result.jobId));
+
+    // A dry run only queries
+    await pipeline.collectCruxData({id: 'etsy', dryRun: true});
+    t.is(crux.queries.length, 11);
+    t.is(sink.load.callCount, 1);
+    t.true(console.log.calledWithMatch(/Collected 2 row\(s\), 0 without data and 0 failed$/));
+  } finally {
+    crux.server.close();
+  }
+});
+
+test.serial(`should collect the field data on its schedule`, async t => {
+  const postJson = sinon.stub().callsFake(async (url, body) => ({
+    statusCode: 200,
+    body: JSON.stringify({record: record({origin: body.origin}, 2000)})
+  }));
+  const {storage, sink, pipeline} = setup({schedule: '0 6 * * *', apiKey: 'crux-key', urls: false}, {http: {postJson}});
+  const morning = Date.parse('2020-02-01T06:00:00.000Z');
+
+  t.is(await pipeline.scheduleCrux(morning - 60000), null);
+  t.is(postJson.callCount, 0);
+  const result = await pipeline.scheduleCrux(morning);
+  t.is(result.rows.length, 4);
+  t.is(postJson.firstCall.args[0], 'https://chromeuxreport.googleapis.com/v1/records:queryRecord?key=crux-key');
+  t.is(sink.load.callCount, 1);
+  t.deepEqual(JSON.parse(await storage.read('crux/state.json')), {checkedAt: morning, collectedAt: '2020-02-01T06:00:00.000Z'});
+
+  // Not again until the next day
+  t.is(await pipeline.scheduleCrux(morning + 60000), null);
+  t.is(await pipeline.scheduleCrux(morning + 24 * 60 * 60 * 1000 - 60000), null);
+  t.is(postJson.callCount, 4);
+  t.is((await pipeline.scheduleCrux(morning + 24 * 60 * 60 * 1000)).rows.length, 4);
+
+  // Without config.crux nothing is collected
+  t.is(await setup(undefined, {http: {postJson}}).pipeline.scheduleCrux(morning), null);
+  t.is(postJson.callCount, 8);
+});
+
+test.serial(`should collect again after a failed load`, async t => {
+  const postJson = sinon.stub().callsFake(async (url, body) => ({
+    statusCode: 200,
+    body: JSON.stringify({record: record({origin: body.origin}, 2000)})
+  }));
+  const {sink, pipeline} = setup({urls: false}, {http: {postJson}});
+  sink.load.restore();
+  sink.load = sinon.stub();
+  sink.load.onFirstCall().rejects(new Error('Quota exceeded'));
+  sink.load.resolves();
+  const morning = Date.parse('2020-02-01T06:00:00.000Z');
+
+  await t.throws(pipeline.scheduleCrux(morning), /Quota exceeded/);
+  t.is((await pipeline.scheduleCrux(morning + 60000)).rows.length, 4);
+  t.is(sink.load.callCount, 2);
+  t.is(await pipeline.scheduleCrux(morning + 120000), null);
+});
+
+test.serial(`should bound the concurrent queries and skip the targets left at the deadline`, async t => {
+  let running = 0;
+  let peak = 0;
+  const postJson = sinon.stub().callsFake(async (url, body) => {
+    peak = Math.max(peak, ++running);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    running--;
+    return {statusCode: 200, body: JSON.stringify({record: record({origin: body.origin}, 2000)})};
+  });
+  const targets = cruxTargets(SOURCES);
+  const result = await collectCrux(targets, {job_id: 'crux_1', concurrency: 3}, {http: {postJson}});
+  t.is(peak, 3);
+  t.deepEqual(result.rows.map(row => [row.target, row.strategy]), targets.map(target => [target.target, target.strategy]));
+
+  const late = await collectCrux(targets, {job_id: 'crux_2', deadline: new Date().getTime() - 1}, {http: {postJson}});
+  t.is(late.skipped.length, targets.length);
+  t.is(postJson.callCount, targets.length);
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const test = require(`ava`);
+const sinon = require(`sinon`);
+const {failingAudits, collectDashboard, renderChart, toDashboardHtml, generateDashboard} = require(`../lib/dashboard`);
+const {memoryStorage} = require(`../lib/storage`);
+const {toSummaryRow} = require(`../lib/summary`);
+
+const SOURCES = ['ebay', 'adhoc'];
+
+function report(id, url, strategy, timestamp, performance, lcp) {
+  return {
+    id: id,
+    url: url,
+    emulatedFormFactor: strategy,
+    analysisUTCTimestamp: timestamp,
+    job_id: `${id}-${strategy}-${timestamp}`,
+    lighthouseResult: {
+      categories: {performance: {title: 'Performance', score: performance}, seo: {title: 'SEO', score: 0.95}},
+      audits: {
+        'largest-contentful-paint': {id: 'largest-contentful-paint', title: 'Largest Contentful Paint', score: lcp < 2500 ? 1 : 0.3, scoreDisplayMode: 'numeric', numericValue: lcp, displayValue: `${lcp / 1000} s`},
+        'uses-http2': {id: 'uses-http2', title: 'Use HTTP/2 <h2>', score: 0, scoreDisplayMode: 'binary'},
+        'font-display': {id: 'font-display', title: 'Font display', score: 0.6, scoreDisplayMode: 'binary'},
+        'diagnostics': {id: 'diagnostics', title: 'Diagnostics', score: null, scoreDisplayMode: 'informative'}
+      }
+    }
+  };
+}
+
+async function setup() {
+  const storage = memoryStorage();
+  const write = (prefix, obj) => storage.write(`${prefix}/log_${obj.analysisUTCTimestamp}.json`, JSON.stringify(obj));
+  await write('ebay/mobile', report('ebay', 'https://www.ebay.com/', 'mobile', '2020-01-01T00:00:00.000Z', 0.8, 2000));
+  await write('ebay/mobile', report('ebay', 'https://www.ebay.com/', 'mobile', '2020-01-02T00:00:00.000Z', 0.6, 3000));
+  await write('ebay/mobile', report('ebay', 'https://www.ebay.com/', 'mobile', '2020-01-03T00:00:00.000Z', 0.7, 2600));
+  await write('ebay/desktop', report('ebay', 'https://www.ebay.com/', 'desktop', '2020-01-03T00:00:00.000Z', 0.95, 1200));
+  await write('adhoc/www.example.com/mobile', report('adhoc', 'https://www.example.com/', 'mobile', '2020-01-03T00:00:00.000Z', 0.5, 4000));
+  await storage.write('ebay/mobile/verdict_2020-01-03T00:00:00.000Z.json', '{}');
+  return storage;
+}
+
+test(`should list failing audits worst first`, t => {
+  t.deepEqual(failingAudits(report('ebay', 'https://www.ebay.com/', 'mobile', '2020-01-01T00:00:00.000Z', 0.5, 3000)), [
+    {id: 'uses-http2', title: 'Use HTTP/2 <h2>', score: 0, displayValue: null},
+    {id: 'largest-contentful-paint', title: 'Largest Contentful Paint', score: 0.3, displayValue: '3 s'},
+    {id: 'font-display', title: 'Font display', score: 0.6, displayValue: null}
+  ]);
+});
+
+test(`should collect the latest runs of every job from the storage`, async t => {
+  const jobs = await collectDashboard(await setup(), {sources: SOURCES, runs: 2});
+  t.deepEqual(jobs.map(job => job.prefix), ['ebay/desktop', 'ebay/mobile']);
+  const mobile = jobs[1];
+  t.is(mobile.strategy, 'mobile');
+  t.deepEqual(mobile.rows.map(row => [row.timestamp, row.score_performance, row.lcp]), [
+    ['2020-01-02T00:00:00.000Z', 0.6, 3000],
+    ['2020-01-03T00:00:00.000Z', 0.7, 2600]
+  ]);
+  t.is(mobile.latest.jobId, 'ebay-mobile-2020-01-03T00:00:00.000Z');
+  t.deepEqual(mobile.latest.failing.map(audit => audit.id), ['uses-http2', 'largest-contentful-paint', 'font-display']);
+});
+
+test(`should read the previous runs of a job from their summaries`, async t => {
+  const storage = await setup();
+  const previous = report('ebay', 'https://www.ebay.com/', 'mobile', '2020-01-02T00:00:00.000Z', 0.6, 3000);
+  await storage.write('ebay/mobile/summary_2020-01-02T00:00:00.000Z.json', JSON.stringify(Object.assign(toSummaryRow(previous), {score_performance: 0.65})));
+  sinon.spy(storage, 'list');
+  sinon.spy(storage, 'read');
+  const jobs = await collectDashboard(storage, {sources: ['ebay'], runs: 2});
+  t.deepEqual(storage.list.args, [['ebay/']]);
+  t.deepEqual(storage.read.args.map(args => args[0]), [
+    'ebay/desktop/log_2020-01-03T00:00:00.000Z.json',
+    'ebay/mobile/log_2020-01-03T00:00:00.000Z.json',
+    'ebay/mobile/summary_2020-01-02T00:00:00.000Z.json'
+  ]);
+  t.deepEqual(jobs[1].rows.map(row => row.score_performance), [0.65, 0.7]);
+});
+
+test(`should collect the runs from the bigquery summary table`, async t => {
+  const query = sinon.stub().resolves([[
+    {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile', timestamp: {value: '2019-12-31T00:00:00.000Z'}, score_performance: 0.9, lcp: 1800},
+    {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile', timestamp: {value: '2020-01-03T00:00:00.000Z'}, score_performance: 0.7, lcp: 2600}
+  ]]);
+  const jobs = await collectDashboard(await setup(), {sources: SOURCES, bigquery: {query}, datasetId: 'lighthouse', runs: 10});
+  t.true(query.firstCall.args[0].query.includes('FROM `lighthouse.summary`'));
+  t.deepEqual(query.firstCall.args[0].params, {runs: 10});
+  t.deepEqual(jobs[1].rows.map(row => [row.timestamp, row.score_performance]), [['2019-12-31T00:00:00.000Z', 0.9], ['2020-01-03T00:00:00.000Z', 0.7]]);
+  // Jobs without rows in the table fall back to their latest report
+  t.deepEqual(jobs[0].rows.map(row => row.score_performance), [0.95]);
+  t.is(jobs[0].latest.failing.length, 2);
+});
+
+test(`should render charts as svg`, t => {
+  const svg = renderChart([
+    {title: 'Mobile', color: '#1a73e8', points: [{timestamp: '2020-01-01T00:00:00.000Z', value: 2000}, {timestamp: '2020-01-03T00:00:00.000Z', value: 1000}]}
+  ], {unit: 'ms'});
+  t.true(svg.startsWith('<svg viewBox="0 0 440 160"'));
+  t.true(svg.includes('<polyline points="44,21.6 430,79.8" fill="none" stroke="#1a73e8" stroke-width="2"/>'));
+  t.true(svg.includes('<title>Mobile 2000 ms (2020-01-01T00:00:00.000Z)</title>'));
+  t.true(svg.includes('>2020-01-01</text>') && svg.includes('>2020-01-03</text>'));
+  t.true(renderChart([{title: 'SEO', color: '#000', points: [{timestamp: '2020-01-01T00:00:00.000Z', value: 0.5}]}]).includes('<circle cx="237" cy="74"'));
+});
+
+test(`should render the dashboard as html`, async t => {
+  const jobs = await collectDashboard(await setup(), {sources: SOURCES});
+  const html = toDashboardHtml(jobs, {title: 'Shop <dashboard>', generatedAt: '2020-01-04T00:00:00.000Z'});
+  t.true(html.startsWith('<!DOCTYPE html>'));
+  t.true(html.includes('<title>Shop &lt;dashboard&gt;</title>'));
+  t.true(html.includes('<p>Generated 2020-01-04T00:00:00.000Z from 2 job(s)</p>'));
+  t.true(html.includes('<section id="ebay"><h2>ebay</h2>'));
+  t.false(html.includes('https://www.example.com/'));
+  t.true(html.includes('<thead><tr><th></th><th>Mobile</th><th>Desktop</th></tr></thead>'));
+  t.true(html.includes('<tr><td>Performance</td><td class="average">70</td><td class="pass">95</td></tr>'));
+  t.true(html.includes('<tr><td>Largest Contentful Paint</td><td>2600 ms</td><td>1200 ms</td></tr>'));
+  t.false(html.includes('<td>Total Blocking Time</td>'));
+  t.true(html.includes('<figcaption>Scores on mobile '));
+  t.true(html.includes('<figcaption>Largest Contentful Paint '));
+  t.true(html.includes('<li class="fail"><span class="score">0</span> Use HTTP/2 &lt;h2&gt;</li>'));
+  t.true(html.includes('<h4>Failing audits on desktop <span class="display">2020-01-03T00:00:00.000Z</span></h4>'));
+
+  t.true(toDashboardHtml([]).includes('<p>No reports yet.</p>'));
+});
+
+test(`should generate the dashboard`, async t => {
+  const dashboard = await generateDashboard(await setup(), {title: 'Shop', sources: SOURCES});
+  t.is(dashboard.jobs.length, 2);
+  t.true(dashboard.html.includes('<h1>Shop</h1>'));
+});
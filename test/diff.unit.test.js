@@ -0,0 +1,106 @@
+'use strict';
+
+const test = require(`ava`);
+const {itemKey, diffReports, summarizeDiff, toDiffHtml} = require(`../lib/diff`);
+const {findReport} = require(`../lib/history`);
+const {memoryStorage} = require(`../lib/storage`);
+
+function report(id, timestamp, performance, lcp, scripts) {
+  return {
+    id: id,
+    url: `https://www.${id}.com/`,
+    emulatedFormFactor: 'mobile',
+    analysisUTCTimestamp: timestamp,
+    job_id: `${id}-${timestamp}`,
+    lighthouseResult: {
+      categories: {
+        performance: {title: 'Performance', score: performance, auditRefs: [{id: 'largest-contentful-paint', group: 'metrics'}]},
+        seo: {title: 'SEO', score: 0.9}
+      },
+      audits: {
+        'largest-contentful-paint': {title: 'Largest Contentful Paint', score: lcp < 2500 ? 1 : 0.3, numericValue: lcp},
+        'render-blocking-resources': {
+          title: 'Eliminate render-blocking resources',
+          score: scripts.length ? 0.4 : 1,
+          details: {type: 'opportunity', items: scripts.map(url => ({url: url, wastedMs: 300, totalBytes: 2048}))}
+        }
+      }
+    }
+  };
+}
+
+test(`should key items by url, entity or selector`, t => {
+  t.is(itemKey({url: 'https://a.com/app.js', wastedBytes: 1}), 'https://a.com/app.js');
+  t.is(itemKey({source: {url: 'https://a.com/app.js'}}), 'https://a.com/app.js');
+  t.is(itemKey({entity: {type: 'link', text: 'Google Tag Manager'}}), 'Google Tag Manager');
+  t.is(itemKey({node: {selector: 'div > img'}}), 'div > img');
+  t.is(itemKey({foo: 1}), '{"foo":1}');
+});
+
+test(`should diff scores, metrics, audits and items`, t => {
+  const diff = diffReports(
+    report('ebay', '2020-01-01T00:00:00.000Z', 0.91, 2000, ['https://www.ebay.com/a.js']),
+    report('ebay', '2020-01-02T00:00:00.000Z', 0.72, 3100, ['https://www.ebay.com/b.js', 'https://www.ebay.com/c.js']),
+    {from: 'ebay/mobile/log_2020-01-01T00:00:00.000Z.json'}
+  );
+  t.deepEqual(diff.from, {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile', timestamp: '2020-01-01T00:00:00.000Z', jobId: 'ebay-2020-01-01T00:00:00.000Z', path: 'ebay/mobile/log_2020-01-01T00:00:00.000Z.json'});
+  t.deepEqual(diff.categories, [
+    {id: 'performance', title: 'Performance', from: 0.91, to: 0.72, delta: -0.19},
+    {id: 'seo', title: 'SEO', from: 0.9, to: 0.9, delta: 0}
+  ]);
+  t.deepEqual(diff.metrics, [{id: 'largest-contentful-paint', title: 'Largest Contentful Paint', from: 2000, to: 3100, delta: 1100, change: 0.55}]);
+  t.deepEqual(diff.audits, {regressed: [{id: 'largest-contentful-paint', title: 'Largest Contentful Paint', from: 1, to: 0.3}], fixed: []});
+  t.deepEqual(diff.items, [{
+    id: 'render-blocking-resources',
+    title: 'Eliminate render-blocking resources',
+    addedCount: 2,
+    removedCount: 1,
+    added: [{key: 'https://www.ebay.com/b.js', wastedMs: 300, totalBytes: 2048}, {key: 'https://www.ebay.com/c.js', wastedMs: 300, totalBytes: 2048}],
+    removed: [{key: 'https://www.ebay.com/a.js', wastedMs: 300, totalBytes: 2048}]
+  }]);
+
+  t.deepEqual(summarizeDiff(diff), [
+    'Performance: 91 -> 72 (-19)',
+    'Largest Contentful Paint: 2000 -> 3100 (+1100)',
+    'Now failing: Largest Contentful Paint',
+    'Eliminate render-blocking resources: 2 new, 1 removed item(s)'
+  ]);
+});
+
+test(`should diff reports of two sources`, t => {
+  const diff = diffReports(report('ebay', '2020-01-01T00:00:00.000Z', 0.5, 3000, ['https://www.ebay.com/a.js']), report('amazon', '2020-01-01T00:00:00.000Z', 0.95, 1800, []));
+  t.is(diff.to.url, 'https://www.amazon.com/');
+  t.deepEqual(diff.audits.fixed.map(audit => audit.id), ['largest-contentful-paint', 'render-blocking-resources']);
+  t.deepEqual(diff.items[0].removed.map(item => item.key), ['https://www.ebay.com/a.js']);
+});
+
+test(`should render diffs as html`, t => {
+  const html = toDiffHtml(diffReports(
+    report('ebay', '2020-01-01T00:00:00.000Z', 0.91, 2000, []),
+    report('ebay', '2020-01-02T00:00:00.000Z', 0.72, 3100, ['https://www.ebay.com/<b>.js'])
+  ));
+  t.true(html.startsWith('<!DOCTYPE html>'));
+  t.true(html.includes('<tr><td>Performance</td><td class="pass">91</td><td class="average">72</td><td class="worse">-19</td></tr>'));
+  t.true(html.includes('<td class="worse">+1100 (+55%)</td>'));
+  t.true(html.includes('<td>Now failing</td><td>Largest Contentful Paint</td>'));
+  t.true(html.includes('+ https://www.ebay.com/&lt;b&gt;.js <span class="display">300 ms</span>'));
+});
+
+test(`should find reports by path, job id and timestamp`, async t => {
+  const storage = memoryStorage();
+  const write = obj => storage.write(`${obj.id}/mobile/log_${obj.analysisUTCTimestamp}.json`, JSON.stringify(obj));
+  await write(report('ebay', '2020-01-01T00:00:00.000Z', 0.9, 2000, []));
+  await write(report('ebay', '2020-01-02T00:00:00.000Z', 0.8, 2000, []));
+  await storage.write(`ebay/desktop/log_2020-01-02T00:00:00.000Z.json`, JSON.stringify(Object.assign(report('ebay', '2020-01-02T00:00:00.000Z', 0.7, 2000, []), {job_id: '6c84fb90-12c4-11e1-840d-7b25c5ee775a'})));
+
+  t.is((await findReport(storage, 'ebay/mobile/log_2020-01-01T00:00:00.000Z.json')).report.lighthouseResult.categories.performance.score, 0.9);
+  t.is((await findReport(storage, 'gs://bucket/ebay/mobile/log_2020-01-01T00:00:00.000Z.json')).path, 'ebay/mobile/log_2020-01-01T00:00:00.000Z.json');
+  t.is((await findReport(storage, 'ebay/mobile@latest')).path, 'ebay/mobile/log_2020-01-02T00:00:00.000Z.json');
+  t.is((await findReport(storage, 'ebay/mobile@2020-01-01')).path, 'ebay/mobile/log_2020-01-01T00:00:00.000Z.json');
+  t.is((await findReport(storage, 'ebay/mobile')).path, 'ebay/mobile/log_2020-01-02T00:00:00.000Z.json');
+  t.is((await findReport(storage, '6c84fb90-12c4-11e1-840d-7b25c5ee775a')).path, 'ebay/desktop/log_2020-01-02T00:00:00.000Z.json');
+  await t.throws(findReport(storage, 'ebay@latest'), /matches the reports of several jobs, use one of ebay\/mobile@latest, ebay\/desktop@latest/);
+  await t.throws(findReport(storage, 'ebay/mobile@2019'), /No report matches ebay\/mobile@2019 in memory/);
+  await t.throws(findReport(storage, '6c84fb90-12c4-11e1-840d-000000000000'), /No report of job/);
+  await t.throws(findReport(storage, 'ebay/mobile/log_missing.json'), /No report ebay\/mobile\/log_missing.json/);
+});
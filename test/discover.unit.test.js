@@ -0,0 +1,101 @@
+'use strict';
+
+const zlib = require(`zlib`);
+const test = require(`ava`);
+const tools = require(`@google-cloud/nodejs-repo-tools`);
+const {parseSitemap, extractLinks, filterUrls, sampleUrls, discoverUrls} = require(`../lib/discover`);
+
+/**
+ * Returns an HTTP client that serves the given pages.
+ */
+function mockHttp(pages) {
+  return {
+    request: url => {
+      const page = pages[url];
+      if (!page) { return Promise.resolve({statusCode: 404, headers: {}, body: Buffer.from('')}); }
+      if (page.location) { return Promise.resolve({statusCode: 301, headers: {location: page.location}, body: Buffer.from('')}); }
+      const body = Buffer.isBuffer(page.body) ? page.body : Buffer.from(page.body);
+      return Promise.resolve({statusCode: 200, headers: {'content-type': page.type || 'application/xml'}, body: body});
+    }
+  };
+}
+
+function urlset(urls) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `<url><loc>${url}</loc></url>`).join('\n')}
+</urlset>`;
+}
+
+test.beforeEach(tools.stubConsole);
+test.afterEach.always(tools.restoreConsole);
+
+test.serial(`should parse sitemaps and sitemap indexes`, t => {
+  t.deepEqual(parseSitemap(urlset(['https://www.ebay.com/?a=1&amp;b=2'])), {index: false, locs: ['https://www.ebay.com/?a=1&b=2']});
+  t.deepEqual(parseSitemap('<sitemapindex><sitemap><loc><![CDATA[https://www.ebay.com/s1.xml]]></loc></sitemap></sitemapindex>'), {
+    index: true,
+    locs: ['https://www.ebay.com/s1.xml']
+  });
+});
+
+test.serial(`should extract same-origin page links`, t => {
+  const html = `<a href="/deals#top">Deals</a> <a class="x" href='https://www.ebay.com/help'>Help</a>
+    <a href="https://other.com/">Other</a> <a href=/logo.png>Logo</a> <a href="mailto:a@b.c">Mail</a>`;
+  t.deepEqual(extractLinks(html, 'https://www.ebay.com/'), ['https://www.ebay.com/deals', 'https://www.ebay.com/help']);
+});
+
+test.serial(`should filter urls with include and exclude patterns`, t => {
+  const urls = ['https://www.ebay.com/itm/1', 'https://www.ebay.com/itm/2?x', 'https://www.ebay.com/b/1', 'https://www.ebay.com/itm/1'];
+  t.deepEqual(filterUrls(urls, {include: ['/itm/'], exclude: ['\\?']}), ['https://www.ebay.com/itm/1']);
+  t.deepEqual(filterUrls(urls, {}), urls.slice(0, 3));
+});
+
+test.serial(`should sample urls per template group`, t => {
+  const urls = ['https://www.ebay.com/itm/1', 'https://www.ebay.com/itm/2', 'https://www.ebay.com/itm/3', 'https://www.ebay.com/b/1'];
+  t.deepEqual(sampleUrls(urls, {perGroup: 2}, () => 0), ['https://www.ebay.com/itm/1', 'https://www.ebay.com/itm/2', 'https://www.ebay.com/b/1']);
+  t.deepEqual(sampleUrls(urls, {perGroup: 1}, () => 0.99), ['https://www.ebay.com/itm/3', 'https://www.ebay.com/b/1']);
+  t.deepEqual(sampleUrls(urls, {perGroup: 1, groupBy: 'ebay\\.com'}, () => 0), ['https://www.ebay.com/itm/1']);
+});
+
+test.serial(`should discover urls from a gzipped sitemap index`, async t => {
+  const http = mockHttp({
+    'http://www.ebay.com/sitemap.xml': {location: 'https://www.ebay.com/sitemap.xml'},
+    'https://www.ebay.com/sitemap.xml': {body: '<sitemapindex><sitemap><loc>https://www.ebay.com/s1.xml.gz</loc></sitemap><sitemap><loc>https://www.ebay.com/s2.xml</loc></sitemap></sitemapindex>'},
+    'https://www.ebay.com/s1.xml.gz': {body: zlib.gzipSync(urlset(['https://www.ebay.com/itm/1', 'https://www.ebay.com/itm/2']))},
+    'https://www.ebay.com/s2.xml': {body: urlset(['https://www.ebay.com/b/1', 'https://www.ebay.com/b/2'])}
+  });
+  const src = {id: 'ebay', type: 'sitemap', url: 'http://www.ebay.com/sitemap.xml', discover: {exclude: ['/b/2'], maxUrls: 2}};
+  t.deepEqual(await discoverUrls(src, {http}), ['https://www.ebay.com/itm/1', 'https://www.ebay.com/itm/2']);
+});
+
+test.serial(`should keep at most 100 urls of the site of the source by default`, async t => {
+  const urls = ['https://static.ebay.com/itm/0', 'http://www.ebay.com:8080/itm/0'];
+  for (let i = 1; i <= 150; i++) { urls.push(`https://www.ebay.com/itm/${i}`); }
+  const http = mockHttp({'https://www.ebay.com/sitemap.xml': {body: urlset(urls)}});
+  const found = await discoverUrls({id: 'ebay', type: 'sitemap', url: 'https://www.ebay.com/sitemap.xml'}, {http});
+  t.is(found.length, 100);
+  t.deepEqual(found[0], 'https://www.ebay.com/itm/1');
+});
+
+test.serial(`should fail discovery if the sitemap is missing`, async t => {
+  const src = {id: 'ebay', type: 'sitemap', url: 'https://www.ebay.com/sitemap.xml'};
+  await t.throws(discoverUrls(src, {http: mockHttp({})}), 'GET https://www.ebay.com/sitemap.xml failed with status 404');
+});
+
+test.serial(`should crawl from the seed url up to the configured depth`, async t => {
+  const http = mockHttp({
+    'https://www.ebay.com/': {type: 'text/html', body: '<a href="/a">A</a><a href="/b">B</a><a href="/missing">M</a>'},
+    'https://www.ebay.com/a': {type: 'text/html', body: '<a href="/a/1">A1</a><a href="/">Home</a>'},
+    'https://www.ebay.com/b': {type: 'text/plain', body: '<a href="/b/1">B1</a>'},
+    'https://www.ebay.com/a/1': {type: 'text/html', body: '<a href="/a/1/x">X</a>'}
+  });
+  const src = {id: 'ebay', type: 'crawl', url: 'https://www.ebay.com/', discover: {depth: 2}};
+  t.deepEqual(await discoverUrls(src, {http}), [
+    'https://www.ebay.com/',
+    'https://www.ebay.com/a',
+    'https://www.ebay.com/b',
+    'https://www.ebay.com/missing',
+    'https://www.ebay.com/a/1'
+  ]);
+  t.true(console.error.calledWith('Crawling https://www.ebay.com/missing failed: GET https://www.ebay.com/missing failed with status 404'));
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require(`ava`);
+const mockPsi = require(`./mock.psi.json`);
+const {toCsv, toHtml} = require(`../lib/formats`);
+
+test(`should write one csv row per audit with a header`, t => {
+  const rows = toCsv(mockPsi).trim().split('\r\n');
+  t.deepEqual(rows[0], 'id,title,score,scoreDisplayMode,numericValue,displayValue');
+  t.deepEqual(rows.length, Object.keys(mockPsi.lighthouseResult.audits).length + 1);
+});
+
+test(`should escape csv fields and fall back to rawValue`, t => {
+  const obj = {lighthouseResult: {audits: {
+    'first-contentful-paint': {id: 'first-contentful-paint', title: 'Paint, "first"', score: 0.5, scoreDisplayMode: 'numeric', rawValue: 1234.5, displayValue: '1.2 s'},
+    'network-requests': {id: 'network-requests', title: 'Network Requests', score: null, scoreDisplayMode: 'informative'}
+  }}};
+  t.deepEqual(toCsv(obj), [
+    'id,title,score,scoreDisplayMode,numericValue,displayValue',
+    'first-contentful-paint,"Paint, ""first""",0.5,numeric,1234.5,1.2 s',
+    'network-requests,Network Requests,,informative,,',
+    ''
+  ].join('\r\n'));
+});
+
+test(`should write an empty csv if there is no lighthouse result`, t => {
+  t.deepEqual(toCsv({}), 'id,title,score,scoreDisplayMode,numericValue,displayValue\r\n');
+});
+
+test(`should render category scores, metrics and failing audits in html`, t => {
+  const html = toHtml(mockPsi);
+  t.true(html.startsWith('<!DOCTYPE html>'));
+  t.true(html.includes('<span class="label">Performance</span>'));
+  t.regex(html, /<td>First Contentful Paint<\/td><td>4.7\s+s<\/td>/);
+  t.true(html.includes('Eliminate render-blocking resources'));
+  t.true(html.includes('<th>Potential Savings (ms)</th>'));
+});
+
+test(`should escape report contents in html`, t => {
+  const obj = {
+    url: 'https://example.com/?q=<script>',
+    emulatedFormFactor: 'mobile',
+    lighthouseResult: {
+      categories: {seo: {title: 'SEO', score: 0.5, auditRefs: [{id: 'document-title'}]}},
+      audits: {'document-title': {id: 'document-title', title: 'Has a <title>', score: 0, scoreDisplayMode: 'binary'}}
+    }
+  };
+  const html = toHtml(obj);
+  t.false(html.includes('<script>'));
+  t.true(html.includes('https://example.com/?q=&lt;script&gt;'));
+  t.true(html.includes('Has a &lt;title&gt;'));
+});
+
+test(`should not list passing or informative audits as failing in html`, t => {
+  const obj = {lighthouseResult: {
+    categories: {seo: {title: 'SEO', score: 1, auditRefs: [{id: 'a'}, {id: 'b'}]}},
+    audits: {
+      a: {id: 'a', title: 'Passing audit', score: 1, scoreDisplayMode: 'binary'},
+      b: {id: 'b', title: 'Informative audit', score: null, scoreDisplayMode: 'informative'}
+    }
+  }};
+  const html = toHtml(obj);
+  t.false(html.includes('Passing audit'));
+  t.false(html.includes('Informative audit'));
+});
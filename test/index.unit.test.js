@@ -29,13 +29,16 @@ const test = require(`ava`);
 const proxyquire = require(`proxyquire`).noCallThru();
 const tools = require(`@google-cloud/nodejs-repo-tools`);
 const mockPsi = require(`./mock.psi.json`);
+const bqSchema = require(`../bigquery-schema.json`);
 
 const mockConfig = require(`./config.test.json`);
 let config;
 
 function getSample(options) {
   const tableMock = {
-    load: sinon.stub().returns(Promise.resolve())
+    load: sinon.stub().returns(Promise.resolve()),
+    insert: sinon.stub().returns(Promise.resolve()),
+    getMetadata: sinon.stub().returns(Promise.resolve([{schema: {fields: bqSchema}}]))
   };
   const datasetMock = {
     table: sinon.stub().returns(tableMock)
@@ -55,23 +58,25 @@ function getSample(options) {
   };
   const PubSubMock = sinon.stub().returns(pubsubMock);
   const fileMock = {
+    metadata: {generation: '1'},
     save: sinon.stub().returns(Promise.resolve()),
-    download: sinon.stub().returns(Promise.resolve())
+    getMetadata: sinon.stub().returns(Promise.resolve([{generation: '1'}])),
+    download: sinon.stub().returns(Promise.resolve([Buffer.from(JSON.stringify({
+      googlesearch: {
+        created: options && options.eventTriggerActive ? new Date().getTime() : new Date().getTime() - mockConfig.minTimeBetweenTriggers
+      }
+    }))]))
   };
   const bucketMock = {
-    file: sinon.stub().returns(fileMock)
+    file: sinon.stub().returns(fileMock),
+    getFiles: sinon.stub().returns(Promise.resolve([[]]))
   };
   const storageMock = {
     bucket: sinon.stub().returns(bucketMock)
   };
   const StorageMock = sinon.stub().returns(storageMock);
   const fsMock = {
-    writeFile: sinon.stub().returns(Promise.resolve()),
-    readFile: sinon.stub().returns(Promise.resolve(JSON.stringify({
-      googlesearch: {
-        created: options && options.eventTriggerActive ? new Date().getTime() : new Date().getTime() - mockConfig.minTimeBetweenTriggers
-      }
-    })))
+    writeFile: sinon.stub().returns(Promise.resolve())
   };
   const browserMock = {
     close: sinon.stub().returns(Promise.resolve()),
@@ -83,6 +88,9 @@ function getSample(options) {
   const pagespeedreportMock = {runpagespeed: sinon.stub().returns(Promise.resolve(mockPsi))};
   const pagespeedapiMock = {pagespeedapi: pagespeedreportMock};
   const googleapisMock = {pagespeedonline: sinon.stub().returns(pagespeedapiMock)}
+  const discoverMock = {
+    discoverUrls: sinon.stub().returns(Promise.resolve(['https://www.ebay.com/itm/1', 'https://www.ebay.com/itm/2']))
+  };
 
   googleapisMock.pagespeedonline().pagespeedapi.runpagespeed()
   return {
@@ -92,6 +100,7 @@ function getSample(options) {
       '@google-cloud/pubsub': {PubSub: PubSubMock},
       '@google-cloud/storage': {Storage: StorageMock},
       'googleapis': {google: googleapisMock},
+      './lib/discover': discoverMock,
       'PageSpeed': {PageSpeed: pagespeedapiMock},
       'fs': fsMock,
       'util': {promisify: (req => req)}
@@ -106,7 +115,8 @@ function getSample(options) {
       storage: storageMock,
       fs: fsMock,
       googleapis: googleapisMock,
-      PageSpeed: pagespeedapiMock
+      PageSpeed: pagespeedapiMock,
+      discover: discoverMock
     }
   };
 }
@@ -123,13 +133,30 @@ test.serial(`should fail if config doesn't pass validation`, t => {
   const sample = getSample();
 
   // Call function and verify behavior
-  const errorMsg = new RegExp('requires property \\\\"projectId\\\\"');
+  const errorMsg = /Error\(s\) in configuration config.json:\n  - config requires property "projectId"/;
   t.throws(() => {
     sample.program._init();
   }, errorMsg);
 
 });
 
+test.serial(`should not set up an invalid config when the function loads`, async t => {
+  delete config.gcs;
+  process.env.LIGHTHOUSE_CONFIG = JSON.stringify(config);
+  let sample;
+  try {
+    sample = getSample();
+  } finally {
+    delete process.env.LIGHTHOUSE_CONFIG;
+  }
+  t.false(sample.mocks.BigQuery.called);
+  t.throws(() => sample.program._init(), /Error\(s\) in configuration LIGHTHOUSE_CONFIG:\n  - config requires property "gcs"/);
+  const event = {data: Buffer.from(config.source[0].id).toString('base64')};
+  await sample.program.launchPagespeedInsights(event);
+  t.true(console.error.calledWithMatch(sinon.match({message: sinon.match(/config requires property "gcs"/)})));
+  t.false(sample.mocks.BigQuery.called);
+});
+
 test.serial(`should fail without valid pubsub message`, async t => {
   // Initialize mocks
   const sample = getSample();
@@ -171,44 +198,53 @@ test.serial(`should call Pagespeed Insights API`, async t => {
   ]);
 });
 
-test.serial(`should trigger pubsub for all config ids`, async t => {
+test.serial(`should trigger pubsub for all config jobs`, async t => {
   // Initialize mocks
   const sample = getSample();
-  const ids = sample.mocks.config.source.map(obj => obj.id);
+  const jobs = sample.mocks.config.source.map(obj => ({id: obj.id, url: obj.url, strategy: obj.strategy}));
 
   // Call function and verify behavior
-  await sample.program._sendAllPubSubMsgs(ids);
+  await sample.program._sendAllPubSubMsgs(jobs);
   t.deepEqual(console.log.callCount, 4);
   t.true(sample.mocks.pubsub.topic.calledWithExactly(sample.mocks.config.pubsubTopicId));
   t.deepEqual(sample.mocks.pubsub.topic().publisher().publish.callCount, 2);
-  t.deepEqual(sample.mocks.pubsub.topic().publisher().publish.firstCall.args, [Buffer.from(sample.mocks.config.source[0].id)]);
-  t.deepEqual(sample.mocks.pubsub.topic().publisher().publish.secondCall.args, [Buffer.from(sample.mocks.config.source[1].id)]);
+  t.deepEqual(sample.mocks.pubsub.topic().publisher().publish.firstCall.args, [Buffer.from(JSON.stringify(jobs[0]))]);
+  t.deepEqual(sample.mocks.pubsub.topic().publisher().publish.secondCall.args, [Buffer.from(JSON.stringify(jobs[1]))]);
   t.deepEqual(console.log.args, [
-    [`${ids[0]}: Sending init PubSub message`],
-    [`${ids[1]}: Sending init PubSub message`],
-    [`${ids[0]}: Init PubSub message sent`],
-    [`${ids[1]}: Init PubSub message sent`]
+    [`${jobs[0].id}: Sending init PubSub message for ${jobs[0].url} on ${jobs[0].strategy}`],
+    [`${jobs[1].id}: Sending init PubSub message for ${jobs[1].url} on ${jobs[1].strategy}`],
+    [`${jobs[0].id}: Init PubSub message sent for ${jobs[0].url} on ${jobs[0].strategy}`],
+    [`${jobs[1].id}: Init PubSub message sent for ${jobs[1].url} on ${jobs[1].strategy}`]
   ]);
 });
 
 test.serial(`should return active state if trigger fired < ${mockConfig.minTimeBetweenTriggers/1000}s ago`, async t => {
   // Initialize mocks
   const sample = getSample();
-  const expected = {active: true, delta: 10};
+  const expected = {active: true, reason: 'throttled', delta: 10};
+  const job = {id: 'googlesearch', url: 'https://www.google.com/', strategy: 'mobile'};
 
   // Call function and verify behavior
-  const result = await sample.program._checkEventState('googlesearch', 'mobile',  new Date().getTime() - mockConfig.minTimeBetweenTriggers + 10000);
+  const result = await sample.program._checkEventState(job, new Date().getTime() - mockConfig.minTimeBetweenTriggers + 10000);
   t.deepEqual(result, expected);
 });
 
 test.serial(`should return inactive state if trigger fired >= ${mockConfig.minTimeBetweenTriggers/1000}s ago`, async t => {
   // Initialize mocks
   const sample = getSample();
-  const expected = {active: false};
+  const job = {id: 'googlesearch', url: 'https://www.google.com/', strategy: 'mobile'};
+  const timeNow = new Date().getTime();
 
   // Call function and verify behavior
-  const result = await sample.program._checkEventState('googlesearch', 'mobile', new Date().getTime());
-  t.deepEqual(result, expected);
+  const result = await sample.program._checkEventState(job, timeNow);
+  t.false(result.active);
+  t.deepEqual(result.lease.record.state, 'running');
+  t.deepEqual(result.lease.record.leaseExpires, timeNow + 540000);
+  t.deepEqual(sample.mocks.storage.bucket().file().save.firstCall.args[1], {
+    resumable: false,
+    metadata: {contentType: 'application/json', cacheControl: 'no-store'}
+  });
+  t.true(sample.mocks.storage.bucket().file.calledWith('googlesearch/mobile/state.json', {generation: 1}));
 });
 
 test.serial(`should abort main function if trigger fired < ${mockConfig.minTimeBetweenTriggers/1000}s ago`, async t => {
@@ -258,6 +294,69 @@ test.serial(`should write object reports and log to gcs bucket if output defined
   t.deepEqual(sample.mocks.storage.bucket().file().save.lastCall.args, [JSON.stringify(mockObj, null, " "), {metadata: {contentType: 'application/json'}}]);
 });
 
+test.serial(`should write html and csv reports to gcs bucket if output defined`, async t => {
+  // Initialize mocks
+  const sample = getSample();
+  config.outputFormat = ['html', 'csv'];
+  const mockObj = {analysisUTCTimestamp: "2018-12-17T10:56:56.420Z",
+                   emulatedFormFactor: "desktop"};
+  const id = 'ebay';
+
+  // Call function and verify behavior
+  await sample.program._writeLogAndReportsToStorage(mockObj, id);
+  const saveArgs = sample.mocks.storage.bucket().file().save.args;
+  t.deepEqual(saveArgs.length, 3);
+  t.true(sample.mocks.storage.bucket().file.calledWith(`${id}/${mockObj.emulatedFormFactor}/report_${mockObj.analysisUTCTimestamp}.html`));
+  t.true(sample.mocks.storage.bucket().file.calledWith(`${id}/${mockObj.emulatedFormFactor}/report_${mockObj.analysisUTCTimestamp}.csv`));
+  t.deepEqual(saveArgs[0][1], {metadata: {contentType: 'text/html'}});
+  t.deepEqual(saveArgs[1], ['id,title,score,scoreDisplayMode,numericValue,displayValue\r\n', {metadata: {contentType: 'text/csv'}}]);
+});
+
+test.serial(`should write budget verdict next to the report`, async t => {
+  // Initialize mocks
+  const sample = getSample();
+  const mockObj = {id: 'ebay',
+                   analysisUTCTimestamp: "2018-12-17T10:56:56.420Z",
+                   emulatedFormFactor: "desktop",
+                   job_id: 'job',
+                   lighthouseResult: {categories: {performance: {score: 0.5}}}};
+  const previous = {lighthouseResult: {categories: {performance: {score: 0.9}}}};
+  sample.mocks.storage.bucket().getFiles.withArgs({prefix: 'ebay/desktop/log_'}).returns(Promise.resolve([[
+    {name: 'ebay/desktop/log_2018-12-16T10:56:56.420Z.json'},
+    {name: 'ebay/desktop/log_2018-12-17T10:56:56.420Z.json'}
+  ]]));
+  sample.mocks.storage.bucket().file().download = sinon.stub().returns(Promise.resolve([Buffer.from(JSON.stringify(previous))]));
+
+  // Call function and verify behavior
+  const verdict = await sample.program._checkBudgets(mockObj, {categories: {performance: 0.8}});
+  t.false(verdict.passed);
+  t.deepEqual(verdict.job_id, 'job');
+  t.deepEqual(verdict.violations.length, 1);
+  t.deepEqual(verdict.regressions.length, 1);
+  t.deepEqual(verdict.baseline.runs, 1);
+  t.true(sample.mocks.storage.bucket().getFiles.calledWith({prefix: 'ebay/desktop/log_'}));
+  t.true(sample.mocks.storage.bucket().file.calledWith('ebay/desktop/log_2018-12-16T10:56:56.420Z.json'));
+  t.true(sample.mocks.storage.bucket().file.calledWith('ebay/desktop/verdict_2018-12-17T10:56:56.420Z.json'));
+  t.deepEqual(sample.mocks.storage.bucket().file().save.lastCall.args, [JSON.stringify(verdict, null, " "), {metadata: {contentType: 'application/json'}}]);
+});
+
+test.serial(`should read budget history from bigquery if configured`, async t => {
+  // Initialize mocks
+  const sample = getSample();
+  const mockObj = {id: 'ebay',
+                   analysisUTCTimestamp: "2018-12-17T10:56:56.420Z",
+                   emulatedFormFactor: "desktop",
+                   lighthouseResult: {categories: {performance: {score: 0.9}}}};
+  sample.mocks.bigquery.query = sinon.stub().returns(Promise.resolve([[{score_performance: 0.8, score_best_practices: 0.7, score_seo: null, lcp: 2000, speed_index: 3000}]]));
+
+  // Call function and verify behavior
+  const verdict = await sample.program._checkBudgets(mockObj, {regression: {history: 'bigquery', runs: 3}});
+  t.true(verdict.passed);
+  t.deepEqual(verdict.baseline.categories, {performance: 0.8, 'best-practices': 0.7});
+  t.deepEqual(verdict.baseline.metrics, {lcp: 2000, speedIndex: 3000});
+  t.deepEqual(sample.mocks.bigquery.query.firstCall.args[0].params, {id: 'ebay', url: undefined, strategy: 'desktop', before: mockObj.analysisUTCTimestamp, runs: 3});
+});
+
 test.serial(`should fire all pubsub triggers with 'all' message`, async t => {
   // Initialize mocks
   const sample = getSample();
@@ -267,8 +366,98 @@ test.serial(`should fire all pubsub triggers with 'all' message`, async t => {
 
   // Call function and verify behavior
   await sample.program.launchPagespeedInsights(event);
-  t.true(sample.mocks.pubsub.topic().publisher().publish.calledWith(Buffer.from('googlesearch')));
-  t.true(sample.mocks.pubsub.topic().publisher().publish.calledWith(Buffer.from('ebay')));
+  t.true(sample.mocks.pubsub.topic().publisher().publish.calledWith(Buffer.from('{"id":"googlesearch","url":"https://www.google.com/","strategy":"mobile","fanOut":true}')));
+  t.true(sample.mocks.pubsub.topic().publisher().publish.calledWith(Buffer.from('{"id":"ebay","url":"https://www.ebay.com/","strategy":"desktop","fanOut":true}')));
+});
+
+test.serial(`should fan out id message of source with several urls and strategies`, async t => {
+  // Initialize mocks
+  config.source[0].url = ['https://www.ebay.com/', 'https://www.ebay.com/deals'];
+  config.source[0].strategy = ['desktop', 'mobile'];
+  const sample = getSample();
+  const event = {
+    data: Buffer.from('ebay').toString('base64')
+  };
+
+  // Call function and verify behavior
+  await sample.program.launchPagespeedInsights(event);
+  const published = sample.mocks.pubsub.topic().publisher().publish.args.map(args => JSON.parse(args[0].toString()));
+  t.deepEqual(published, [
+    {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'desktop', fanOut: true},
+    {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile', fanOut: true},
+    {id: 'ebay', url: 'https://www.ebay.com/deals', strategy: 'desktop', fanOut: true},
+    {id: 'ebay', url: 'https://www.ebay.com/deals', strategy: 'mobile', fanOut: true}
+  ]);
+  t.deepEqual(sample.mocks.bigquery.dataset().table().load.callCount, 0);
+});
+
+test.serial(`should fan out tag and group messages to the sources that match`, async t => {
+  // Initialize mocks
+  config.source[0].tags = ['marketplace', 'home'];
+  config.source[1].tags = ['home'];
+  config.source[1].group = 'search';
+  const sample = getSample();
+  const publish = sample.mocks.pubsub.topic().publisher().publish;
+  const trigger = msg => sample.program.launchPagespeedInsights({data: Buffer.from(msg).toString('base64')});
+
+  // Call function and verify behavior
+  await trigger('tag:home');
+  t.deepEqual(publish.args.map(args => JSON.parse(args[0].toString()).id), ['ebay', 'googlesearch']);
+  await trigger('group:search');
+  t.deepEqual(publish.args.slice(2).map(args => JSON.parse(args[0].toString()).id), ['googlesearch']);
+  await trigger('tag:checkout');
+  t.is(publish.callCount, 3);
+  t.true(console.error.calledWith(`No sources match tag:checkout`));
+});
+
+test.serial(`should audit the job in a structured pubsub message`, async t => {
+  // Initialize mocks
+  config.source[0].url = ['https://www.ebay.com/', 'https://www.ebay.com/deals'];
+  config.source[0].strategy = ['desktop', 'mobile'];
+  const sample = getSample();
+  const event = {
+    data: Buffer.from(JSON.stringify({id: 'ebay', url: 'https://www.ebay.com/deals', strategy: 'mobile'})).toString('base64')
+  };
+
+  // Call function and verify behavior
+  await sample.program.launchPagespeedInsights(event);
+  t.true(sample.mocks.googleapis.pagespeedonline().pagespeedapi.runpagespeed.calledWith({url: 'https://www.ebay.com/deals', strategy: 'mobile', category: config.source[0].category}));
+  t.true(sample.mocks.storage.bucket().file.calledWith('ebay/www_ebay_com_deals_3428b781/mobile/state.json'));
+  t.true(sample.mocks.storage.bucket().file.calledWithMatch(/^ebay\/www_ebay_com_deals_3428b781\/mobile\/log_/));
+  t.deepEqual(sample.mocks.bigquery.dataset().table().load.callCount, 3);
+});
+
+test.serial(`should fail with structured pubsub message without url`, async t => {
+  // Initialize mocks
+  const sample = getSample();
+  const event = {
+    data: Buffer.from(JSON.stringify({id: 'ebay', strategy: 'mobile'})).toString('base64')
+  };
+
+  // Call function and verify behavior
+  await sample.program.launchPagespeedInsights(event);
+  t.deepEqual(console.error.firstCall.args, ['No valid message found!']);
+});
+
+test.serial(`should reject structured pubsub messages that are not a job of their source`, async t => {
+  const sample = getSample();
+  const messages = [
+    {id: 'ebay', url: 'https://www.example.com/', strategy: 'desktop'},
+    {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile'},
+    {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'desktop', jobId: '../../ebay/desktop/state'},
+    {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'desktop', batch: {id: '..', index: 0}}
+  ];
+  for (const msg of messages) {
+    await sample.program.launchPagespeedInsights({data: Buffer.from(JSON.stringify(msg)).toString('base64')});
+  }
+  t.deepEqual(console.error.args.map(args => args[0]), [
+    'ebay: Rejected message, URL https://www.example.com/ is not one of the source',
+    'ebay: Rejected message, strategy mobile is not one of the source',
+    'ebay: Rejected message, invalid job ID ../../ebay/desktop/state',
+    'ebay: Rejected message, invalid batch {"id":"..","index":0}'
+  ]);
+  t.false(sample.mocks.PageSpeed.pagespeedapi.runpagespeed.calledWithMatch({url: 'https://www.example.com/'}));
+  t.false(sample.mocks.storage.bucket().file.called);
 });
 
 test.serial(`should catch error`, async t => {
@@ -284,6 +473,273 @@ test.serial(`should catch error`, async t => {
   t.deepEqual(console.error.firstCall.args, [new TypeError('Cannot read property \'map\' of undefined')]);
 });
 
+test.serial(`should retry Pagespeed Insights API on retryable errors`, async t => {
+  // Initialize mocks
+  config.psi = {retries: 2, baseDelay: 1, maxDelay: 1, timeout: 60000};
+  const sample = getSample();
+  const err = new Error('Rate limit exceeded');
+  err.code = 429;
+  const runpagespeed = sample.mocks.googleapis.pagespeedonline().pagespeedapi.runpagespeed;
+  runpagespeed.resetHistory();
+  runpagespeed.onFirstCall().returns(Promise.reject(err));
+
+  // Call function and verify behavior
+  await sample.program._getPagespeedInsightsReport('ebay', 'https://www.ebay.com/', 'desktop', []);
+  t.deepEqual(runpagespeed.callCount, 2);
+  t.deepEqual(runpagespeed.firstCall.args[1], {timeout: 60000});
+  t.true(console.log.calledWithMatch(/^ebay: Pagespeed Insights request for https:\/\/www.ebay.com\/ on desktop failed with 429 \(attempt 1\), retrying in \d+ms$/));
+});
+
+test.serial(`should record failed run in bigquery when retries run out`, async t => {
+  // Initialize mocks
+  config.psi = {retries: 1, baseDelay: 1, maxDelay: 1};
+  const sample = getSample();
+  const err = new Error('Backend error');
+  err.code = 500;
+  sample.mocks.googleapis.pagespeedonline().pagespeedapi.runpagespeed.returns(Promise.reject(err));
+  const event = {
+    data: Buffer.from(sample.mocks.config.source[0].id).toString('base64')
+  };
+
+  // Call function and verify behavior
+  await sample.program.launchPagespeedInsights(event);
+  const table = sample.mocks.bigquery.dataset().table();
+  t.true(sample.mocks.bigquery.dataset().table.calledWith('failed_runs'));
+  t.deepEqual(table.load.callCount, 0);
+  t.deepEqual(table.insert.callCount, 1);
+  const [rows, options] = table.insert.firstCall.args;
+  t.deepEqual(rows[0].insertId, rows[0].json.job_id);
+  t.deepEqual(rows[0].json.id, 'ebay');
+  t.deepEqual(rows[0].json.url, 'https://www.ebay.com/');
+  t.deepEqual(rows[0].json.strategy, 'desktop');
+  t.deepEqual(rows[0].json.error_code, '500');
+  t.deepEqual(rows[0].json.error_message, 'Backend error');
+  t.deepEqual(rows[0].json.attempts, 2);
+  t.true(rows[0].json.retryable);
+  t.true(options.raw);
+  t.true(options.autoCreate);
+});
+
+test.serial(`should acquire rate limit slot before calling Pagespeed Insights API`, async t => {
+  // Initialize mocks
+  config.psi = {requestsPerMinute: 10};
+  const sample = getSample();
+  const notFound = new Error('Not found');
+  notFound.code = 404;
+  sample.mocks.storage.bucket().file().getMetadata = sinon.stub().returns(Promise.reject(notFound));
+
+  // Call function and verify behavior
+  await sample.program._getPagespeedInsightsReport('ebay', 'https://www.ebay.com/', 'desktop', []);
+  t.true(sample.mocks.storage.bucket().file.calledWith('ratelimit/psi_0.json', {generation: 0}));
+  t.true(sample.mocks.storage.bucket().file().save.calledOnce);
+});
+
+test.serial(`should audit several runs, load the median and write their summary`, async t => {
+  // Initialize mocks
+  config.source[0].runs = 3;
+  config.source[0].archiveRuns = true;
+  const sample = getSample();
+  const runpagespeed = sample.mocks.googleapis.pagespeedonline().pagespeedapi.runpagespeed;
+  [0.5, 0.9, 0.7].forEach((score, index) => {
+    const psi = JSON.parse(JSON.stringify(mockPsi));
+    psi.analysisUTCTimestamp = `2019-05-08T13:0${index}:00.000Z`;
+    psi.lighthouseResult.categories.performance.score = score;
+    runpagespeed.onCall(index + 1).returns(Promise.resolve(psi));
+  });
+  const event = {
+    data: Buffer.from(sample.mocks.config.source[0].id).toString('base64')
+  };
+
+  // Call function and verify behavior
+  await sample.program.launchPagespeedInsights(event);
+  const file = sample.mocks.storage.bucket().file;
+  t.true(console.log.calledWith('ebay: Selected run 3 of 3 as the median by performance'));
+  t.true(file.calledWith('ebay/desktop/log_2019-05-08T13:02:00.000Z.json'));
+  t.true(file.calledWith('ebay/desktop/run_2019-05-08T13:00:00.000Z.json'));
+  t.true(file.calledWith('ebay/desktop/run_2019-05-08T13:01:00.000Z.json'));
+  t.true(file.calledWith('ebay/desktop/runs_2019-05-08T13:02:00.000Z.json'));
+  // The summary is the last write before the run state is released
+  const summary = JSON.parse(file().save.getCall(file().save.callCount - 2).args[0]);
+  t.deepEqual(summary.selected.index, 2);
+  t.deepEqual(summary.spread.categories.performance.max, 0.9);
+  t.deepEqual(sample.mocks.bigquery.dataset().table().load.callCount, 3);
+});
+
+test.serial(`should skip failed runs as long as one run succeeds`, async t => {
+  // Initialize mocks
+  const sample = getSample();
+  const runpagespeed = sample.mocks.googleapis.pagespeedonline().pagespeedapi.runpagespeed;
+  runpagespeed.onCall(1).returns(Promise.reject(new Error('Lighthouse returned error')));
+  const job = {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'desktop'};
+
+  // Call function and verify behavior
+  const reports = await sample.program._runAudits({runs: 2}, job);
+  t.deepEqual(reports.length, 1);
+  t.true(console.error.calledWith('ebay: Run 1 of 2 failed for https://www.ebay.com/ on desktop'));
+  runpagespeed.onCall(3).returns(Promise.reject(new Error('Lighthouse returned error')));
+  runpagespeed.onCall(4).returns(Promise.reject(new Error('Lighthouse returned error')));
+  await t.throws(sample.program._runAudits({runs: 2}, job), 'Lighthouse returned error');
+});
+
+test.serial(`should load summary row of the report into the summary table`, async t => {
+  // Initialize mocks
+  const sample = getSample();
+  const event = {
+    data: Buffer.from(sample.mocks.config.source[0].id).toString('base64')
+  };
+
+  // Call function and verify behavior
+  await sample.program.launchPagespeedInsights(event);
+  const [path, options] = sample.mocks.bigquery.dataset().table().load.secondCall.args;
+  const jobId = sample.mocks.bigquery.dataset().table().load.firstCall.args[1].jobId;
+  t.deepEqual(path, `/tmp/${jobId}_summary.json`);
+  t.deepEqual(options.jobId, `${jobId}_summary`);
+  t.deepEqual(options.schema.fields.map(field => field.name).slice(0, 6), ['job_id', 'id', 'url', 'final_url', 'strategy', 'timestamp']);
+  const row = JSON.parse(sample.mocks.fs.writeFile.withArgs(path).firstCall.args[1]);
+  t.deepEqual(row.job_id, jobId);
+  t.deepEqual(row.id, 'ebay');
+  t.deepEqual(row.score_performance, mockPsi.lighthouseResult.categories.performance.score);
+  t.deepEqual([row.source_group, row.source_tags], [null, []]);
+  t.true(options.schemaUpdateOptions.includes('ALLOW_FIELD_ADDITION'));
+});
+
+test.serial(`should write the group and tags of the source into the rows`, async t => {
+  // Initialize mocks
+  config.source[0].group = 'marketplaces';
+  config.source[0].tags = ['ebay', 'home'];
+  const sample = getSample();
+  const event = {
+    data: Buffer.from('ebay').toString('base64')
+  };
+
+  // Call function and verify behavior
+  await sample.program.launchPagespeedInsights(event);
+  const rows = sample.mocks.fs.writeFile.args.map(args => JSON.parse(args[1].split('\n')[0]));
+  t.is(rows.length, 3);
+  rows.forEach(row => t.deepEqual([row.source_group, row.source_tags], ['marketplaces', ['ebay', 'home']]));
+});
+
+test.serial(`should add new report fields to the reports table schema and record the changes`, async t => {
+  // Initialize mocks, table without the kind column
+  const sample = getSample();
+  const table = sample.mocks.bigquery.dataset().table();
+  table.getMetadata.returns(Promise.resolve([{schema: {fields: bqSchema.filter(field => field.name !== 'kind')}}]));
+  const event = {
+    data: Buffer.from(sample.mocks.config.source[0].id).toString('base64')
+  };
+
+  // Call function and verify behavior
+  await sample.program.launchPagespeedInsights(event);
+  const options = table.load.firstCall.args[1];
+  t.deepEqual(options.schemaUpdateOptions, ['ALLOW_FIELD_ADDITION']);
+  t.deepEqual(options.schema.fields.slice(-1), [{mode: 'NULLABLE', name: 'kind', type: 'STRING'}]);
+  t.true(sample.mocks.bigquery.dataset().table.calledWith('schema_changes'));
+  const rows = table.insert.firstCall.args[0].map(row => row.json);
+  t.true(rows.some(row => row.path === 'kind' && row.change === 'added' && row.to_type === 'STRING' && row.job_id === options.jobId));
+  t.true(console.log.calledWithMatch(/^ebay: Reconciled report with the reports table schema/));
+});
+
+test.serial(`should reconcile report with the checked-in schema if the reports table does not exist`, async t => {
+  // Initialize mocks
+  const sample = getSample();
+  const table = sample.mocks.bigquery.dataset().table();
+  const err = new Error('Not found');
+  err.code = 404;
+  table.getMetadata.returns(Promise.reject(err));
+
+  // Call function and verify behavior
+  const result = await sample.program._reconcileSchema({id: 'ebay', job_id: 'job', kind: 'pagespeedonline#result', extra: true});
+  t.deepEqual(result.fields.slice(0, bqSchema.length), bqSchema);
+  t.deepEqual(result.row, {id: 'ebay', job_id: 'job', kind: 'pagespeedonline#result', extra: true});
+  t.deepEqual(result.changes, [{path: 'extra', change: 'added', to: 'BOOLEAN'}]);
+});
+
+test.serial(`should publish messages for sources that are due on the schedule`, async t => {
+  // Initialize mocks
+  config.schedule = {cron: '* * * * *', timeZone: 'Europe/Berlin'};
+  config.source[1].schedule = false;
+  const sample = getSample();
+
+  // Call function and verify behavior
+  t.deepEqual(await sample.program.scheduleAudits({}), ['ebay']);
+  t.deepEqual(sample.mocks.pubsub.topic().publisher().publish.args, [[Buffer.from('ebay')]]);
+  t.true(sample.mocks.storage.bucket().file.calledWith('schedule/state.json', {generation: 1}));
+});
+
+test.serial(`should run every scheduler step when one of them fails`, async t => {
+  // Initialize mocks
+  config.rollup = {};
+  config.crux = {schedule: '* * * * *'};
+  config.source.forEach(src => { src.crux = false; });
+  const sample = getSample();
+  sample.mocks.storage.bucket().getFiles.returns(Promise.reject(new Error('Service unavailable')));
+
+  // Call function and verify behavior
+  t.deepEqual(await sample.program.scheduleAudits({}), []);
+  t.true(console.error.calledWithMatch('Scheduler step scheduleRollups failed'));
+  t.true(console.log.calledWithMatch(/^CrUX crux_.*: Querying 0 origin\(s\) and URL\(s\) of 2 source\(s\)$/));
+});
+
+test.serial(`should fail if a schedule of the config is invalid`, t => {
+  // Initialize mocks
+  config.source[0].schedule = {cron: '0 * * *', timeZone: 'Mars/Olympus_Mons'};
+  const sample = getSample();
+
+  // Call function and verify behavior
+  t.throws(() => {
+    sample.program._init();
+  }, /ebay schedule: Cron expression 0 \* \* \* must have 5 fields/);
+});
+
+test.serial(`should publish audits started through the api`, async t => {
+  // Initialize mocks
+  const sample = getSample();
+  const res = {status: sinon.stub().returnsThis(), json: sinon.stub().returnsThis()};
+  const req = {method: 'POST', path: '/audits', body: {id: 'ebay', strategy: 'desktop'}, get: () => undefined};
+
+  // Call function and verify behavior
+  await sample.program.auditsApi(req, res);
+  t.true(res.status.calledWith(202));
+  const [job] = res.json.firstCall.args[0].jobs;
+  const msg = JSON.parse(sample.mocks.pubsub.topic().publisher().publish.firstCall.args[0]);
+  t.is(msg.jobId, job.jobId);
+  t.true(sample.mocks.storage.bucket().file.calledWith(`jobs/${job.jobId}.json`));
+});
+
+test.serial(`should take the api key and project from the environment`, async t => {
+  // Initialize mocks
+  process.env.PSI_API_KEY = 'key-from-env';
+  process.env.PROJECT_ID = 'project-from-env';
+  delete config.projectId;
+  let sample;
+  try {
+    sample = getSample();
+    sample.program._init();
+  } finally {
+    delete process.env.PSI_API_KEY;
+    delete process.env.PROJECT_ID;
+  }
+
+  // Verify behavior
+  t.true(sample.mocks.googleapis.pagespeedonline.calledWith({version: 'v5', auth: 'key-from-env'}));
+  t.true(sample.mocks.BigQuery.calledWith({projectId: 'project-from-env'}));
+  t.true(console.log.calledWith(`Configuration validated successfully`));
+});
+
+test.serial(`should not load resources when they are disabled`, async t => {
+  // Initialize mocks
+  config.resources = {enabled: false};
+  const sample = getSample();
+  const event = {
+    data: Buffer.from(sample.mocks.config.source[0].id).toString('base64')
+  };
+
+  // Call function and verify behavior
+  await sample.program.launchPagespeedInsights(event);
+  t.deepEqual(sample.mocks.bigquery.dataset().table().load.callCount, 2);
+  t.false(sample.mocks.bigquery.dataset().table.calledWith('resources'));
+});
+
 test.serial(`should call bigquery load for id when called with id in pubsub message`, async t => {
   // Initialize mocks, test live environment
   process.env.NODE_ENV = 'live';
@@ -295,5 +751,92 @@ test.serial(`should call bigquery load for id when called with id in pubsub mess
   // Call function and verify behavior
   await sample.program.launchPagespeedInsights(event);
   // t.deepEqual(JSON.stringify(console.log.getCalls()), 1);
-  t.deepEqual(sample.mocks.bigquery.dataset().table().load.callCount, 1);
+  t.deepEqual(sample.mocks.bigquery.dataset().table().load.callCount, 3);
+  t.true(sample.mocks.bigquery.dataset().table.calledWith('reports'));
+  t.true(sample.mocks.bigquery.dataset().table.calledWith('summary'));
+  t.true(sample.mocks.bigquery.dataset().table.calledWith('resources'));
+});
+
+test.serial(`should check budgets before bigquery load when source has budgets`, async t => {
+  // Initialize mocks
+  config.source[0].budgets = {categories: {performance: 0.8}};
+  const sample = getSample();
+  const event = {
+    data: Buffer.from(sample.mocks.config.source[0].id).toString('base64')
+  };
+
+  // Call function and verify behavior
+  await sample.program.launchPagespeedInsights(event);
+  t.true(sample.mocks.storage.bucket().getFiles.calledWith({prefix: 'ebay/desktop/log_'}));
+  t.true(sample.mocks.storage.bucket().file.calledWithMatch(/^ebay\/desktop\/verdict_/));
+  t.deepEqual(sample.mocks.bigquery.dataset().table().load.callCount, 3);
+});
+
+test.serial(`should notify subscribed channels when a run fails`, async t => {
+  // Initialize mocks
+  config.source[0].notify = [{channel: 'hook', events: ['runFailed']}];
+  config.notifications = {channels: {hook: {type: 'webhook', url: 'http://127.0.0.1:1/hook'}}};
+  const sample = getSample();
+  sample.mocks.googleapis.pagespeedonline().pagespeedapi.runpagespeed.returns(Promise.reject(new Error('Quota exceeded')));
+  const event = {
+    data: Buffer.from(sample.mocks.config.source[0].id).toString('base64')
+  };
+
+  // Call function and verify behavior
+  await sample.program.launchPagespeedInsights(event);
+  t.deepEqual(console.error.firstCall.args[0].message, 'Quota exceeded');
+  t.true(console.error.calledWith('ebay: Sending runFailed notification to hook failed'));
+  t.deepEqual(sample.mocks.bigquery.dataset().table().load.callCount, 0);
+});
+
+test.serial(`should discover urls of sitemap source and store the list`, async t => {
+  // Initialize mocks
+  config.source[0] = {id: 'ebay', type: 'sitemap', url: 'https://www.ebay.com/sitemap.xml', strategy: 'mobile'};
+  const sample = getSample();
+  const event = {
+    data: Buffer.from('all').toString('base64')
+  };
+
+  // Call function and verify behavior
+  await sample.program.launchPagespeedInsights(event);
+  t.true(sample.mocks.discover.discoverUrls.calledWith(config.source[0]));
+  t.true(sample.mocks.storage.bucket().file.calledWithMatch(/^ebay\/discovery_/));
+  const list = JSON.parse(sample.mocks.storage.bucket().file().save.firstCall.args[0]);
+  t.deepEqual(list.urls, ['https://www.ebay.com/itm/1', 'https://www.ebay.com/itm/2']);
+  const published = sample.mocks.pubsub.topic().publisher().publish.args.map(args => JSON.parse(args[0].toString()));
+  t.deepEqual(published, [
+    {id: 'ebay', url: 'https://www.ebay.com/itm/1', strategy: 'mobile', fanOut: true},
+    {id: 'ebay', url: 'https://www.ebay.com/itm/2', strategy: 'mobile', fanOut: true},
+    {id: 'googlesearch', url: 'https://www.google.com/', strategy: 'mobile', fanOut: true}
+  ]);
+});
+
+test.serial(`should skip source whose discovery fails when publishing all`, async t => {
+  // Initialize mocks
+  config.source[0] = {id: 'ebay', type: 'crawl', url: 'https://www.ebay.com/', strategy: 'mobile'};
+  const sample = getSample();
+  sample.mocks.discover.discoverUrls.returns(Promise.reject(new Error('GET https://www.ebay.com/ failed with status 500')));
+  const event = {
+    data: Buffer.from('all').toString('base64')
+  };
+
+  // Call function and verify behavior
+  await sample.program.launchPagespeedInsights(event);
+  t.true(console.error.calledWith('ebay: Resolving jobs failed'));
+  t.deepEqual(sample.mocks.pubsub.topic().publisher().publish.callCount, 1);
+});
+
+test.serial(`should keep page prefix for discovered job with a single url`, async t => {
+  // Initialize mocks
+  config.source[0] = {id: 'ebay', type: 'sitemap', url: 'https://www.ebay.com/sitemap.xml', strategy: 'mobile'};
+  const sample = getSample();
+  sample.mocks.discover.discoverUrls.returns(Promise.resolve(['https://www.ebay.com/itm/1']));
+  const event = {
+    data: Buffer.from('ebay').toString('base64')
+  };
+
+  // Call function and verify behavior
+  await sample.program.launchPagespeedInsights(event);
+  t.true(sample.mocks.storage.bucket().file.calledWith('ebay/www_ebay_com_itm_1_7453e9f6/mobile/state.json'));
+  t.deepEqual(sample.mocks.bigquery.dataset().table().load.callCount, 3);
 });
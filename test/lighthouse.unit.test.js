@@ -0,0 +1,139 @@
+'use strict';
+
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const tools = require(`@google-cloud/nodejs-repo-tools`);
+const mockPsi = require(`./mock.psi.json`);
+const {lighthouseFlags, toPsiResult, runLighthouse, DESKTOP_THROTTLING} = require(`../lib/lighthouse`);
+const {memoryStorage} = require(`../lib/storage`);
+const {memorySink} = require(`../lib/sinks`);
+const {createPipeline} = require(`../lib/pipeline`);
+const {createSecrets} = require(`../lib/secrets`);
+
+/**
+ * Returns a Lighthouse result like the one Lighthouse itself returns for the mock report.
+ */
+function mockLhr() {
+  const lhr = JSON.parse(JSON.stringify(mockPsi.lighthouseResult));
+  lhr.configSettings = Object.assign({}, lhr.configSettings, {throttlingMethod: 'simulate', maxWaitForLoad: 45000});
+  lhr.i18n.icuMessagePaths = {'lighthouse-core/audits/metrics.js | title': ['audits.metrics.title']};
+  lhr.timing = {total: 12000, entries: [{name: 'lh:runner:run'}]};
+  return lhr;
+}
+
+test.beforeEach(tools.stubConsole);
+test.afterEach.always(tools.restoreConsole);
+
+test.serial(`should build lighthouse flags for strategy, throttling and headers`, t => {
+  t.deepEqual(lighthouseFlags({}, 'mobile'), {output: 'json', logLevel: 'error', emulatedFormFactor: 'mobile'});
+  t.deepEqual(lighthouseFlags({
+    throttlingMethod: 'devtools',
+    throttling: {cpuSlowdownMultiplier: 2},
+    headers: {Authorization: 'Basic dXNlcjpwYXNz'},
+    cookies: {session: 'abc', consent: 'yes'}
+  }, 'desktop', ['performance']), {
+    output: 'json',
+    logLevel: 'error',
+    emulatedFormFactor: 'desktop',
+    onlyCategories: ['performance'],
+    throttlingMethod: 'devtools',
+    throttling: Object.assign({}, DESKTOP_THROTTLING, {cpuSlowdownMultiplier: 2}),
+    extraHeaders: {Authorization: 'Basic dXNlcjpwYXNz'}
+  });
+});
+
+test.serial(`should normalize a lighthouse result to the shape of a pagespeed insights report`, t => {
+  const result = toPsiResult(mockLhr());
+  t.deepEqual(Object.keys(result), ['captchaResult', 'kind', 'id', 'lighthouseResult', 'analysisUTCTimestamp']);
+  t.deepEqual(Object.keys(result.lighthouseResult), Object.keys(mockPsi.lighthouseResult));
+  t.deepEqual(result.lighthouseResult.configSettings, mockPsi.lighthouseResult.configSettings);
+  t.deepEqual(result.lighthouseResult.i18n, mockPsi.lighthouseResult.i18n);
+  t.deepEqual(result.lighthouseResult.timing, {total: 12000});
+  t.is(result.analysisUTCTimestamp, mockPsi.lighthouseResult.fetchTime);
+  t.is(result.id, mockPsi.lighthouseResult.finalUrl);
+});
+
+test.serial(`should run lighthouse in chrome and always kill chrome`, async t => {
+  const chrome = {port: 9222, kill: sinon.stub().resolves()};
+  const chromeLauncher = {launch: sinon.stub().resolves(chrome)};
+  const lighthouse = sinon.stub().resolves({lhr: mockLhr()});
+  const config = {extends: 'lighthouse:default', settings: {onlyAudits: ['first-contentful-paint']}};
+
+  const job = {id: 'staging', url: 'https://staging.ebay.com/', strategy: 'mobile'};
+  const result = await runLighthouse(job, [], {config, chromeFlags: ['--headless']}, {lighthouse, chromeLauncher});
+  t.deepEqual(chromeLauncher.launch.firstCall.args, [{chromeFlags: ['--headless']}]);
+  t.deepEqual(lighthouse.firstCall.args, ['https://staging.ebay.com/', {output: 'json', logLevel: 'error', emulatedFormFactor: 'mobile', port: 9222}, config]);
+  t.is(result.lighthouseResult.lighthouseVersion, mockPsi.lighthouseResult.lighthouseVersion);
+  t.is(chrome.kill.callCount, 1);
+
+  const lhr = mockLhr();
+  lhr.runtimeError = {code: 'FAILED_DOCUMENT_REQUEST', message: 'Lighthouse was unable to reliably load the page'};
+  lighthouse.resolves({lhr});
+  const err = await t.throws(runLighthouse(job, [], {}, {lighthouse, chromeLauncher}));
+  t.is(err.code, 'FAILED_DOCUMENT_REQUEST');
+  lighthouse.rejects(new Error('Protocol error'));
+  await t.throws(runLighthouse(job, [], {}, {lighthouse, chromeLauncher}), /Protocol error/);
+  t.is(chrome.kill.callCount, 3);
+});
+
+test.serial(`should run the pre-audit script in the same chrome and keep its session`, async t => {
+  const chrome = {port: 9222, kill: sinon.stub().resolves()};
+  const chromeLauncher = {launch: sinon.stub().resolves(chrome)};
+  const lighthouse = sinon.stub().resolves({lhr: mockLhr()});
+  const runScript = sinon.stub().resolves();
+  const script = [{action: 'navigate', url: 'https://staging.ebay.com/login'}];
+  const job = {id: 'staging', url: 'https://staging.ebay.com/', strategy: 'mobile'};
+
+  await runLighthouse(job, [], {script}, {lighthouse, chromeLauncher, runScript});
+  t.deepEqual(runScript.firstCall.args, [9222, script, 'staging']);
+  t.true(runScript.calledBefore(lighthouse));
+  t.true(lighthouse.firstCall.args[1].disableStorageReset);
+
+  const setCookies = sinon.stub().resolves();
+  await runLighthouse(job, [], {cookies: {session: 'abc'}}, {lighthouse, chromeLauncher, runScript, setCookies});
+  // Only for the audited host, Lighthouse would send extra headers to third parties too
+  t.deepEqual(setCookies.firstCall.args, [9222, 'https://staging.ebay.com/', {session: 'abc'}]);
+  t.true(setCookies.calledBefore(lighthouse.secondCall));
+  t.true(lighthouse.secondCall.args[1].disableStorageReset);
+  t.is(lighthouse.secondCall.args[1].extraHeaders, undefined);
+
+  runScript.rejects(new Error('Script step 1 (navigate to https://staging.ebay.com/login) failed: timeout'));
+  await t.throws(runLighthouse(job, [], {script}, {lighthouse, chromeLauncher, runScript}), /Script step 1/);
+  t.is(lighthouse.callCount, 2);
+  t.is(chrome.kill.callCount, 3);
+});
+
+test.serial(`should audit sources with the lighthouse runner without pagespeed insights`, async t => {
+  const src = {
+    id: 'staging',
+    url: 'https://staging.ebay.com/',
+    strategy: 'desktop',
+    runner: 'lighthouse',
+    lighthouse: {throttlingMethod: 'devtools'},
+    cookies: {session: '${env:STAGING_SESSION}'}
+  };
+  const storage = memoryStorage();
+  const sink = memorySink();
+  const runpagespeed = sinon.stub();
+  const runLighthouseStub = sinon.stub().callsFake(() => Promise.resolve(toPsiResult(mockLhr())));
+  const pipeline = createPipeline({
+    config: {source: [src], outputFormat: [], minTimeBetweenTriggers: 0},
+    storage,
+    sink,
+    pagespeed: {pagespeedapi: {runpagespeed}},
+    runLighthouse: runLighthouseStub,
+    secrets: createSecrets({}, {env: {STAGING_SESSION: 's3cr3t-session'}})
+  });
+
+  await pipeline.handleMessage('staging');
+  t.is(runpagespeed.callCount, 0);
+  t.deepEqual(runLighthouseStub.firstCall.args, [
+    {id: 'staging', url: 'https://staging.ebay.com/', strategy: 'desktop', prefix: 'staging/desktop'},
+    undefined,
+    {throttlingMethod: 'devtools', headers: undefined, cookies: {session: 's3cr3t-session'}, script: undefined}
+  ]);
+  t.is(sink.tables.reports[0].id, 'staging');
+  t.is(sink.tables.reports[0].emulatedFormFactor, 'desktop');
+  t.is(sink.tables.summary[0].field, null);
+  t.true(console.log.calledWith(`staging: Lighthouse report received for https://staging.ebay.com/ on desktop`));
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+const http = require(`http`);
+const net = require(`net`);
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const tools = require(`@google-cloud/nodejs-repo-tools`);
+const {formatMessage, notify} = require(`../lib/notify`);
+const {createSecrets} = require(`../lib/secrets`);
+const {createPipeline} = require(`../lib/pipeline`);
+
+const verdict = {
+  passed: false,
+  violations: [{type: 'category', name: 'performance', value: 0.7, threshold: 0.8}],
+  regressions: [{type: 'metric', name: 'lcp', value: 3000, baseline: 2000, delta: 1000}]
+};
+const payload = {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'desktop', job_id: 'job', verdict: verdict};
+
+/**
+ * Starts a local HTTP server that records the requests it receives.
+ */
+function startHttpServer(statusCode) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({url: req.url, headers: req.headers, body: JSON.parse(body)});
+      res.statusCode = statusCode || 200;
+      res.end('ok');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    server: server,
+    requests: requests,
+    url: `http://127.0.0.1:${server.address().port}/hook`
+  })));
+}
+
+/**
+ * Starts a local SMTP stand-in that accepts every message and records the DATA sections.
+ */
+function startSmtpServer() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let inData = false;
+    let data = '';
+    let buffer = '';
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(data);
+            socket.write('250 OK: queued\r\n');
+          } else {
+            data += line + '\n';
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write('250 localhost\r\n');
+        } else if (/^DATA/i.test(line)) {
+          inData = true;
+          data = '';
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({
+    server: server,
+    messages: messages,
+    port: server.address().port
+  })));
+}
+
+test.beforeEach(tools.stubConsole);
+test.afterEach.always(tools.restoreConsole);
+
+test.serial(`should format budget breach message`, t => {
+  const message = formatMessage('budgetBreached', payload);
+  t.deepEqual(message.subject, 'ebay: budget breached');
+  t.deepEqual(message.text, [
+    'ebay: 1 budget violation(s) and 1 regression(s) for https://www.ebay.com/ on desktop',
+    '- Budget: performance is 0.7, budget is 0.8',
+    '- Regression: lcp is 3000, baseline is 2000'
+  ].join('\n'));
+});
+
+test.serial(`should post json payload to webhook and slack channels subscribed to the event`, async t => {
+  const stub = await startHttpServer();
+  const notifications = {channels: {
+    hook: {type: 'webhook', url: stub.url, headers: {'X-Token': 'secret'}},
+    slack: {type: 'slack', url: stub.url, channel: '#perf'},
+    other: {type: 'webhook', url: stub.url}
+  }};
+  const rules = [
+    {channel: 'hook'},
+    {channel: 'slack', events: ['budgetBreached']},
+    {channel: 'other', events: ['runFailed']}
+  ];
+
+  const sent = await notify(notifications, rules, 'budgetBreached', payload);
+  stub.server.close();
+  t.deepEqual(sent, ['hook', 'slack']);
+  t.deepEqual(stub.requests.length, 2);
+  const hook = stub.requests.find(req => req.body.event);
+  t.deepEqual(hook.headers['x-token'], 'secret');
+  t.deepEqual(hook.body.job_id, 'job');
+  t.deepEqual(hook.body.verdict, verdict);
+  const slack = stub.requests.find(req => !req.body.event);
+  t.deepEqual(slack.body.channel, '#perf');
+  t.true(slack.body.text.startsWith('ebay: 1 budget violation(s)'));
+});
+
+test.serial(`should send email through smtp`, async t => {
+  const stub = await startSmtpServer();
+  const notifications = {channels: {
+    mail: {type: 'email', smtp: {host: '127.0.0.1', port: stub.port, ignoreTLS: true}, from: 'lighthouse@example.com', to: ['team@example.com']}
+  }};
+
+  const sent = await notify(notifications, [{channel: 'mail'}], 'runFailed', {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'desktop', error: 'Quota exceeded'});
+  stub.server.close();
+  t.deepEqual(sent, ['mail']);
+  t.deepEqual(stub.messages.length, 1);
+  t.true(stub.messages[0].includes('Subject: [multisite-lighthouse] ebay: run failed'));
+  t.true(stub.messages[0].includes('Pagespeed Insights run failed for https://www.ebay.com/'));
+  t.true(stub.messages[0].includes('Quota exceeded'));
+});
+
+test.serial(`should log but not throw when a channel fails`, async t => {
+  const stub = await startHttpServer(500);
+  const notifications = {channels: {hook: {type: 'webhook', url: stub.url}}};
+
+  const sent = await notify(notifications, [{channel: 'hook'}, {channel: 'missing'}], 'scoreRecovered', payload);
+  stub.server.close();
+  t.deepEqual(sent, []);
+  t.true(console.error.calledWith('ebay: Notification channel missing is not defined'));
+  t.true(console.error.calledWith('ebay: Sending scoreRecovered notification to hook failed'));
+});
+
+test.serial(`should resolve the secrets of a channel when sending to it`, async t => {
+  const stub = await startHttpServer();
+  const secrets = createSecrets({file: 'secrets.json'}, {env: {HOOK_URL: stub.url}, readFile: async () => '{"hookToken": "t0k3n"}'});
+  const notifications = {channels: {
+    hook: {type: 'webhook', url: '${env:HOOK_URL}', headers: {Authorization: 'Bearer ${secret:hookToken}'}},
+    broken: {type: 'webhook', url: '${env:MISSING_URL}'}
+  }};
+  const pipeline = createPipeline({
+    config: {source: [], notifications: notifications},
+    storage: {},
+    sink: {},
+    pagespeed: {},
+    secrets: secrets
+  });
+
+  const sent = await pipeline.sendNotifications({id: 'ebay', notify: [{channel: 'hook'}, {channel: 'broken'}]}, 'budgetBreached', payload);
+  stub.server.close();
+  t.deepEqual(sent, ['hook']);
+  t.is(stub.requests[0].headers.authorization, 'Bearer t0k3n');
+  t.true(console.error.calledWithMatch('ebay: Sending budgetBreached notification to broken failed', sinon.match({message: 'Secret env:MISSING_URL is not set'})));
+  // The config keeps the references
+  t.is(notifications.channels.hook.url, '${env:HOOK_URL}');
+});
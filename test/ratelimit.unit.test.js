@@ -0,0 +1,114 @@
+'use strict';
+
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const {memoryStore, storageStore, shardLimits, createRateLimiter} = require(`../lib/ratelimit`);
+const {gcsStorage} = require(`../lib/storage`);
+
+test(`should allow requests within the limit without waiting`, async t => {
+  const sleep = sinon.stub().resolves();
+  const limiter = createRateLimiter(2, memoryStore(), {now: () => 1000, sleep});
+  await limiter.acquire();
+  await limiter.acquire();
+  t.deepEqual(sleep.callCount, 0);
+});
+
+test(`should wait for the oldest request to leave the window`, async t => {
+  let now = 1000;
+  const sleep = sinon.spy(ms => { now += ms; return Promise.resolve(); });
+  const limiter = createRateLimiter(2, memoryStore(), {now: () => now, sleep});
+  await limiter.acquire();
+  now = 21000;
+  await limiter.acquire();
+  await limiter.acquire();
+  t.deepEqual(sleep.args, [[40000]]);
+  t.deepEqual(now, 61000);
+});
+
+test(`should read the window again when another instance wrote first`, async t => {
+  const store = memoryStore();
+  const read = store.read;
+  let conflict = true;
+  store.read = async (shard) => {
+    const state = await read(shard);
+    if (conflict) {
+      conflict = false;
+      // Simulate a concurrent write between the read and the write
+      await store.write(shard, state.timestamps.concat(1000), state.generation);
+    }
+    return state;
+  };
+  let now = 2000;
+  const sleep = sinon.spy(ms => { now += ms; return Promise.resolve(); });
+  const limiter = createRateLimiter(1, store, {now: () => now, sleep});
+  await limiter.acquire();
+  t.deepEqual(sleep.args, [[59000]]);
+});
+
+test(`should keep the window in gcs with generation preconditions`, async t => {
+  const fileMock = {
+    metadata: {generation: '43'},
+    getMetadata: sinon.stub().resolves([{generation: '42'}]),
+    download: sinon.stub().resolves([Buffer.from(JSON.stringify({timestamps: [1000]}))]),
+    save: sinon.stub().resolves()
+  };
+  const bucketMock = {file: sinon.stub().returns(fileMock)};
+  const store = storageStore(gcsStorage(bucketMock), 'ratelimit/psi');
+
+  t.deepEqual(await store.read(1), {timestamps: [1000], generation: 42});
+  await store.write(1, [1000, 2000], 42);
+  t.true(bucketMock.file.calledWith('ratelimit/psi_1.json', {generation: 42}));
+  t.deepEqual(fileMock.save.firstCall.args[0], '{"timestamps":[1000,2000]}');
+  t.false(fileMock.save.firstCall.args[1].resumable);
+});
+
+test(`should start an empty window in gcs`, async t => {
+  const err = new Error('Not found');
+  err.code = 404;
+  const bucketMock = {file: sinon.stub().returns({getMetadata: sinon.stub().rejects(err)})};
+  t.deepEqual(await storageStore(gcsStorage(bucketMock), 'ratelimit/psi').read(0), {timestamps: [], generation: 0});
+});
+
+test(`should split the window into shards`, async t => {
+  t.deepEqual(shardLimits(10), [10]);
+  t.deepEqual(shardLimits(100), [25, 25, 25, 25]);
+  t.deepEqual(shardLimits(61), [21, 20, 20]);
+
+  const store = memoryStore();
+  const sleep = sinon.stub().resolves();
+  // Starting at the second shard, the next acquires take the slots of the others
+  const limiter = createRateLimiter(61, store, {now: () => 1000, sleep, random: () => 0.5});
+  for (let i = 0; i < 61; i++) { await limiter.acquire(); }
+  t.is(sleep.callCount, 0);
+  t.deepEqual(await Promise.all([0, 1, 2].map(async (shard) => (await store.read(shard)).timestamps.length)), [21, 20, 20]);
+});
+
+test(`should not take failures of the store for failures of pagespeed insights`, async t => {
+  const unavailable = Object.assign(new Error('Service unavailable'), {code: 503});
+  const store = memoryStore();
+  const write = store.write;
+  store.write = sinon.stub().rejects(unavailable);
+  store.write.onCall(2).callsFake(write);
+  let now = 1000;
+  const sleep = sinon.spy(ms => { now += ms; return Promise.resolve(); });
+  const limiter = createRateLimiter(1, store, {now: () => now, sleep, random: () => 0.5});
+  await limiter.acquire();
+  // Transient failures of the store are retried
+  t.deepEqual(sleep.args, [[500], [500]]);
+
+  store.write = sinon.stub().rejects(Object.assign(new Error('Forbidden'), {code: 403}));
+  const err = await t.throws(createRateLimiter(1, store, {now: () => now, sleep}).acquire());
+  t.is(err.code, 'RATE_LIMIT_STORE');
+  t.is(err.message, 'Rate limit store failed: Forbidden');
+});
+
+test(`should give up waiting for a slot after the timeout`, async t => {
+  let now = 1000;
+  const sleep = sinon.spy(ms => { now += ms; return Promise.resolve(); });
+  const limiter = createRateLimiter(1, memoryStore(), {now: () => now, sleep, timeout: 30000});
+  await limiter.acquire();
+  now += 20000;
+  const err = await t.throws(limiter.acquire());
+  t.is(err.code, 'RATE_LIMIT_TIMEOUT');
+  t.is(sleep.callCount, 0);
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const tools = require(`@google-cloud/nodejs-repo-tools`);
+const mockPsi = require(`./mock.psi.json`);
+const {listArchivedRuns, replayJobId} = require(`../lib/replay`);
+const {createPipeline} = require(`../lib/pipeline`);
+const {memoryStorage} = require(`../lib/storage`);
+const {memorySink} = require(`../lib/sinks`);
+
+function report(id, strategy, timestamp, jobId) {
+  return Object.assign(JSON.parse(JSON.stringify(mockPsi)), {
+    id: id,
+    url: `https://www.${id}.com/`,
+    emulatedFormFactor: strategy,
+    analysisUTCTimestamp: timestamp,
+    job_id: jobId
+  });
+}
+
+async function setup(config) {
+  const storage = memoryStorage();
+  const write = (prefix, obj) => storage.write(`${prefix}/log_${obj.analysisUTCTimestamp}.json`, JSON.stringify(obj));
+  await write('ebay/mobile', report('ebay', 'mobile', '2020-01-01T00:00:00.000Z', 'job-1'));
+  await write('ebay/mobile', report('ebay', 'mobile', '2020-01-02T00:00:00.000Z', 'job-2'));
+  await write('ebay/desktop', report('ebay', 'desktop', '2020-01-02T12:00:00.000Z', 'job-3'));
+  await write('ebay/www_ebay_com_deals_3428b781/mobile', report('ebay', 'mobile', '2020-01-03T00:00:00.000Z', 'job-4'));
+  await write('google/mobile', report('google', 'mobile', '2020-01-02T00:00:00.000Z', undefined));
+  await write('adhoc/www_example_com_49365e2b/mobile', report('adhoc', 'mobile', '2020-01-02T00:00:00.000Z', 'job-5'));
+  await storage.write('ebay/mobile/report_2020-01-01T00:00:00.000Z.json', '{}');
+  const sink = memorySink();
+  sinon.spy(sink, 'load');
+  const pipeline = createPipeline({config: Object.assign({source: []}, config), storage, sink, pagespeed: {}});
+  return {storage, sink, pipeline};
+}
+
+test.beforeEach(tools.stubConsole);
+test.afterEach.always(tools.restoreConsole);
+
+test.serial(`should list archived runs by id, strategy and date range`, async t => {
+  const {storage} = await setup();
+  const paths = async options => (await listArchivedRuns(storage, options)).map(run => run.path);
+  t.deepEqual(await paths(), [
+    'ebay/mobile/log_2020-01-01T00:00:00.000Z.json',
+    'ebay/mobile/log_2020-01-02T00:00:00.000Z.json',
+    'google/mobile/log_2020-01-02T00:00:00.000Z.json',
+    'ebay/desktop/log_2020-01-02T12:00:00.000Z.json',
+    'ebay/www_ebay_com_deals_3428b781/mobile/log_2020-01-03T00:00:00.000Z.json'
+  ]);
+  t.deepEqual(await paths({id: 'ebay', strategy: 'mobile', from: '2020-01-02'}), [
+    'ebay/mobile/log_2020-01-02T00:00:00.000Z.json',
+    'ebay/www_ebay_com_deals_3428b781/mobile/log_2020-01-03T00:00:00.000Z.json'
+  ]);
+  t.deepEqual(await paths({to: '2020-01-01'}), ['ebay/mobile/log_2020-01-01T00:00:00.000Z.json']);
+  t.deepEqual(await paths({id: 'adhoc'}), ['adhoc/www_example_com_49365e2b/mobile/log_2020-01-02T00:00:00.000Z.json']);
+
+  const [run] = await listArchivedRuns(storage, {id: 'ebay', from: '2020-01-03'});
+  t.deepEqual(run, {
+    path: 'ebay/www_ebay_com_deals_3428b781/mobile/log_2020-01-03T00:00:00.000Z.json',
+    prefix: 'ebay/www_ebay_com_deals_3428b781/mobile',
+    id: 'ebay',
+    strategy: 'mobile',
+    timestamp: '2020-01-03T00:00:00.000Z'
+  });
+  t.is(replayJobId(run, {job_id: 'job-4'}), 'job-4');
+  t.is(replayJobId(run, {}), 'archived_ebay_www_ebay_com_deals_3428b781_mobile_20200103000000000');
+});
+
+test.serial(`should replay archived runs into the tables once`, async t => {
+  const {storage, sink, pipeline} = await setup();
+  const runs = await listArchivedRuns(storage);
+  // The summary table already has a run
+  sink.tables.summary = [{job_id: 'job-2', id: 'ebay'}];
+
+  const dryRun = await pipeline.replayRuns(runs, {dryRun: true});
+  t.is(sink.load.callCount, 0);
+  t.is(dryRun.tables.reports.rows, 5);
+  t.deepEqual(dryRun.tables.summary, {rows: 4, skipped: 1});
+  t.true(dryRun.tables.resources.rows > 5);
+
+  const result = await pipeline.replayRuns(runs, {chunkSize: 3});
+  t.deepEqual(result.tables.summary, {rows: 4, skipped: 1});
+  // Two chunks with a load per table each
+  t.deepEqual(sink.load.args.map(args => [args[0], args[2].jobId]), [
+    ['reports', `replay_${result.replayId}_0_reports`],
+    ['summary', `replay_${result.replayId}_0_summary`],
+    ['resources', `replay_${result.replayId}_0_resources`],
+    ['reports', `replay_${result.replayId}_1_reports`],
+    ['summary', `replay_${result.replayId}_1_summary`],
+    ['resources', `replay_${result.replayId}_1_resources`]
+  ]);
+  t.deepEqual(sink.load.firstCall.args[2].partitioning, {field: 'analysisUTCTimestamp', clustering: ['id', 'emulatedFormFactor']});
+  t.deepEqual(sink.tables.reports.map(row => row.job_id), ['job-1', 'job-2', 'archived_google_mobile_20200102000000000', 'job-3', 'job-4']);
+  t.deepEqual(sink.tables.summary.map(row => row.job_id), ['job-2', 'job-1', 'archived_google_mobile_20200102000000000', 'job-3', 'job-4']);
+  t.true(console.log.calledWith(`Replay ${result.replayId}: Loading 2 row(s) of 2 run(s) into summary of memory with job ID replay_${result.replayId}_0_summary`));
+
+  // Replaying again loads nothing
+  const again = await pipeline.replayRuns(runs);
+  t.deepEqual(again.tables.reports, {rows: 0, skipped: 5});
+  t.is(sink.load.callCount, 6);
+});
+
+test.serial(`should replay only the tables that are missing runs`, async t => {
+  const {storage, sink, pipeline} = await setup({resources: {enabled: false}});
+  const runs = await listArchivedRuns(storage, {id: 'google'});
+  await storage.write('ebay/mobile/log_2020-01-04T00:00:00.000Z.json', '{"id": ');
+  const unreadable = await listArchivedRuns(storage, {id: 'ebay', from: '2020-01-04'});
+
+  let result = await pipeline.replayRuns(runs.concat(unreadable));
+  t.deepEqual(result.unreadable, ['ebay/mobile/log_2020-01-04T00:00:00.000Z.json']);
+  t.deepEqual(result.tables.resources, {rows: 0, skipped: 0});
+  t.deepEqual(sink.load.args.map(args => args[0]), ['reports', 'summary']);
+
+  // A table that is added later gets the runs the others already have
+  const withResources = createPipeline({config: {source: []}, storage, sink, pagespeed: {}});
+  result = await withResources.replayRuns(runs);
+  t.deepEqual(result.tables.reports, {rows: 0, skipped: 1});
+  t.is(result.tables.resources.skipped, 0);
+  t.deepEqual(sink.load.args.map(args => args[0]), ['reports', 'summary', 'resources']);
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require(`ava`);
+const {entityName, toResourceRows} = require(`../lib/resources`);
+const resourcesSchema = require(`../resources-schema.json`);
+const mockPsi = require(`./mock.psi.json`);
+
+const GTM = 'https://www.googletagmanager.com/gtm.js?id=GTM-1';
+const APP = 'https://www.ebay.com/app.js';
+
+function report() {
+  return {
+    id: 'ebay',
+    url: 'https://www.ebay.com/',
+    emulatedFormFactor: 'mobile',
+    analysisUTCTimestamp: '2020-01-01T00:00:00.000Z',
+    job_id: 'job',
+    lighthouseResult: {
+      entities: [
+        {name: 'eBay', isFirstParty: true, origins: ['https://www.ebay.com']},
+        {name: 'Google Tag Manager', origins: ['https://www.googletagmanager.com']}
+      ],
+      audits: {
+        'network-requests': {details: {type: 'table', items: [
+          {url: APP, transferSize: 20480, resourceSize: 81920, resourceType: 'Script'},
+          {url: GTM, transferSize: 30720.4, resourceSize: 92160, resourceType: 'Script', entity: 'Google Tag Manager'},
+          {url: 'data:image/png;base64,AAAA', transferSize: 0}
+        ]}},
+        'bootup-time': {details: {type: 'table', items: [{url: APP, total: 420.5}, {url: 'Other', total: 900}]}},
+        'third-party-summary': {details: {type: 'table', items: [{
+          entity: {type: 'link', text: 'Google Tag Manager'},
+          transferSize: 30720,
+          blockingTime: 150,
+          subItems: {type: 'subitems', items: [{url: GTM, transferSize: 30720, blockingTime: 150, mainThreadTime: 310}]}
+        }]}},
+        'render-blocking-resources': {details: {type: 'opportunity', items: [{url: APP, totalBytes: 20480, wastedMs: 230}]}},
+        'unused-javascript': {details: {type: 'opportunity', items: [
+          {url: GTM, totalBytes: 30720, wastedBytes: 18000.6, wastedPercent: 58},
+          {url: APP, totalBytes: 20480, wastedBytes: 4000}
+        ]}},
+        'unminified-javascript': {details: {type: 'opportunity', items: [{url: APP, totalBytes: 20480, wastedBytes: 6000}]}},
+        'uses-optimized-images': {details: {type: 'opportunity', items: []}}
+      }
+    }
+  };
+}
+
+test(`should read entity names of links and strings`, t => {
+  t.is(entityName({type: 'link', text: 'Google Tag Manager', url: 'https://marketingplatform.google.com/'}), 'Google Tag Manager');
+  t.is(entityName('Google Tag Manager'), 'Google Tag Manager');
+  t.is(entityName(undefined), null);
+});
+
+test(`should merge the audits of every resource into one row`, t => {
+  const rows = toResourceRows(report());
+  t.deepEqual(rows.map(row => row.resource_url), [APP, GTM]);
+  t.deepEqual(rows[0], {
+    job_id: 'job',
+    id: 'ebay',
+    url: 'https://www.ebay.com/',
+    strategy: 'mobile',
+    timestamp: '2020-01-01T00:00:00.000Z',
+    source_group: null,
+    source_tags: [],
+    resource_url: APP,
+    domain: 'www.ebay.com',
+    entity: 'eBay',
+    first_party: true,
+    resource_type: 'Script',
+    transfer_size: 20480,
+    resource_size: 81920,
+    main_thread_time: 420.5,
+    blocking_time: null,
+    wasted_bytes: 6000,
+    wasted_ms: 230,
+    audits: [
+      {id: 'network-requests', wasted_bytes: null, wasted_ms: null},
+      {id: 'bootup-time', wasted_bytes: null, wasted_ms: null},
+      {id: 'render-blocking-resources', wasted_bytes: null, wasted_ms: 230},
+      {id: 'unused-javascript', wasted_bytes: 4000, wasted_ms: null},
+      {id: 'unminified-javascript', wasted_bytes: 6000, wasted_ms: null}
+    ]
+  });
+  t.is(rows[1].entity, 'Google Tag Manager');
+  t.is(rows[1].first_party, null);
+  t.is(rows[1].transfer_size, 30720);
+  t.is(rows[1].main_thread_time, 310);
+  t.is(rows[1].blocking_time, 150);
+  t.is(rows[1].wasted_bytes, 18001);
+});
+
+test(`should read only the given audits and entities of older reports`, t => {
+  const obj = report();
+  delete obj.lighthouseResult.entities;
+  const rows = toResourceRows(obj, ['third-party-summary', 'unused-javascript']);
+  t.deepEqual(rows.map(row => [row.resource_url, row.entity, row.transfer_size]), [[GTM, 'Google Tag Manager', 30720], [APP, null, 20480]]);
+  t.deepEqual(toResourceRows({id: 'ebay', lighthouseResult: {}}), []);
+});
+
+test(`should flatten reports into rows of the resources schema`, t => {
+  const rows = toResourceRows(Object.assign({id: 'ebay', url: 'https://www.clickz.com/', job_id: 'job'}, mockPsi));
+  t.true(rows.length > 0);
+  t.true(rows.every(row => /^https?:/.test(row.resource_url)));
+  // Every column of a row is in the schema and the required ones are set
+  const names = resourcesSchema.map(field => field.name);
+  rows.forEach(row => t.deepEqual(Object.keys(row), names));
+  const required = resourcesSchema.filter(field => field.mode === 'REQUIRED').map(field => field.name);
+  t.true(rows.every(row => required.every(name => row[name] !== null && row[name] !== undefined)));
+  t.true(rows.every(row => row.transfer_size === null || Number.isInteger(row.transfer_size)));
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const {errorCode, isRetryable, backoff, withRetry} = require(`../lib/retry`);
+
+function httpError(status) {
+  const err = new Error(`Request failed with status ${status}`);
+  err.code = status;
+  return err;
+}
+
+test(`should classify rate limits, server errors and timeouts as retryable`, t => {
+  t.true(isRetryable(httpError(429)));
+  t.true(isRetryable(httpError(500)));
+  t.true(isRetryable(httpError('503')));
+  t.true(isRetryable({response: {status: 504}}));
+  t.true(isRetryable({code: 'ETIMEDOUT'}));
+  t.false(isRetryable(httpError(400)));
+  t.false(isRetryable(httpError(403)));
+  t.false(isRetryable(new Error('unknown')));
+});
+
+test(`should read the error code`, t => {
+  t.deepEqual(errorCode(httpError('429')), 429);
+  t.deepEqual(errorCode({code: 'ECONNRESET'}), 'ECONNRESET');
+  t.deepEqual(errorCode(new Error('unknown')), null);
+});
+
+test(`should back off exponentially up to the maximum delay`, t => {
+  const options = {baseDelay: 1000, maxDelay: 5000};
+  t.deepEqual(backoff(1, options, () => 1), 1000);
+  t.deepEqual(backoff(2, options, () => 1), 2000);
+  t.deepEqual(backoff(3, options, () => 0.5), 2000);
+  t.deepEqual(backoff(4, options, () => 1), 5000);
+});
+
+test(`should retry retryable errors until the call succeeds`, async t => {
+  const fn = sinon.stub();
+  fn.onFirstCall().rejects(httpError(429));
+  fn.onSecondCall().rejects(httpError(500));
+  fn.onThirdCall().resolves('report');
+  const sleep = sinon.stub().resolves();
+  const onRetry = sinon.stub();
+
+  const result = await withRetry(fn, {retries: 3, baseDelay: 100, maxDelay: 1000}, {sleep, onRetry, random: () => 1});
+  t.deepEqual(result, 'report');
+  t.deepEqual(fn.callCount, 3);
+  t.deepEqual(sleep.args, [[100], [200]]);
+  t.deepEqual(onRetry.args.map(args => args.slice(1)), [[1, 100], [2, 200]]);
+});
+
+test(`should give up when retries run out`, async t => {
+  const fn = sinon.stub().rejects(httpError(503));
+  const err = await t.throws(withRetry(fn, {retries: 2}, {sleep: () => Promise.resolve()}));
+  t.deepEqual(fn.callCount, 3);
+  t.deepEqual(err.attempts, 3);
+  t.true(err.retryable);
+});
+
+test(`should not retry fatal errors`, async t => {
+  const fn = sinon.stub().rejects(httpError(400));
+  const err = await t.throws(withRetry(fn, {retries: 2}, {sleep: () => Promise.resolve()}));
+  t.deepEqual(fn.callCount, 1);
+  t.deepEqual(err.attempts, 1);
+  t.false(err.retryable);
+});
@@ -0,0 +1,146 @@
+'use strict';
+
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const tools = require(`@google-cloud/nodejs-repo-tools`);
+const mockPsi = require(`./mock.psi.json`);
+const {toRollupRows, rowsFromStorage} = require(`../lib/rollup`);
+const {createPipeline} = require(`../lib/pipeline`);
+const {memoryStorage} = require(`../lib/storage`);
+const {memorySink} = require(`../lib/sinks`);
+
+const SOURCES = [
+  {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile', group: 'marketplaces', weight: 3},
+  {id: 'etsy', url: 'https://www.etsy.com/', strategy: 'mobile', group: 'marketplaces'},
+  {id: 'google', url: ['https://www.google.com/', 'https://www.google.com/maps'], strategy: ['mobile', 'desktop']},
+  {id: 'shop', type: 'sitemap', url: 'https://www.example.com/sitemap.xml', strategy: 'mobile'}
+];
+
+const OPTIONS = {day: '2020-01-01', computedAt: '2020-01-02T01:00:00.000Z'};
+
+function report(id, strategy, timestamp, performance) {
+  const obj = JSON.parse(JSON.stringify(mockPsi));
+  obj.lighthouseResult.categories.performance.score = performance;
+  return Object.assign(obj, {id: id, emulatedFormFactor: strategy, analysisUTCTimestamp: timestamp});
+}
+
+async function setup(config) {
+  const storage = memoryStorage();
+  const write = (prefix, obj) => storage.write(`${prefix}/log_${obj.analysisUTCTimestamp}.json`, JSON.stringify(obj));
+  await write('ebay/mobile', report('ebay', 'mobile', '2020-01-01T01:00:00.000Z', 0.8));
+  await write('ebay/mobile', report('ebay', 'mobile', '2020-01-01T13:00:00.000Z', 0.6));
+  await write('etsy/mobile', report('etsy', 'mobile', '2020-01-01T01:00:00.000Z', 0.3));
+  await write('etsy/mobile', report('etsy', 'mobile', '2020-01-02T01:00:00.000Z', 0.9));
+  await write('adhoc/www_example_com_49365e2b/mobile', report('adhoc', 'mobile', '2020-01-01T01:00:00.000Z', 0.1));
+  const sink = memorySink();
+  sinon.spy(sink, 'load');
+  const pipeline = createPipeline({
+    config: Object.assign({source: SOURCES, rollup: {}}, config),
+    storage,
+    sink,
+    pagespeed: {}
+  });
+  return {storage, sink, pipeline};
+}
+
+test.beforeEach(tools.stubConsole);
+test.afterEach.always(tools.restoreConsole);
+
+test.serial(`should roll up the runs of a day by group and by weight`, t => {
+  const rows = [
+    {id: 'ebay', strategy: 'mobile', score_performance: 0.8, lcp: 2000},
+    {id: 'ebay', strategy: 'mobile', score_performance: 0.6, lcp: null},
+    {id: 'etsy', strategy: 'mobile', score_performance: 0.3, lcp: 4000},
+    {id: 'google', strategy: 'mobile', score_performance: 0.9},
+    {id: 'google', strategy: 'desktop', score_performance: 1},
+    {id: 'removed', strategy: 'mobile', score_performance: 0.5},
+    {id: 'adhoc', strategy: 'mobile', score_performance: 0}
+  ];
+  const rollups = toRollupRows(rows, SOURCES, OPTIONS);
+  t.deepEqual(rollups.map(row => [row.source_group, row.strategy, row.sources, row.runs, row.weight]), [
+    [null, 'desktop', 1, 1, 1],
+    [null, 'mobile', 4, 5, 6],
+    ['marketplaces', 'mobile', 2, 3, 4]
+  ]);
+  // ebay counts three times with the mean of its runs, etsy once
+  t.is(rollups[2].score_performance, 0.6);
+  t.is(rollups[2].lcp, 2500);
+  t.is(rollups[1].score_performance, Math.round((0.7 * 3 + 0.3 + 0.9 + 0.5) / 6 * 10000) / 10000);
+  t.deepEqual(Object.assign({}, rollups[0], {score_performance: 1}), {
+    day: '2020-01-01',
+    source_group: null,
+    strategy: 'desktop',
+    sources: 1,
+    runs: 1,
+    weight: 1,
+    score_performance: 1,
+    score_accessibility: null,
+    score_best_practices: null,
+    score_seo: null,
+    score_pwa: null,
+    fcp: null,
+    lcp: null,
+    tbt: null,
+    cls: null,
+    computed_at: '2020-01-02T01:00:00.000Z'
+  });
+  t.deepEqual(toRollupRows([], SOURCES, OPTIONS), []);
+});
+
+test.serial(`should read the runs of a day from the storage`, async t => {
+  const {storage} = await setup();
+  const write = (prefix, obj) => storage.write(`${prefix}/log_${obj.analysisUTCTimestamp}.json`, JSON.stringify(obj));
+  await write('google/www_google_com_maps_1b206bc8/desktop', report('google', 'desktop', '2020-01-01T02:00:00.000Z', 0.9));
+  await write('shop/www_example_com_a_7ea22417/mobile', report('shop', 'mobile', '2020-01-01T02:00:00.000Z', 0.5));
+  await write('shop/www_example_com_a_7ea22417/mobile', report('shop', 'mobile', '2019-12-31T02:00:00.000Z', 0.4));
+  sinon.spy(storage, 'list');
+  const rows = await rowsFromStorage(storage, '2020-01-01', SOURCES);
+  t.deepEqual(rows.map(row => [row.id, row.score_performance]), [['ebay', 0.8], ['ebay', 0.6], ['etsy', 0.3], ['google', 0.9], ['shop', 0.5]]);
+  // The logs of the day of every job, and of every page of the sources with discovered pages
+  t.deepEqual(storage.list.args.map(args => args[0]), [
+    'ebay/mobile/log_2020-01-01',
+    'etsy/mobile/log_2020-01-01',
+    'google/www_google_com_d0e196a0/mobile/log_2020-01-01',
+    'google/www_google_com_d0e196a0/desktop/log_2020-01-01',
+    'google/www_google_com_maps_1b206bc8/mobile/log_2020-01-01',
+    'google/www_google_com_maps_1b206bc8/desktop/log_2020-01-01',
+    'shop/'
+  ]);
+});
+
+test.serial(`should load the rollups of a day once`, async t => {
+  const {storage, sink, pipeline} = await setup();
+  const dryRun = await pipeline.rollupDay('2020-01-01', {dryRun: true});
+  t.is(dryRun.length, 2);
+  t.is(sink.load.callCount, 0);
+
+  const now = Date.parse('2020-01-02T01:00:00.000Z');
+  // An hour after midnight the previous day is due, before that the day before it, which has no runs
+  t.deepEqual(await pipeline.scheduleRollups(now - 1), []);
+  const rollups = await pipeline.scheduleRollups(now);
+  t.deepEqual(rollups.map(row => [row.source_group, row.score_performance]), [[null, 0.6], ['marketplaces', 0.6]]);
+  t.is(sink.load.callCount, 1);
+  t.is(sink.load.firstCall.args[0], 'rollups');
+  t.is(sink.load.firstCall.args[2].jobId, 'rollup_20200101');
+  t.deepEqual(sink.load.firstCall.args[2].partitioning, {field: 'day', clustering: ['source_group', 'strategy']});
+  t.true(console.log.calledWith(`Rolled up 3 run(s) of 2020-01-01 into 2 row(s)`));
+  t.is(JSON.parse(await storage.read('rollups/state.json')).day, '2020-01-01');
+
+  // Later calls on the same day find it rolled up
+  t.is(await pipeline.scheduleRollups(now + 60000), null);
+  t.is(sink.load.callCount, 1);
+});
+
+test.serial(`should roll up a day again after a failed load`, async t => {
+  const {storage, sink, pipeline} = await setup({rollup: {delay: 0}});
+  sink.load.restore();
+  sink.load = sinon.stub();
+  sink.load.onFirstCall().rejects(new Error('Quota exceeded'));
+  sink.load.resolves();
+  const now = Date.parse('2020-01-02T00:00:00.000Z');
+  await t.throws(pipeline.scheduleRollups(now), /Quota exceeded/);
+  t.is(String(await storage.read('rollups/state.json')), '{}');
+  t.is((await pipeline.scheduleRollups(now)).length, 2);
+  t.is(sink.load.callCount, 2);
+  t.is(await createPipeline({config: {source: SOURCES}, storage, sink, pagespeed: {}}).scheduleRollups(now), null);
+});
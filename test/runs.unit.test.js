@@ -0,0 +1,54 @@
+'use strict';
+
+const test = require(`ava`);
+const {selectMedian, spread, summarizeRuns} = require(`../lib/runs`);
+
+function report(timestamp, performance, lcp) {
+  return {
+    id: 'ebay',
+    url: 'https://www.ebay.com/',
+    emulatedFormFactor: 'mobile',
+    analysisUTCTimestamp: timestamp,
+    lighthouseResult: {
+      categories: {performance: {score: performance}},
+      audits: {'largest-contentful-paint': {numericValue: lcp}}
+    }
+  };
+}
+
+const reports = [
+  report('2019-05-08T13:00:00.000Z', 0.5, 4000),
+  report('2019-05-08T13:01:00.000Z', 0.9, 2000),
+  report('2019-05-08T13:02:00.000Z', 0.7, 1000)
+];
+
+test(`should select the median run by performance score`, t => {
+  t.deepEqual(selectMedian(reports), 2);
+  t.deepEqual(selectMedian(reports.slice(0, 2)), 0);
+});
+
+test(`should select the median run by a metric`, t => {
+  t.deepEqual(selectMedian(reports, 'lcp'), 1);
+});
+
+test(`should ignore runs without the ranking value`, t => {
+  t.deepEqual(selectMedian([report('x', null, 1000), reports[1]]), 1);
+  t.deepEqual(selectMedian([report('x', null, 1000)]), 0);
+});
+
+test(`should compute the spread of values`, t => {
+  t.deepEqual(spread([2, 4, 4, 4, 5, 5, 7, 9]), {min: 2, max: 9, mean: 5, stddev: 2});
+});
+
+test(`should summarize the runs`, t => {
+  const summary = summarizeRuns(reports, 2);
+  t.deepEqual(summary.id, 'ebay');
+  t.deepEqual(summary.strategy, 'mobile');
+  t.deepEqual(summary.runs, 3);
+  t.deepEqual(summary.medianBy, 'performance');
+  t.deepEqual(summary.selected, {index: 2, analysisUTCTimestamp: '2019-05-08T13:02:00.000Z'});
+  t.deepEqual(summary.spread.metrics.lcp.min, 1000);
+  t.deepEqual(summary.spread.metrics.lcp.max, 4000);
+  t.deepEqual(summary.spread.categories.performance.mean.toFixed(2), '0.70');
+  t.deepEqual(summary.values[0], {analysisUTCTimestamp: '2019-05-08T13:00:00.000Z', categories: {performance: 0.5}, metrics: {lcp: 4000}});
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const tools = require(`@google-cloud/nodejs-repo-tools`);
+const mockPsi = require(`./mock.psi.json`);
+const {createRunState} = require(`../lib/runstate`);
+const {memoryStorage} = require(`../lib/storage`);
+const {memorySink} = require(`../lib/sinks`);
+const {createPipeline} = require(`../lib/pipeline`);
+
+const job = {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile'};
+
+test.beforeEach(tools.stubConsole);
+test.afterEach.always(tools.restoreConsole);
+
+test.serial(`should lease a job to one run at a time`, async t => {
+  const storage = memoryStorage();
+  const runState = createRunState(storage, {leaseTimeout: 1000, minTimeBetweenTriggers: 0});
+  sinon.spy(storage, 'readVersioned');
+
+  const first = await runState.acquire('ebay/mobile', job, {now: 1000, messageId: 'm1', jobId: 'j1'});
+  t.true(first.acquired);
+  // The lease holds the generation that the write returned, not one read after it
+  t.is(storage.readVersioned.callCount, 1);
+  t.is(first.lease.generation, storage.files['ebay/mobile/state.json'].generation);
+  t.deepEqual(first.lease.record.state, 'running');
+  t.deepEqual(first.lease.record.leaseExpires, 2000);
+  t.deepEqual(await runState.acquire('ebay/mobile', job, {now: 1500, messageId: 'm2', jobId: 'j2'}), {
+    acquired: false,
+    reason: 'leased',
+    record: first.lease.record
+  });
+
+  // The lease expired, the job is taken over and the first run cannot end it anymore
+  const second = await runState.acquire('ebay/mobile', job, {now: 2500, messageId: 'm2', jobId: 'j2'});
+  t.true(second.acquired);
+  t.false(await runState.release(first.lease, 'succeeded', {}, 2600));
+  t.true(await runState.release(second.lease, 'succeeded', {}, 2700));
+  const record = JSON.parse(await storage.read('ebay/mobile/state.json'));
+  t.deepEqual(record.state, 'succeeded');
+  t.deepEqual(record.jobId, 'j2');
+  t.deepEqual(record.leaseExpires, null);
+});
+
+test.serial(`should let only one of two concurrent runs take the lease`, async t => {
+  const runState = createRunState(memoryStorage());
+  const results = await Promise.all(['j1', 'j2'].map(jobId => runState.acquire('ebay/mobile', job, {now: 1000, messageId: jobId, jobId})));
+  t.deepEqual(results.map(result => result.acquired).sort(), [false, true]);
+  t.deepEqual(results.filter(result => !result.acquired)[0].reason, 'leased');
+});
+
+test.serial(`should not run a processed message again and rerun a failed one under its job id`, async t => {
+  const runState = createRunState(memoryStorage(), {minTimeBetweenTriggers: 300000});
+
+  const failed = await runState.acquire('ebay/mobile', job, {now: 1000, messageId: 'm1', jobId: 'j1'});
+  await runState.release(failed.lease, 'failed', {error: 'Invalid URL'});
+  // A redelivery is not throttled, another message is
+  const retry = await runState.acquire('ebay/mobile', job, {now: 2000, messageId: 'm1', jobId: 'j2'});
+  t.deepEqual(retry.lease.record.jobId, 'j1');
+  t.deepEqual(retry.lease.record.attempts, 2);
+  await runState.release(retry.lease, 'succeeded');
+
+  const duplicate = await runState.acquire('ebay/mobile', job, {now: 3000, messageId: 'm1', jobId: 'j3'});
+  t.deepEqual([duplicate.acquired, duplicate.reason, duplicate.record.jobId], [false, 'duplicate', 'j1']);
+  const throttled = await runState.acquire('ebay/mobile', job, {now: 3000, messageId: 'm2', jobId: 'j3'});
+  t.deepEqual([throttled.acquired, throttled.reason, throttled.delta], [false, 'throttled', 1000]);
+});
+
+test.serial(`should read state files of earlier versions and mark queued jobs`, async t => {
+  const storage = memoryStorage();
+  await storage.write('ebay/mobile/state.json', JSON.stringify({ebay: {created: 1000}}));
+  const runState = createRunState(storage, {minTimeBetweenTriggers: 300000});
+
+  t.deepEqual((await runState.acquire('ebay/mobile', job, {now: 2000, jobId: 'j1'})).reason, 'throttled');
+  t.true(await runState.enqueue('ebay/mobile', job, 2000));
+  t.deepEqual(JSON.parse(await storage.read('ebay/mobile/state.json')).state, 'queued');
+  t.true((await runState.acquire('ebay/mobile', job, {now: 400000, jobId: 'j1'})).acquired);
+  t.false(await runState.enqueue('ebay/mobile', job, 400001));
+  await t.throws(runState.release({prefix: 'ebay/mobile', record: {}, generation: 0}, 'done'), /Unknown run state done/);
+});
+
+test.serial(`should not load rows twice for a redelivered message`, async t => {
+  const config = {source: [job], outputFormat: [], minTimeBetweenTriggers: 0};
+  const storage = memoryStorage();
+  const sink = memorySink();
+  const runpagespeed = sinon.stub();
+  runpagespeed.onFirstCall().rejects(new Error('Invalid URL'));
+  runpagespeed.callsFake(() => Promise.resolve(JSON.parse(JSON.stringify(mockPsi))));
+  const pipeline = createPipeline({config, storage, sink, pagespeed: {pagespeedapi: {runpagespeed}}});
+
+  const error = await t.throws(pipeline.handleMessage('ebay', 'm1'));
+  await pipeline.handleMessage('ebay', 'm1');
+  await pipeline.handleMessage('ebay', 'm1');
+  t.deepEqual(runpagespeed.callCount, 2);
+  t.deepEqual(sink.tables.failed_runs.map(row => row.job_id), [error.jobId]);
+  t.deepEqual(sink.tables.reports.map(row => row.job_id), [error.jobId]);
+  t.true(console.log.calledWith(`ebay: Message m1 was already processed on mobile with job ID ${error.jobId}, skipping...`));
+});
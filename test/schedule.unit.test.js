@@ -0,0 +1,125 @@
+'use strict';
+
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const tools = require(`@google-cloud/nodejs-repo-tools`);
+const mockPsi = require(`./mock.psi.json`);
+const {parseCron, localTime, matches, jitterOf, scheduleOf, dueSources, validateSchedules} = require(`../lib/schedule`);
+const {memoryStorage} = require(`../lib/storage`);
+const {memorySink} = require(`../lib/sinks`);
+const {createPipeline} = require(`../lib/pipeline`);
+
+// Monday
+const MONDAY = Date.UTC(2024, 0, 15, 6, 0);
+const MINUTE = 60000;
+
+test.beforeEach(tools.stubConsole);
+test.afterEach.always(tools.restoreConsole);
+
+test.serial(`should parse cron expressions`, t => {
+  const cron = parseCron('*/15 9-17 * jan,JUL mon-fri');
+  t.deepEqual([...cron.minute.values], [0, 15, 30, 45]);
+  t.deepEqual([...cron.hour.values], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  t.true(cron.day.any);
+  t.deepEqual([...cron.month.values], [1, 7]);
+  t.deepEqual([...cron.weekday.values], [1, 2, 3, 4, 5]);
+  t.deepEqual([...parseCron('0 0 * * 7').weekday.values], [0]);
+  t.deepEqual([...parseCron('@daily').hour.values], [0]);
+  t.deepEqual([...parseCron('5/20 * * * *').minute.values], [5, 25, 45]);
+  t.throws(() => parseCron('* * * *'), /must have 5 fields/);
+  t.throws(() => parseCron('60 * * * *'), /Invalid minute 60/);
+  t.throws(() => parseCron('* * * foo *'), /Invalid month foo/);
+  t.throws(() => parseCron('*/0 * * * *'), /Invalid step 0/);
+  t.throws(() => parseCron('* 5-1 * * *'), /Invalid range 5-1/);
+});
+
+test.serial(`should match cron expressions in time zones`, t => {
+  const cron = parseCron('0 7 * * mon');
+  t.true(matches(cron, localTime(new Date(MONDAY + 60 * MINUTE))));
+  t.false(matches(cron, localTime(new Date(MONDAY), 'UTC')));
+  t.true(matches(cron, localTime(new Date(MONDAY), 'Europe/Berlin')));
+  // Either the day of month or the day of week
+  t.true(matches(parseCron('0 6 1 * mon'), localTime(new Date(MONDAY))));
+  t.false(matches(parseCron('0 6 1 * *'), localTime(new Date(MONDAY))));
+});
+
+test.serial(`should derive the same jitter for a source and time`, t => {
+  const jitter = jitterOf('ebay', MONDAY, 10 * MINUTE);
+  t.is(jitterOf('ebay', MONDAY, 10 * MINUTE), jitter);
+  t.true(jitter >= 0 && jitter <= 10 * MINUTE);
+  t.is(jitter % MINUTE, 0);
+  t.is(jitterOf('ebay', MONDAY, 0), 0);
+});
+
+test.serial(`should merge source schedules with the schedule of the config`, t => {
+  const global = {cron: '0 6 * * *', timeZone: 'Europe/Berlin'};
+  t.deepEqual(scheduleOf({id: 'ebay'}, global), global);
+  t.deepEqual(scheduleOf({id: 'ebay', schedule: '0 8 * * *'}, global), {cron: '0 8 * * *', timeZone: 'Europe/Berlin'});
+  t.is(scheduleOf({id: 'ebay', schedule: false}, global), null);
+  t.is(scheduleOf({id: 'ebay'}), null);
+  t.is(validateSchedules({schedule: '@hourly', source: [{id: 'ebay', schedule: {timeZone: 'Mars/Olympus'}}]}).length, 1);
+});
+
+test.serial(`should return each due source once for the latest scheduled time`, t => {
+  const sources = [{id: 'ebay', schedule: '*/10 * * * *'}, {id: 'google', schedule: '0 7 * * *'}, {id: 'amazon'}];
+  const due = dueSources(sources, undefined, MONDAY - 35 * MINUTE, MONDAY);
+  t.deepEqual(due.map(item => item.src.id), ['ebay']);
+  t.is(due[0].scheduledAt, MONDAY);
+  t.deepEqual(dueSources(sources, undefined, MONDAY, MONDAY + 5 * MINUTE), []);
+
+  const jittered = [{id: 'ebay', schedule: {cron: '0 6 * * *', jitter: 30 * MINUTE}}];
+  const at = MONDAY + jitterOf('ebay', MONDAY, 30 * MINUTE);
+  t.deepEqual(dueSources(jittered, undefined, at - MINUTE, at).map(item => item.scheduledAt), [MONDAY]);
+  t.deepEqual(dueSources(jittered, undefined, at, at + MINUTE), []);
+});
+
+test.serial(`should catch up on a day without formatting every minute of it`, t => {
+  const formatToParts = sinon.spy(Intl.DateTimeFormat.prototype, 'formatToParts');
+  try {
+    const sources = [{id: 'ebay', schedule: {cron: '30 6 * * *', timeZone: 'Europe/Berlin'}}, {id: 'google', schedule: '* * * * *'}];
+    const due = dueSources(sources, undefined, MONDAY - 24 * 60 * MINUTE, MONDAY);
+    t.deepEqual(due.map(item => item.scheduledAt), [MONDAY - 30 * MINUTE, MONDAY]);
+    t.true(formatToParts.callCount < 100);
+  } finally {
+    formatToParts.restore();
+  }
+  // On the change to daylight saving time in Berlin, 03:30 is only an hour after 01:30
+  const spring = Date.UTC(2024, 2, 31, 12, 0);
+  const due = dueSources([{id: 'ebay', schedule: {cron: '30 1,3 * * *', timeZone: 'Europe/Berlin'}}], undefined, spring - 12 * 60 * MINUTE, spring);
+  t.deepEqual(due.map(item => item.scheduledAt), [Date.UTC(2024, 2, 31, 1, 30)]);
+});
+
+test.serial(`should start due sources in one of two concurrent scheduler runs`, async t => {
+  const config = {
+    source: [{id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile'}],
+    schedule: '0 6 * * *',
+    outputFormat: [],
+    minTimeBetweenTriggers: 0
+  };
+  const storage = memoryStorage();
+  const publish = sinon.stub().resolves('1');
+  const first = createPipeline({config, storage, sink: memorySink(), pagespeed: {}, publish});
+  const second = createPipeline({config, storage, sink: memorySink(), pagespeed: {}, publish});
+
+  const started = await Promise.all([first.scheduleAudits(MONDAY), second.scheduleAudits(MONDAY)]);
+  t.deepEqual([].concat(...started), ['ebay']);
+  t.is(publish.callCount, 1);
+  t.is(publish.firstCall.args[0].toString(), 'ebay');
+  t.deepEqual(await first.scheduleAudits(MONDAY + MINUTE), []);
+});
+
+test.serial(`should run due sources in process without publish`, async t => {
+  const config = {
+    source: [{id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile'}],
+    schedule: {cron: '0 7 * * *', timeZone: 'Europe/Berlin'},
+    outputFormat: [],
+    minTimeBetweenTriggers: 0
+  };
+  const sink = memorySink();
+  const runpagespeed = sinon.stub().callsFake(() => Promise.resolve(JSON.parse(JSON.stringify(mockPsi))));
+  const pipeline = createPipeline({config, storage: memoryStorage(), sink, pagespeed: {pagespeedapi: {runpagespeed}}});
+
+  t.deepEqual(await pipeline.scheduleAudits(MONDAY), ['ebay']);
+  t.is(runpagespeed.callCount, 1);
+  t.is(sink.tables.reports[0].id, 'ebay');
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require(`ava`);
+const mockPsi = require(`./mock.psi.json`);
+const bqSchema = require(`../bigquery-schema.json`);
+const {isIgnored, mergeFields, reconcile, sortFields} = require(`../lib/schema`);
+const {generateSchema} = require(`../scripts/generate-schema`);
+
+const fields = [
+  {mode: 'REQUIRED', name: 'id', type: 'STRING'},
+  {mode: 'NULLABLE', name: 'score', type: 'FLOAT'},
+  {fields: [{mode: 'NULLABLE', name: 'title', type: 'STRING'}], mode: 'NULLABLE', name: 'audit', type: 'RECORD'}
+];
+
+test(`should add nullable fields for new properties`, t => {
+  const result = reconcile(fields, {id: 'a', audit: {title: 'T', weight: 2}, tags: ['x'], items: [{a: 1}, {b: 'c'}]});
+  t.deepEqual(result.fields[2].fields[1], {mode: 'NULLABLE', name: 'weight', type: 'FLOAT'});
+  t.deepEqual(result.fields[3], {mode: 'REPEATED', name: 'tags', type: 'STRING'});
+  t.deepEqual(result.fields[4].fields.map(field => field.name), ['a', 'b']);
+  t.deepEqual(result.row, {id: 'a', audit: {title: 'T', weight: 2}, tags: ['x'], items: [{a: 1}, {b: 'c'}]});
+  t.deepEqual(result.changes.map(change => `${change.change} ${change.path} ${change.to}`), [
+    'added audit.weight FLOAT',
+    'added tags REPEATED STRING',
+    'added items REPEATED RECORD'
+  ]);
+  // The fields passed in are not modified
+  t.deepEqual(fields[2].fields.length, 1);
+});
+
+test(`should coerce or drop values that do not match their field`, t => {
+  const result = reconcile(fields, {id: 1, score: '0.5', audit: 'text'});
+  t.deepEqual(result.row, {id: '1', score: 0.5});
+  t.deepEqual(result.changes, [
+    {path: 'id', change: 'coerced', from: 'number', to: 'STRING'},
+    {path: 'score', change: 'coerced', from: 'string', to: 'FLOAT'},
+    {path: 'audit', change: 'dropped', reason: 'value does not match RECORD'}
+  ]);
+  t.deepEqual(reconcile(fields, {score: 'n/a'}).row, {});
+  t.deepEqual(reconcile(fields, {score: [1]}).changes[0].change, 'dropped');
+});
+
+test(`should not infer fields without a type`, t => {
+  const result = reconcile(fields, {empty: [], nothing: null, nested: [[1]], blank: {}});
+  t.deepEqual(result.fields.length, 3);
+  t.deepEqual(result.row, {});
+  t.deepEqual(result.changes, []);
+});
+
+test(`should not add fields under ignored paths but keep existing ones`, t => {
+  t.true(isIgnored('lighthouseResult.audits.foo.details', ['lighthouseResult.audits.*.details']));
+  t.true(isIgnored('lighthouseResult.audits.foo.details.items', ['lighthouseResult.audits.*.details']));
+  t.false(isIgnored('lighthouseResult.audits.foo.title', ['lighthouseResult.audits.*.details']));
+  const result = reconcile(fields, {audit: {title: 'T', details: {type: 'table'}}}, {ignore: ['audit.details', 'audit.title']});
+  t.deepEqual(result.row, {audit: {title: 'T'}});
+  t.deepEqual(result.changes, []);
+});
+
+test(`should fit the sample report to the checked-in schema`, t => {
+  const result = reconcile(bqSchema, Object.assign({job_id: 'job'}, mockPsi));
+  t.deepEqual(result.changes.filter(change => change.change !== 'coerced'), []);
+  t.deepEqual(result.fields, bqSchema);
+});
+
+test(`should merge and sort fields`, t => {
+  const merged = mergeFields(fields, [
+    {fields: [{mode: 'NULLABLE', name: 'id', type: 'STRING'}], mode: 'NULLABLE', name: 'audit', type: 'RECORD'},
+    {mode: 'NULLABLE', name: 'alpha', type: 'INTEGER'}
+  ]);
+  t.deepEqual(merged[2].fields.map(field => field.name), ['title', 'id']);
+  t.deepEqual(sortFields(merged).map(field => field.name), ['id', 'alpha', 'audit', 'score']);
+  t.deepEqual(sortFields(merged)[2].fields.map(field => field.name), ['id', 'title']);
+});
+
+test(`should regenerate the checked-in schema from the sample report`, t => {
+  t.deepEqual(generateSchema(mockPsi, bqSchema), bqSchema);
+  const fresh = generateSchema(mockPsi);
+  t.deepEqual(fresh.slice(0, 4).map(field => field.name), ['id', 'url', 'emulatedFormFactor', 'analysisUTCTimestamp']);
+  t.true(fresh.some(field => field.name === 'job_id'));
+  t.false(JSON.stringify(fresh).includes('"details"'));
+});
+
+test(`should keep the descriptions of the fields of the schema`, t => {
+  const current = bqSchema.map(field => field.name === 'lighthouseResult' ? Object.assign({}, field, {
+    description: 'The Lighthouse result',
+    fields: field.fields.map((child, index) => index === 0 ? Object.assign({description: 'First field'}, child) : child)
+  }) : field);
+  const [result] = generateSchema(mockPsi, current).filter(field => field.name === 'lighthouseResult');
+  t.deepEqual(Object.keys(result), ['fields', 'mode', 'name', 'type', 'description']);
+  t.is(result.description, 'The Lighthouse result');
+  t.is(result.fields.find(child => child.name === current.find(field => field.name === 'lighthouseResult').fields[0].name).description, 'First field');
+});
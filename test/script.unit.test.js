@@ -0,0 +1,76 @@
+'use strict';
+
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const tools = require(`@google-cloud/nodejs-repo-tools`);
+const {describeStep, runScript, setCookies} = require(`../lib/script`);
+
+/**
+ * Returns a puppeteer mock with a single page.
+ */
+function getPuppeteer() {
+  const page = {
+    goto: sinon.stub().resolves(),
+    waitForSelector: sinon.stub().resolves(),
+    type: sinon.stub().resolves(),
+    click: sinon.stub().resolves(),
+    waitForNavigation: sinon.stub().resolves(),
+    waitFor: sinon.stub().resolves(),
+    setCookie: sinon.stub().resolves(),
+    close: sinon.stub().resolves()
+  };
+  const browser = {newPage: sinon.stub().resolves(page), disconnect: sinon.stub()};
+  return {page, browser, puppeteer: {connect: sinon.stub().resolves(browser)}};
+}
+
+test.beforeEach(tools.stubConsole);
+test.afterEach.always(tools.restoreConsole);
+
+test.serial(`should run the steps of a login script`, async t => {
+  const {page, browser, puppeteer} = getPuppeteer();
+  await runScript(9222, [
+    {action: 'navigate', url: 'https://staging.ebay.com/login'},
+    {action: 'fill', selector: '#user', value: 'perf'},
+    {action: 'fill', selector: '#password', value: 'pa$$word'},
+    {action: 'click', selector: 'button[type=submit]', waitForNavigation: true},
+    {action: 'waitFor', selector: '#account', timeout: 5000},
+    {action: 'waitFor', timeout: 500}
+  ], 'staging', {puppeteer});
+
+  t.deepEqual(puppeteer.connect.firstCall.args, [{browserURL: 'http://127.0.0.1:9222'}]);
+  t.deepEqual(page.goto.firstCall.args, ['https://staging.ebay.com/login', {waitUntil: 'networkidle2', timeout: 30000}]);
+  t.deepEqual(page.type.args, [['#user', 'perf'], ['#password', 'pa$$word']]);
+  t.deepEqual(page.click.args, [['button[type=submit]']]);
+  t.is(page.waitForNavigation.callCount, 1);
+  t.deepEqual(page.waitForSelector.lastCall.args, ['#account', {visible: true, timeout: 5000}]);
+  t.deepEqual(page.waitFor.args, [[500]]);
+  t.is(page.close.callCount, 1);
+  t.is(browser.disconnect.callCount, 1);
+  // Values are never logged
+  t.true(console.log.calledWith('staging: Script step 3 of 6: fill #password'));
+  t.false(console.log.args.some(args => args[0].includes('pa$$word')));
+});
+
+test.serial(`should fail with the step that failed and disconnect`, async t => {
+  const {page, browser, puppeteer} = getPuppeteer();
+  page.waitForSelector.rejects(new Error('waiting for selector "#user" failed: timeout 30000ms exceeded'));
+
+  await t.throws(runScript(9222, [
+    {action: 'navigate', url: 'https://staging.ebay.com/login'},
+    {action: 'fill', selector: '#user', value: 'perf'}
+  ], 'staging', {puppeteer}), /Script step 2 \(fill #user\) failed: waiting for selector/);
+  t.is(browser.disconnect.callCount, 1);
+  t.is(describeStep({action: 'waitFor', navigation: true}), 'wait for navigation');
+});
+
+test.serial(`should set cookies for the host of the audited url`, async t => {
+  const {page, browser, puppeteer} = getPuppeteer();
+  await setCookies(9222, 'https://staging.ebay.com/account', {session: 'abc', consent: 'all'}, {puppeteer});
+  t.deepEqual(puppeteer.connect.firstCall.args, [{browserURL: 'http://127.0.0.1:9222'}]);
+  t.deepEqual(page.setCookie.firstCall.args, [
+    {name: 'session', value: 'abc', url: 'https://staging.ebay.com/account', path: '/'},
+    {name: 'consent', value: 'all', url: 'https://staging.ebay.com/account', path: '/'}
+  ]);
+  t.true(page.close.called);
+  t.true(browser.disconnect.called);
+});
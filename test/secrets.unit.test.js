@@ -0,0 +1,80 @@
+'use strict';
+
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const tools = require(`@google-cloud/nodejs-repo-tools`);
+const mockPsi = require(`./mock.psi.json`);
+const {createSecrets, redact, REDACTED} = require(`../lib/secrets`);
+const {memoryStorage} = require(`../lib/storage`);
+const {memorySink} = require(`../lib/sinks`);
+const {createPipeline} = require(`../lib/pipeline`);
+
+test.beforeEach(tools.stubConsole);
+test.afterEach.always(tools.restoreConsole);
+
+test.serial(`should resolve references to environment variables and the secrets file`, async t => {
+  const readFile = sinon.stub().resolves(JSON.stringify({password: 'pa$$word'}));
+  const secrets = createSecrets({file: '/secrets/lighthouse.json'}, {env: {STAGING_USER: 'perf'}, readFile});
+
+  t.deepEqual(await secrets.resolve({
+    headers: {Authorization: 'Basic ${env:STAGING_USER}:${secret:password}'},
+    script: [{action: 'fill', selector: '#password', value: '${secret:password}'}],
+    cookies: undefined
+  }), {
+    headers: {Authorization: 'Basic perf:pa$$word'},
+    script: [{action: 'fill', selector: '#password', value: 'pa$$word'}],
+    cookies: undefined
+  });
+  t.deepEqual(readFile.args, [['/secrets/lighthouse.json', 'utf8']]);
+  await t.throws(secrets.resolve('${env:MISSING}'), /Secret env:MISSING is not set/);
+  await t.throws(createSecrets({}, {env: {}}).resolve('${secret:password}'), /need secretsFile/);
+});
+
+test.serial(`should redact the headers and cookies of a source where reports have request headers`, t => {
+  const session = {headers: {'X-Token': 'abc'}, cookies: {session: 'x'}};
+  const report = {
+    finalUrl: 'https://staging.ebay.com/?q=abc',
+    configSettings: {extraHeaders: {'x-token': 'abc', 'Accept-Language': 'de'}},
+    audits: {requests: {details: {items: [{url: 'https://staging.ebay.com/', requestHeaders: {Cookie: 'session=x', Accept: '*/*'}}]}}},
+    score: 1
+  };
+  t.deepEqual(redact(report, session), {
+    finalUrl: 'https://staging.ebay.com/?q=abc',
+    configSettings: {extraHeaders: {'x-token': REDACTED, 'Accept-Language': 'de'}},
+    audits: {requests: {details: {items: [{url: 'https://staging.ebay.com/', requestHeaders: {Cookie: REDACTED, Accept: '*/*'}}]}}},
+    score: 1
+  });
+  t.is(redact(report, {headers: undefined, cookies: {}}), report);
+});
+
+test.serial(`should not write the headers of lighthouse sources to the storage or the sink`, async t => {
+  const src = {
+    id: 'staging',
+    url: 'https://staging.ebay.com/',
+    strategy: 'mobile',
+    runner: 'lighthouse',
+    headers: {'X-Token': '${env:TOKEN}', 'X-Inline': 'inline-123456'},
+    sendHeadersToAllOrigins: true
+  };
+  const storage = memoryStorage();
+  const sink = memorySink();
+  const runLighthouse = sinon.stub().callsFake((job, category, options) => {
+    const psi = JSON.parse(JSON.stringify(mockPsi));
+    psi.lighthouseResult.configSettings.extraHeaders = options.headers;
+    return Promise.resolve(psi);
+  });
+  const pipeline = createPipeline({
+    config: {source: [src], outputFormat: ['json'], minTimeBetweenTriggers: 0},
+    storage,
+    sink,
+    pagespeed: {},
+    runLighthouse,
+    secrets: createSecrets({}, {env: {TOKEN: 'tok-123456'}})
+  });
+
+  await pipeline.handleMessage('staging');
+  const written = Object.keys(storage.files).map(name => String(storage.files[name].data)).join('\n');
+  t.false(written.includes('tok-123456'));
+  t.false(written.includes('inline-123456'));
+  t.deepEqual(sink.tables.reports[0].lighthouseResult.configSettings.extraHeaders, {'X-Token': REDACTED, 'X-Inline': REDACTED});
+});
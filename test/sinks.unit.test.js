@@ -0,0 +1,179 @@
+'use strict';
+
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const tools = require(`@google-cloud/nodejs-repo-tools`);
+const {bigquerySink, ndjsonSink, postgresSink, memorySink, toNdjson} = require(`../lib/sinks`);
+
+test.beforeEach(tools.stubConsole);
+test.afterEach.always(tools.restoreConsole);
+
+test(`should load rows into bigquery through an ndjson file`, async t => {
+  const tableMock = {load: sinon.stub().resolves(), insert: sinon.stub().resolves()};
+  const datasetMock = {table: sinon.stub().returns(tableMock)};
+  const bigqueryMock = {dataset: sinon.stub().returns(datasetMock)};
+  const writeFile = sinon.stub().resolves();
+  const sink = bigquerySink(bigqueryMock, 'psi', {writeFile});
+
+  await sink.load('reports', [{id: 'a'}], {schema: [], jobId: 'job', evolveSchema: true});
+  t.deepEqual(writeFile.firstCall.args, ['/tmp/job.json', '{"id":"a"}\n']);
+  t.true(bigqueryMock.dataset.calledWith('psi'));
+  t.true(datasetMock.table.calledWith('reports'));
+  t.deepEqual(tableMock.load.firstCall.args, ['/tmp/job.json', {
+    sourceFormat: 'NEWLINE_DELIMITED_JSON',
+    schema: {fields: []},
+    jobId: 'job',
+    schemaUpdateOptions: ['ALLOW_FIELD_ADDITION']
+  }]);
+
+  await sink.insert('failed_runs', [{id: 'a'}], {insertIds: ['job'], schema: []});
+  t.deepEqual(tableMock.insert.firstCall.args, [[{insertId: 'job', json: {id: 'a'}}], {raw: true, autoCreate: true, schema: []}]);
+});
+
+test.serial(`should skip bigquery load jobs that already exist`, async t => {
+  const exists = new Error('Already Exists: Job psi:job');
+  exists.code = 409;
+  const tableMock = {load: sinon.stub().rejects(exists)};
+  const jobMock = {getMetadata: sinon.stub().resolves([{status: {state: 'DONE'}}])};
+  const bigqueryMock = {dataset: () => ({table: () => tableMock}), job: sinon.stub().returns(jobMock)};
+  const sink = bigquerySink(bigqueryMock, 'psi', {writeFile: sinon.stub().resolves()});
+  t.is(await sink.load('reports', [{id: 'a'}], {schema: [], jobId: 'job'}), null);
+  t.true(bigqueryMock.job.calledWith('job'));
+  t.is(tableMock.load.callCount, 1);
+
+  jobMock.getMetadata = sinon.stub().resolves([{status: {state: 'RUNNING'}}]);
+  jobMock.promise = sinon.stub().resolves();
+  t.is(await sink.load('reports', [{id: 'a'}], {schema: [], jobId: 'job'}), null);
+  t.true(jobMock.promise.called);
+
+  tableMock.load = sinon.stub().rejects(new Error('Invalid schema'));
+  await t.throws(sink.load('reports', [{id: 'a'}], {schema: [], jobId: 'job'}), /Invalid schema/);
+});
+
+test.serial(`should retry bigquery load jobs that failed before under another job ID`, async t => {
+  const exists = new Error('Already Exists: Job psi:job');
+  exists.code = 409;
+  const failed = [{status: {state: 'DONE', errorResult: {message: 'Backend error'}}}];
+  const tableMock = {load: sinon.stub().rejects(exists)};
+  tableMock.load.onCall(2).resolves(['loaded']);
+  const jobMock = {getMetadata: sinon.stub().resolves(failed)};
+  const bigqueryMock = {dataset: () => ({table: () => tableMock}), job: sinon.stub().returns(jobMock)};
+  const sink = bigquerySink(bigqueryMock, 'psi', {writeFile: sinon.stub().resolves()});
+  t.deepEqual(await sink.load('reports', [{id: 'a'}], {schema: [], jobId: 'job'}), ['loaded']);
+  t.deepEqual(tableMock.load.args.map(args => args[1].jobId), ['job', 'job_1', 'job_2']);
+  t.deepEqual(bigqueryMock.job.args, [['job'], ['job_1']]);
+
+  tableMock.load = sinon.stub().rejects(exists);
+  await t.throws(sink.load('reports', [{id: 'a'}], {schema: [], jobId: 'job'}), /Load job job_9 into reports failed: Backend error/);
+  t.is(tableMock.load.callCount, 10);
+});
+
+test(`should load files of a bucket into bigquery`, async t => {
+  const tableMock = {load: sinon.stub().resolves()};
+  const writeFile = sinon.stub().resolves();
+  const sink = bigquerySink({dataset: () => ({table: () => tableMock})}, 'psi', {writeFile});
+  const files = [{name: 'batches/a/rows/summary/0.json'}, {name: 'batches/a/rows/summary/1.json'}];
+  await sink.loadFiles('summary', files, {schema: [], jobId: 'a_summary', evolveSchema: true});
+  t.false(writeFile.called);
+  t.deepEqual(tableMock.load.firstCall.args, [files, {
+    sourceFormat: 'NEWLINE_DELIMITED_JSON',
+    schema: {fields: []},
+    jobId: 'a_summary',
+    schemaUpdateOptions: ['ALLOW_FIELD_ADDITION']
+  }]);
+});
+
+test(`should read the schema of a bigquery table`, async t => {
+  const notFound = new Error('Not found');
+  notFound.code = 404;
+  const tableMock = {getMetadata: sinon.stub().resolves([{schema: {fields: [{name: 'id'}]}}])};
+  const sink = bigquerySink({dataset: () => ({table: () => tableMock})}, 'psi', {});
+  t.deepEqual(await sink.getSchema('reports'), [{name: 'id'}]);
+  tableMock.getMetadata = sinon.stub().rejects(notFound);
+  t.is(await sink.getSchema('reports'), null);
+});
+
+test(`should partition and cluster only the bigquery tables that a load creates`, async t => {
+  const notFound = new Error('Not found');
+  notFound.code = 404;
+  const tableMock = {load: sinon.stub().resolves(), getMetadata: sinon.stub().rejects(notFound)};
+  const sink = bigquerySink({dataset: () => ({table: () => tableMock})}, 'psi', {writeFile: sinon.stub().resolves()});
+  const partitioning = {field: 'timestamp', clustering: ['id', 'strategy']};
+
+  await sink.load('summary', [{id: 'a'}], {schema: [], jobId: 'job_summary', partitioning});
+  t.deepEqual(tableMock.load.firstCall.args[1].timePartitioning, {type: 'DAY', field: 'timestamp'});
+  t.deepEqual(tableMock.load.firstCall.args[1].clustering, {fields: ['id', 'strategy']});
+  // The table exists after the first load, and the schema of existing tables is not read again
+  await sink.load('summary', [{id: 'b'}], {schema: [], jobId: 'next_summary', partitioning});
+  t.false('timePartitioning' in tableMock.load.secondCall.args[1]);
+  t.is(tableMock.getMetadata.callCount, 1);
+
+  tableMock.getMetadata = sinon.stub().resolves([{schema: {fields: [{name: 'id'}]}}]);
+  await sink.load('reports', [{id: 'a'}], {schema: [], jobId: 'job', partitioning});
+  t.false('clustering' in tableMock.load.thirdCall.args[1]);
+});
+
+test(`should find the job ids a bigquery table has rows of`, async t => {
+  const query = sinon.stub().resolves([[{job_id: 'b'}]]);
+  const sink = bigquerySink({query}, 'psi', {});
+  t.deepEqual(await sink.getJobIds('summary', ['a', 'b']), ['b']);
+  t.true(query.firstCall.args[0].query.includes('FROM `psi.summary` WHERE job_id IN UNNEST(@jobIds)'));
+  t.deepEqual(query.firstCall.args[0].params, {jobIds: ['a', 'b']});
+  t.deepEqual(await sink.getJobIds('summary', []), []);
+  const notFound = new Error('Not found: Table psi:resources');
+  notFound.code = 404;
+  query.rejects(notFound);
+  t.deepEqual(await sink.getJobIds('resources', ['a']), []);
+});
+
+test(`should write loads and inserts as ndjson files`, async t => {
+  const storage = {name: 'directory out', write: sinon.stub().resolves()};
+  const sink = ndjsonSink(storage);
+  await sink.load('summary', [{id: 'a'}, {id: 'b'}], {jobId: 'job_summary'});
+  t.deepEqual(storage.write.firstCall.args, ['ndjson/summary/job_summary.json', '{"id":"a"}\n{"id":"b"}\n', {contentType: 'application/x-ndjson'}]);
+  await sink.insert('failed_runs', [{id: 'a'}], {insertIds: ['job']});
+  t.deepEqual(storage.write.secondCall.args[0], 'ndjson/failed_runs/job.json');
+  t.false('getSchema' in sink);
+  t.deepEqual(toNdjson({id: 'a'}), '{"id":"a"}\n');
+});
+
+test(`should create tables and idempotently insert rows into postgres`, async t => {
+  const pool = {query: sinon.stub().resolves({rowCount: 1})};
+  const sink = postgresSink({schema: 'psi'}, {pool});
+  const schema = [
+    {mode: 'REQUIRED', name: 'id', type: 'STRING'},
+    {mode: 'NULLABLE', name: 'score', type: 'FLOAT'},
+    {fields: [], mode: 'NULLABLE', name: 'field', type: 'RECORD'}
+  ];
+
+  await sink.load('summary', [{id: 'a', score: 0.5, field: {lcp: 1}}, {id: 'b'}], {schema, jobId: 'job'});
+  const queries = pool.query.args.map(args => args[0]);
+  t.is(queries[0], 'CREATE TABLE IF NOT EXISTS "psi"."summary" ("_row_id" text PRIMARY KEY)');
+  t.deepEqual(queries.slice(1, 4), [
+    'ALTER TABLE "psi"."summary" ADD COLUMN IF NOT EXISTS "id" text',
+    'ALTER TABLE "psi"."summary" ADD COLUMN IF NOT EXISTS "score" double precision',
+    'ALTER TABLE "psi"."summary" ADD COLUMN IF NOT EXISTS "field" jsonb'
+  ]);
+  t.is(queries[4], 'INSERT INTO "psi"."summary" ("_row_id", "id", "score", "field") VALUES ($1, $2, $3, $4), ($5, $6, $7, $8) ON CONFLICT ("_row_id") DO NOTHING');
+  t.deepEqual(pool.query.lastCall.args[1], ['job_0', 'a', 0.5, '{"lcp":1}', 'job_1', 'b', null, null]);
+
+  // Tables and columns are only created once
+  await sink.insert('summary', [{id: 'c'}], {schema, insertIds: ['row']});
+  t.is(pool.query.callCount, 6);
+  t.deepEqual(pool.query.lastCall.args[1], ['row', 'c', null, null]);
+
+  pool.query = sinon.stub().resolves({rows: [{job_id: 'job'}]});
+  t.deepEqual(await sink.getJobIds('summary', ['job', 'other']), ['job']);
+  t.deepEqual(pool.query.firstCall.args, ['SELECT DISTINCT "job_id" FROM "psi"."summary" WHERE "job_id" = ANY($1)', [['job', 'other']]]);
+  const undefinedTable = new Error('relation "psi.resources" does not exist');
+  undefinedTable.code = '42P01';
+  pool.query = sinon.stub().rejects(undefinedTable);
+  t.deepEqual(await sink.getJobIds('resources', ['job']), []);
+});
+
+test(`should keep rows in memory`, async t => {
+  const sink = memorySink();
+  await sink.load('reports', [{id: 'a'}], {jobId: 'job'});
+  await sink.insert('reports', [{id: 'b'}], {});
+  t.deepEqual(sink.tables, {reports: [{id: 'a'}, {id: 'b'}]});
+});
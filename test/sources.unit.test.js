@@ -0,0 +1,104 @@
+'use strict';
+
+const test = require(`ava`);
+const {expandTemplate, pageKey, isSelector, selectSources, labelsOf, adhocSource, toJob, expandSource, expandSources, toMessage, parseMessage, checkMessage} = require(`../lib/sources`);
+
+test(`should expand url templates into every combination of params`, t => {
+  t.deepEqual(expandTemplate('https://www.ebay.{tld}/{page}', {tld: ['com', 'de'], page: 'deals'}), [
+    'https://www.ebay.com/deals',
+    'https://www.ebay.de/deals'
+  ]);
+  t.deepEqual(expandTemplate('https://www.ebay.com/'), ['https://www.ebay.com/']);
+});
+
+test(`should fail on url template without value`, t => {
+  t.throws(() => expandTemplate('https://www.ebay.{tld}/', {}), 'No value for {tld} in URL template https://www.ebay.{tld}/');
+});
+
+test(`should turn urls into path segments`, t => {
+  t.deepEqual(pageKey('https://www.ebay.com/'), 'www_ebay_com_4f078336');
+  t.deepEqual(pageKey('https://www.ebay.com/deals/?q=1'), 'www_ebay_com_deals_q_1_140136bf');
+  const urls = ['https://www.ebay.com/deals', 'https://www.ebay.com/deals/', 'https://www.ebay.com/deals?',
+    'http://www.ebay.com/deals', 'https://www.ebay.com/a-b', 'https://www.ebay.com/a/b'];
+  const keys = urls.map(pageKey);
+  t.is(keys.filter((key, index) => keys.indexOf(key) === index).length, urls.length);
+});
+
+test(`should keep id/strategy prefix for single url sources`, t => {
+  const src = {id: 'ebay', url: 'https://www.ebay.com/', strategy: ['desktop', 'mobile']};
+  t.deepEqual(expandSource(src), [
+    {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'desktop', prefix: 'ebay/desktop'},
+    {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile', prefix: 'ebay/mobile'}
+  ]);
+});
+
+test(`should add page key to prefix for sources with several urls`, t => {
+  const src = {id: 'ebay', url: ['https://www.ebay.com/', 'https://www.ebay.com/{page}'], params: {page: ['deals', 'deals']}, strategy: 'mobile'};
+  t.deepEqual(expandSource(src), [
+    {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile', prefix: 'ebay/www_ebay_com_4f078336/mobile'},
+    {id: 'ebay', url: 'https://www.ebay.com/deals', strategy: 'mobile', prefix: 'ebay/www_ebay_com_deals_3428b781/mobile'}
+  ]);
+  t.deepEqual(toJob(src, 'https://www.ebay.com/other', 'mobile').prefix, 'ebay/www_ebay_com_other_4e6ab937/mobile');
+});
+
+test(`should expand all sources`, t => {
+  const jobs = expandSources([
+    {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'desktop'},
+    {id: 'google', url: 'https://www.google.com/', strategy: ['desktop', 'mobile']}
+  ]);
+  t.deepEqual(jobs.map(job => job.prefix), ['ebay/desktop', 'google/desktop', 'google/mobile']);
+});
+
+test(`should parse structured and plain messages`, t => {
+  t.deepEqual(parseMessage('all'), 'all');
+  t.deepEqual(parseMessage('ebay'), 'ebay');
+  t.deepEqual(parseMessage('{"id":"ebay","url":"https://www.ebay.com/","strategy":"mobile"}'), {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile'});
+  t.deepEqual(parseMessage('{not json'), '{not json');
+});
+
+test(`should keep ad-hoc audits per page and carry job ids in messages`, t => {
+  const [job] = expandSource(adhocSource('https://www.example.com/', 'mobile', ['seo']));
+  t.deepEqual(job, {id: 'adhoc', url: 'https://www.example.com/', strategy: 'mobile', prefix: 'adhoc/www_example_com_49365e2b/mobile'});
+  const msg = toMessage(Object.assign({}, job, {jobId: '1', category: ['seo']}));
+  t.deepEqual(parseMessage(msg.toString()), {id: 'adhoc', url: 'https://www.example.com/', strategy: 'mobile', jobId: '1', category: ['seo']});
+  t.is(toMessage({id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile', prefix: 'ebay/mobile'}).toString(), '{"id":"ebay","url":"https://www.ebay.com/","strategy":"mobile"}');
+  t.deepEqual(parseMessage(toMessage({id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile', batch: {id: 'b', index: 2}}).toString()).batch, {id: 'b', index: 2});
+  t.true(parseMessage(toMessage({id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile', fanOut: true}).toString()).fanOut);
+});
+
+test(`should check structured messages against their source`, t => {
+  const src = {id: 'ebay', url: ['https://www.ebay.com/', 'https://www.ebay.com/deals'], strategy: ['mobile', 'desktop']};
+  const jobId = 'b6a1e3f0-3c4d-11ea-8b2a-0d2f5e1c9a7b';
+  t.is(checkMessage(src, {id: 'ebay', url: 'https://www.ebay.com/deals', strategy: 'desktop', jobId: jobId, batch: {id: jobId, index: 3}}), null);
+  t.is(checkMessage(src, {id: 'ebay', url: 'https://www.ebay.com/other', strategy: 'mobile'}), 'URL https://www.ebay.com/other is not one of the source');
+  t.is(checkMessage(src, {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'tablet'}), 'strategy tablet is not one of the source');
+  t.is(checkMessage(src, {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile', jobId: 'job/1'}), 'invalid job ID job/1');
+  t.is(checkMessage(src, {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile', batch: {id: jobId, index: -1}}), `invalid batch {"id":"${jobId}","index":-1}`);
+  t.is(checkMessage(src, {id: 'ebay', url: 'https://www.ebay.com/', strategy: 'mobile', batch: null}), 'invalid batch null');
+  // Discovered and ad-hoc sources take any URL
+  const etsy = {id: 'etsy', type: 'sitemap', url: 'https://www.etsy.com/sitemap.xml', strategy: 'mobile'};
+  t.is(checkMessage(etsy, {url: 'https://www.etsy.com/c/1', strategy: 'mobile'}), null);
+  t.is(checkMessage(etsy, {url: 'http://www.etsy.com/c/1', strategy: 'mobile'}), null);
+  t.is(checkMessage(etsy, {url: 'http://169.254.169.254/', strategy: 'mobile'}), 'URL http://169.254.169.254/ is not on the site of the source');
+  t.is(checkMessage(etsy, {url: 'https://www.etsy.com:8443/', strategy: 'mobile'}), 'URL https://www.etsy.com:8443/ is not on the site of the source');
+  t.is(checkMessage(etsy, {url: 'file:///etc/passwd', strategy: 'mobile'}), 'URL file:///etc/passwd is not on the site of the source');
+  t.is(checkMessage(adhocSource('https://www.example.com/', 'mobile'), {url: 'https://www.example.com/', strategy: 'desktop'}), 'strategy desktop is not one of the source');
+});
+
+test(`should select sources by tag and group and label their rows`, t => {
+  const sources = [
+    {id: 'ebay-checkout', group: 'marketplaces', tags: ['ebay', 'checkout']},
+    {id: 'etsy-checkout', group: 'marketplaces', tags: 'checkout'},
+    {id: 'google'}
+  ];
+  t.true(isSelector('tag:checkout'));
+  t.true(isSelector('group:marketplaces'));
+  t.false(isSelector('tag:'));
+  t.false(isSelector('all'));
+  t.deepEqual(selectSources(sources, 'tag:checkout').map(src => src.id), ['ebay-checkout', 'etsy-checkout']);
+  t.deepEqual(selectSources(sources, 'tag:ebay').map(src => src.id), ['ebay-checkout']);
+  t.deepEqual(selectSources(sources, 'group:marketplaces').map(src => src.id), ['ebay-checkout', 'etsy-checkout']);
+  t.deepEqual(selectSources(sources, 'group:search'), []);
+  t.deepEqual(labelsOf(sources[1]), {source_group: 'marketplaces', source_tags: ['checkout']});
+  t.deepEqual(labelsOf(sources[2]), {source_group: null, source_tags: []});
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const fs = require(`fs`);
+const os = require(`os`);
+const path = require(`path`);
+const sinon = require(`sinon`);
+const test = require(`ava`);
+const {gcsStorage, fsStorage, s3Storage, memoryStorage} = require(`../lib/storage`);
+
+test(`should write, read and list files in a directory`, async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  const storage = fsStorage(dir);
+  await storage.write('ebay/desktop/log_2.json', '{"b":2}');
+  await storage.write('ebay/desktop/log_1.json', '{"a":1}');
+  await storage.write('ebay/desktop/verdict_1.json', '{}');
+  await storage.write('google/mobile/log_1.json', '{}');
+
+  t.deepEqual(String(await storage.read('ebay/desktop/log_1.json')), '{"a":1}');
+  t.is(await storage.read('ebay/desktop/missing.json'), null);
+  t.deepEqual(await storage.list('ebay/desktop/log_'), ['ebay/desktop/log_1.json', 'ebay/desktop/log_2.json']);
+  t.deepEqual(await storage.list('ebay/'), ['ebay/desktop/log_1.json', 'ebay/desktop/log_2.json', 'ebay/desktop/verdict_1.json']);
+  t.deepEqual(await storage.list('missing/log_'), []);
+  await storage.remove('ebay/desktop/log_2.json');
+  await storage.remove('ebay/desktop/log_2.json');
+  t.deepEqual(await storage.list('ebay/desktop/log_'), ['ebay/desktop/log_1.json']);
+  t.true(storage.name.includes(dir));
+});
+
+test(`should only write to a directory file at the expected generation`, async t => {
+  const storage = fsStorage(fs.mkdtempSync(path.join(os.tmpdir(), 'storage-')));
+  t.is(await storage.readVersioned('ratelimit/psi.json'), null);
+  const written = await storage.write('ratelimit/psi.json', '1', {ifGeneration: 0});
+  const file = await storage.readVersioned('ratelimit/psi.json');
+  t.deepEqual(String(file.data), '1');
+  t.is(written.generation, file.generation);
+  const err = await t.throws(storage.write('ratelimit/psi.json', '2', {ifGeneration: 0}));
+  t.is(err.code, 412);
+  await storage.write('ratelimit/psi.json', '2', {ifGeneration: file.generation});
+  t.deepEqual(String(await storage.read('ratelimit/psi.json')), '2');
+});
+
+test(`should not write outside of the directory`, async t => {
+  const storage = fsStorage(fs.mkdtempSync(path.join(os.tmpdir(), 'storage-')));
+  await t.throws(storage.write('../escape.json', '{}'), /outside of/);
+});
+
+test(`should write, read and list files in a gcs bucket`, async t => {
+  const notFound = new Error('Not found');
+  notFound.code = 404;
+  const fileMock = {
+    metadata: {generation: '4'},
+    save: sinon.stub().resolves(),
+    download: sinon.stub().resolves([Buffer.from('{}')]),
+    delete: sinon.stub().resolves()
+  };
+  const bucketMock = {
+    name: 'reports',
+    file: sinon.stub().returns(fileMock),
+    getFiles: sinon.stub().resolves([[{name: 'a/log_2.json'}, {name: 'a/log_1.json'}]])
+  };
+  const storage = gcsStorage(bucketMock);
+
+  await storage.write('a/report.html', '<html>', {contentType: 'text/html'});
+  t.deepEqual(fileMock.save.firstCall.args, ['<html>', {metadata: {contentType: 'text/html'}}]);
+  t.deepEqual(await storage.write('a/state.json', '{}', {ifGeneration: 3, cacheControl: 'no-store'}), {generation: 4});
+  t.true(bucketMock.file.calledWith('a/state.json', {generation: 3}));
+  t.deepEqual(fileMock.save.secondCall.args[1], {resumable: false, metadata: {contentType: 'application/json', cacheControl: 'no-store'}});
+  t.deepEqual(String(await storage.read('a/state.json')), '{}');
+  t.deepEqual(await storage.list('a/log_'), ['a/log_1.json', 'a/log_2.json']);
+  t.true(bucketMock.getFiles.calledWith({prefix: 'a/log_'}));
+  fileMock.download = sinon.stub().rejects(notFound);
+  t.is(await storage.read('a/missing.json'), null);
+  await storage.remove('a/log_1.json');
+  fileMock.delete = sinon.stub().rejects(notFound);
+  await storage.remove('a/log_1.json');
+  t.is(storage.name, 'bucket reports');
+  t.is(storage.file('a/log_1.json'), fileMock);
+});
+
+test(`should write, read and list files in an s3 bucket`, async t => {
+  const client = {
+    send: sinon.stub().resolves({statusCode: 200, headers: {etag: '"abc"'}, body: Buffer.from('{}')}),
+    listKeys: sinon.stub().resolves(['a/log_2.json', 'a/log_1.json'])
+  };
+  const storage = s3Storage({bucket: 'reports'}, {client});
+
+  await storage.write('a/report.csv', 'id', {contentType: 'text/csv'});
+  t.deepEqual(client.send.firstCall.args, ['PUT', 'a/report.csv', {headers: {'Content-Type': 'text/csv'}, body: 'id'}]);
+  await storage.write('a/state.json', '{}', {ifGeneration: 0});
+  t.deepEqual(client.send.secondCall.args[2].headers['If-None-Match'], '*');
+  t.deepEqual(await storage.write('a/state.json', '{}', {ifGeneration: '"abc"'}), {generation: '"abc"'});
+  t.deepEqual(client.send.thirdCall.args[2].headers['If-Match'], '"abc"');
+  t.deepEqual(await storage.readVersioned('a/state.json'), {data: Buffer.from('{}'), generation: '"abc"'});
+  t.deepEqual(await storage.list('a/log_'), ['a/log_1.json', 'a/log_2.json']);
+  t.is(storage.name, 'S3 bucket reports');
+
+  client.send.resolves({statusCode: 412, headers: {}, body: Buffer.from('')});
+  t.is((await t.throws(storage.write('a/state.json', '{}', {ifGeneration: 0}))).code, 412);
+  client.send.resolves({statusCode: 404, headers: {}, body: Buffer.from('')});
+  t.is(await storage.read('a/missing.json'), null);
+  client.send.resolves({statusCode: 403, headers: {}, body: Buffer.from('')});
+  t.is((await t.throws(storage.read('a/state.json'))).code, 403);
+  t.is((await t.throws(storage.remove('a/state.json'))).code, 403);
+  client.send.resolves({statusCode: 204, headers: {}, body: Buffer.from('')});
+  await storage.remove('a/state.json');
+  t.deepEqual(client.send.lastCall.args, ['DELETE', 'a/state.json']);
+});
+
+test(`should keep files in memory`, async t => {
+  const storage = memoryStorage();
+  await storage.write('a/log_1.json', '{}');
+  await storage.write('a/state.json', '1', {ifGeneration: 0});
+  const file = await storage.readVersioned('a/state.json');
+  await t.throws(storage.write('a/state.json', '2', {ifGeneration: 0}), /Precondition failed/);
+  const written = await storage.write('a/state.json', '2', {ifGeneration: file.generation});
+  t.deepEqual(written, {generation: file.generation + 1});
+  t.deepEqual(String(await storage.read('a/state.json')), '2');
+  t.is(await storage.read('a/missing.json'), null);
+  t.deepEqual(await storage.list('a/'), ['a/log_1.json', 'a/state.json']);
+  t.deepEqual(Object.keys(storage.files), ['a/log_1.json', 'a/state.json']);
+  await storage.remove('a/log_1.json');
+  t.deepEqual(await storage.list('a/'), ['a/state.json']);
+});
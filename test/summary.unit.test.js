@@ -0,0 +1,59 @@
+'use strict';
+
+const test = require(`ava`);
+const mockPsi = require(`./mock.psi.json`);
+const summarySchema = require(`../summary-schema.json`);
+const {toFieldRecord, toSummaryRow} = require(`../lib/summary`);
+
+test(`should flatten report into summary row`, t => {
+  const row = toSummaryRow(Object.assign({job_id: 'job'}, mockPsi));
+  t.deepEqual(row.job_id, 'job');
+  t.deepEqual(row.id, 'clickz');
+  t.deepEqual(row.url, mockPsi.url);
+  t.deepEqual(row.final_url, 'https://www.clickz.com/');
+  t.deepEqual(row.strategy, 'mobile');
+  t.deepEqual(row.timestamp, mockPsi.analysisUTCTimestamp);
+  t.deepEqual(row.lighthouse_version, '4.3.0');
+  t.deepEqual(row.score_performance, 0.22);
+  t.deepEqual(row.score_best_practices, mockPsi.lighthouseResult.categories['best-practices'].score);
+  t.deepEqual(row.field.overall_category, 'SLOW');
+  t.deepEqual(row.field.fcp_p75, 8855);
+  t.deepEqual(row.field.lcp_p75, null);
+  t.deepEqual(row.origin_field.fid_category, 'SLOW');
+});
+
+test(`should carry the group and tags of the source`, t => {
+  t.deepEqual(toSummaryRow(mockPsi).source_tags, []);
+  const row = toSummaryRow(Object.assign({source_group: 'news', source_tags: ['clickz', 'home']}, mockPsi));
+  t.is(row.source_group, 'news');
+  t.deepEqual(row.source_tags, ['clickz', 'home']);
+});
+
+test(`should only have columns defined in the summary schema`, t => {
+  const row = toSummaryRow(mockPsi);
+  const names = summarySchema.map(field => field.name);
+  t.deepEqual(Object.keys(row).filter(key => !names.includes(key)), []);
+  const fieldNames = summarySchema.find(field => field.name === 'field').fields.map(field => field.name);
+  t.deepEqual(Object.keys(row.field).filter(key => !fieldNames.includes(key)), []);
+});
+
+test(`should read metrics from numericValue, rawValue or renamed audits`, t => {
+  const row = toSummaryRow({lighthouseResult: {audits: {
+    'largest-contentful-paint': {numericValue: 2500},
+    'first-contentful-paint': {rawValue: 1000},
+    'server-response-time': {numericValue: 300},
+    'time-to-first-byte': {rawValue: 400}
+  }}});
+  t.deepEqual(row.lcp, 2500);
+  t.deepEqual(row.fcp, 1000);
+  t.deepEqual(row.ttfb, 300);
+  t.deepEqual(row.tbt, null);
+  t.deepEqual(row.field, null);
+});
+
+test(`should scale field data cls`, t => {
+  const record = toFieldRecord({metrics: {CUMULATIVE_LAYOUT_SHIFT_SCORE: {percentile: 10, category: 'FAST'}}});
+  t.deepEqual(record.cls_p75, 0.1);
+  t.deepEqual(record.cls_category, 'FAST');
+  t.deepEqual(record.overall_category, null);
+});